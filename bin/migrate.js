@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Applies and reverts the schema migrations in migrations/. Connects with
+// the same DB_* settings as the API (see db.js), read from the environment
+// or .env.
+require('dotenv').config();
+const { parseArgs } = require('util');
+const pool = require('../db');
+const migrations = require('../migrations');
+
+const USAGE = `Usage: migrate <command> [options]
+
+Commands:
+  up        Apply pending migrations
+  down      Revert the most recent migration
+  status    List migrations and whether each one is applied
+
+Options:
+  --to <version>   With up: stop after this version
+  --steps <n>      With down: revert this many migrations (default 1)
+  -h, --help       Show this help`;
+
+const OPTIONS = {
+  to: { type: 'string' },
+  steps: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function wholeNumber(value, option) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${option} must be a whole number of at least 1`);
+  }
+  return number;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...extra] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (extra.length > 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (command === 'up') {
+    const to = values.to === undefined ? Infinity : wholeNumber(values.to, 'to');
+    const applied = await migrations.up({ to });
+    applied.forEach(migration => console.log(`Applied ${migration.id}`));
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Already up to date');
+    return 0;
+  }
+
+  if (command === 'down') {
+    const steps = values.steps === undefined ? 1 : wholeNumber(values.steps, 'steps');
+    const reverted = await migrations.down({ steps });
+    reverted.forEach(migration => console.log(`Reverted ${migration.id}`));
+    console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+    return 0;
+  }
+
+  if (command === 'status') {
+    const rows = await migrations.status();
+    for (const row of rows) {
+      const appliedAt = row.applied_at ? `  ${row.applied_at.toISOString()}` : '';
+      console.log(`${row.state.padEnd(8)}  ${row.version} ${row.name}${appliedAt}`);
+    }
+    // Modified or unknown migrations mean the database and the code disagree
+    return rows.some(row => row.state === 'modified' || row.state === 'unknown') ? 1 : 0;
+  }
+
+  console.error(USAGE);
+  return 2;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Command-line loader for the Online Retail dataset and exchange rates.
+// Connects with the same DB_* settings as the API (see db.js), read from the
+// environment or .env.
+require('dotenv').config();
+const { parseArgs } = require('util');
+const pool = require('../db');
+const { load, EtlError, DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE } = require('../etl/load');
+const { loadRates } = require('../etl/rates');
+
+const USAGE = `Usage: retail-etl load <file> [options]
+       retail-etl rates <file> [--encoding <name>]
+
+load: Load an Online Retail CSV export into the database. Rows that fail
+validation are written to a quarantine file with the reason. A load that
+fails or is interrupted resumes from its last committed batch when the
+same file is loaded again.
+
+rates: Load exchange rates from a CSV with the columns date (YYYY-MM-DD),
+currency and rate, the units of that currency per 1 GBP. Rates for dates
+already loaded are replaced. Nothing is loaded if any row is invalid.
+
+Options:
+  --batch-size <n>     Rows per transaction (default ${DEFAULT_BATCH_SIZE}, at most ${MAX_BATCH_SIZE})
+  --quarantine <file>  Where to write rejected rows (default <file>.rejected.csv)
+  --encoding <name>    Encoding of the file (default utf8)
+  --restart            Ignore an unfinished load of the file and start again
+  --force              Load the file even if it was loaded before
+  -h, --help           Show this help`;
+
+const OPTIONS = {
+  'batch-size': { type: 'string' },
+  quarantine: { type: 'string' },
+  encoding: { type: 'string' },
+  restart: { type: 'boolean' },
+  force: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const number = value => Number(value).toLocaleString('en-US');
+
+function printSummary({ run, resumed, resumedFrom, rowsInFile, database }) {
+  const reasons = Object.entries(run.rejections).sort(([, a], [, b]) => b - a);
+  const lines = [
+    '',
+    `Run ${run.id} completed${resumed ? ` (resumed after row ${number(resumedFrom)})` : ''}`,
+    `  Rows in file:      ${number(rowsInFile)}`,
+    `  Rows loaded:       ${number(run.rows_loaded)}`,
+    `  Rows skipped:      ${number(run.rows_skipped)}${run.rows_skipped > 0 ? ' (invoice already loaded)' : ''}`,
+    `  Rows rejected:     ${number(run.rows_rejected)}${run.rows_rejected > 0 ? ` -> ${run.quarantine_file}` : ''}`,
+    ...reasons.map(([reason, count]) => `    ${reason}: ${number(count)}`),
+    `  New customers:     ${number(run.customers_added)}`,
+    `  New products:      ${number(run.products_added)}`,
+    `  New invoices:      ${number(run.invoices_added)}`,
+    '',
+    'Database totals',
+    `  Customers:         ${number(database.customers)}`,
+    `  Products:          ${number(database.products)}`,
+    `  Invoices:          ${number(database.invoices)}`,
+    `  Invoice lines:     ${number(database.invoice_items)}`,
+    ''
+  ];
+
+  // Every row in the file is loaded, skipped or rejected, exactly once
+  const balanced = run.rows_read === rowsInFile && run.rows_loaded + run.rows_skipped + run.rows_rejected === run.rows_read;
+  lines.push(balanced
+    ? 'Reconciliation: OK (rows in file = rows loaded + rows skipped + rows rejected)'
+    : `Reconciliation: MISMATCH (read ${run.rows_read}, loaded ${run.rows_loaded}, skipped ${run.rows_skipped}, rejected ${run.rows_rejected})`);
+  console.log(lines.join('\n'));
+  return balanced;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, file, ...extra] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!['load', 'rates'].includes(command) || !file || extra.length > 0) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (command === 'rates') {
+    const { currencies, added, updated, unchanged } = await loadRates(file, { encoding: values.encoding });
+    console.log(`Rates for ${currencies.join(', ')}: ${number(added)} added, ${number(updated)} updated, ${number(unchanged)} unchanged`);
+    return 0;
+  }
+
+  const batchSize = values['batch-size'] === undefined ? DEFAULT_BATCH_SIZE : Number(values['batch-size']);
+  const result = await load(file, {
+    batchSize,
+    quarantine: values.quarantine,
+    encoding: values.encoding,
+    restart: values.restart,
+    force: values.force,
+    onProgress: ({ run, resumed, rowsRead, rowsRejected }) => {
+      if (resumed) {
+        console.log(`Resuming run ${run.id} after row ${number(rowsRead)}`);
+      } else if (rowsRead > 0) {
+        console.log(`  ${number(rowsRead)} rows read, ${number(rowsRejected)} rejected`);
+      } else {
+        console.log(`Started run ${run.id} for ${run.file_name}`);
+      }
+    }
+  });
+  return printSummary(result) ? 0 : 1;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(err => {
+    // Bad arguments and bad input get a message; anything else a stack trace
+    console.error(err instanceof EtlError || String(err.code).startsWith('ERR_PARSE_ARGS') ? err.message : err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
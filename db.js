@@ -0,0 +1,44 @@
+const { Pool } = require('pg');
+
+// Database configuration
+let pool = new Pool({
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'online_retail_db',
+  password: process.env.DB_PASSWORD || '',
+  port: process.env.DB_PORT || 5432,
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 2000
+});
+
+// Run `work(client)` inside a transaction on a dedicated client. Commits
+// when it resolves and rolls back when it throws (rethrowing the error).
+// If `work` returns null or undefined nothing was meant to change, so the
+// transaction is rolled back as well.
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query(result == null ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Everything goes through this object rather than the Pool itself, so the
+// pool can be swapped (tests point it at a throwaway database).
+module.exports = {
+  query: (text, params) => pool.query(text, params),
+  connect: () => pool.connect(),
+  end: () => pool.end(),
+  withTransaction,
+  usePool(next) {
+    pool = next;
+  }
+};
@@ -0,0 +1,37 @@
+// An error that maps directly onto an HTTP response:
+// res.status(status).json({ error, details, ...extra })
+class HttpError extends Error {
+  constructor(status, error, details, extra = {}) {
+    super(details || error);
+    this.status = status;
+    this.error = error;
+    this.details = details;
+    this.extra = extra;
+  }
+}
+
+function badRequest(details, extra) {
+  return new HttpError(400, 'Bad Request', details, extra);
+}
+
+// `what` names the missing thing, e.g. notFound('Product', 'No product ...')
+function notFound(what, details) {
+  return new HttpError(404, `${what} not found`, details);
+}
+
+function conflict(details) {
+  return new HttpError(409, 'Conflict', details);
+}
+
+// The request is valid but the data needed to answer it is missing
+function unprocessable(details) {
+  return new HttpError(422, 'Unprocessable Entity', details);
+}
+
+module.exports = {
+  HttpError,
+  badRequest,
+  notFound,
+  conflict,
+  unprocessable
+};
@@ -0,0 +1,108 @@
+// CSV reading and writing (RFC 4180: quoted fields may contain commas,
+// doubled quotes and line breaks)
+
+// An incremental parser for text that arrives in chunks. `push(text)`
+// returns the records completed so far and `end()` any final record, each
+// as { line, values } where `line` is the 1-based line the record starts
+// on. Blank lines are skipped.
+function createCsvParser() {
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let dirty = false;
+  let line = 1;
+  let start = 1;
+  // A quote or carriage return at the end of a chunk cannot be interpreted
+  // until the next character arrives
+  let pending = '';
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+  };
+  const endRecord = records => {
+    endField();
+    if (dirty || values.length > 1) {
+      records.push({ line: start, values });
+    }
+    values = [];
+    dirty = false;
+  };
+
+  const consume = (text, final) => {
+    const records = [];
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (!final && i === text.length - 1 && (char === '"' || char === '\r')) {
+        pending = char;
+        break;
+      }
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+        dirty = true;
+      } else if (char === ',') {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        endRecord(records);
+        line++;
+        start = line;
+      } else {
+        field += char;
+        dirty = true;
+      }
+    }
+    return records;
+  };
+
+  return {
+    push(text) {
+      const chunk = pending + text;
+      pending = '';
+      return consume(chunk, false);
+    },
+    end() {
+      const records = consume(pending, true);
+      pending = '';
+      if (field !== '' || values.length > 0 || dirty) {
+        endRecord(records);
+      }
+      return records;
+    }
+  };
+}
+
+// Parse a whole CSV document held in memory
+function parseCsv(text) {
+  const parser = createCsvParser();
+  return [...parser.push(text.replace(/^\uFEFF/, '')), ...parser.end()];
+}
+
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line, with its line break
+function formatRow(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+module.exports = {
+  createCsvParser,
+  parseCsv,
+  formatRow
+};
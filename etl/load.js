@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../db');
+const { createCsvParser, formatRow } = require('./csv');
+const { mapHeader, transformRow } = require('./transform');
+const { KNOWN_NON_MERCHANDISE } = require('../services/dataQuality');
+
+const DEFAULT_BATCH_SIZE = 5000;
+// Each staged row takes 9 bind parameters and Postgres allows 65535
+const MAX_BATCH_SIZE = 7000;
+
+// A problem with the input or the request rather than the loader, reported
+// to the user without a stack trace
+class EtlError extends Error {}
+
+// Rows are staged per batch in a session-local table, then merged into the
+// real tables with set-based INSERT ... SELECTs
+const CREATE_STAGING = `
+  CREATE TEMP TABLE IF NOT EXISTS etl_staging (
+    row_line INTEGER NOT NULL,
+    invoice_id TEXT NOT NULL,
+    stock_code TEXT NOT NULL,
+    description TEXT,
+    quantity INTEGER NOT NULL,
+    invoice_date TIMESTAMP NOT NULL,
+    unit_price NUMERIC(10,2) NOT NULL,
+    customer_id TEXT,
+    country TEXT
+  ) ON COMMIT DELETE ROWS`;
+
+async function fileSha256(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+async function stage(client, rows) {
+  const values = [];
+  const placeholders = rows.map(({ sourceLine, line }, index) => {
+    const base = index * 9;
+    values.push(
+      sourceLine, line.invoiceId, line.stockCode, line.description, line.quantity,
+      line.invoiceDate, line.unitPrice, line.customerId, line.country
+    );
+    return `(${Array.from({ length: 9 }, (_, offset) => `$${base + offset + 1}`).join(', ')})`;
+  });
+  await client.query(
+    `INSERT INTO etl_staging
+       (row_line, invoice_id, stock_code, description, quantity, invoice_date, unit_price, customer_id, country)
+     VALUES ${placeholders.join(', ')}`,
+    values
+  );
+}
+
+// Merge the staged batch for run `runId`. Customers, products and invoices
+// already in the database are kept; the first row in the file for each one
+// wins, except that a product with no description takes the first one it
+// is given. Lines are only added to invoices this run created, so loading
+// a file again does not duplicate its sales. New products with a known
+// postage or fee code are flagged as non-merchandise. Returns how many of
+// each were added.
+async function merge(client, runId) {
+  const customers = await client.query(
+    `INSERT INTO customers (customer_id, country)
+     SELECT DISTINCT ON (customer_id) customer_id, country
+     FROM etl_staging
+     WHERE customer_id IS NOT NULL
+     ORDER BY customer_id, row_line
+     ON CONFLICT (customer_id) DO NOTHING`
+  );
+
+  const products = await client.query(
+    `INSERT INTO products (stock_code, description, is_merchandise)
+     SELECT DISTINCT ON (stock_code) stock_code, description, NOT (stock_code = ANY($1))
+     FROM etl_staging
+     ORDER BY stock_code, description IS NULL, row_line
+     ON CONFLICT (stock_code) DO UPDATE SET description = EXCLUDED.description
+       WHERE products.description IS NULL AND EXCLUDED.description IS NOT NULL
+     RETURNING (xmax = 0) AS inserted`,
+    [KNOWN_NON_MERCHANDISE]
+  );
+
+  const invoices = await client.query(
+    `INSERT INTO invoices (invoice_id, customer_id, invoice_date, country, is_cancelled, etl_run_id)
+     SELECT DISTINCT ON (invoice_id) invoice_id, customer_id, invoice_date, country, invoice_id LIKE 'C%', $1
+     FROM etl_staging
+     ORDER BY invoice_id, row_line
+     ON CONFLICT (invoice_id) DO NOTHING`,
+    [runId]
+  );
+
+  const items = await client.query(
+    `INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price)
+     SELECT s.invoice_id, s.stock_code, s.quantity, s.unit_price
+     FROM etl_staging s
+     JOIN invoices i ON i.invoice_id = s.invoice_id AND i.etl_run_id = $1
+     ORDER BY s.row_line`,
+    [runId]
+  );
+
+  return {
+    customers: customers.rowCount,
+    products: products.rows.filter(row => row.inserted).length,
+    invoices: invoices.rowCount,
+    items: items.rowCount
+  };
+}
+
+// Find the run to continue, or start a new one. A file that was loaded
+// completely is refused unless `force` is set; with `restart`, an
+// unfinished run is abandoned and the file loaded from the top, the new run
+// taking over the invoices the abandoned one added, without their lines.
+async function openRun(client, { file, sha256, quarantine, restart, force }) {
+  const { rows } = await client.query(
+    'SELECT * FROM etl_runs WHERE file_sha256 = $1 ORDER BY id DESC LIMIT 1',
+    [sha256]
+  );
+  const previous = rows[0];
+
+  if (previous && previous.status === 'completed' && !force) {
+    throw new EtlError(
+      `${path.basename(file)} was already loaded by run ${previous.id}; pass --force to load it again`
+    );
+  }
+  if (previous && previous.status !== 'completed' && !restart) {
+    return { run: previous, resumed: true };
+  }
+  const abandoned = previous && previous.status !== 'completed' ? previous : null;
+  await client.query('BEGIN');
+  try {
+    if (abandoned) {
+      await client.query(
+        "UPDATE etl_runs SET status = 'failed', error = 'Abandoned by --restart', updated_at = NOW() WHERE id = $1",
+        [abandoned.id]
+      );
+    }
+    const created = await client.query(
+      `INSERT INTO etl_runs (file_name, file_sha256, quarantine_file)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [path.resolve(file), sha256, path.resolve(quarantine)]
+    );
+    const run = created.rows[0];
+    if (abandoned) {
+      await client.query(
+        'DELETE FROM invoice_items WHERE invoice_id IN (SELECT invoice_id FROM invoices WHERE etl_run_id = $1)',
+        [abandoned.id]
+      );
+      await client.query('UPDATE invoices SET etl_run_id = $2 WHERE etl_run_id = $1', [abandoned.id, run.id]);
+    }
+    await client.query('COMMIT');
+    return { run, resumed: false };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Open the quarantine file for appending, dropping anything written for a
+// batch that never committed. Returns { fd, bytes }.
+function openQuarantine(file, header, { resumed, committedBytes }) {
+  if (resumed && fs.existsSync(file) && committedBytes > 0) {
+    fs.truncateSync(file, committedBytes);
+    return { fd: fs.openSync(file, 'a'), bytes: committedBytes };
+  }
+  const headerRow = formatRow(['line', 'reason', ...header]);
+  fs.writeFileSync(file, headerRow);
+  return { fd: fs.openSync(file, 'a'), bytes: Buffer.byteLength(headerRow) };
+}
+
+// Load an Online Retail CSV export. Rows are validated, staged and merged
+// in batches; each batch commits together with the run's progress, so a
+// failed or interrupted load picks up where it stopped when run again.
+// Rejected rows go to the quarantine file with the reason. Returns the
+// finished run with database totals for the summary.
+async function load(file, {
+  batchSize = DEFAULT_BATCH_SIZE,
+  quarantine = file.replace(/(\.csv)?$/i, '.rejected.csv'),
+  encoding = 'utf8',
+  restart = false,
+  force = false,
+  onProgress = () => {}
+} = {}) {
+  if (!fs.existsSync(file)) {
+    throw new EtlError(`File not found: ${file}`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+    throw new EtlError(`Batch size must be a whole number between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  const sha256 = await fileSha256(file);
+  const client = await db.connect();
+  let run;
+  let quarantineFd;
+
+  try {
+    // One loader per file at a time
+    const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [sha256]);
+    if (!lock.rows[0].locked) {
+      throw new EtlError(`Another load of ${path.basename(file)} is in progress`);
+    }
+    await client.query(CREATE_STAGING);
+
+    const opened = await openRun(client, { file, sha256, quarantine, restart, force });
+    run = opened.run;
+    const skip = run.rows_read;
+    const rejections = { ...run.rejections };
+    const totals = {
+      rowsRead: run.rows_read,
+      rowsLoaded: run.rows_loaded,
+      rowsSkipped: run.rows_skipped,
+      rowsRejected: run.rows_rejected,
+      customers: run.customers_added,
+      products: run.products_added,
+      invoices: run.invoices_added
+    };
+    onProgress({ run, resumed: opened.resumed, ...totals });
+
+    let header = null;
+    let index = null;
+    let rowNumber = 0;
+    let staged = [];
+    let rejected = [];
+    let quarantineBytes = 0;
+
+    const flush = async () => {
+      if (staged.length === 0 && rejected.length === 0) return;
+
+      // Written before the commit; a batch that fails to commit has its
+      // rows cut off again on resume
+      const text = rejected.map(row => formatRow([row.sourceLine, row.reason, ...row.values])).join('');
+      if (text) {
+        fs.writeSync(quarantineFd, text);
+        fs.fsyncSync(quarantineFd);
+        quarantineBytes += Buffer.byteLength(text);
+      }
+
+      await client.query('BEGIN');
+      try {
+        const added = staged.length > 0
+          ? (await stage(client, staged), await merge(client, run.id))
+          : { customers: 0, products: 0, invoices: 0, items: 0 };
+
+        totals.rowsRead += staged.length + rejected.length;
+        totals.rowsLoaded += added.items;
+        totals.rowsSkipped += staged.length - added.items;
+        totals.rowsRejected += rejected.length;
+        totals.customers += added.customers;
+        totals.products += added.products;
+        totals.invoices += added.invoices;
+        for (const row of rejected) {
+          rejections[row.reason] = (rejections[row.reason] || 0) + 1;
+        }
+
+        await client.query(
+          `UPDATE etl_runs
+           SET rows_read = $2, rows_loaded = $3, rows_rejected = $4, rejections = $5,
+               customers_added = $6, products_added = $7, invoices_added = $8,
+               quarantine_bytes = $9, rows_skipped = $10, updated_at = NOW()
+           WHERE id = $1`,
+          [
+            run.id, totals.rowsRead, totals.rowsLoaded, totals.rowsRejected, JSON.stringify(rejections),
+            totals.customers, totals.products, totals.invoices, quarantineBytes, totals.rowsSkipped
+          ]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      }
+
+      staged = [];
+      rejected = [];
+      onProgress({ run, ...totals });
+    };
+
+    const handle = async ({ line: sourceLine, values }) => {
+      if (!header) {
+        header = values.map((name, position) => (position === 0 ? name.replace(/^\uFEFF/, '') : name));
+        const mapped = mapHeader(header);
+        if (mapped.missing) {
+          throw new EtlError(`The header is missing column(s): ${mapped.missing.join(', ')}`);
+        }
+        index = mapped.index;
+        const quarantineFile = run.quarantine_file || path.resolve(quarantine);
+        ({ fd: quarantineFd, bytes: quarantineBytes } = openQuarantine(quarantineFile, header, {
+          resumed: opened.resumed,
+          committedBytes: Number(run.quarantine_bytes)
+        }));
+        return;
+      }
+
+      rowNumber++;
+      if (rowNumber <= skip) return;
+
+      const result = transformRow(values, index);
+      if (result.reason) {
+        rejected.push({ sourceLine, reason: result.reason, values });
+      } else {
+        staged.push({ sourceLine, line: result.line });
+      }
+      if (staged.length + rejected.length >= batchSize) {
+        await flush();
+      }
+    };
+
+    const parser = createCsvParser();
+    for await (const chunk of fs.createReadStream(file, { encoding })) {
+      for (const record of parser.push(chunk)) {
+        await handle(record);
+      }
+    }
+    for (const record of parser.end()) {
+      await handle(record);
+    }
+    if (!header) {
+      throw new EtlError(`${path.basename(file)} is empty`);
+    }
+    await flush();
+
+    const finished = await client.query(
+      `UPDATE etl_runs SET status = 'completed', finished_at = NOW(), updated_at = NOW(), error = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [run.id]
+    );
+    const database = await client.query(
+      `SELECT (SELECT COUNT(*) FROM customers)::INTEGER AS customers,
+              (SELECT COUNT(*) FROM products)::INTEGER AS products,
+              (SELECT COUNT(*) FROM invoices)::INTEGER AS invoices,
+              (SELECT COUNT(*) FROM invoice_items)::INTEGER AS invoice_items`
+    );
+
+    return {
+      run: finished.rows[0],
+      resumed: opened.resumed,
+      resumedFrom: skip,
+      rowsInFile: rowNumber,
+      database: database.rows[0]
+    };
+  } catch (err) {
+    if (run) {
+      await client.query(
+        "UPDATE etl_runs SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1",
+        [run.id, err.message]
+      ).catch(() => {});
+    }
+    throw err;
+  } finally {
+    if (quarantineFd !== undefined) {
+      fs.closeSync(quarantineFd);
+    }
+    await client.query('SELECT pg_advisory_unlock_all()').catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  MAX_BATCH_SIZE,
+  EtlError,
+  load
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+const fxRates = require('../repositories/fxRates');
+const { parseCsv } = require('./csv');
+const { EtlError } = require('./load');
+
+const COLUMNS = ['date', 'currency', 'rate'];
+
+// At most this many bad rows are listed in the error
+const MAX_REPORTED_ERRORS = 10;
+
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Check one record, returning { currency, rateDate, rate } or an error message
+function validateRate({ date, currency, rate }) {
+  if (!isCalendarDate(date)) {
+    return { error: `date must be a YYYY-MM-DD date, got "${date}"` };
+  }
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: `currency must be a three-letter ISO 4217 code, got "${currency}"` };
+  }
+  if (currency === fxRates.BASE_CURRENCY) {
+    return { error: `${fxRates.BASE_CURRENCY} is the base currency; its rate is always 1` };
+  }
+  const number = Number(rate);
+  if (rate === '' || !Number.isFinite(number) || number <= 0) {
+    return { error: `rate must be a positive number, got "${rate}"` };
+  }
+  return { currency, rateDate: date, rate: number };
+}
+
+// Parse a rates CSV with the columns date (YYYY-MM-DD), currency and rate
+// (units of the currency per 1 GBP), in any order. The file is all or
+// nothing: any invalid or repeated row is an EtlError listing the problems.
+function parseRates(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw new EtlError('The file is empty');
+  }
+  const columns = header.values.map(name => name.trim().toLowerCase());
+  const missing = COLUMNS.filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new EtlError(`The header is missing column(s): ${missing.join(', ')}`);
+  }
+
+  const rates = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { line, values } of records) {
+    const record = Object.fromEntries(columns.map((name, index) => [name, (values[index] || '').trim()]));
+    const checked = validateRate(record);
+    if (checked.error) {
+      errors.push(`line ${line}: ${checked.error}`);
+      continue;
+    }
+
+    const key = `${checked.currency} ${checked.rateDate}`;
+    if (seen.has(key)) {
+      errors.push(`line ${line}: ${checked.currency} on ${checked.rateDate} already appears on line ${seen.get(key)}`);
+    } else {
+      seen.set(key, line);
+      rates.push(checked);
+    }
+  }
+
+  if (errors.length > 0) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `  ${error}`);
+    if (errors.length > MAX_REPORTED_ERRORS) {
+      listed.push(`  ... and ${errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    throw new EtlError(`${errors.length} invalid row(s), nothing loaded:\n${listed.join('\n')}`);
+  }
+  return rates;
+}
+
+// Load a rates CSV (see parseRates). New dates are added and existing ones
+// replaced; every rate's valid_to is then reset to the date of the next
+// rate for its currency. Returns { currencies, added, updated, unchanged }.
+async function loadRates(file, { encoding = 'utf8' } = {}) {
+  if (!fs.existsSync(file)) {
+    throw new EtlError(`File not found: ${file}`);
+  }
+  const rates = parseRates(fs.readFileSync(file, encoding));
+  if (rates.length === 0) {
+    throw new EtlError(`${path.basename(file)} has no rates`);
+  }
+
+  const currencies = [...new Set(rates.map(rate => rate.currency))].sort();
+  return db.withTransaction(async client => {
+    const existing = await fxRates.findForUpdate(client, currencies);
+    const byKey = new Map(existing.map(rate => [`${rate.currency} ${rate.rateDate}`, { ...rate, stored: rate }]));
+
+    const counts = { currencies, added: 0, updated: 0, unchanged: 0 };
+    for (const rate of rates) {
+      const key = `${rate.currency} ${rate.rateDate}`;
+      const current = byKey.get(key);
+      if (!current) {
+        counts.added++;
+      } else if (current.rate !== rate.rate) {
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+      byKey.set(key, { ...rate, stored: current && current.stored });
+    }
+
+    // Each rate holds until the next one; only rows that changed are written.
+    // YYYY-MM-DD strings sort by date.
+    const merged = [...byKey.values()].sort((a, b) =>
+      a.currency.localeCompare(b.currency) || a.rateDate.localeCompare(b.rateDate));
+    const changed = merged
+      .map((rate, index) => {
+        const next = merged[index + 1];
+        return { ...rate, validTo: next && next.currency === rate.currency ? next.rateDate : null };
+      })
+      .filter(({ stored, rate, validTo }) => !stored || stored.rate !== rate || stored.validTo !== validTo);
+
+    await fxRates.upsertMany(client, changed);
+    return counts;
+  });
+}
+
+module.exports = {
+  parseRates,
+  loadRates
+};
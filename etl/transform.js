@@ -0,0 +1,118 @@
+// Turning rows of the Online Retail CSV into invoice lines
+
+// Source column for each field, as in the dataset's header
+const COLUMNS = {
+  invoiceId: 'InvoiceNo',
+  stockCode: 'StockCode',
+  description: 'Description',
+  quantity: 'Quantity',
+  invoiceDate: 'InvoiceDate',
+  unitPrice: 'UnitPrice',
+  customerId: 'CustomerID',
+  country: 'Country'
+};
+
+// Column limits in the schema (migrations/0001_initial_schema.up.sql)
+const MAX_CODE_LENGTH = 20;
+const MAX_COUNTRY_LENGTH = 50;
+const MAX_QUANTITY = 2147483647;   // INTEGER
+const MAX_UNIT_PRICE = 100000000;  // NUMERIC(10,2)
+
+// The original spreadsheet uses M/D/YYYY H:MM; exports through pandas
+// (convert_to_csv.py) write YYYY-MM-DD HH:MM:SS. Either may omit seconds.
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Parse an InvoiceDate into a TIMESTAMP literal (no time zone, as stored),
+// or null when it is in neither format or not a real date
+function parseInvoiceDate(text) {
+  let parts;
+  let match = US_DATE.exec(text);
+  if (match) {
+    const [, month, day, year, hour, minute, second] = match;
+    parts = [year, month, day, hour, minute, second];
+  } else if ((match = ISO_DATE.exec(text))) {
+    parts = match.slice(1);
+  } else {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = parts.map(part => Number(part || 0));
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Map the header row to column positions. Names are matched ignoring case
+// and surrounding spaces. Returns { index } or { missing } listing the
+// columns that are not there.
+function mapHeader(header) {
+  const positions = new Map(header.map((name, position) => [name.trim().toLowerCase(), position]));
+  const index = {};
+  const missing = [];
+  for (const [field, column] of Object.entries(COLUMNS)) {
+    const position = positions.get(column.toLowerCase());
+    if (position === undefined) {
+      missing.push(column);
+    } else {
+      index[field] = position;
+    }
+  }
+  return missing.length > 0 ? { missing } : { index };
+}
+
+// Validate and normalise one data row. Returns { line } with the fields of
+// an invoice line, or { reason } saying why the row is rejected.
+function transformRow(values, index) {
+  const get = field => (values[index[field]] || '').trim();
+
+  const invoiceId = get('invoiceId');
+  const stockCode = get('stockCode');
+  if (!invoiceId) return { reason: 'InvoiceNo is missing' };
+  if (invoiceId.length > MAX_CODE_LENGTH) return { reason: 'InvoiceNo is too long' };
+  if (!stockCode) return { reason: 'StockCode is missing' };
+  if (stockCode.length > MAX_CODE_LENGTH) return { reason: 'StockCode is too long' };
+
+  // Spreadsheet exports can write whole numbers as 6.0
+  const quantity = Number(get('quantity'));
+  if (!get('quantity') || !Number.isInteger(quantity)) return { reason: 'Quantity is not a whole number' };
+  if (quantity === 0) return { reason: 'Quantity is zero' };
+  if (Math.abs(quantity) > MAX_QUANTITY) return { reason: 'Quantity is out of range' };
+
+  const unitPrice = Number(get('unitPrice'));
+  if (!get('unitPrice') || !Number.isFinite(unitPrice)) return { reason: 'UnitPrice is not a number' };
+  if (unitPrice < 0) return { reason: 'UnitPrice is negative' };
+  if (unitPrice >= MAX_UNIT_PRICE) return { reason: 'UnitPrice is out of range' };
+
+  const invoiceDate = parseInvoiceDate(get('invoiceDate'));
+  if (!invoiceDate) return { reason: 'InvoiceDate is not a recognised date' };
+
+  // CustomerID comes through pandas as a float (17850.0)
+  const customerId = get('customerId').replace(/\.0+$/, '') || null;
+  if (customerId && customerId.length > MAX_CODE_LENGTH) return { reason: 'CustomerID is too long' };
+
+  const country = get('country') || null;
+  if (country && country.length > MAX_COUNTRY_LENGTH) return { reason: 'Country is too long' };
+
+  return {
+    line: {
+      invoiceId,
+      stockCode,
+      description: get('description') || null,
+      quantity,
+      invoiceDate,
+      unitPrice,
+      customerId,
+      country
+    }
+  };
+}
+
+module.exports = {
+  COLUMNS,
+  parseInvoiceDate,
+  mapHeader,
+  transformRow
+};
@@ -0,0 +1,54 @@
+const auth = require('../services/auth');
+
+// Identify the caller from an X-API-Key header or an Authorization: Bearer
+// token and attach the principal to req.auth. Requests with neither, or with
+// credentials that do not check out, get a 401.
+async function authenticate(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+
+  if (!apiKey && !bearer) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'Provide an API key in X-API-Key or a bearer token in Authorization'
+    });
+  }
+
+  try {
+    const principal = apiKey
+      ? await auth.authenticateKey(apiKey)
+      : await auth.authenticateToken(bearer[1]);
+    if (!principal) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        details: apiKey ? 'Invalid or revoked API key' : 'Invalid, expired or revoked token'
+      });
+    }
+    req.auth = principal;
+    next();
+  } catch (err) {
+    res.status(500).json({
+      error: 'Failed to authenticate request',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+// Only let the request through if the caller's role grants `permission`
+function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.auth || !auth.hasPermission(req.auth.role, permission)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        details: `This action requires the ${permission} permission`
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  authorize
+};
@@ -0,0 +1,71 @@
+const { HttpError } = require('../errors');
+
+// PostgreSQL error codes that mean the request, not the server, was at fault
+const PG_ERRORS = {
+  '23505': { status: 409, error: 'Conflict' },    // unique_violation
+  '23503': { status: 409, error: 'Conflict' },    // foreign_key_violation
+  '23514': { status: 400, error: 'Bad Request' }, // check_violation
+  '23502': { status: 400, error: 'Bad Request' }, // not_null_violation
+  '22P02': { status: 400, error: 'Bad Request' }, // invalid_text_representation
+  '22003': { status: 400, error: 'Bad Request' }, // numeric_value_out_of_range
+  '22001': { status: 400, error: 'Bad Request' }  // string_data_right_truncation
+};
+
+// Wrap an async route handler so rejections reach errorHandler. `failure`
+// is the error message used if it turns out to be a server error.
+function asyncHandler(failure, handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(err => {
+      err.failure = failure;
+      next(err);
+    });
+  };
+}
+
+// Turn any error into the API's { error, details } body
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.error, details: err.details, ...err.extra });
+  }
+
+  // Raised by the body parsers (express.json, express.text) before any handler
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload Too Large',
+      details: `Request body exceeds the ${err.limit}-byte limit`
+    });
+  }
+
+  const mapped = PG_ERRORS[err.code];
+  if (mapped) {
+    return res.status(mapped.status).json({
+      error: mapped.error,
+      // pg's detail names the offending key, e.g. Key (stock_code)=(85123A) already exists.
+      details: err.detail || err.message
+    });
+  }
+
+  console.error(`❌ ${req.method} ${req.originalUrl} failed:`, err);
+  res.status(500).json({
+    error: err.failure || 'Internal Server Error',
+    details: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+}
+
+// JSON 404 for unknown /api routes, in place of Express's HTML page
+function notFoundHandler(req, res) {
+  res.status(404).json({
+    error: 'Not Found',
+    details: `No route for ${req.method} ${req.originalUrl.split('?')[0]}`
+  });
+}
+
+module.exports = {
+  asyncHandler,
+  errorHandler,
+  notFoundHandler
+};
@@ -0,0 +1,231 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Rewrite an OpenAPI 3.0 schema into JSON Schema that Ajv understands:
+// local $refs point into the registered 'openapi' document, and the boolean
+// exclusiveMinimum/exclusiveMaximum become numeric bounds.
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toJsonSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$ref' && typeof value === 'string' && value.startsWith('#/')) {
+      result.$ref = `openapi${value}`;
+    } else {
+      result[key] = toJsonSchema(value);
+    }
+  }
+  for (const [flag, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (typeof result[flag] === 'boolean') {
+      if (result[flag]) result[flag] = result[bound];
+      else delete result[flag];
+      delete result[bound];
+    }
+  }
+  return result;
+}
+
+// "/api/products/{stock_code}" -> ['api', 'products', '{stock_code}']
+function segments(path) {
+  return path.split('/').filter(Boolean);
+}
+
+// Ajv error -> { in, field, message }. Fields use dotted paths with [n]
+// for array positions, e.g. items[2].quantity.
+function fieldError(location, error) {
+  let field = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+
+  let message = error.message;
+  if (error.keyword === 'required') {
+    field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+  return { in: location, field: field || null, message };
+}
+
+// Build request validators for every operation in an OpenAPI document.
+// Bodies are checked against the operation's application/json requestBody
+// schema, and path and query parameters against their schemas (query
+// strings are coerced to the declared type for checking only; req.query is
+// left untouched). Malformed requests get a 400 listing every field error.
+//
+// With validateResponses set, JSON responses are also checked against the
+// documented schema for their status code and mismatches are logged. This
+// is meant for development; it never changes the response.
+function createValidator(spec, { validateResponses = false } = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false, coerceTypes: false });
+  const queryAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: 'array' });
+  for (const instance of [ajv, queryAjv]) {
+    addFormats(instance);
+    // Date filters take anything Date.parse accepts, as the handlers do
+    instance.addFormat('date-time', value => !Number.isNaN(Date.parse(value)));
+    instance.addSchema({ $id: 'openapi', components: toJsonSchema(spec.components || {}) });
+  }
+
+  const resolveParameter = parameter => {
+    if (parameter.$ref) {
+      return spec.components.parameters[parameter.$ref.split('/').pop()];
+    }
+    return parameter;
+  };
+
+  const operations = [];
+  for (const [path, item] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      const operation = item[method];
+      if (!operation) continue;
+
+      const parameters = (operation.parameters || []).map(resolveParameter);
+      const paramSchema = location => {
+        const declared = parameters.filter(p => p.in === location);
+        if (declared.length === 0) return null;
+        return queryAjv.compile({
+          type: 'object',
+          properties: Object.fromEntries(declared.map(p => [p.name, toJsonSchema(p.schema || {})])),
+          required: declared.filter(p => p.required).map(p => p.name)
+        });
+      };
+
+      const body = operation.requestBody;
+      const bodySchema = body && body.content && body.content['application/json']
+        ? body.content['application/json'].schema
+        : null;
+
+      const responses = {};
+      if (validateResponses) {
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+          const content = response.content && response.content['application/json'];
+          if (content && content.schema) {
+            responses[status] = ajv.compile(toJsonSchema(content.schema));
+          }
+        }
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        path,
+        segments: segments(path),
+        params: segments(path).filter(part => part.startsWith('{')).length,
+        pathParams: paramSchema('path'),
+        query: paramSchema('query'),
+        // explode: false arrays arrive as one comma-separated value
+        commaSeparated: parameters
+          .filter(p => p.in === 'query' && p.explode === false && p.schema && p.schema.type === 'array')
+          .map(p => p.name),
+        body: bodySchema ? ajv.compile(toJsonSchema(bodySchema)) : null,
+        responses
+      });
+    }
+  }
+
+  // Literal segments win over parameters: /api/products/search is not a stock_code
+  operations.sort((a, b) => a.params - b.params);
+
+  const findOperation = (method, path) => {
+    const parts = segments(path);
+    for (const operation of operations) {
+      if (operation.method !== method || operation.segments.length !== parts.length) continue;
+
+      const params = {};
+      const matches = operation.segments.every((part, index) => {
+        if (part.startsWith('{')) {
+          try {
+            params[part.slice(1, -1)] = decodeURIComponent(parts[index]);
+          } catch (err) {
+            return false;
+          }
+          return true;
+        }
+        return part === parts[index];
+      });
+      if (matches) {
+        return { operation, params };
+      }
+    }
+    return null;
+  };
+
+  return (req, res, next) => {
+    const found = findOperation(req.method, req.originalUrl.split('?')[0]);
+    if (!found) {
+      return next();
+    }
+    const { operation, params } = found;
+
+    const errors = [];
+    const check = (location, validate, value) => {
+      if (validate && !validate(value)) {
+        errors.push(...validate.errors.map(error => fieldError(location, error)));
+      }
+    };
+
+    check('path', operation.pathParams, params);
+    const query = { ...req.query };
+    for (const name of operation.commaSeparated) {
+      if (typeof query[name] === 'string') {
+        query[name] = query[name].split(',').map(value => value.trim()).filter(Boolean);
+      }
+    }
+    check('query', operation.query, query);
+
+    // express.json() leaves {} when no body was sent, so a required body
+    // reports its missing fields and an optional one passes
+    check('body', operation.body, req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        details: `Request validation failed: ${errors.length} field error(s)`,
+        fields: errors
+      });
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = payload => {
+        const validate = operation.responses[res.statusCode];
+        if (validate && !validate(JSON.parse(JSON.stringify(payload)))) {
+          console.warn(
+            `⚠️ Response to ${operation.method} ${operation.path} (${res.statusCode}) does not match the documented schema:`,
+            validate.errors.map(error => fieldError('response', error))
+          );
+        }
+        return json(payload);
+      };
+    }
+
+    next();
+  };
+}
+
+// express.json() rejects unparseable bodies with a SyntaxError; answer those
+// in the same shape as other validation failures instead of an HTML page
+function rejectMalformedJson(err, req, res, next) {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      details: 'Request body is not valid JSON',
+      fields: [{ in: 'body', field: null, message: err.message }]
+    });
+  }
+  next(err);
+}
+
+module.exports = {
+  createValidator,
+  rejectMalformedJson
+};
@@ -0,0 +1,15 @@
+-- Drops everything, data included. The pg_trgm extension is left installed.
+
+DROP TABLE IF EXISTS etl_runs;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS stock_movements;
+DROP TABLE IF EXISTS inventory;
+DROP TABLE IF EXISTS product_associations;
+DROP TABLE IF EXISTS association_runs;
+DROP TABLE IF EXISTS invoice_items;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS popularity_runs;
+DROP TABLE IF EXISTS customers;
+DROP SEQUENCE IF EXISTS invoice_no_seq;
@@ -0,0 +1,187 @@
+-- Baseline schema. Written with IF NOT EXISTS throughout so a database set
+-- up by the old create_tables.sql script can be brought under migrations by
+-- running this on top of it.
+
+CREATE TABLE IF NOT EXISTS products (
+    stock_code VARCHAR(20) PRIMARY KEY,
+    description TEXT,
+    popularity_score INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS customers (
+    customer_id VARCHAR(20) PRIMARY KEY,
+    country VARCHAR(50)
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    invoice_id VARCHAR(20) PRIMARY KEY,
+    customer_id VARCHAR(20) REFERENCES customers(customer_id),
+    invoice_date TIMESTAMP,
+    country VARCHAR(50),
+    is_cancelled BOOLEAN DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id SERIAL PRIMARY KEY,
+    invoice_id VARCHAR(20) REFERENCES invoices(invoice_id),
+    stock_code VARCHAR(20) REFERENCES products(stock_code),
+    quantity INTEGER,
+    unit_price NUMERIC(10,2)
+);
+
+-- Invoice numbers for orders created through the API. Starts above the
+-- highest InvoiceNo in the Online Retail dataset so imports never collide.
+CREATE SEQUENCE IF NOT EXISTS invoice_no_seq START 600000;
+
+-- Credit-note invoices ("C" prefix, negative quantities) link back to the
+-- invoice and lines they return. The original records how much of it has
+-- been cancelled so far.
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS original_invoice_id VARCHAR(20) REFERENCES invoices(invoice_id),
+    ADD COLUMN IF NOT EXISTS cancellation_status VARCHAR(10) NOT NULL DEFAULT 'none'
+        CHECK (cancellation_status IN ('none', 'partial', 'full'));
+
+ALTER TABLE invoice_items
+    ADD COLUMN IF NOT EXISTS original_item_id INTEGER REFERENCES invoice_items(id);
+
+-- Product search: full-text index on the description, plus trigram index
+-- for misspelled queries
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_products_description_fts
+    ON products USING GIN (to_tsvector('english', COALESCE(description, '')));
+
+CREATE INDEX IF NOT EXISTS idx_products_description_trgm
+    ON products USING GIN (description gin_trgm_ops);
+
+-- Popularity scoring runs. Each run records its inputs so every product's
+-- popularity_score can be traced back to how it was computed.
+CREATE TABLE IF NOT EXISTS popularity_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(10) NOT NULL CHECK (trigger IN ('manual', 'scheduled')),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    as_of TIMESTAMP,
+    window_days INTEGER NOT NULL,
+    half_life_days NUMERIC(8,2) NOT NULL,
+    volume_weight NUMERIC(4,2) NOT NULL,
+    buyer_weight NUMERIC(4,2) NOT NULL,
+    products_scored INTEGER
+);
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS popularity_computed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS popularity_run_id INTEGER REFERENCES popularity_runs(id);
+
+-- "Frequently bought together" rules mined from regular invoices. Only the
+-- latest run's rules are kept; association_runs keeps the run history.
+CREATE TABLE IF NOT EXISTS association_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(10) NOT NULL CHECK (trigger IN ('manual', 'scheduled')),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    min_support NUMERIC(8,6) NOT NULL,
+    min_confidence NUMERIC(5,4) NOT NULL,
+    invoices_considered INTEGER,
+    rules_count INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS product_associations (
+    run_id INTEGER NOT NULL REFERENCES association_runs(id),
+    antecedent VARCHAR(20) NOT NULL REFERENCES products(stock_code) ON DELETE CASCADE,
+    consequent VARCHAR(20) NOT NULL REFERENCES products(stock_code) ON DELETE CASCADE,
+    co_occurrences INTEGER NOT NULL,
+    support NUMERIC(10,8) NOT NULL,
+    confidence NUMERIC(6,5) NOT NULL,
+    lift NUMERIC(12,4) NOT NULL,
+    PRIMARY KEY (antecedent, consequent)
+);
+
+-- Stock levels. Only products with a row here are stock-tracked; orders
+-- for them are refused when there is not enough available stock.
+CREATE TABLE IF NOT EXISTS inventory (
+    stock_code VARCHAR(20) PRIMARY KEY REFERENCES products(stock_code) ON DELETE CASCADE,
+    on_hand INTEGER NOT NULL DEFAULT 0 CHECK (on_hand >= 0),
+    reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+    reorder_point INTEGER NOT NULL DEFAULT 0 CHECK (reorder_point >= 0),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Ledger of every change to on_hand; quantity is the signed change
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id SERIAL PRIMARY KEY,
+    stock_code VARCHAR(20) NOT NULL REFERENCES products(stock_code) ON DELETE CASCADE,
+    movement_type VARCHAR(10) NOT NULL CHECK (movement_type IN ('receipt', 'adjustment', 'sale', 'return')),
+    quantity INTEGER NOT NULL,
+    balance_after INTEGER NOT NULL,
+    invoice_id VARCHAR(20) REFERENCES invoices(invoice_id),
+    invoice_item_id INTEGER REFERENCES invoice_items(id),
+    note TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_stock_code ON stock_movements (stock_code, id);
+
+-- API keys. Only a SHA-256 hash of each key is stored; key_prefix is the
+-- start of the key so it can be recognised in listings.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'catalog-editor', 'analyst', 'read-only')),
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    rotated_from INTEGER REFERENCES api_keys(id)
+);
+
+-- Who changed what through the API (and background jobs, as actor
+-- 'system'), with the entity before and after the change
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    actor VARCHAR(100) NOT NULL,
+    actor_name VARCHAR(100),
+    actor_role VARCHAR(20),
+    route VARCHAR(200),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id VARCHAR(50) NOT NULL,
+    before JSONB,
+    after JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor, id);
+
+-- Loads of the Online Retail CSV by `retail-etl load`. The counters are
+-- updated in the same transaction as each batch, so an interrupted load
+-- resumes after the last committed row; quarantine_bytes is how much of the
+-- rejected-rows file belongs to committed batches.
+CREATE TABLE IF NOT EXISTS etl_runs (
+    id SERIAL PRIMARY KEY,
+    file_name TEXT NOT NULL,
+    file_sha256 CHAR(64) NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'failed', 'completed')),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP,
+    rows_read INTEGER NOT NULL DEFAULT 0,
+    rows_loaded INTEGER NOT NULL DEFAULT 0,
+    rows_rejected INTEGER NOT NULL DEFAULT 0,
+    rejections JSONB NOT NULL DEFAULT '{}',
+    customers_added INTEGER NOT NULL DEFAULT 0,
+    products_added INTEGER NOT NULL DEFAULT 0,
+    invoices_added INTEGER NOT NULL DEFAULT 0,
+    quarantine_file TEXT,
+    quarantine_bytes BIGINT NOT NULL DEFAULT 0,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_etl_runs_file ON etl_runs (file_sha256, id);
+
+-- Stock codes that are not goods (postage, bank charges, manual
+-- adjustments) are flagged so sales analytics leave them out
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS is_merchandise BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_invoice_items_stock_code;
+DROP INDEX IF EXISTS idx_invoice_items_invoice_id;
+DROP INDEX IF EXISTS idx_invoices_customer_id;
+DROP INDEX IF EXISTS idx_invoices_invoice_date;
@@ -0,0 +1,7 @@
+-- Foreign keys and date filters used by the invoice listings and the sales
+-- reports. Postgres does not index foreign key columns by itself.
+
+CREATE INDEX idx_invoices_invoice_date ON invoices (invoice_date);
+CREATE INDEX idx_invoices_customer_id ON invoices (customer_id);
+CREATE INDEX idx_invoice_items_invoice_id ON invoice_items (invoice_id);
+CREATE INDEX idx_invoice_items_stock_code ON invoice_items (stock_code);
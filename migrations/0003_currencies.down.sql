@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS fx_rates;
+ALTER TABLE invoices DROP COLUMN IF EXISTS currency;
@@ -0,0 +1,16 @@
+-- Invoice amounts are in the invoice's own currency. Everything loaded so far
+-- (the Online Retail dataset included) is in pounds sterling.
+ALTER TABLE invoices ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'GBP';
+
+-- Exchange rates as units of `currency` per 1 GBP. A rate applies from
+-- rate_date up to (not including) valid_to, the date of the next rate for
+-- the same currency; the latest rate has no valid_to. GBP itself is never
+-- stored. Loaded with `retail-etl rates <file>`, which keeps valid_to
+-- up to date.
+CREATE TABLE fx_rates (
+    currency CHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    valid_to DATE,
+    rate NUMERIC(18,8) NOT NULL CHECK (rate > 0),
+    PRIMARY KEY (currency, rate_date)
+);
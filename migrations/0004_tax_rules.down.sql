@@ -0,0 +1,8 @@
+ALTER TABLE invoice_items DROP CONSTRAINT IF EXISTS invoice_items_tax_rule_id_fkey;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS tax_amount;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS tax_rate;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS tax_rule_id;
+ALTER TABLE invoices DROP COLUMN IF EXISTS tax_treatment;
+ALTER TABLE customers DROP COLUMN IF EXISTS vat_number;
+ALTER TABLE products DROP COLUMN IF EXISTS tax_category;
+DROP TABLE IF EXISTS tax_rules;
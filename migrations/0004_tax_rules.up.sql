@@ -0,0 +1,30 @@
+-- Tax rates per country and product tax category, each in effect from
+-- valid_from up to (not including) valid_to. With reverse_charge, sales to
+-- business customers (those with a VAT number) carry no tax: the customer
+-- accounts for it instead, as for B2B sales to other EU countries.
+CREATE TABLE tax_rules (
+    id SERIAL PRIMARY KEY,
+    country VARCHAR(50) NOT NULL,
+    tax_category VARCHAR(30) NOT NULL DEFAULT 'standard',
+    rate NUMERIC(6,4) NOT NULL CHECK (rate >= 0 AND rate < 1),
+    valid_from DATE NOT NULL,
+    valid_to DATE,
+    reverse_charge BOOLEAN NOT NULL DEFAULT false,
+    CHECK (valid_to IS NULL OR valid_to > valid_from)
+);
+
+-- Products without a more specific category are taxed at the standard rate
+ALTER TABLE products ADD COLUMN tax_category VARCHAR(30) NOT NULL DEFAULT 'standard';
+
+ALTER TABLE customers ADD COLUMN vat_number VARCHAR(30);
+
+-- Tax is worked out when an invoice is created and stored with it, so later
+-- rate changes never alter past invoices. Invoices created before tax was
+-- recorded (the loaded dataset) have no tax_treatment and no line tax.
+-- tax_treatment is 'standard', 'reverse_charge' or 'outside_scope' (no tax
+-- rules for the country).
+ALTER TABLE invoices ADD COLUMN tax_treatment VARCHAR(20);
+ALTER TABLE invoice_items ADD COLUMN tax_rule_id INTEGER
+    CONSTRAINT invoice_items_tax_rule_id_fkey REFERENCES tax_rules (id);
+ALTER TABLE invoice_items ADD COLUMN tax_rate NUMERIC(6,4);
+ALTER TABLE invoice_items ADD COLUMN tax_amount NUMERIC(12,2);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_customer_addresses_customer_id;
+DROP TABLE IF EXISTS customer_addresses;
+ALTER TABLE customers DROP COLUMN IF EXISTS erased_at;
+ALTER TABLE customers DROP COLUMN IF EXISTS phone;
+ALTER TABLE customers DROP COLUMN IF EXISTS email;
+ALTER TABLE customers DROP COLUMN IF EXISTS name;
@@ -0,0 +1,23 @@
+-- Contact details for customers managed through the API. Customers loaded
+-- from the sales data have none.
+ALTER TABLE customers ADD COLUMN name VARCHAR(200);
+ALTER TABLE customers ADD COLUMN email VARCHAR(254);
+ALTER TABLE customers ADD COLUMN phone VARCHAR(40);
+
+-- Set when the customer's personal data has been erased. The row stays so
+-- their invoices still count towards sales reports.
+ALTER TABLE customers ADD COLUMN erased_at TIMESTAMP;
+
+CREATE TABLE customer_addresses (
+    id SERIAL PRIMARY KEY,
+    customer_id VARCHAR(20) NOT NULL
+        CONSTRAINT customer_addresses_customer_id_fkey REFERENCES customers (customer_id) ON DELETE CASCADE,
+    label VARCHAR(30) NOT NULL DEFAULT 'billing',
+    line1 VARCHAR(200) NOT NULL,
+    line2 VARCHAR(200),
+    city VARCHAR(100) NOT NULL,
+    postal_code VARCHAR(20),
+    country VARCHAR(50) NOT NULL
+);
+
+CREATE INDEX idx_customer_addresses_customer_id ON customer_addresses (customer_id);
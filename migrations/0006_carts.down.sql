@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_carts_open_expiry;
+DROP INDEX IF EXISTS idx_carts_customer_id;
+DROP TABLE IF EXISTS cart_items;
+DROP TABLE IF EXISTS carts;
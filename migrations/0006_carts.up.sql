@@ -0,0 +1,31 @@
+-- Purchases in progress. A cart is open until it is checked out (becoming
+-- invoice_id), abandoned, or left untouched past expires_at.
+CREATE TABLE carts (
+    id SERIAL PRIMARY KEY,
+    customer_id VARCHAR(20) NOT NULL
+        CONSTRAINT carts_customer_id_fkey REFERENCES customers (customer_id),
+    country VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    invoice_id VARCHAR(20)
+        CONSTRAINT carts_invoice_id_fkey REFERENCES invoices (invoice_id)
+);
+
+-- unit_price is the price when the line was added; `reserved` is how much of
+-- the quantity is held in inventory.reserved (none for untracked products)
+CREATE TABLE cart_items (
+    cart_id INTEGER NOT NULL
+        CONSTRAINT cart_items_cart_id_fkey REFERENCES carts (id) ON DELETE CASCADE,
+    stock_code VARCHAR(20) NOT NULL
+        CONSTRAINT cart_items_stock_code_fkey REFERENCES products (stock_code),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price NUMERIC(10,2) NOT NULL,
+    reserved INTEGER NOT NULL DEFAULT 0,
+    added_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (cart_id, stock_code)
+);
+
+CREATE INDEX idx_carts_customer_id ON carts (customer_id);
+CREATE INDEX idx_carts_open_expiry ON carts (status, expires_at);
@@ -0,0 +1,12 @@
+DROP INDEX IF EXISTS idx_product_prices_stock_code;
+DROP INDEX IF EXISTS idx_products_category_id;
+DROP INDEX IF EXISTS idx_categories_parent_id;
+DROP TABLE IF EXISTS product_prices;
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_category_id_fkey;
+ALTER TABLE products DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE products DROP COLUMN IF EXISTS status;
+ALTER TABLE products DROP COLUMN IF EXISTS attributes;
+ALTER TABLE products DROP COLUMN IF EXISTS list_price;
+ALTER TABLE products DROP COLUMN IF EXISTS category_id;
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_parent_id_fkey;
+DROP TABLE IF EXISTS categories;
@@ -0,0 +1,35 @@
+-- Product categories form a tree; top-level categories have no parent
+CREATE TABLE categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    parent_id INTEGER
+        CONSTRAINT categories_parent_id_fkey REFERENCES categories (id),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- list_price is the current catalog price in GBP, net of tax; null until one
+-- is set. attributes holds free-form details such as colour or pack size.
+-- status is 'active' or 'discontinued' (kept in the catalog but no longer
+-- sold), and deleted products are kept only for the invoices that refer to
+-- them.
+ALTER TABLE products ADD COLUMN category_id INTEGER
+    CONSTRAINT products_category_id_fkey REFERENCES categories (id);
+ALTER TABLE products ADD COLUMN list_price NUMERIC(10,2) CHECK (list_price >= 0);
+ALTER TABLE products ADD COLUMN attributes JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE products ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active';
+ALTER TABLE products ADD COLUMN deleted_at TIMESTAMP;
+
+-- Every list price a product has had, each in effect from valid_from up to
+-- (not including) valid_to; the current one has no valid_to
+CREATE TABLE product_prices (
+    id SERIAL PRIMARY KEY,
+    stock_code VARCHAR(20) NOT NULL
+        CONSTRAINT product_prices_stock_code_fkey REFERENCES products (stock_code),
+    list_price NUMERIC(10,2) NOT NULL,
+    valid_from TIMESTAMP NOT NULL DEFAULT NOW(),
+    valid_to TIMESTAMP
+);
+
+CREATE INDEX idx_categories_parent_id ON categories (parent_id);
+CREATE INDEX idx_products_category_id ON products (category_id);
+CREATE INDEX idx_product_prices_stock_code ON product_prices (stock_code);
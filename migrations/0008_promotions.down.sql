@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_invoice_discounts_promotion_id;
+DROP INDEX IF EXISTS idx_invoice_discounts_invoice_id;
+DROP INDEX IF EXISTS idx_promotions_coupon_code;
+ALTER TABLE carts DROP COLUMN IF EXISTS coupon_code;
+ALTER TABLE invoice_items DROP COLUMN IF EXISTS discount_amount;
+DROP TABLE IF EXISTS invoice_discounts;
+DROP TABLE IF EXISTS promotions;
@@ -0,0 +1,58 @@
+-- Discounts on orders. A promotion with a coupon_code only applies to orders
+-- that give the code; one without applies to every order it is eligible
+-- for. It is in effect from valid_from up to (not including) valid_to, and
+-- can be limited to one customer, one country, a minimum basket and a
+-- number of uses. Amounts (amount_off, min_basket) are in `currency`, and
+-- the promotion only applies to orders in that currency.
+--
+-- discount_type is 'percentage' (percent_off of every line, or only of
+-- stock_code's lines), 'fixed' (amount_off the order) or 'buy_x_get_y'
+-- (of every buy_quantity + get_quantity units of stock_code, get_quantity
+-- are free).
+CREATE TABLE promotions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    discount_type VARCHAR(20) NOT NULL,
+    percent_off NUMERIC(5,2) CHECK (percent_off > 0 AND percent_off <= 100),
+    amount_off NUMERIC(10,2) CHECK (amount_off > 0),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    stock_code VARCHAR(20)
+        CONSTRAINT promotions_stock_code_fkey REFERENCES products (stock_code),
+    currency CHAR(3) NOT NULL DEFAULT 'GBP',
+    min_basket NUMERIC(10,2) CHECK (min_basket > 0),
+    customer_id VARCHAR(20)
+        CONSTRAINT promotions_customer_id_fkey REFERENCES customers (customer_id) ON DELETE CASCADE,
+    country VARCHAR(50),
+    coupon_code VARCHAR(30),
+    usage_limit INTEGER CHECK (usage_limit > 0),
+    per_customer_limit INTEGER CHECK (per_customer_limit > 0),
+    valid_from DATE NOT NULL,
+    valid_to DATE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (valid_to IS NULL OR valid_to > valid_from)
+);
+
+-- The discounts an invoice was given, one row per promotion. Each line's
+-- share of them is its discount_amount, which the line's tax is worked out
+-- after; credit-note lines give back the share of the units they return.
+-- Lines recorded before discounts existed have none. (The Online Retail
+-- dataset's "D" stock code is an older, manual way of recording discounts
+-- as lines of their own; those stay non-merchandise lines.)
+CREATE TABLE invoice_discounts (
+    id SERIAL PRIMARY KEY,
+    invoice_id VARCHAR(20) NOT NULL
+        CONSTRAINT invoice_discounts_invoice_id_fkey REFERENCES invoices (invoice_id),
+    promotion_id INTEGER NOT NULL
+        CONSTRAINT invoice_discounts_promotion_id_fkey REFERENCES promotions (id),
+    coupon_code VARCHAR(30),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0)
+);
+ALTER TABLE invoice_items ADD COLUMN discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+-- The coupon to be used when the cart is checked out
+ALTER TABLE carts ADD COLUMN coupon_code VARCHAR(30);
+
+CREATE UNIQUE INDEX idx_promotions_coupon_code ON promotions (coupon_code);
+CREATE INDEX idx_invoice_discounts_invoice_id ON invoice_discounts (invoice_id);
+CREATE INDEX idx_invoice_discounts_promotion_id ON invoice_discounts (promotion_id);
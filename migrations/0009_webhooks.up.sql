@@ -0,0 +1,40 @@
+-- Endpoints that are sent events as they happen. `events` is a JSON array
+-- of the event types the endpoint wants; `secret` signs every payload sent
+-- to it, so it is kept as is rather than hashed.
+CREATE TABLE webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(2000) NOT NULL,
+    events JSONB NOT NULL,
+    description VARCHAR(200),
+    secret VARCHAR(100) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- One row per event per subscription, written in the transaction that
+-- raised the event and sent afterwards. A delivery is pending until the
+-- endpoint accepts it (delivered) or it runs out of attempts (failed);
+-- next_attempt_at is when it is due to be sent. A replay is a new
+-- delivery of the same event (same event_id and payload).
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL
+        CONSTRAINT webhook_deliveries_subscription_id_fkey REFERENCES webhook_subscriptions (id) ON DELETE CASCADE,
+    event_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_attempt_at TIMESTAMP,
+    response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    replay_of INTEGER
+        CONSTRAINT webhook_deliveries_replay_of_fkey REFERENCES webhook_deliveries (id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_deliveries_subscription_id ON webhook_deliveries (subscription_id);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
@@ -0,0 +1,2 @@
+ALTER TABLE etl_runs DROP COLUMN IF EXISTS rows_skipped;
+ALTER TABLE invoices DROP COLUMN IF EXISTS etl_run_id;
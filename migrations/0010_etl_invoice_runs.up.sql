@@ -0,0 +1,8 @@
+-- The ETL run that loaded each invoice, so loading a file again only adds
+-- lines to the invoices that run created. NULL for invoices placed through
+-- the API.
+ALTER TABLE invoices ADD COLUMN etl_run_id INTEGER
+    CONSTRAINT invoices_etl_run_id_fkey REFERENCES etl_runs (id) ON DELETE SET NULL;
+
+-- Rows whose invoice was already in the database before the run
+ALTER TABLE etl_runs ADD COLUMN rows_skipped INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('../db');
+
+// Migrations are pairs of files in this directory, NNNN_name.up.sql and
+// NNNN_name.down.sql, applied in version order. Each one runs in its own
+// transaction together with its row in schema_migrations.
+const FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Any constant works; it only has to be the same for every migrator
+const MIGRATE_LOCK_KEY = 80100;
+
+const CREATE_TABLE = `
+  CREATE TABLE schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`;
+
+// Every migration on disk, oldest first, as { version, name, id, up, down,
+// checksum } where `id` is the file name without the direction, e.g.
+// 0002_sales_indexes
+function load(directory = __dirname) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(directory)) {
+    const match = FILE.exec(file);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = byVersion.get(version) || { version, name, id: `${digits}_${name}` };
+    if (migration.name !== name || migration[direction] !== undefined) {
+      throw new Error(`Migration ${version} is defined more than once (${file})`);
+    }
+    migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version - b.version)
+    .map(migration => {
+      if (migration.up === undefined) {
+        throw new Error(`Migration ${migration.id} has no .up.sql file`);
+      }
+      const checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+      return { ...migration, checksum };
+    });
+}
+
+async function tableExists(db) {
+  const { rows } = await db.query(
+    `SELECT 1 FROM information_schema.tables
+     WHERE table_name = 'schema_migrations' AND table_schema = current_schema()`
+  );
+  return rows.length > 0;
+}
+
+// Applied migrations as a Map of version -> schema_migrations row. An empty
+// Map when the table does not exist yet.
+async function appliedVersions(db) {
+  if (!(await tableExists(db))) {
+    return new Map();
+  }
+  const { rows } = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Run `work(client)` holding the migration lock, so two migrators (or two
+// app instances starting at once) never run migrations side by side
+async function withLock(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATE_LOCK_KEY]);
+    try {
+      if (!(await tableExists(client))) {
+        await client.query(CREATE_TABLE);
+      }
+      return await work(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATE_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, migration, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    err.message = `Migration ${migration.id} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+// Apply pending migrations up to and including version `to` (all of them by
+// default). Returns the migrations applied.
+async function up({ to = Infinity, migrations = load() } = {}) {
+  return withLock(async client => {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter(({ version }) => version <= to && !applied.has(version));
+
+    for (const migration of pending) {
+      await runInTransaction(client, migration, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      ));
+    }
+    return pending;
+  });
+}
+
+// Revert the latest `steps` applied migrations, newest first. Returns the
+// migrations reverted.
+async function down({ steps = 1, migrations = load() } = {}) {
+  return withLock(async client => {
+    const applied = await appliedVersions(client);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const reverting = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const reverted = [];
+    for (const version of reverting) {
+      const migration = byVersion.get(version);
+      if (!migration || migration.down === undefined) {
+        throw new Error(`Migration ${version} cannot be reverted: no .down.sql file`);
+      }
+      await runInTransaction(client, migration, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [version]
+      ));
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// Every migration on disk or in the database, with its state:
+// 'applied', 'pending', 'modified' (applied, but the .up.sql file has
+// changed since) or 'unknown' (applied, but not on disk)
+async function status({ migrations = load() } = {}) {
+  const applied = await appliedVersions(pool);
+  const rows = migrations.map(({ version, name, checksum }) => {
+    const row = applied.get(version);
+    const state = !row ? 'pending' : row.checksum === checksum ? 'applied' : 'modified';
+    return { version, name, state, applied_at: row ? row.applied_at : null };
+  });
+
+  for (const row of applied.values()) {
+    if (!migrations.some(({ version }) => version === row.version)) {
+      rows.push({ version: row.version, name: row.name, state: 'unknown', applied_at: row.applied_at });
+    }
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+// Compare the database with the migrations on disk. Returns
+// { current, expected, pending } where `current` is the latest applied
+// version (0 for none) and `pending` the versions not yet applied.
+async function check({ migrations = load() } = {}) {
+  const applied = await appliedVersions(pool);
+  return {
+    current: Math.max(0, ...applied.keys()),
+    expected: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    pending: migrations.filter(({ version }) => !applied.has(version)).map(({ version }) => version)
+  };
+}
+
+module.exports = {
+  load,
+  up,
+  down,
+  status,
+  check
+};
@@ -0,0 +1,211 @@
+const pool = require('../db');
+const { merchandiseOnly } = require('./products');
+const fxRates = require('./fxRates');
+
+const BUCKETS = ['day', 'week', 'month', 'quarter'];
+// Metrics the breakdown reports can be ordered by
+const ORDER_BY = ['revenue', 'units', 'order_count', 'average_order_value'];
+
+// Tax report periods: the SQL numbering each period within its year (or
+// the year itself), and how it is labelled
+const TAX_PERIODS = {
+  month: { number: 'EXTRACT(MONTH FROM i.invoice_date)', label: (year, n) => `${year}-${String(n).padStart(2, '0')}` },
+  quarter: { number: 'EXTRACT(QUARTER FROM i.invoice_date)', label: (year, n) => `${year}-Q${n}` },
+  year: { number: 'EXTRACT(YEAR FROM i.invoice_date)', label: year => String(year) }
+};
+
+// Report filters and the condition each one adds
+const FILTERS = {
+  date_from: 'i.invoice_date >=',
+  date_to: 'i.invoice_date <=',
+  country: 'i.country =',
+  customer_id: 'i.customer_id =',
+  stock_code: 'ii.stock_code ='
+};
+
+// Breakdown dimensions for the /by-* reports
+const DIMENSIONS = {
+  country: {
+    select: 'i.country',
+    groupBy: 'i.country',
+    where: 'i.country IS NOT NULL'
+  },
+  customer: {
+    select: 'i.customer_id, c.country AS customer_country',
+    join: 'LEFT JOIN customers c ON c.customer_id = i.customer_id',
+    groupBy: 'i.customer_id, c.country',
+    where: 'i.customer_id IS NOT NULL'
+  },
+  product: {
+    select: 'ii.stock_code, p.description',
+    join: 'LEFT JOIN products p ON p.stock_code = ii.stock_code',
+    groupBy: 'ii.stock_code, p.description'
+  }
+};
+
+// The invoice lines (invoices i, invoice_items ii) a report with `filters`
+// covers, as SQL conditions and their params. `filters` holds the values
+// of the FILTERS that were given. Non-merchandise lines are left out unless
+// `includeNonMerchandise` is set.
+function scope(filters, { includeNonMerchandise = false } = {}) {
+  const conditions = includeNonMerchandise ? [] : [merchandiseOnly('ii.stock_code')];
+  const params = [];
+  for (const [filter, condition] of Object.entries(FILTERS)) {
+    if (filters[filter] === undefined) continue;
+    params.push(filters[filter]);
+    conditions.push(`${condition} $${params.length}`);
+  }
+  return { conditions, params };
+}
+
+// scope() with the report currency (`filters.currency`) as the last
+// parameter, referenced by `currency`, and the SQL converting amounts into
+// it (see fxRates.conversion)
+function reportQuery(filters, options) {
+  const { conditions, params } = scope(filters, options);
+  const currency = `$${params.length + 1}`;
+  return { conditions, params: [...params, filters.currency], currency, ...fxRates.conversion(currency) };
+}
+
+function whereClause(conditions) {
+  return conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+}
+
+// Metrics shared by every sales report, in the currency held in parameter
+// `currency`, with amounts converted into it by `factor` (see
+// fxRates.conversion). Credit notes carry negative quantities, so revenue
+// and units are net of returns; revenue is also net of the discounts given,
+// which are reported on their own too. Orders and average order value only
+// count regular (non-credit) invoices.
+function salesMetrics(currency, factor) {
+  const net = `(ii.quantity * ii.unit_price - ii.discount_amount) * ${factor}`;
+  return `
+  ${currency}::TEXT AS currency,
+  SUM(${net})::NUMERIC(14,2) AS revenue,
+  SUM(ii.discount_amount * ${factor})::NUMERIC(14,2) AS discounts,
+  SUM(ii.quantity)::INTEGER AS units,
+  COUNT(DISTINCT i.invoice_id) FILTER (WHERE NOT i.is_cancelled)::INTEGER AS order_count,
+  COUNT(DISTINCT i.invoice_id) FILTER (WHERE i.is_cancelled)::INTEGER AS credit_note_count,
+  (SUM(${net}) FILTER (WHERE NOT i.is_cancelled)
+    / NULLIF(COUNT(DISTINCT i.invoice_id) FILTER (WHERE NOT i.is_cancelled), 0))::NUMERIC(12,2)
+    AS average_order_value,
+  (COUNT(DISTINCT i.invoice_id) FILTER (WHERE i.is_cancelled)::NUMERIC
+    / NULLIF(COUNT(DISTINCT i.invoice_id) FILTER (WHERE NOT i.is_cancelled), 0))::NUMERIC(6,4)
+    AS cancellation_rate
+`;
+}
+
+// The sales metrics over every line the filters cover
+async function getSummary(filters) {
+  const { conditions, params, currency, joins, factor } = reportQuery(filters);
+  const { rows } = await pool.query(
+    `SELECT ${salesMetrics(currency, factor)}
+     FROM invoices i
+     JOIN invoice_items ii ON ii.invoice_id = i.invoice_id
+     ${joins}
+     ${whereClause(conditions)}`,
+    params
+  );
+  return rows[0];
+}
+
+// The sales metrics per `bucket` (one of BUCKETS), oldest first
+async function getSalesByPeriod(filters, bucket) {
+  const { conditions, params, currency, joins, factor } = reportQuery(filters);
+  params.push(bucket);
+  const { rows } = await pool.query(
+    `SELECT date_trunc($${params.length}, i.invoice_date) AS period, ${salesMetrics(currency, factor)}
+     FROM invoices i
+     JOIN invoice_items ii ON ii.invoice_id = i.invoice_id
+     ${joins}
+     ${whereClause([...conditions, 'i.invoice_date IS NOT NULL'])}
+     GROUP BY period
+     ORDER BY period`,
+    params
+  );
+  return rows;
+}
+
+// The top `limit` values of a dimension (a key of DIMENSIONS) by `orderBy`
+// (one of ORDER_BY), with their sales metrics
+async function getBreakdown(dimension, filters, { orderBy, limit }) {
+  const { select, join, groupBy, where } = DIMENSIONS[dimension];
+  const { conditions, params, currency, joins, factor } = reportQuery(filters);
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT ${select}, ${salesMetrics(currency, factor)}
+     FROM invoices i
+     JOIN invoice_items ii ON ii.invoice_id = i.invoice_id
+     ${joins}
+     ${join || ''}
+     ${whereClause(where ? [...conditions, where] : conditions)}
+     GROUP BY ${groupBy}
+     ORDER BY ${orderBy} DESC NULLS LAST
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Net, tax and gross amounts per `period` (a key of TAX_PERIODS) and
+// invoice country, oldest first. Non-merchandise lines such as postage are
+// included, since they are taxed too. Net amounts are also split by the
+// invoices' tax treatment.
+async function getTaxSummary(filters, period) {
+  const { conditions, params, currency, joins, factor } = reportQuery(filters, { includeNonMerchandise: true });
+  const { number, label } = TAX_PERIODS[period];
+  const net = `(ii.quantity * ii.unit_price - ii.discount_amount) * ${factor}`;
+  const netWhere = treatment => `SUM(CASE WHEN ${treatment} THEN ${net} ELSE 0 END)::NUMERIC(14,2)`;
+  const { rows } = await pool.query(
+    `SELECT EXTRACT(YEAR FROM i.invoice_date)::INTEGER AS year, (${number})::INTEGER AS period_number,
+            i.country, ${currency}::TEXT AS currency,
+            SUM(${net})::NUMERIC(14,2) AS net_amount,
+            SUM(COALESCE(ii.tax_amount, 0) * ${factor})::NUMERIC(14,2) AS tax_amount,
+            SUM((ii.quantity * ii.unit_price - ii.discount_amount + COALESCE(ii.tax_amount, 0)) * ${factor})::NUMERIC(14,2) AS gross_amount,
+            ${netWhere("i.tax_treatment = 'reverse_charge'")} AS reverse_charge_net,
+            ${netWhere("i.tax_treatment = 'outside_scope'")} AS outside_scope_net,
+            ${netWhere('i.tax_treatment IS NULL')} AS untracked_net
+     FROM invoices i
+     JOIN invoice_items ii ON ii.invoice_id = i.invoice_id
+     ${joins}
+     ${whereClause([...conditions, 'i.invoice_date IS NOT NULL'])}
+     GROUP BY year, period_number, i.country
+     ORDER BY year, period_number, i.country`,
+    params
+  );
+  return rows.map(({ year, period_number, ...row }) => ({ period: label(year, period_number), ...row }));
+}
+
+// Uses and discount given per promotion, from the discounts stored on
+// invoices, biggest first. Discounts are per invoice, so `filters` must not
+// hold a stock code.
+async function getPromotionUsage(filters) {
+  const { conditions, params, currency, joins, factor } = reportQuery(filters, { includeNonMerchandise: true });
+  const { rows } = await pool.query(
+    `SELECT d.promotion_id, p.name, p.discount_type, p.coupon_code,
+            ${currency}::TEXT AS currency,
+            COUNT(DISTINCT d.invoice_id)::INTEGER AS order_count,
+            SUM(d.amount * ${factor})::NUMERIC(14,2) AS discount_amount
+     FROM invoice_discounts d
+     JOIN invoices i ON i.invoice_id = d.invoice_id
+     JOIN promotions p ON p.id = d.promotion_id
+     ${joins}
+     ${whereClause(conditions)}
+     GROUP BY d.promotion_id, p.name, p.discount_type, p.coupon_code
+     ORDER BY discount_amount DESC, d.promotion_id`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  BUCKETS,
+  ORDER_BY,
+  TAX_PERIODS,
+  scope,
+  getSummary,
+  getSalesByPeriod,
+  getBreakdown,
+  getTaxSummary,
+  getPromotionUsage
+};
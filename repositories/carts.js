@@ -0,0 +1,145 @@
+const pool = require('../db');
+
+// Open carts past their expiry read as expired even before the sweep has
+// released their stock
+const COLUMNS = `id, customer_id, country,
+  CASE WHEN status = 'open' AND expires_at <= LOCALTIMESTAMP THEN 'expired' ELSE status END AS status,
+  created_at, updated_at, expires_at, invoice_id, coupon_code`;
+
+// `db` may be the pool or a client checked out for a transaction
+async function find(id, db = pool) {
+  const { rows } = await db.query(`SELECT ${COLUMNS} FROM carts WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, id) {
+  const { rows } = await client.query(`SELECT ${COLUMNS} FROM carts WHERE id = $1 FOR UPDATE`, [id]);
+  return rows[0] || null;
+}
+
+// Open carts past their expiry, locked for the rest of the transaction
+async function lockLapsed(client) {
+  const { rows } = await client.query(
+    `SELECT ${COLUMNS} FROM carts
+     WHERE status = 'open' AND expires_at <= LOCALTIMESTAMP
+     ORDER BY id
+     FOR UPDATE`
+  );
+  return rows;
+}
+
+// `ttl` is a Postgres interval such as '60 minutes'
+async function insert(db, { customerId, country, ttl }) {
+  const { rows } = await db.query(
+    `INSERT INTO carts (customer_id, country, expires_at)
+     VALUES ($1, $2, LOCALTIMESTAMP + $3::INTERVAL)
+     RETURNING ${COLUMNS}`,
+    [customerId, country, ttl]
+  );
+  return rows[0];
+}
+
+// Mark the cart as changed, pushing its expiry `ttl` from now
+async function touch(db, id, ttl) {
+  const { rows } = await db.query(
+    `UPDATE carts SET updated_at = NOW(), expires_at = LOCALTIMESTAMP + $2::INTERVAL
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id, ttl]
+  );
+  return rows[0];
+}
+
+async function setStatus(db, id, status, invoiceId = null) {
+  const { rows } = await db.query(
+    `UPDATE carts SET status = $2, invoice_id = $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id, status, invoiceId]
+  );
+  return rows[0];
+}
+
+// `couponCode` is null to take the coupon off
+async function setCoupon(db, id, couponCode) {
+  const { rows } = await db.query(
+    `UPDATE carts SET coupon_code = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id, couponCode]
+  );
+  return rows[0];
+}
+
+// Lines in the order they were added
+async function getItems(cartId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ci.stock_code, p.description, ci.quantity, ci.unit_price, ci.reserved, ci.added_at
+     FROM cart_items ci
+     JOIN products p ON p.stock_code = ci.stock_code
+     WHERE ci.cart_id = $1
+     ORDER BY ci.added_at, ci.stock_code`,
+    [cartId]
+  );
+  return rows;
+}
+
+async function findItem(db, cartId, stockCode) {
+  const { rows } = await db.query(
+    'SELECT * FROM cart_items WHERE cart_id = $1 AND stock_code = $2',
+    [cartId, stockCode]
+  );
+  return rows[0] || null;
+}
+
+// Add a line, or change the quantity of one already in the cart. An existing
+// line keeps the price it was added at.
+async function saveItem(db, cartId, { stockCode, quantity, unitPrice, reserved }) {
+  await db.query(
+    `INSERT INTO cart_items (cart_id, stock_code, quantity, unit_price, reserved)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (cart_id, stock_code)
+     DO UPDATE SET quantity = EXCLUDED.quantity, reserved = EXCLUDED.reserved`,
+    [cartId, stockCode, quantity, unitPrice, reserved]
+  );
+}
+
+// Returns the removed line, or null if there was none
+async function removeItem(db, cartId, stockCode) {
+  const { rows } = await db.query(
+    'DELETE FROM cart_items WHERE cart_id = $1 AND stock_code = $2 RETURNING *',
+    [cartId, stockCode]
+  );
+  return rows[0] || null;
+}
+
+// Record that none of the cart's stock is held any more
+async function clearReserved(db, cartId) {
+  await db.query('UPDATE cart_items SET reserved = 0 WHERE cart_id = $1', [cartId]);
+}
+
+// Move every cart of the customers in `fromIds` to `toId`
+async function reassignCustomer(client, fromIds, toId) {
+  const { rowCount } = await client.query(
+    'UPDATE carts SET customer_id = $2 WHERE customer_id = ANY($1)',
+    [fromIds, toId]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  find,
+  findForUpdate,
+  lockLapsed,
+  insert,
+  touch,
+  setStatus,
+  setCoupon,
+  getItems,
+  findItem,
+  saveItem,
+  removeItem,
+  clearReserved,
+  reassignCustomer
+};
@@ -0,0 +1,62 @@
+const pool = require('../db');
+
+// Every category, in id order. The tree is small enough to walk in memory.
+async function all(db = pool) {
+  const { rows } = await db.query('SELECT * FROM categories ORDER BY id');
+  return rows;
+}
+
+// `db` may be the pool or a client checked out for a transaction
+async function find(id, db = pool) {
+  const { rows } = await db.query('SELECT * FROM categories WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, id) {
+  const { rows } = await client.query('SELECT * FROM categories WHERE id = $1 FOR UPDATE', [id]);
+  return rows[0] || null;
+}
+
+async function insert(db, { name, parentId }) {
+  const { rows } = await db.query(
+    'INSERT INTO categories (name, parent_id) VALUES ($1, $2) RETURNING *',
+    [name, parentId]
+  );
+  return rows[0];
+}
+
+async function update(db, id, { name, parentId }) {
+  const { rows } = await db.query(
+    'UPDATE categories SET name = $2, parent_id = $3 WHERE id = $1 RETURNING *',
+    [id, name, parentId]
+  );
+  return rows[0];
+}
+
+// How many subcategories and products (deleted ones included) sit directly
+// under the category
+async function usage(db, id) {
+  const { rows } = await db.query(
+    `SELECT (SELECT COUNT(*) FROM categories WHERE parent_id = $1)::INTEGER AS children,
+            (SELECT COUNT(*) FROM products WHERE category_id = $1)::INTEGER AS products`,
+    [id]
+  );
+  return rows[0];
+}
+
+// Returns the deleted category, or null if there was none
+async function remove(db, id) {
+  const { rows } = await db.query('DELETE FROM categories WHERE id = $1 RETURNING *', [id]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  all,
+  find,
+  findForUpdate,
+  insert,
+  update,
+  usage,
+  remove
+};
@@ -0,0 +1,145 @@
+const pool = require('../db');
+const rfm = require('../services/rfm');
+const { listPage } = require('./pagination');
+
+const LIST = {
+  table: 'customers',
+  key: 'customer_id',
+  sortable: {
+    customer_id: 'customer_id',
+    country: "COALESCE(country, '')"
+  },
+  filters: {
+    country: { column: 'country', op: '=', type: 'string' },
+    segment: {
+      type: 'string',
+      values: rfm.SEGMENTS,
+      condition: placeholder =>
+        `customer_id IN (SELECT customer_id FROM (${rfm.rfmSql('NULL')}) rfm WHERE segment = ${placeholder})`
+    }
+  }
+};
+
+function list(query) {
+  return listPage(LIST, query);
+}
+
+// `db` may be the pool or a client checked out for a transaction
+async function find(customerId, db = pool) {
+  const { rows } = await db.query('SELECT * FROM customers WHERE customer_id = $1', [customerId]);
+  return rows[0] || null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, customerId) {
+  const { rows } = await client.query('SELECT * FROM customers WHERE customer_id = $1 FOR UPDATE', [customerId]);
+  return rows[0] || null;
+}
+
+// Like findForUpdate, for several customers at once. Returns those found
+// among `customerIds`, in customer_id order.
+async function findManyForUpdate(client, customerIds) {
+  const { rows } = await client.query(
+    'SELECT * FROM customers WHERE customer_id = ANY($1) ORDER BY customer_id FOR UPDATE',
+    [customerIds]
+  );
+  return rows;
+}
+
+async function exists(customerId, db = pool) {
+  const { rows } = await db.query('SELECT 1 FROM customers WHERE customer_id = $1', [customerId]);
+  return rows.length > 0;
+}
+
+async function insert(db, { customerId, country, name, email, phone, vatNumber }) {
+  const { rows } = await db.query(
+    `INSERT INTO customers (customer_id, country, name, email, phone, vat_number)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [customerId, country, name, email, phone, vatNumber]
+  );
+  return rows[0];
+}
+
+async function update(db, customerId, { country, name, email, phone, vatNumber }) {
+  const { rows } = await db.query(
+    `UPDATE customers
+     SET country = $2, name = $3, email = $4, phone = $5, vat_number = $6
+     WHERE customer_id = $1
+     RETURNING *`,
+    [customerId, country, name, email, phone, vatNumber]
+  );
+  return rows[0];
+}
+
+// Clear the customer's personal data, keeping the country their sales are
+// reported under
+async function erase(db, customerId) {
+  const { rows } = await db.query(
+    `UPDATE customers
+     SET name = NULL, email = NULL, phone = NULL, vat_number = NULL, erased_at = NOW()
+     WHERE customer_id = $1
+     RETURNING *`,
+    [customerId]
+  );
+  return rows[0];
+}
+
+// Returns the deleted customer, or null if there was none. Their addresses
+// go with them.
+async function remove(db, customerId) {
+  const { rows } = await db.query('DELETE FROM customers WHERE customer_id = $1 RETURNING *', [customerId]);
+  return rows[0] || null;
+}
+
+async function getAddresses(customerId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT id, label, line1, line2, city, postal_code, country
+     FROM customer_addresses
+     WHERE customer_id = $1
+     ORDER BY id`,
+    [customerId]
+  );
+  return rows;
+}
+
+// Replace all of a customer's addresses. Each is
+// { label?, line1, line2?, city, postal_code?, country }.
+async function replaceAddresses(client, customerId, addresses) {
+  await client.query('DELETE FROM customer_addresses WHERE customer_id = $1', [customerId]);
+  for (const address of addresses) {
+    await client.query(
+      `INSERT INTO customer_addresses (customer_id, label, line1, line2, city, postal_code, country)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        customerId,
+        address.label || 'billing',
+        address.line1,
+        address.line2 || null,
+        address.city,
+        address.postal_code || null,
+        address.country
+      ]
+    );
+  }
+  return getAddresses(customerId, client);
+}
+
+async function moveAddresses(client, fromIds, toId) {
+  await client.query('UPDATE customer_addresses SET customer_id = $2 WHERE customer_id = ANY($1)', [fromIds, toId]);
+}
+
+module.exports = {
+  list,
+  find,
+  findForUpdate,
+  findManyForUpdate,
+  exists,
+  insert,
+  update,
+  erase,
+  remove,
+  getAddresses,
+  replaceAddresses,
+  moveAddresses
+};
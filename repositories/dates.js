@@ -0,0 +1,10 @@
+// node-postgres returns DATE columns as a Date at local midnight; this turns
+// one back into YYYY-MM-DD
+function isoDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+module.exports = {
+  isoDate
+};
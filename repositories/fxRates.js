@@ -0,0 +1,126 @@
+const pool = require('../db');
+const { isoDate } = require('./dates');
+
+// Rates are stored as units of a currency per 1 GBP, so GBP has no rows and
+// its rate is always 1
+const BASE_CURRENCY = 'GBP';
+
+// Rows per multi-row INSERT (four parameters each)
+const UPSERT_BATCH_SIZE = 1000;
+
+// The rate of `currency` in effect at the invoice's date, joined as `alias`
+function effectiveRate(alias, currency) {
+  return `LEFT JOIN fx_rates ${alias}
+    ON ${alias}.currency = ${currency}
+    AND ${alias}.rate_date::TIMESTAMP <= i.invoice_date
+    AND (${alias}.valid_to IS NULL OR i.invoice_date < ${alias}.valid_to::TIMESTAMP)`;
+}
+
+// SQL converting the amounts of invoices (aliased `i`) into `currency`, a
+// parameter reference such as '$3', at the rates in effect on each invoice's
+// date. `joins` goes after the invoices table and `factor` is what to
+// multiply amounts by; it is NULL where either rate is missing.
+function conversion(currency) {
+  const rateOf = (code, alias) => `(CASE WHEN ${code} = '${BASE_CURRENCY}' THEN 1 ELSE ${alias}.rate END)`;
+  return {
+    joins: `${effectiveRate('fx_source', 'i.currency')}
+    ${effectiveRate('fx_target', currency)}`,
+    factor: `(CASE WHEN i.currency = ${currency} THEN 1
+      ELSE ${rateOf(currency, 'fx_target')} / ${rateOf('i.currency', 'fx_source')} END)`
+  };
+}
+
+// The factor converting an invoice's amounts into `currency`, or null if a
+// rate is missing (or there is no such invoice)
+async function invoiceRate(invoiceId, currency, db = pool) {
+  const { joins, factor } = conversion('$2');
+  const { rows } = await db.query(
+    `SELECT ${factor} AS rate FROM invoices i ${joins} WHERE i.invoice_id = $1`,
+    [invoiceId, currency]
+  );
+  return rows.length > 0 && rows[0].rate !== null ? Number(rows[0].rate) : null;
+}
+
+// Invoice lines matching `conditions` (over invoices i and invoice_items ii)
+// that cannot be converted into `currency`, counted per invoice currency
+// with the earliest affected invoice date
+async function unconvertible(currency, conditions = [], params = []) {
+  const { joins, factor } = conversion(`$${params.length + 1}`);
+  const { rows } = await pool.query(
+    `SELECT i.currency, COUNT(*)::INTEGER AS line_count, MIN(i.invoice_date) AS first_date
+     FROM invoices i
+     JOIN invoice_items ii ON ii.invoice_id = i.invoice_id
+     ${joins}
+     WHERE ${[...conditions, `${factor} IS NULL`].join(' AND ')}
+     GROUP BY i.currency
+     ORDER BY i.currency`,
+    [...params, currency]
+  );
+  return rows.map(row => ({ ...row, first_date: row.first_date && isoDate(row.first_date) }));
+}
+
+// True for the base currency and any currency with at least one rate
+async function isKnown(currency, db = pool) {
+  if (currency === BASE_CURRENCY) {
+    return true;
+  }
+  const { rows } = await db.query('SELECT 1 FROM fx_rates WHERE currency = $1 LIMIT 1', [currency]);
+  return rows.length > 0;
+}
+
+// One row per currency: how many rates it has, the dates they span and the
+// latest rate
+async function coverage() {
+  const { rows } = await pool.query(
+    `SELECT f.currency, COUNT(*)::INTEGER AS rate_count,
+            MIN(f.rate_date) AS first_date, MAX(f.rate_date) AS last_date, latest.rate AS latest_rate
+     FROM fx_rates f
+     JOIN fx_rates latest ON latest.currency = f.currency AND latest.valid_to IS NULL
+     GROUP BY f.currency, latest.rate
+     ORDER BY f.currency`
+  );
+  return rows.map(row => ({ ...row, first_date: isoDate(row.first_date), last_date: isoDate(row.last_date) }));
+}
+
+// Every rate of the given currencies, held until the transaction ends, with
+// dates as YYYY-MM-DD strings
+async function findForUpdate(client, currencies) {
+  const { rows } = await client.query(
+    `SELECT currency, rate_date, valid_to, rate FROM fx_rates
+     WHERE currency = ANY($1)
+     ORDER BY currency, rate_date
+     FOR UPDATE`,
+    [currencies]
+  );
+  return rows.map(row => ({
+    currency: row.currency,
+    rateDate: isoDate(row.rate_date),
+    validTo: row.valid_to && isoDate(row.valid_to),
+    rate: Number(row.rate)
+  }));
+}
+
+// Insert or replace rates given as { currency, rateDate, validTo, rate }
+async function upsertMany(client, rates) {
+  for (let i = 0; i < rates.length; i += UPSERT_BATCH_SIZE) {
+    const batch = rates.slice(i, i + UPSERT_BATCH_SIZE);
+    const values = batch.map((_, index) => `($${index * 4 + 1}, $${index * 4 + 2}, $${index * 4 + 3}, $${index * 4 + 4})`);
+    await client.query(
+      `INSERT INTO fx_rates (currency, rate_date, valid_to, rate)
+       VALUES ${values.join(', ')}
+       ON CONFLICT (currency, rate_date) DO UPDATE SET valid_to = EXCLUDED.valid_to, rate = EXCLUDED.rate`,
+      batch.flatMap(rate => [rate.currency, rate.rateDate, rate.validTo, rate.rate])
+    );
+  }
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  conversion,
+  invoiceRate,
+  unconvertible,
+  isKnown,
+  coverage,
+  findForUpdate,
+  upsertMany
+};
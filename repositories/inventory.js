@@ -0,0 +1,197 @@
+const pool = require('../db');
+const { listPage } = require('./pagination');
+const webhooks = require('./webhooks');
+
+const MOVEMENTS = {
+  table: 'stock_movements',
+  key: 'id',
+  sortable: {
+    id: 'id'
+  },
+  filters: {
+    stock_code: { column: 'stock_code', op: '=', type: 'string' },
+    movement_type: {
+      column: 'movement_type',
+      op: '=',
+      type: 'string',
+      values: ['receipt', 'adjustment', 'sale', 'return']
+    },
+    date_from: { column: 'created_at', op: '>=', type: 'date' },
+    date_to: { column: 'created_at', op: '<=', type: 'date' }
+  }
+};
+
+// Current stock for a product, or null when the product is not stock-tracked
+async function getStockLevels(db, stockCode) {
+  const { rows } = await db.query(
+    `SELECT stock_code, on_hand, reserved, on_hand - reserved AS available,
+            reorder_point, updated_at
+     FROM inventory
+     WHERE stock_code = $1`,
+    [stockCode]
+  );
+  return rows[0] || null;
+}
+
+// Lock the inventory rows of the given products for the rest of the
+// transaction. Returns a Map of stock_code -> levels for tracked products.
+async function lockStock(client, stockCodes) {
+  const { rows } = await client.query(
+    `SELECT stock_code, on_hand, reserved, on_hand - reserved AS available
+     FROM inventory
+     WHERE stock_code = ANY($1)
+     ORDER BY stock_code
+     FOR UPDATE`,
+    [stockCodes]
+  );
+  return new Map(rows.map(row => [row.stock_code, row]));
+}
+
+// Check order lines against locked stock. Lines for untracked products
+// always pass. Returns LineError entries for lines that cannot be filled,
+// counting earlier lines for the same product against the same stock.
+function checkAvailability(stock, items) {
+  const errors = [];
+  const claimed = new Map();
+
+  items.forEach((item, index) => {
+    const levels = stock.get(item.stock_code);
+    if (!levels) return;
+
+    const wanted = (claimed.get(item.stock_code) || 0) + item.quantity;
+    claimed.set(item.stock_code, wanted);
+    if (wanted > levels.available) {
+      errors.push({
+        line: index + 1,
+        stock_code: item.stock_code,
+        details: `Insufficient stock: ${Math.max(levels.available - (wanted - item.quantity), 0)} available`
+      });
+    }
+  });
+
+  return errors;
+}
+
+// Apply a signed change to on_hand and record it in the ledger, raising a
+// stock.changed event. The product must already be tracked unless `track`
+// is set, in which case tracking starts with this movement.
+async function recordMovement(client, {
+  stockCode,
+  type,
+  quantity,
+  invoiceId = null,
+  invoiceItemId = null,
+  note = null,
+  track = false
+}) {
+  if (track) {
+    await client.query(
+      'INSERT INTO inventory (stock_code) VALUES ($1) ON CONFLICT (stock_code) DO NOTHING',
+      [stockCode]
+    );
+  }
+
+  const { rows } = await client.query(
+    `UPDATE inventory
+     SET on_hand = on_hand + $2, updated_at = NOW()
+     WHERE stock_code = $1
+     RETURNING on_hand`,
+    [stockCode, quantity]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const movement = await client.query(
+    `INSERT INTO stock_movements
+       (stock_code, movement_type, quantity, balance_after, invoice_id, invoice_item_id, note)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [stockCode, type, quantity, rows[0].on_hand, invoiceId, invoiceItemId, note]
+  );
+  await webhooks.publish(client, 'stock.changed', {
+    movement: movement.rows[0],
+    stock: await getStockLevels(client, stockCode)
+  });
+  return movement.rows[0];
+}
+
+// Hold (positive) or release (negative) stock for a cart. Returns false
+// when the product is not stock-tracked.
+async function reserve(client, stockCode, quantity) {
+  const { rowCount } = await client.query(
+    'UPDATE inventory SET reserved = reserved + $2, updated_at = NOW() WHERE stock_code = $1',
+    [stockCode, quantity]
+  );
+  return rowCount > 0;
+}
+
+// Record invoice lines against stock: sales take stock out, credit-note
+// lines (negative quantities) put it back. Lines for untracked products
+// are skipped.
+async function recordInvoiceLines(client, invoiceId, items) {
+  const stock = await lockStock(client, [...new Set(items.map(item => item.stock_code))]);
+
+  for (const item of items) {
+    if (!stock.has(item.stock_code)) continue;
+    await recordMovement(client, {
+      stockCode: item.stock_code,
+      type: item.quantity < 0 ? 'return' : 'sale',
+      quantity: -item.quantity,
+      invoiceId,
+      invoiceItemId: item.id
+    });
+  }
+}
+
+// A page of one product's stock ledger
+function listMovements(stockCode, query) {
+  return listPage(MOVEMENTS, { ...query, stock_code: stockCode });
+}
+
+// Start tracking a product with the given reorder point and no stock
+async function track(db, stockCode, reorderPoint = 0) {
+  await db.query(
+    'INSERT INTO inventory (stock_code, reorder_point) VALUES ($1, $2)',
+    [stockCode, reorderPoint]
+  );
+}
+
+// Set the reorder point, starting tracking if needed
+async function setReorderPoint(db, stockCode, reorderPoint) {
+  await db.query(
+    `INSERT INTO inventory (stock_code, reorder_point) VALUES ($1, $2)
+     ON CONFLICT (stock_code) DO UPDATE SET reorder_point = EXCLUDED.reorder_point, updated_at = NOW()`,
+    [stockCode, reorderPoint]
+  );
+}
+
+// Tracked products still sold whose available stock is at or below their
+// reorder point
+async function getLowStock(limit) {
+  const { rows } = await pool.query(
+    `SELECT inv.stock_code, p.description, inv.on_hand, inv.reserved,
+            inv.on_hand - inv.reserved AS available, inv.reorder_point,
+            inv.reorder_point - (inv.on_hand - inv.reserved) AS shortfall
+     FROM inventory inv
+     JOIN products p ON p.stock_code = inv.stock_code AND p.deleted_at IS NULL AND p.status <> 'discontinued'
+     WHERE inv.on_hand - inv.reserved <= inv.reorder_point
+     ORDER BY shortfall DESC, inv.stock_code
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  getStockLevels,
+  lockStock,
+  checkAvailability,
+  recordMovement,
+  reserve,
+  recordInvoiceLines,
+  listMovements,
+  track,
+  setReorderPoint,
+  getLowStock
+};
@@ -0,0 +1,86 @@
+const pool = require('../db');
+const { listPage } = require('./pagination');
+
+const LIST = {
+  table: 'invoice_items',
+  key: 'id',
+  sortable: {
+    id: 'id',
+    quantity: 'COALESCE(quantity, 0)',
+    unit_price: 'COALESCE(unit_price, 0)',
+    stock_code: "COALESCE(stock_code, '')"
+  },
+  filters: {
+    invoice_id: { column: 'invoice_id', op: '=', type: 'string' },
+    stock_code: { column: 'stock_code', op: '=', type: 'string' },
+    min_unit_price: { column: 'unit_price', op: '>=', type: 'number' },
+    max_unit_price: { column: 'unit_price', op: '<=', type: 'number' },
+    min_quantity: { column: 'quantity', op: '>=', type: 'integer' },
+    max_quantity: { column: 'quantity', op: '<=', type: 'integer' }
+  }
+};
+
+function list(query) {
+  return listPage(LIST, query);
+}
+
+async function find(id) {
+  const { rows } = await pool.query('SELECT * FROM invoice_items WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+// Insert an invoice's lines in one multi-row INSERT. Each line is
+// { stock_code, quantity, unit_price, discount_amount?, original_item_id?,
+// tax_rule_id?, tax_rate, tax_amount }.
+async function insertMany(client, invoiceId, lines) {
+  const values = [];
+  const placeholders = lines.map((line, index) => {
+    const base = index * 9;
+    values.push(
+      invoiceId,
+      line.stock_code,
+      line.quantity,
+      line.unit_price,
+      line.discount_amount || 0,
+      line.original_item_id || null,
+      line.tax_rule_id || null,
+      line.tax_rate,
+      line.tax_amount
+    );
+    return `(${Array.from({ length: 9 }, (_, offset) => `$${base + offset + 1}`).join(', ')})`;
+  });
+  const { rows } = await client.query(
+    `INSERT INTO invoice_items
+       (invoice_id, stock_code, quantity, unit_price, discount_amount, original_item_id, tax_rule_id, tax_rate, tax_amount)
+     VALUES ${placeholders.join(', ')}
+     RETURNING id, stock_code, quantity`,
+    values
+  );
+  return rows;
+}
+
+// An invoice's lines with the quantity not yet returned on credit notes:
+// the original quantity plus the (negative) credited quantities so far.
+// discount_remaining is the part of the line's discount not yet given back
+// the same way.
+async function remainingLines(client, invoiceId) {
+  const { rows } = await client.query(
+    `SELECT ii.id, ii.stock_code, ii.quantity, ii.unit_price, ii.tax_rule_id, ii.tax_rate,
+            (ii.quantity + COALESCE(SUM(c.quantity), 0))::INTEGER AS remaining,
+            (ii.discount_amount + COALESCE(SUM(c.discount_amount), 0))::NUMERIC(12,2) AS discount_remaining
+     FROM invoice_items ii
+     LEFT JOIN invoice_items c ON c.original_item_id = ii.id
+     WHERE ii.invoice_id = $1
+     GROUP BY ii.id, ii.stock_code, ii.quantity, ii.unit_price, ii.discount_amount, ii.tax_rule_id, ii.tax_rate
+     ORDER BY ii.id`,
+    [invoiceId]
+  );
+  return rows;
+}
+
+module.exports = {
+  list,
+  find,
+  insertMany,
+  remainingLines
+};
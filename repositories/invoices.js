@@ -0,0 +1,231 @@
+const pool = require('../db');
+const { listPage } = require('./pagination');
+const { merchandiseOnly } = require('./products');
+const fxRates = require('./fxRates');
+
+const LIST = {
+  table: 'invoices',
+  key: 'invoice_id',
+  sortable: {
+    invoice_id: 'invoice_id',
+    invoice_date: "COALESCE(invoice_date, '-infinity'::TIMESTAMP)",
+    customer_id: "COALESCE(customer_id, '')",
+    country: "COALESCE(country, '')"
+  },
+  filters: {
+    customer_id: { column: 'customer_id', op: '=', type: 'string' },
+    country: { column: 'country', op: '=', type: 'string' },
+    is_cancelled: { column: 'is_cancelled', op: '=', type: 'boolean' },
+    date_from: { column: 'invoice_date', op: '>=', type: 'date' },
+    date_to: { column: 'invoice_date', op: '<=', type: 'date' }
+  }
+};
+
+function list(query) {
+  return listPage(LIST, query);
+}
+
+// `db` may be the pool or a client checked out for a transaction
+async function find(invoiceId, db = pool) {
+  const { rows } = await db.query('SELECT * FROM invoices WHERE invoice_id = $1', [invoiceId]);
+  return rows[0] || null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, invoiceId) {
+  const { rows } = await client.query('SELECT * FROM invoices WHERE invoice_id = $1 FOR UPDATE', [invoiceId]);
+  return rows[0] || null;
+}
+
+async function exists(invoiceId, db = pool) {
+  const { rows } = await db.query('SELECT 1 FROM invoices WHERE invoice_id = $1', [invoiceId]);
+  return rows.length > 0;
+}
+
+// Load the line items of an invoice with their line totals, net of tax
+// and discount, and the tax charged on them. With `withProducts`, each line
+// also carries its product record. Amounts are multiplied by `rate` to show
+// them in another currency; line totals are converted before rounding, unit
+// prices are rounded to the cent. Lines recorded before tax was tracked
+// have no tax_amount or gross_total.
+async function getItems(invoiceId, { withProducts = false, rate = 1 } = {}, db = pool) {
+  const { rows } = await db.query(
+    `SELECT ii.id, ii.invoice_id, ii.stock_code, ii.quantity,
+            (ii.unit_price * $2)::NUMERIC(10,2) AS unit_price, ii.original_item_id,
+            (ii.discount_amount * $2)::NUMERIC(12,2) AS discount_amount,
+            ((ii.quantity * ii.unit_price - ii.discount_amount) * $2)::NUMERIC(12,2) AS line_total,
+            ii.tax_rule_id, ii.tax_rate,
+            (ii.tax_amount * $2)::NUMERIC(12,2) AS tax_amount,
+            ((ii.quantity * ii.unit_price - ii.discount_amount + ii.tax_amount) * $2)::NUMERIC(12,2) AS gross_total,
+            p.description, p.popularity_score
+     FROM invoice_items ii
+     LEFT JOIN products p ON p.stock_code = ii.stock_code
+     WHERE ii.invoice_id = $1
+     ORDER BY ii.id`,
+    [invoiceId, rate]
+  );
+
+  return rows.map(({ description, popularity_score, ...item }) => (
+    withProducts
+      ? { ...item, product: { stock_code: item.stock_code, description, popularity_score } }
+      : item
+  ));
+}
+
+// Load an invoice with its line items, the promotions it was discounted
+// by, and computed totals, with amounts multiplied by `rate` as in
+// getItems. total_amount is net of tax and discounts; tax_amount is the sum
+// of the lines' tax, each rounded on its own.
+async function getWithItems(invoiceId, { withProducts = false, rate = 1 } = {}, db = pool) {
+  const invoice = await find(invoiceId, db);
+  if (!invoice) {
+    return null;
+  }
+
+  const items = await getItems(invoiceId, { withProducts, rate }, db);
+
+  const totals = await db.query(
+    `SELECT COUNT(*)::INTEGER AS line_count,
+            COALESCE(SUM(quantity), 0)::INTEGER AS item_count,
+            COALESCE(SUM(discount_amount * $2), 0)::NUMERIC(12,2) AS discount_amount,
+            COALESCE(SUM((quantity * unit_price - discount_amount) * $2), 0)::NUMERIC(12,2) AS total_amount,
+            SUM(tax_amount * $2)::NUMERIC(12,2) AS tax_amount,
+            SUM((quantity * unit_price - discount_amount + tax_amount) * $2)::NUMERIC(12,2) AS gross_amount
+     FROM invoice_items
+     WHERE invoice_id = $1`,
+    [invoiceId, rate]
+  );
+
+  const discounts = await db.query(
+    `SELECT d.promotion_id, p.name, d.coupon_code, (d.amount * $2)::NUMERIC(12,2) AS amount
+     FROM invoice_discounts d
+     JOIN promotions p ON p.id = d.promotion_id
+     WHERE d.invoice_id = $1
+     ORDER BY d.id`,
+    [invoiceId, rate]
+  );
+
+  return {
+    ...invoice,
+    items,
+    discounts: discounts.rows,
+    ...totals.rows[0]
+  };
+}
+
+// A customer's invoices, newest first, with their totals (net of tax and
+// discounts)
+async function listForCustomer(customerId, limit) {
+  const { rows } = await pool.query(
+    `SELECT i.*,
+            COALESCE(t.line_count, 0)::INTEGER AS line_count,
+            COALESCE(t.item_count, 0)::INTEGER AS item_count,
+            COALESCE(t.total_amount, 0)::NUMERIC(12,2) AS total_amount
+     FROM invoices i
+     LEFT JOIN (
+       SELECT ii.invoice_id, COUNT(*) AS line_count, SUM(ii.quantity) AS item_count,
+              SUM(ii.quantity * ii.unit_price - ii.discount_amount) AS total_amount
+       FROM invoice_items ii
+       JOIN invoices own ON own.invoice_id = ii.invoice_id
+       WHERE own.customer_id = $1
+       GROUP BY ii.invoice_id
+     ) t ON t.invoice_id = i.invoice_id
+     WHERE i.customer_id = $1
+     ORDER BY i.invoice_date DESC, i.invoice_id DESC
+     LIMIT $2`,
+    [customerId, limit]
+  );
+  return rows;
+}
+
+// IDs of all of a customer's invoices, oldest first
+async function idsForCustomer(customerId) {
+  const { rows } = await pool.query(
+    'SELECT invoice_id FROM invoices WHERE customer_id = $1 ORDER BY invoice_date, invoice_id',
+    [customerId]
+  );
+  return rows.map(row => row.invoice_id);
+}
+
+// New invoices take the next number from invoice_no_seq. Credit notes take
+// the next number too, prefixed with C as in the source data, so they do
+// not share their original invoice's number (see insertCreditNote).
+async function insert(client, { customerId, country, currency, taxTreatment }) {
+  const { rows } = await client.query(
+    `INSERT INTO invoices (invoice_id, customer_id, invoice_date, country, currency, is_cancelled, tax_treatment)
+     VALUES (nextval('invoice_no_seq')::TEXT, $1, NOW(), $2, $3, false, $4)
+     RETURNING invoice_id`,
+    [customerId, country, currency, taxTreatment]
+  );
+  return rows[0].invoice_id;
+}
+
+// Credit notes are in the currency, and taxed the same way, as the
+// invoice they return
+async function insertCreditNote(client, original) {
+  const { rows } = await client.query(
+    `INSERT INTO invoices (invoice_id, customer_id, invoice_date, country, currency, is_cancelled, original_invoice_id, tax_treatment)
+     VALUES ('C' || nextval('invoice_no_seq')::TEXT, $1, NOW(), $2, $3, true, $4, $5)
+     RETURNING invoice_id`,
+    [original.customer_id, original.country, original.currency, original.invoice_id, original.tax_treatment]
+  );
+  return rows[0].invoice_id;
+}
+
+// Move every invoice of the `fromIds` customers to `toId`. Returns how many
+// were moved.
+async function reassignCustomer(client, fromIds, toId) {
+  const { rowCount } = await client.query(
+    'UPDATE invoices SET customer_id = $2 WHERE customer_id = ANY($1)',
+    [fromIds, toId]
+  );
+  return rowCount;
+}
+
+async function setCancellationStatus(client, invoiceId, status) {
+  const { rows } = await client.query(
+    'UPDATE invoices SET cancellation_status = $1 WHERE invoice_id = $2 RETURNING *',
+    [status, invoiceId]
+  );
+  return rows[0];
+}
+
+// Sales by calendar month, net of discounts, with credit notes shown
+// separately, in `currency` (see fxRates.conversion). Non-merchandise lines
+// (postage, fees) are left out.
+async function monthlySales(currency = fxRates.BASE_CURRENCY) {
+  const { joins, factor } = fxRates.conversion('$1');
+  const net = `(quantity * unit_price - discount_amount) * ${factor}`;
+  const { rows } = await pool.query(`
+    SELECT 
+      EXTRACT(YEAR FROM invoice_date)::INTEGER AS year,
+      EXTRACT(MONTH FROM invoice_date)::INTEGER AS month,
+      $1::TEXT AS currency,
+      SUM(CASE WHEN NOT i.is_cancelled THEN ${net} ELSE 0 END)::NUMERIC(14,2) AS gross_sales,
+      SUM(CASE WHEN i.is_cancelled THEN ${net} ELSE 0 END)::NUMERIC(14,2) AS credits,
+      SUM(${net})::NUMERIC(14,2) AS total_sales
+    FROM invoices i
+    JOIN invoice_items ii ON i.invoice_id = ii.invoice_id
+    ${joins}
+    WHERE ${merchandiseOnly('ii.stock_code')}
+    GROUP BY year, month
+    ORDER BY year, month
+  `, [currency]);
+  return rows;
+}
+
+module.exports = {
+  list,
+  find,
+  findForUpdate,
+  exists,
+  getItems,
+  getWithItems,
+  listForCustomer,
+  idsForCustomer,
+  insert,
+  insertCreditNote,
+  reassignCustomer,
+  setCancellationStatus,
+  monthlySales
+};
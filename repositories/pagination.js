@@ -0,0 +1,139 @@
+const pool = require('../db');
+const { badRequest } = require('../errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Keyset pagination for list endpoints. Each repository describes its list
+// as a resource: `sortable` maps the public sort name to the SQL expression
+// ordered on (NULLs coalesced so cursor comparisons stay well-defined);
+// `filters` maps query params to conditions, either `column op value` or a
+// custom `condition(placeholder)`, optionally restricted to a list of
+// `values`. `where` lists conditions every row must meet, whatever the
+// query. `defaultSort` falls back to the key.
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === 3 ? values : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Convert a query-string value to the filter's type; undefined when invalid
+function parseFilterValue(raw, type) {
+  if (typeof raw !== 'string') {
+    return undefined;
+  }
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? parseInt(raw, 10) : undefined;
+    case 'number':
+      return raw !== '' && Number.isFinite(Number(raw)) ? Number(raw) : undefined;
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : undefined;
+    case 'date':
+      return Number.isNaN(Date.parse(raw)) ? undefined : raw;
+    default:
+      return raw;
+  }
+}
+
+// A ?limit= for endpoints that return a plain array rather than a page
+function parseLimit(raw, defaultLimit = DEFAULT_PAGE_SIZE) {
+  if (raw === undefined) {
+    return defaultLimit;
+  }
+  const limit = parseFilterValue(raw, 'integer');
+  if (limit === undefined || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+// Fetch one page of a list resource as the response envelope
+// { data, next_cursor, limit, sort }. Invalid params throw a 400.
+async function listPage(resource, query) {
+  const limit = parseLimit(query.limit);
+
+  const sort = query.sort || resource.defaultSort || resource.key;
+  const sortName = sort.startsWith('-') ? sort.slice(1) : sort;
+  const sortExpr = resource.sortable[sortName];
+  if (!sortExpr) {
+    throw badRequest(`sort must be one of: ${Object.keys(resource.sortable).join(', ')} (prefix with - for descending)`);
+  }
+  const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+
+  const conditions = [...(resource.where || [])];
+  const params = [];
+
+  for (const [param, filter] of Object.entries(resource.filters)) {
+    if (query[param] === undefined) continue;
+    const value = parseFilterValue(query[param], filter.type);
+    if (value === undefined) {
+      throw badRequest(`${param} must be a valid ${filter.type}`);
+    }
+    if (filter.values && !filter.values.includes(value)) {
+      throw badRequest(`${param} must be one of: ${filter.values.join(', ')}`);
+    }
+    params.push(value);
+    conditions.push(
+      filter.condition
+        ? filter.condition(`$${params.length}`)
+        : `${filter.column} ${filter.op} $${params.length}`
+    );
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      throw badRequest('cursor is malformed');
+    }
+    const [cursorSort, sortValue, keyValue] = cursor;
+    if (cursorSort !== sort) {
+      throw badRequest('cursor was issued for a different sort order');
+    }
+    params.push(sortValue, keyValue);
+    const op = direction === 'DESC' ? '<' : '>';
+    const sortParam = `$${params.length - 1}`;
+    const keyParam = `$${params.length}`;
+    conditions.push(
+      `(${sortExpr} ${op} ${sortParam} OR (${sortExpr} = ${sortParam} AND ${resource.key} ${op} ${keyParam}))`
+    );
+  }
+
+  // Ask for one extra row to learn whether another page exists
+  params.push(limit + 1);
+  const { rows } = await pool.query(
+    `SELECT *, (${sortExpr})::TEXT AS cursor_sort, ${resource.key}::TEXT AS cursor_key
+     FROM ${resource.table}
+     ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+     ORDER BY ${sortExpr} ${direction}, ${resource.key} ${direction}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    data: page.map(({ cursor_sort, cursor_key, ...row }) => row),
+    next_cursor: hasMore ? encodeCursor([sort, last.cursor_sort, last.cursor_key]) : null,
+    limit,
+    sort
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseFilterValue,
+  parseLimit,
+  listPage
+};
@@ -0,0 +1,33 @@
+const pool = require('../db');
+
+// A product's list prices, newest first
+async function list(stockCode) {
+  const { rows } = await pool.query(
+    `SELECT list_price, valid_from, valid_to
+     FROM product_prices
+     WHERE stock_code = $1
+     ORDER BY valid_from DESC, id DESC`,
+    [stockCode]
+  );
+  return rows;
+}
+
+// End the product's current list price and, unless `listPrice` is null,
+// start a new one
+async function record(db, stockCode, listPrice) {
+  await db.query(
+    'UPDATE product_prices SET valid_to = NOW() WHERE stock_code = $1 AND valid_to IS NULL',
+    [stockCode]
+  );
+  if (listPrice !== null) {
+    await db.query(
+      'INSERT INTO product_prices (stock_code, list_price) VALUES ($1, $2)',
+      [stockCode, listPrice]
+    );
+  }
+}
+
+module.exports = {
+  list,
+  record
+};
@@ -0,0 +1,248 @@
+const pool = require('../db');
+const { listPage } = require('./pagination');
+
+const STATUSES = ['active', 'discontinued'];
+
+// Deleted products are kept for the invoices that refer to them but are
+// otherwise left out of the catalog
+const LIST = {
+  table: 'products',
+  key: 'stock_code',
+  where: ['deleted_at IS NULL'],
+  sortable: {
+    stock_code: 'stock_code',
+    description: "COALESCE(description, '')",
+    popularity_score: 'COALESCE(popularity_score, 0)',
+    list_price: 'COALESCE(list_price, 0)'
+  },
+  filters: {
+    min_popularity: { column: 'popularity_score', op: '>=', type: 'integer' },
+    max_popularity: { column: 'popularity_score', op: '<=', type: 'integer' },
+    status: { column: 'status', op: '=', type: 'string', values: STATUSES }
+  }
+};
+
+// With `categoryIds`, only products in those categories
+function list(query, { categoryIds } = {}) {
+  const where = categoryIds
+    ? [...LIST.where, `category_id IN (${categoryIds.map(Number).join(', ')})`]
+    : LIST.where;
+  return listPage({ ...LIST, where }, query);
+}
+
+// `db` may be the pool or a client checked out for a transaction. Deleted
+// products are found too; check deleted_at where they should not be.
+async function find(stockCode, db = pool) {
+  const { rows } = await db.query('SELECT * FROM products WHERE stock_code = $1', [stockCode]);
+  return rows[0] || null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, stockCode) {
+  const { rows } = await client.query('SELECT * FROM products WHERE stock_code = $1 FOR UPDATE', [stockCode]);
+  return rows[0] || null;
+}
+
+// Whether the product is in the catalog, i.e. exists and is not deleted
+async function exists(stockCode, db = pool) {
+  const { rows } = await db.query('SELECT 1 FROM products WHERE stock_code = $1 AND deleted_at IS NULL', [stockCode]);
+  return rows.length > 0;
+}
+
+// Existing products among `stockCodes` as a Map of stock_code -> product.
+// With `forUpdate`, the rows are held until the transaction ends.
+async function findMany(db, stockCodes, { forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM products WHERE stock_code = ANY($1)${forUpdate ? ' ORDER BY stock_code FOR UPDATE' : ''}`,
+    [stockCodes]
+  );
+  return new Map(rows.map(row => [row.stock_code, row]));
+}
+
+// The price each product last sold at on a regular invoice in `currency`,
+// as a Map of stock_code -> unit_price. Products never sold that way are
+// left out.
+async function latestPrices(db, stockCodes, currency) {
+  const { rows } = await db.query(
+    `SELECT DISTINCT ON (ii.stock_code) ii.stock_code, ii.unit_price
+     FROM invoice_items ii
+     JOIN invoices i ON i.invoice_id = ii.invoice_id
+     WHERE ii.stock_code = ANY($1) AND i.currency = $2
+       AND NOT i.is_cancelled AND ii.unit_price > 0
+     ORDER BY ii.stock_code, i.invoice_date DESC, ii.id DESC`,
+    [stockCodes, currency]
+  );
+  return new Map(rows.map(row => [row.stock_code, row.unit_price]));
+}
+
+// Every product in the catalog in stock_code order, fetched `batchSize` rows
+// at a time so the whole catalog is never held in memory
+async function* batches(batchSize = 1000) {
+  let after = '';
+  for (;;) {
+    const { rows } = await pool.query(
+      'SELECT * FROM products WHERE stock_code > $1 AND deleted_at IS NULL ORDER BY stock_code LIMIT $2',
+      [after, batchSize]
+    );
+    if (rows.length === 0) {
+      return;
+    }
+    yield rows;
+    after = rows[rows.length - 1].stock_code;
+  }
+}
+
+// Products without a tax category are taxed at the standard rate
+async function insert(db, {
+  stockCode,
+  description,
+  taxCategory = 'standard',
+  categoryId = null,
+  listPrice = null,
+  attributes = {},
+  status = 'active'
+}) {
+  const { rows } = await db.query(
+    `INSERT INTO products (stock_code, description, tax_category, category_id, list_price, attributes, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [stockCode, description, taxCategory, categoryId, listPrice, JSON.stringify(attributes), status]
+  );
+  return rows[0];
+}
+
+// Every field is written, so pass the current values of those not changing.
+// A hand-set score is recorded as such (no run id) until the next
+// popularity recompute replaces it.
+async function update(db, stockCode, {
+  description,
+  popularityScore,
+  scoreChanged,
+  taxCategory,
+  categoryId,
+  listPrice,
+  attributes,
+  status
+}) {
+  const { rows } = await db.query(
+    `UPDATE products
+     SET description = $1,
+         popularity_score = $2,
+         tax_category = $5,
+         category_id = $6,
+         list_price = $7,
+         attributes = $8,
+         status = $9,
+         popularity_computed_at = CASE WHEN $4 THEN NOW() ELSE popularity_computed_at END,
+         popularity_run_id = CASE WHEN $4 THEN NULL ELSE popularity_run_id END
+     WHERE stock_code = $3
+     RETURNING *`,
+    [description, popularityScore, stockCode, scoreChanged, taxCategory, categoryId, listPrice, JSON.stringify(attributes), status]
+  );
+  return rows[0];
+}
+
+async function setMerchandise(db, stockCode, isMerchandise) {
+  const { rows } = await db.query(
+    'UPDATE products SET is_merchandise = $2 WHERE stock_code = $1 RETURNING *',
+    [stockCode, isMerchandise]
+  );
+  return rows[0];
+}
+
+async function listNonMerchandise() {
+  const { rows } = await pool.query('SELECT * FROM products WHERE NOT is_merchandise ORDER BY stock_code');
+  return rows;
+}
+
+// SQL condition that keeps invoice lines for merchandise only, given the
+// column holding the line's stock code
+function merchandiseOnly(column) {
+  return `${column} NOT IN (SELECT stock_code FROM products WHERE NOT is_merchandise)`;
+}
+
+// Take the product out of the catalog, keeping the row for the invoices
+// that refer to it. Returns the deleted product, or null if there was none.
+async function softDelete(db, stockCode) {
+  const { rows } = await db.query(
+    'UPDATE products SET deleted_at = NOW() WHERE stock_code = $1 AND deleted_at IS NULL RETURNING *',
+    [stockCode]
+  );
+  return rows[0] || null;
+}
+
+// Put a deleted product back in the catalog. Returns it, or null if there
+// is no deleted product with that code.
+async function restore(db, stockCode) {
+  const { rows } = await db.query(
+    'UPDATE products SET deleted_at = NULL WHERE stock_code = $1 AND deleted_at IS NOT NULL RETURNING *',
+    [stockCode]
+  );
+  return rows[0] || null;
+}
+
+// Full-text matches ranked by relevance, scaled by up to (1 + boost) for
+// the most popular products
+async function searchFullText(q, { boost, limit }) {
+  const { rows } = await pool.query(
+    `WITH search AS (SELECT websearch_to_tsquery('english', $1) AS query)
+     SELECT p.stock_code, p.description, p.popularity_score, ranked.rank,
+            ranked.rank * (1 + $2::FLOAT8 * COALESCE(p.popularity_score, 0) / 100.0) AS score,
+            ts_headline('english', p.description, search.query,
+                        'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS highlight
+     FROM products p
+     CROSS JOIN search
+     CROSS JOIN LATERAL (
+       SELECT ts_rank(to_tsvector('english', COALESCE(p.description, '')), search.query) AS rank
+     ) ranked
+     WHERE to_tsvector('english', COALESCE(p.description, '')) @@ search.query
+       AND p.deleted_at IS NULL
+     ORDER BY score DESC, p.stock_code
+     LIMIT $3`,
+    [q, boost, limit]
+  );
+  return rows;
+}
+
+// Trigram similarity matches, for queries with no exact word matches.
+// Products match when the query's word similarity to their description is
+// at least `threshold`; pg_trgm's default of 0.6 misses most misspellings.
+// The threshold is only set for this query's transaction, so `<%` can still
+// use the description's trigram index.
+async function searchFuzzy(q, { boost, limit, threshold }) {
+  return pool.withTransaction(async client => {
+    await client.query("SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)", [String(threshold)]);
+    const { rows } = await client.query(
+      `SELECT p.stock_code, p.description, p.popularity_score,
+              word_similarity($1, p.description) AS rank,
+              word_similarity($1, p.description) * (1 + $2::FLOAT8 * COALESCE(p.popularity_score, 0) / 100.0) AS score,
+              NULL AS highlight
+       FROM products p
+       WHERE $1 <% p.description AND p.deleted_at IS NULL
+       ORDER BY score DESC, p.stock_code
+       LIMIT $3`,
+      [q, boost, limit]
+    );
+    return rows;
+  });
+}
+
+module.exports = {
+  STATUSES,
+  list,
+  find,
+  findForUpdate,
+  exists,
+  findMany,
+  latestPrices,
+  batches,
+  insert,
+  update,
+  setMerchandise,
+  listNonMerchandise,
+  merchandiseOnly,
+  softDelete,
+  restore,
+  searchFullText,
+  searchFuzzy
+};
@@ -0,0 +1,162 @@
+const pool = require('../db');
+const { isoDate } = require('./dates');
+
+// Columns set when a promotion is created or updated
+const FIELDS = [
+  'name', 'discount_type', 'percent_off', 'amount_off', 'buy_quantity', 'get_quantity', 'stock_code', 'currency',
+  'min_basket', 'customer_id', 'country', 'coupon_code', 'usage_limit', 'per_customer_limit', 'valid_from', 'valid_to'
+];
+
+// Each promotion with the number of invoices it has been used on
+const SELECT = `SELECT p.id, p.name, p.discount_type, p.percent_off, p.amount_off, p.buy_quantity, p.get_quantity,
+    p.stock_code, p.currency, p.min_basket, p.customer_id, p.country, p.coupon_code, p.usage_limit,
+    p.per_customer_limit, p.valid_from, p.valid_to, p.created_at, COALESCE(u.times_used, 0)::INTEGER AS times_used
+  FROM promotions p
+  LEFT JOIN (
+    SELECT promotion_id, COUNT(*) AS times_used FROM invoice_discounts GROUP BY promotion_id
+  ) u ON u.promotion_id = p.id`;
+
+// Dates as YYYY-MM-DD and amounts as numbers
+function toPromotion(row) {
+  const number = value => (value === null ? null : Number(value));
+  return {
+    ...row,
+    percent_off: number(row.percent_off),
+    amount_off: number(row.amount_off),
+    min_basket: number(row.min_basket),
+    valid_from: isoDate(row.valid_from),
+    valid_to: row.valid_to && isoDate(row.valid_to)
+  };
+}
+
+// Every promotion, newest first. With `activeOn` (YYYY-MM-DD), only those
+// in effect that day.
+async function list({ activeOn } = {}) {
+  const { rows } = await pool.query(
+    `${SELECT}
+     WHERE $1::DATE IS NULL OR (p.valid_from <= $1::DATE AND (p.valid_to IS NULL OR p.valid_to > $1::DATE))
+     ORDER BY p.id DESC`,
+    [activeOn === undefined ? null : activeOn]
+  );
+  return rows.map(toPromotion);
+}
+
+// `db` may be the pool or a client checked out for a transaction
+async function find(id, db = pool) {
+  const { rows } = await db.query(`${SELECT} WHERE p.id = $1`, [id]);
+  return rows[0] ? toPromotion(rows[0]) : null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, id) {
+  await client.query('SELECT id FROM promotions WHERE id = $1 FOR UPDATE', [id]);
+  return find(id, client);
+}
+
+// Coupon codes are stored upper-case, so they match whatever the case
+async function findByCoupon(db, couponCode) {
+  const { rows } = await db.query(`${SELECT} WHERE p.coupon_code = UPPER($1)`, [couponCode]);
+  return rows[0] ? toPromotion(rows[0]) : null;
+}
+
+// Promotions in effect on `date` that apply without a coupon, plus the one
+// with `couponCode` if it is in effect too, oldest first
+async function inEffect(db, date, couponCode = null) {
+  const { rows } = await db.query(
+    `${SELECT}
+     WHERE p.valid_from <= $1::DATE AND (p.valid_to IS NULL OR p.valid_to > $1::DATE)
+       AND (p.coupon_code IS NULL OR p.coupon_code = UPPER($2))
+     ORDER BY p.id`,
+    [date, couponCode]
+  );
+  return rows.map(toPromotion);
+}
+
+// Lock promotions whose uses are limited while an order counts and adds to
+// them. Returns, per promotion id, { total, customer }: the invoices it has
+// been used on, and how many of those are `customerId`'s.
+async function lockUsage(client, ids, customerId) {
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const list = ids.map(id => Number(id)).join(', ');
+  await client.query(`SELECT id FROM promotions WHERE id IN (${list}) ORDER BY id FOR UPDATE`);
+  const { rows } = await client.query(
+    `SELECT d.promotion_id,
+            COUNT(*)::INTEGER AS total,
+            SUM(CASE WHEN i.customer_id = $1 THEN 1 ELSE 0 END)::INTEGER AS customer
+     FROM invoice_discounts d
+     JOIN invoices i ON i.invoice_id = d.invoice_id
+     WHERE d.promotion_id IN (${list})
+     GROUP BY d.promotion_id`,
+    [customerId]
+  );
+  return new Map(ids.map(id => {
+    const row = rows.find(usage => usage.promotion_id === id);
+    return [id, row ? { total: row.total, customer: row.customer } : { total: 0, customer: 0 }];
+  }));
+}
+
+// `promotion` has every column in FIELDS
+async function insert(db, promotion) {
+  const { rows } = await db.query(
+    `INSERT INTO promotions (${FIELDS.join(', ')})
+     VALUES (${FIELDS.map((field, index) => `$${index + 1}`).join(', ')})
+     RETURNING id`,
+    FIELDS.map(field => promotion[field])
+  );
+  return find(rows[0].id, db);
+}
+
+async function update(db, id, promotion) {
+  await db.query(
+    `UPDATE promotions SET ${FIELDS.map((field, index) => `${field} = $${index + 2}`).join(', ')}
+     WHERE id = $1`,
+    [id, ...FIELDS.map(field => promotion[field])]
+  );
+  return find(id, db);
+}
+
+// Returns the deleted promotion, or null if there was none
+async function remove(db, id) {
+  const promotion = await find(id, db);
+  if (promotion) {
+    await db.query('DELETE FROM promotions WHERE id = $1', [id]);
+  }
+  return promotion;
+}
+
+// Move the promotions of the `fromIds` customers to `toId`
+async function reassignCustomer(client, fromIds, toId) {
+  const { rowCount } = await client.query(
+    'UPDATE promotions SET customer_id = $2 WHERE customer_id = ANY($1)',
+    [fromIds, toId]
+  );
+  return rowCount;
+}
+
+// Record the discounts an invoice was given: [{ promotion_id, coupon_code,
+// amount }]
+async function recordDiscounts(client, invoiceId, discounts) {
+  for (const discount of discounts) {
+    await client.query(
+      'INSERT INTO invoice_discounts (invoice_id, promotion_id, coupon_code, amount) VALUES ($1, $2, $3, $4)',
+      [invoiceId, discount.promotion_id, discount.coupon_code, discount.amount]
+    );
+  }
+}
+
+module.exports = {
+  FIELDS,
+  list,
+  find,
+  findForUpdate,
+  findByCoupon,
+  inEffect,
+  lockUsage,
+  insert,
+  update,
+  remove,
+  reassignCustomer,
+  recordDiscounts
+};
@@ -0,0 +1,108 @@
+const pool = require('../db');
+const { isoDate } = require('./dates');
+
+const COLUMNS = 'id, country, tax_category, rate, valid_from, valid_to, reverse_charge';
+
+// Dates as YYYY-MM-DD and the rate as a number
+function toRule(row) {
+  return {
+    ...row,
+    rate: Number(row.rate),
+    valid_from: isoDate(row.valid_from),
+    valid_to: row.valid_to && isoDate(row.valid_to)
+  };
+}
+
+// Every rule, optionally only those of one country, oldest first within
+// each country and category
+async function list({ country } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${COLUMNS} FROM tax_rules
+     WHERE $1::TEXT IS NULL OR country = $1
+     ORDER BY country, tax_category, valid_from`,
+    [country === undefined ? null : country]
+  );
+  return rows.map(toRule);
+}
+
+async function find(id, db = pool) {
+  const { rows } = await db.query(`SELECT ${COLUMNS} FROM tax_rules WHERE id = $1`, [id]);
+  return rows[0] ? toRule(rows[0]) : null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, id) {
+  const { rows } = await client.query(`SELECT ${COLUMNS} FROM tax_rules WHERE id = $1 FOR UPDATE`, [id]);
+  return rows[0] ? toRule(rows[0]) : null;
+}
+
+// The first rule for the same country and category whose dates overlap
+// validFrom..validTo (validTo null for open-ended), other than `exceptId`
+async function findOverlapping(db, { country, taxCategory, validFrom, validTo, exceptId = null }) {
+  const { rows } = await db.query(
+    `SELECT ${COLUMNS} FROM tax_rules
+     WHERE country = $1 AND tax_category = $2
+       AND ($4::DATE IS NULL OR valid_from < $4::DATE)
+       AND (valid_to IS NULL OR valid_to > $3::DATE)
+       AND ($5::INTEGER IS NULL OR id <> $5)
+     ORDER BY valid_from
+     LIMIT 1`,
+    [country, taxCategory, validFrom, validTo, exceptId]
+  );
+  return rows[0] ? toRule(rows[0]) : null;
+}
+
+// Rules of `country` in effect on `date` (YYYY-MM-DD), as a Map of
+// tax_category -> rule. `hasRules` is false when the country has no rules
+// at all, on any date.
+async function inEffect(db, country, date) {
+  const { rows } = await db.query(
+    `SELECT ${COLUMNS},
+            valid_from <= $2::DATE AND (valid_to IS NULL OR valid_to > $2::DATE) AS current
+     FROM tax_rules
+     WHERE country = $1`,
+    [country, date]
+  );
+  return {
+    hasRules: rows.length > 0,
+    rules: new Map(rows.filter(row => row.current).map(({ current, ...row }) => [row.tax_category, toRule(row)]))
+  };
+}
+
+async function insert(db, { country, taxCategory, rate, validFrom, validTo, reverseCharge }) {
+  const { rows } = await db.query(
+    `INSERT INTO tax_rules (country, tax_category, rate, valid_from, valid_to, reverse_charge)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${COLUMNS}`,
+    [country, taxCategory, rate, validFrom, validTo, reverseCharge]
+  );
+  return toRule(rows[0]);
+}
+
+async function update(db, id, { country, taxCategory, rate, validFrom, validTo, reverseCharge }) {
+  const { rows } = await db.query(
+    `UPDATE tax_rules
+     SET country = $2, tax_category = $3, rate = $4, valid_from = $5, valid_to = $6, reverse_charge = $7
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id, country, taxCategory, rate, validFrom, validTo, reverseCharge]
+  );
+  return toRule(rows[0]);
+}
+
+// Returns the deleted rule, or null if there was none
+async function remove(db, id) {
+  const { rows } = await db.query(`DELETE FROM tax_rules WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+  return rows[0] ? toRule(rows[0]) : null;
+}
+
+module.exports = {
+  list,
+  find,
+  findForUpdate,
+  findOverlapping,
+  inEffect,
+  insert,
+  update,
+  remove
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const { listPage } = require('./pagination');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// The secret never leaves the database layer except to sign payloads, and
+// when it is first issued
+const COLUMNS = 'id, url, events, description, active, created_at, updated_at';
+
+const DELIVERIES = {
+  table: 'webhook_deliveries',
+  key: 'id',
+  defaultSort: '-id',
+  sortable: {
+    id: 'id'
+  },
+  filters: {
+    subscription_id: { column: 'subscription_id', op: '=', type: 'integer' },
+    status: { column: 'status', op: '=', type: 'string', values: DELIVERY_STATUSES },
+    event_type: { column: 'event_type', op: '=', type: 'string' },
+    event_id: { column: 'event_id', op: '=', type: 'string' }
+  }
+};
+
+async function list() {
+  const { rows } = await pool.query(`SELECT ${COLUMNS} FROM webhook_subscriptions ORDER BY id`);
+  return rows;
+}
+
+// `db` may be the pool or a client checked out for a transaction
+async function find(id, db = pool) {
+  const { rows } = await db.query(`SELECT ${COLUMNS} FROM webhook_subscriptions WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+// Like find, but holds the row until the transaction ends
+async function findForUpdate(client, id) {
+  const { rows } = await client.query(`SELECT ${COLUMNS} FROM webhook_subscriptions WHERE id = $1 FOR UPDATE`, [id]);
+  return rows[0] || null;
+}
+
+async function insert(db, { url, events, description, secret }) {
+  const { rows } = await db.query(
+    `INSERT INTO webhook_subscriptions (url, events, description, secret)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${COLUMNS}`,
+    [url, JSON.stringify(events), description, secret]
+  );
+  return rows[0];
+}
+
+async function update(db, id, { url, events, description, active }) {
+  const { rows } = await db.query(
+    `UPDATE webhook_subscriptions
+     SET url = $2, events = $3, description = $4, active = $5, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id, url, JSON.stringify(events), description, active]
+  );
+  return rows[0] || null;
+}
+
+async function setSecret(db, id, secret) {
+  const { rows } = await db.query(
+    `UPDATE webhook_subscriptions SET secret = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id, secret]
+  );
+  return rows[0] || null;
+}
+
+// Deletes the subscription's delivery log with it. Returns the deleted
+// subscription, or null if there was none.
+async function remove(db, id) {
+  const { rows } = await db.query(`DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING ${COLUMNS}`, [id]);
+  return rows[0] || null;
+}
+
+// Queue a delivery of one event to one subscription. `payload` is the whole
+// event as sent: { id, type, created_at, data }. A delivery the caller is
+// about to send itself is claimed for `lease` (a Postgres interval), as
+// claimDue would, so no worker sends it meanwhile.
+async function insertDelivery(db, subscriptionId, payload, { replayOf = null, lease = '0 seconds' } = {}) {
+  const { rows } = await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, replay_of, next_attempt_at)
+     VALUES ($1, $2, $3, $4, $5, LOCALTIMESTAMP + $6::INTERVAL)
+     RETURNING *`,
+    [subscriptionId, payload.id, payload.type, JSON.stringify(payload), replayOf, lease]
+  );
+  return rows[0];
+}
+
+// A new event with `data`, as sent to subscribers
+function newEvent(type, data) {
+  return { id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data };
+}
+
+// Raise an event: queue a delivery to every active subscription to `type`.
+// Call it with the client of the transaction making the change, so the
+// event is only sent if the change is committed. Returns how many
+// deliveries were queued.
+async function publish(client, type, data) {
+  const { rows } = await client.query('SELECT id, events FROM webhook_subscriptions WHERE active ORDER BY id');
+  const subscribers = rows.filter(row => row.events.includes(type));
+  if (subscribers.length === 0) {
+    return 0;
+  }
+
+  const event = newEvent(type, data);
+  for (const subscriber of subscribers) {
+    await insertDelivery(client, subscriber.id, event);
+  }
+  return subscribers.length;
+}
+
+// A page of a subscription's delivery log, newest first
+function listDeliveries(subscriptionId, query) {
+  return listPage(DELIVERIES, { ...query, subscription_id: String(subscriptionId) });
+}
+
+async function findDelivery(subscriptionId, deliveryId, db = pool) {
+  const { rows } = await db.query(
+    'SELECT * FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2',
+    [deliveryId, subscriptionId]
+  );
+  return rows[0] || null;
+}
+
+// Take up to `limit` pending deliveries that are due, oldest first, putting
+// their next attempt `lease` (a Postgres interval) away so no other worker
+// sends them meanwhile. Deliveries to inactive subscriptions wait until the
+// subscription is active again. Returns the ids taken.
+async function claimDue(client, limit, lease) {
+  const { rows } = await client.query(
+    `SELECT id FROM webhook_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= LOCALTIMESTAMP
+       AND subscription_id IN (SELECT id FROM webhook_subscriptions WHERE active)
+     ORDER BY id
+     LIMIT $1
+     FOR UPDATE`,
+    [limit]
+  );
+  if (rows.length === 0) {
+    return [];
+  }
+  const ids = rows.map(row => row.id);
+  await client.query(
+    `UPDATE webhook_deliveries SET next_attempt_at = LOCALTIMESTAMP + $1::INTERVAL
+     WHERE id IN (${ids.join(', ')})`,
+    [lease]
+  );
+  return ids;
+}
+
+// A delivery with where and how to send it
+async function findForSending(db, deliveryId) {
+  const { rows } = await db.query(
+    `SELECT d.*, s.url, s.secret
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  return rows[0] || null;
+}
+
+// Record the outcome of sending a delivery. `status` is its new status;
+// `retryIn` (a Postgres interval) is when a pending delivery is next due.
+async function recordAttempt(db, deliveryId, { status, responseStatus = null, error = null, retryIn = '0 seconds' }) {
+  const { rows } = await db.query(
+    `UPDATE webhook_deliveries
+     SET attempts = attempts + 1,
+         status = $2::VARCHAR,
+         response_status = $3,
+         last_error = $4,
+         last_attempt_at = LOCALTIMESTAMP,
+         next_attempt_at = LOCALTIMESTAMP + $5::INTERVAL,
+         delivered_at = CASE WHEN $2::VARCHAR = 'delivered' THEN LOCALTIMESTAMP ELSE NULL END
+     WHERE id = $1
+     RETURNING *`,
+    [deliveryId, status, responseStatus, error, retryIn]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  list,
+  find,
+  findForUpdate,
+  insert,
+  update,
+  setSecret,
+  remove,
+  newEvent,
+  insertDelivery,
+  publish,
+  listDeliveries,
+  findDelivery,
+  claimDue,
+  findForSending,
+  recordAttempt
+};
@@ -0,0 +1,562 @@
+const express = require('express');
+const popularity = require('../services/popularity');
+const recommendations = require('../services/recommendations');
+const auth = require('../services/auth');
+const audit = require('../services/audit');
+const dataQuality = require('../services/dataQuality');
+const tax = require('../services/tax');
+const products = require('../repositories/products');
+const fxRates = require('../repositories/fxRates');
+const taxRules = require('../repositories/taxRules');
+const { asyncHandler } = require('../middleware/errors');
+const { badRequest, notFound, conflict } = require('../errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/popularity/recompute:
+ *   post:
+ *     summary: Recompute popularity scores
+ *     description: >
+ *       Recalculate every product's popularity_score (0-100) from recent
+ *       regular invoice lines: units sold, weighted by how recently they sold,
+ *       and the number of distinct buyers. The same job also runs on a
+ *       schedule (POPULARITY_RECOMPUTE_INTERVAL_MINUTES).
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               window_days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *                 default: 90
+ *                 description: Only sales this many days before the latest invoice count
+ *               half_life_days:
+ *                 type: number
+ *                 minimum: 1
+ *                 default: 30
+ *                 description: Days after which a sale counts half as much
+ *     responses:
+ *       200:
+ *         description: Scores recomputed
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PopularityRun' }
+ *       400:
+ *         description: Invalid parameters
+ *       409:
+ *         description: A recompute is already running
+ */
+router.post('/popularity/recompute', asyncHandler('Failed to recompute popularity scores', async (req, res) => {
+  const {
+    window_days: windowDays = popularity.DEFAULT_WINDOW_DAYS,
+    half_life_days: halfLifeDays = popularity.DEFAULT_HALF_LIFE_DAYS
+  } = req.body;
+
+  const run = await popularity.recomputePopularity({
+    trigger: 'manual',
+    windowDays,
+    halfLifeDays,
+    context: audit.contextOf(req)
+  });
+  if (!run) {
+    throw conflict('A popularity recompute is already running');
+  }
+  res.json(run);
+}));
+
+/**
+ * @swagger
+ * /api/admin/popularity/runs:
+ *   get:
+ *     summary: List popularity runs
+ *     description: Recent popularity recomputes, newest first, with the settings each one used
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: Number of runs to return
+ *     responses:
+ *       200:
+ *         description: Popularity runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/PopularityRun' }
+ */
+router.get('/popularity/runs', asyncHandler('Failed to fetch popularity runs', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  res.json(await popularity.listRuns(limit));
+}));
+
+/**
+ * @swagger
+ * /api/admin/recommendations/refresh:
+ *   post:
+ *     summary: Refresh recommendation rules
+ *     description: >
+ *       Re-mine the "frequently bought together" association rules from
+ *       regular invoices and replace the stored rules. The same job also runs
+ *       on a schedule (RECOMMENDATIONS_REFRESH_INTERVAL_MINUTES).
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               min_support:
+ *                 type: number
+ *                 exclusiveMinimum: true
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 default: 0.001
+ *                 description: Minimum share of invoices containing both products
+ *               min_confidence:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 default: 0.1
+ *                 description: Minimum share of the first product's invoices that also contain the second
+ *     responses:
+ *       200:
+ *         description: Rules refreshed
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AssociationRun' }
+ *       400:
+ *         description: Invalid parameters
+ *       409:
+ *         description: A refresh is already running
+ */
+router.post('/recommendations/refresh', asyncHandler('Failed to refresh recommendations', async (req, res) => {
+  const {
+    min_support: minSupport = recommendations.DEFAULT_MIN_SUPPORT,
+    min_confidence: minConfidence = recommendations.DEFAULT_MIN_CONFIDENCE
+  } = req.body;
+
+  const run = await recommendations.mineAssociationRules({ trigger: 'manual', minSupport, minConfidence });
+  if (!run) {
+    throw conflict('A recommendation refresh is already running');
+  }
+  res.json(run);
+}));
+
+/**
+ * @swagger
+ * /api/admin/recommendations/runs:
+ *   get:
+ *     summary: List recommendation runs
+ *     description: Recent association-rule mining runs, newest first
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *         description: Number of runs to return
+ *     responses:
+ *       200:
+ *         description: Association runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/AssociationRun' }
+ */
+router.get('/recommendations/runs', asyncHandler('Failed to fetch recommendation runs', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  res.json(await recommendations.listRuns(limit));
+}));
+
+/**
+ * @swagger
+ * /api/admin/data-quality:
+ *   get:
+ *     summary: Data quality report
+ *     description: >
+ *       Run the data quality rules over the sales data: negative quantities
+ *       outside cancellations, zero or negative prices, invoices without a
+ *       customer, fee and postage codes not yet flagged as non-merchandise,
+ *       and duplicated invoice lines. Each rule reports how many rows break
+ *       it and a sample of them.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: sample_size
+ *         schema: { type: integer, minimum: 0, maximum: 100, default: 5 }
+ *         description: Offending rows to include per rule
+ *     responses:
+ *       200:
+ *         description: One entry per rule
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DataQualityReport' }
+ */
+router.get('/data-quality', asyncHandler('Failed to run data quality checks', async (req, res) => {
+  const sampleSize = req.query.sample_size === undefined
+    ? dataQuality.DEFAULT_SAMPLE_SIZE
+    : Number(req.query.sample_size);
+
+  res.json(await dataQuality.getReport({ sampleSize }));
+}));
+
+/**
+ * @swagger
+ * /api/admin/data-quality/non-merchandise:
+ *   get:
+ *     summary: List non-merchandise stock codes
+ *     description: Products flagged as non-merchandise, which sales analytics leave out
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Flagged products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Product' }
+ */
+router.get('/data-quality/non-merchandise', asyncHandler('Failed to fetch non-merchandise products', async (req, res) => {
+  res.json(await products.listNonMerchandise());
+}));
+
+/**
+ * @swagger
+ * /api/admin/data-quality/non-merchandise/{stock_code}:
+ *   put:
+ *     summary: Flag a stock code as non-merchandise
+ *     description: >
+ *       Mark a product as a charge or adjustment (postage, bank charges,
+ *       manual corrections) rather than goods. Its invoice lines are left out
+ *       of sales reports, customer segments, popularity scores and
+ *       recommendations.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       200:
+ *         description: The flagged product
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Product' }
+ *       404:
+ *         description: Product not found
+ *   delete:
+ *     summary: Count a stock code as merchandise again
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       200:
+ *         description: The product
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Product' }
+ *       404:
+ *         description: Product not found
+ */
+function merchandiseFlag(isMerchandise, failure) {
+  return asyncHandler(failure, async (req, res) => {
+    const product = await dataQuality.setMerchandise(req.params.stock_code, isMerchandise, audit.contextOf(req));
+    if (!product) {
+      throw notFound('Product', `No product found with stock_code: ${req.params.stock_code}`);
+    }
+    res.json(product);
+  });
+}
+
+router.put('/data-quality/non-merchandise/:stock_code', merchandiseFlag(false, 'Failed to flag product'));
+router.delete('/data-quality/non-merchandise/:stock_code', merchandiseFlag(true, 'Failed to unflag product'));
+
+/**
+ * @swagger
+ * /api/admin/fx-rates:
+ *   get:
+ *     summary: List loaded exchange rates
+ *     description: >
+ *       One row per currency with the dates its rates cover. Rates are units
+ *       of the currency per 1 GBP and are loaded from CSV with
+ *       `retail-etl rates <file>`.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Rate coverage per currency
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/FxRateCoverage' }
+ */
+router.get('/fx-rates', asyncHandler('Failed to fetch exchange rates', async (req, res) => {
+  res.json(await fxRates.coverage());
+}));
+
+/**
+ * @swagger
+ * /api/admin/tax-rules:
+ *   get:
+ *     summary: List tax rules
+ *     description: >
+ *       Tax rates per country and product tax category with the dates each is
+ *       in effect, oldest first within each country and category. Orders to a
+ *       country with no rules are not taxed.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema: { type: string }
+ *         description: Only rules for this country
+ *     responses:
+ *       200:
+ *         description: Tax rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/TaxRule' }
+ *   post:
+ *     summary: Add a tax rule
+ *     description: >
+ *       A rule may not overlap another for the same country and category; to
+ *       change a rate, end the current rule (set its valid_to) and add a new
+ *       one from that date.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TaxRuleCreate' }
+ *     responses:
+ *       201:
+ *         description: Rule added
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TaxRule' }
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: Overlaps an existing rule
+ */
+router.get('/tax-rules', asyncHandler('Failed to fetch tax rules', async (req, res) => {
+  res.json(await taxRules.list({ country: req.query.country }));
+}));
+
+router.post('/tax-rules', asyncHandler('Failed to create tax rule', async (req, res) => {
+  res.status(201).json(await tax.createRule(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/admin/tax-rules/{id}:
+ *   put:
+ *     summary: Update a tax rule
+ *     description: >
+ *       Change the given fields. Invoices already issued keep the tax they
+ *       were charged.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TaxRuleUpdate' }
+ *     responses:
+ *       200:
+ *         description: The updated rule
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/TaxRule' }
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Tax rule not found
+ *       409:
+ *         description: Overlaps an existing rule
+ *   delete:
+ *     summary: Delete a tax rule
+ *     description: Only rules no invoice has been taxed under can be deleted; end the others instead.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Rule deleted
+ *       404:
+ *         description: Tax rule not found
+ *       409:
+ *         description: Invoices were taxed under the rule
+ */
+function taxRuleNotFound(id) {
+  return notFound('Tax rule', `No tax rule with ID: ${id}`);
+}
+
+router.put('/tax-rules/:id', asyncHandler('Failed to update tax rule', async (req, res) => {
+  const rule = await tax.updateRule(Number(req.params.id), req.body, audit.contextOf(req));
+  if (!rule) {
+    throw taxRuleNotFound(req.params.id);
+  }
+  res.json(rule);
+}));
+
+router.delete('/tax-rules/:id', asyncHandler('Failed to delete tax rule', async (req, res) => {
+  const rule = await tax.deleteRule(Number(req.params.id), audit.contextOf(req));
+  if (!rule) {
+    throw taxRuleNotFound(req.params.id);
+  }
+  res.status(204).end();
+}));
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Active keys, oldest first. Secrets are never returned after creation.
+ *     tags: [Admin, Auth]
+ *     parameters:
+ *       - in: query
+ *         name: include_revoked
+ *         schema: { type: boolean, default: false }
+ *         description: Also list revoked and rotated-out keys
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ApiKey' }
+ */
+router.get('/api-keys', asyncHandler('Failed to fetch API keys', async (req, res) => {
+  res.json(await auth.listKeys({ includeRevoked: req.query.include_revoked === 'true' }));
+}));
+
+/**
+ * @swagger
+ * /api/admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The response is the only time the secret key is shown.
+ *     tags: [Admin, Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, role]
+ *             properties:
+ *               name: { type: string, minLength: 1, maxLength: 100, example: "Warehouse dashboard" }
+ *               role: { type: string, enum: [admin, catalog-editor, analyst, read-only] }
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeyCreated' }
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/api-keys', asyncHandler('Failed to create API key', async (req, res) => {
+  const { name, role } = req.body;
+
+  if (!name.trim()) {
+    throw badRequest('Request validation failed: 1 field error(s)', {
+      fields: [{ in: 'body', field: 'name', message: 'must not be blank' }]
+    });
+  }
+
+  res.status(201).json(await auth.createKey({ name: name.trim(), role }, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: >
+ *       Issue a new key with the same name and role and revoke the old one.
+ *       The old key, and tokens issued for it, stop working immediately.
+ *     tags: [Admin, Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       201:
+ *         description: Replacement key
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeyCreated' }
+ *       404:
+ *         description: No active key with that ID
+ */
+router.post('/api-keys/:id/rotate', asyncHandler('Failed to rotate API key', async (req, res) => {
+  const id = Number(req.params.id);
+
+  const key = await auth.rotateKey(id, audit.contextOf(req));
+  if (!key) {
+    throw notFound('API key', `No active API key with ID: ${req.params.id}`);
+  }
+  res.status(201).json(key);
+}));
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key, and tokens issued for it, stop working immediately.
+ *     tags: [Admin, Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKey' }
+ *       404:
+ *         description: No active key with that ID
+ */
+router.delete('/api-keys/:id', asyncHandler('Failed to revoke API key', async (req, res) => {
+  const id = Number(req.params.id);
+
+  const key = await auth.revokeKey(id, audit.contextOf(req));
+  if (!key) {
+    throw notFound('API key', `No active API key with ID: ${req.params.id}`);
+  }
+  res.json(key);
+}));
+
+module.exports = router;
@@ -0,0 +1,416 @@
+const express = require('express');
+const rfm = require('../services/rfm');
+const fx = require('../services/fx');
+const analytics = require('../repositories/analytics');
+const fxRates = require('../repositories/fxRates');
+const { asyncHandler } = require('../middleware/errors');
+const { badRequest } = require('../errors');
+
+const router = express.Router();
+
+const DEFAULT_TOP_N = 10;
+const MAX_TOP_N = 500;
+
+// Validate the filters common to all reports. Returns { error } when a
+// parameter is invalid, otherwise the filters given and the report
+// currency, for the analytics repository.
+function parseReportFilters(query) {
+  const filters = {};
+
+  for (const param of ['date_from', 'date_to']) {
+    if (query[param] === undefined) continue;
+    if (typeof query[param] !== 'string' || Number.isNaN(Date.parse(query[param]))) {
+      return { error: `${param} must be a valid date` };
+    }
+    filters[param] = query[param];
+  }
+
+  for (const param of ['country', 'customer_id', 'stock_code']) {
+    if (query[param] === undefined) continue;
+    if (typeof query[param] !== 'string') {
+      return { error: `${param} must be a single value` };
+    }
+    filters[param] = query[param];
+  }
+
+  filters.currency = query.currency === undefined ? fxRates.BASE_CURRENCY : query.currency;
+  if (!fx.isCurrencyCode(filters.currency)) {
+    return { error: fx.INVALID_CURRENCY };
+  }
+  return filters;
+}
+
+// Every line a report covers must be convertible into its currency
+function assertConvertible(filters, options) {
+  const { conditions, params } = analytics.scope(filters, options);
+  return fx.assertConvertible(filters.currency, conditions, params);
+}
+
+/**
+ * @swagger
+ * /api/analytics/summary:
+ *   get:
+ *     summary: Sales summary
+ *     description: Overall sales metrics for the selected period and filters
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCountry'
+ *       - $ref: '#/components/parameters/ReportCustomer'
+ *       - $ref: '#/components/parameters/ReportStockCode'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Sales metrics
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SalesMetrics' }
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/summary', asyncHandler('Failed to generate sales summary', async (req, res) => {
+  const filters = parseReportFilters(req.query);
+  if (filters.error) {
+    throw badRequest(filters.error);
+  }
+
+  await assertConvertible(filters);
+  res.json(await analytics.getSummary(filters));
+}));
+
+/**
+ * @swagger
+ * /api/analytics/sales:
+ *   get:
+ *     summary: Sales over time
+ *     description: >
+ *       Sales metrics bucketed by day, week, month or quarter. Buckets are
+ *       year-aware, so January 2010 and January 2011 are reported separately.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: bucket
+ *         schema: { type: string, enum: [day, week, month, quarter], default: month }
+ *         description: Size of each time bucket
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCountry'
+ *       - $ref: '#/components/parameters/ReportCustomer'
+ *       - $ref: '#/components/parameters/ReportStockCode'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: One row per bucket, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 bucket: { type: string, example: month }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/SalesBucket' }
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/sales', asyncHandler('Failed to generate sales report', async (req, res) => {
+  const bucket = req.query.bucket || 'month';
+  if (!analytics.BUCKETS.includes(bucket)) {
+    throw badRequest(`bucket must be one of: ${analytics.BUCKETS.join(', ')}`);
+  }
+
+  const filters = parseReportFilters(req.query);
+  if (filters.error) {
+    throw badRequest(filters.error);
+  }
+
+  await assertConvertible(filters);
+  const rows = await analytics.getSalesByPeriod(filters, bucket);
+  res.json({ bucket, data: rows });
+}));
+
+// Shared handler for the breakdown reports: top-N rows of a dimension
+function breakdownReport(dimension, errorMessage) {
+  return asyncHandler(errorMessage, async (req, res) => {
+    const orderBy = req.query.order_by || 'revenue';
+    if (!analytics.ORDER_BY.includes(orderBy)) {
+      throw badRequest(`order_by must be one of: ${analytics.ORDER_BY.join(', ')}`);
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_TOP_N;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_N) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_TOP_N}`);
+    }
+
+    const filters = parseReportFilters(req.query);
+    if (filters.error) {
+      throw badRequest(filters.error);
+    }
+
+    await assertConvertible(filters);
+    const rows = await analytics.getBreakdown(dimension, filters, { orderBy, limit });
+    res.json({ order_by: orderBy, limit, data: rows });
+  });
+}
+
+/**
+ * @swagger
+ * /api/analytics/sales/by-country:
+ *   get:
+ *     summary: Sales by country
+ *     description: Sales metrics per invoice country, best first
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportOrderBy'
+ *       - $ref: '#/components/parameters/TopN'
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCustomer'
+ *       - $ref: '#/components/parameters/ReportStockCode'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Top countries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_by: { type: string, example: revenue }
+ *                 limit: { type: integer, example: 10 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           country: { type: string, example: "United Kingdom" }
+ *                       - $ref: '#/components/schemas/SalesMetrics'
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/sales/by-country', breakdownReport('country', 'Failed to generate country report'));
+
+/**
+ * @swagger
+ * /api/analytics/sales/by-customer:
+ *   get:
+ *     summary: Top customers
+ *     description: Sales metrics per customer, best first. Sales without a customer are excluded.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportOrderBy'
+ *       - $ref: '#/components/parameters/TopN'
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCountry'
+ *       - $ref: '#/components/parameters/ReportStockCode'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Top customers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_by: { type: string, example: revenue }
+ *                 limit: { type: integer, example: 10 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           customer_id: { type: string, example: "14646" }
+ *                           customer_country: { type: string, example: "Netherlands" }
+ *                       - $ref: '#/components/schemas/SalesMetrics'
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/sales/by-customer', breakdownReport('customer', 'Failed to generate customer report'));
+
+/**
+ * @swagger
+ * /api/analytics/sales/by-product:
+ *   get:
+ *     summary: Top products
+ *     description: Sales metrics per product, best first
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportOrderBy'
+ *       - $ref: '#/components/parameters/TopN'
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCountry'
+ *       - $ref: '#/components/parameters/ReportCustomer'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Top products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order_by: { type: string, example: units }
+ *                 limit: { type: integer, example: 10 }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           stock_code: { type: string, example: "85123A" }
+ *                           description: { type: string, example: "WHITE HANGING HEART T-LIGHT HOLDER" }
+ *                       - $ref: '#/components/schemas/SalesMetrics'
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/sales/by-product', breakdownReport('product', 'Failed to generate product report'));
+
+/**
+ * @swagger
+ * /api/analytics/tax:
+ *   get:
+ *     summary: Tax summary
+ *     description: >
+ *       Net sales (after discounts), tax and gross sales per period and
+ *       invoice country, from the tax stored on each invoice line when it
+ *       was recorded. Credit notes count negatively. Postage and other
+ *       non-merchandise lines are included, since they are taxed too.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema: { type: string, enum: [month, quarter, year], default: quarter }
+ *         description: Length of each period
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCountry'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: One row per period and country, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 period: { type: string, example: quarter }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/TaxSummary' }
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/tax', asyncHandler('Failed to generate tax report', async (req, res) => {
+  const period = req.query.period || 'quarter';
+  if (!analytics.TAX_PERIODS[period]) {
+    throw badRequest(`period must be one of: ${Object.keys(analytics.TAX_PERIODS).join(', ')}`);
+  }
+
+  const filters = parseReportFilters(req.query);
+  if (filters.error) {
+    throw badRequest(filters.error);
+  }
+
+  await assertConvertible(filters, { includeNonMerchandise: true });
+  res.json({ period, data: await analytics.getTaxSummary(filters, period) });
+}));
+
+/**
+ * @swagger
+ * /api/analytics/promotions:
+ *   get:
+ *     summary: Promotion usage
+ *     description: >
+ *       How often each promotion was used and how much it took off, from the
+ *       discounts stored on invoices when they were issued, biggest first.
+ *       Returns are not taken off; the sales reports' revenue and discounts
+ *       are net of them.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/ReportCountry'
+ *       - $ref: '#/components/parameters/ReportCustomer'
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: One row per promotion used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/PromotionUsage' }
+ *       400:
+ *         description: Invalid parameters
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/promotions', asyncHandler('Failed to generate promotion report', async (req, res) => {
+  // Discounts are per invoice, so there is no stock code to filter on
+  const filters = parseReportFilters({ ...req.query, stock_code: undefined });
+  if (filters.error) {
+    throw badRequest(filters.error);
+  }
+
+  await assertConvertible(filters, { includeNonMerchandise: true });
+  res.json({ data: await analytics.getPromotionUsage(filters) });
+}));
+
+/**
+ * @swagger
+ * /api/analytics/segments:
+ *   get:
+ *     summary: RFM customer segments
+ *     description: >
+ *       Scores every customer into recency, frequency and monetary quintiles
+ *       and groups them into named segments (Champions, At Risk, Lost, ...).
+ *       List the customers of a segment with GET /api/customers?segment=.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReferenceDate'
+ *     responses:
+ *       200:
+ *         description: One row per segment, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/SegmentSummary' }
+ *       400:
+ *         description: Invalid reference_date
+ */
+router.get('/segments', asyncHandler('Failed to compute customer segments', async (req, res) => {
+  const referenceDate = req.query.reference_date;
+  if (referenceDate !== undefined &&
+      (typeof referenceDate !== 'string' || Number.isNaN(Date.parse(referenceDate)))) {
+    throw badRequest('reference_date must be a valid date');
+  }
+
+  const segments = await rfm.getSegmentSummary(referenceDate);
+  res.json({ data: segments });
+}));
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const audit = require('../services/audit');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Browse the audit log
+ *     description: Every change made through the API or by scheduled jobs, newest first by default
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: entity_type
+ *         schema: { type: string }
+ *         description: product, inventory, stock_movement, invoice or api_key
+ *       - in: query
+ *         name: entity_id
+ *         schema: { type: string }
+ *         description: Filter to one entity, e.g. a stock_code or invoice_id
+ *       - in: query
+ *         name: actor
+ *         schema: { type: string }
+ *         description: key:<id>, bootstrap or system
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, enum: [create, update, delete] }
+ *       - in: query
+ *         name: date_from
+ *         schema: { type: string, format: date-time }
+ *         description: Earliest change (inclusive)
+ *       - in: query
+ *         name: date_to
+ *         schema: { type: string, format: date-time }
+ *         description: Latest change (inclusive)
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [id, -id], default: -id }
+ *     responses:
+ *       200:
+ *         description: A page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/AuditEntry' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor
+ */
+router.get('/', authorize('admin'), asyncHandler('Failed to fetch audit log', async (req, res) => {
+  res.json(await audit.list(req.query));
+}));
+
+module.exports = router;
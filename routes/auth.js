@@ -0,0 +1,76 @@
+const express = require('express');
+const auth = require('../services/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/token:
+ *   post:
+ *     summary: Get a bearer token
+ *     description: >
+ *       Exchange an API key (sent in X-API-Key) for a short-lived JWT with the
+ *       key's role. Tokens last JWT_EXPIRES_IN (default 1h) and stop working
+ *       as soon as the key is revoked or rotated.
+ *     tags: [Auth]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Token issued
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Token' }
+ *       400:
+ *         description: Called with a bearer token instead of an API key
+ *       401:
+ *         description: Missing or invalid API key
+ */
+router.post('/token', (req, res) => {
+  if (req.auth.type !== 'api-key') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      details: 'Tokens can only be issued for an API key; send it in X-API-Key'
+    });
+  }
+
+  try {
+    res.json(auth.issueToken(req.auth));
+  } catch (err) {
+    res.status(500).json({
+      error: 'Failed to issue token',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Identify the caller
+ *     description: The role and permissions of the credentials used for this request
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The caller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type: { type: string, enum: [api-key, jwt] }
+ *                 key_id: { type: integer, nullable: true }
+ *                 name: { type: string }
+ *                 role: { type: string }
+ *                 permissions:
+ *                   type: array
+ *                   items: { type: string }
+ *       401:
+ *         description: Missing or invalid credentials
+ */
+router.get('/me', (req, res) => {
+  res.json({ ...req.auth, permissions: auth.ROLE_PERMISSIONS[req.auth.role] });
+});
+
+module.exports = router;
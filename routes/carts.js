@@ -0,0 +1,305 @@
+const express = require('express');
+const cartService = require('../services/carts');
+const audit = require('../services/audit');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { notFound } = require('../errors');
+
+const router = express.Router();
+
+function cartNotFound(cartId) {
+  return notFound('Cart', `No cart found with ID: ${cartId}`);
+}
+
+/**
+ * @swagger
+ * /api/carts:
+ *   post:
+ *     summary: Open a cart
+ *     description: >
+ *       Start an empty cart for a customer. Carts are priced in GBP and
+ *       expire if left unchanged for CART_TTL_MINUTES (a day by default),
+ *       releasing any stock they hold.
+ *     tags: [Other APIs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CartCreate' }
+ *     responses:
+ *       201:
+ *         description: Cart opened
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       400:
+ *         description: Invalid input or unknown customer
+ */
+router.post('/', authorize('orders:write'), asyncHandler('Failed to create cart', async (req, res) => {
+  res.status(201).json(await cartService.createCart(req.body));
+}));
+
+/**
+ * @swagger
+ * /api/carts/{id}:
+ *   get:
+ *     summary: Get a cart
+ *     description: >
+ *       The cart's lines at the prices they were added at, with the
+ *       discounts, totals and tax that checking out now would give.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       404:
+ *         description: Cart not found
+ *   delete:
+ *     summary: Abandon a cart
+ *     description: Close an open cart without buying, releasing the stock it holds
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Cart abandoned
+ *       404:
+ *         description: Cart not found
+ *       409:
+ *         description: The cart is no longer open
+ */
+router.get('/:id', authorize('orders:read'), asyncHandler('Failed to fetch cart', async (req, res) => {
+  const cart = await cartService.getCart(Number(req.params.id));
+  if (!cart) {
+    throw cartNotFound(req.params.id);
+  }
+  res.json(cart);
+}));
+
+router.delete('/:id', authorize('orders:write'), asyncHandler('Failed to abandon cart', async (req, res) => {
+  await cartService.abandonCart(Number(req.params.id));
+  res.status(204).end();
+}));
+
+/**
+ * @swagger
+ * /api/carts/{id}/items:
+ *   post:
+ *     summary: Add a product to a cart
+ *     description: >
+ *       Add units of a product, on top of any already in the cart. A new
+ *       line is priced at the product's list price (or, without one, the
+ *       price it last sold at), which it keeps until checkout. Stock-tracked
+ *       products must have enough available stock, which the cart then holds.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CartLineInput' }
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       400:
+ *         description: Invalid input, or an unknown or discontinued product
+ *       404:
+ *         description: Cart not found
+ *       409:
+ *         description: The cart is no longer open, or there is not enough stock
+ *       422:
+ *         description: The product has no list price and has never been sold
+ */
+router.post('/:id/items', authorize('orders:write'), asyncHandler('Failed to add to cart', async (req, res) => {
+  res.json(await cartService.addLine(Number(req.params.id), req.body));
+}));
+
+/**
+ * @swagger
+ * /api/carts/{id}/items/{stock_code}:
+ *   put:
+ *     summary: Change the quantity of a cart line
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               quantity: { type: integer, minimum: 1, example: 12 }
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       404:
+ *         description: Cart not found, or the product is not in it
+ *       409:
+ *         description: The cart is no longer open, or there is not enough stock
+ *   delete:
+ *     summary: Remove a line from a cart
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       404:
+ *         description: Cart not found, or the product is not in it
+ *       409:
+ *         description: The cart is no longer open
+ */
+router.put('/:id/items/:stock_code', authorize('orders:write'), asyncHandler('Failed to update cart', async (req, res) => {
+  res.json(await cartService.updateLine(Number(req.params.id), req.params.stock_code, req.body.quantity));
+}));
+
+router.delete('/:id/items/:stock_code', authorize('orders:write'), asyncHandler('Failed to update cart', async (req, res) => {
+  res.json(await cartService.removeLine(Number(req.params.id), req.params.stock_code));
+}));
+
+/**
+ * @swagger
+ * /api/carts/{id}/coupon:
+ *   put:
+ *     summary: Apply a coupon to a cart
+ *     description: >
+ *       Replaces any coupon already applied. Whether it can be used depends
+ *       on what is in the cart at checkout; until then the cart reports why
+ *       not in coupon_problem.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [coupon_code]
+ *             properties:
+ *               coupon_code: { type: string, minLength: 1, example: "SPRING10" }
+ *     responses:
+ *       200:
+ *         description: The cart with the coupon applied
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       400:
+ *         description: Invalid input or unknown coupon code
+ *       404:
+ *         description: Cart not found
+ *       409:
+ *         description: The cart is no longer open
+ *   delete:
+ *     summary: Remove a cart's coupon
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The cart without a coupon
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Cart' }
+ *       404:
+ *         description: Cart not found
+ *       409:
+ *         description: The cart is no longer open
+ */
+router.put('/:id/coupon', authorize('orders:write'), asyncHandler('Failed to update cart', async (req, res) => {
+  res.json(await cartService.setCoupon(Number(req.params.id), req.body.coupon_code));
+}));
+
+router.delete('/:id/coupon', authorize('orders:write'), asyncHandler('Failed to update cart', async (req, res) => {
+  res.json(await cartService.setCoupon(Number(req.params.id), null));
+}));
+
+/**
+ * @swagger
+ * /api/carts/{id}/checkout:
+ *   post:
+ *     summary: Check out a cart
+ *     description: >
+ *       Turn the cart into an invoice for its customer at the prices the
+ *       lines were added at, less today's promotions and the cart's coupon,
+ *       taxed under today's rules. If the order is rejected nothing changes
+ *       and the cart stays open.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       201:
+ *         description: The invoice created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/InvoiceDetail' }
+ *       400:
+ *         description: A line cannot be ordered, e.g. no tax rule covers it, or the coupon cannot be used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     lines:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/LineError' }
+ *       404:
+ *         description: Cart not found
+ *       409:
+ *         description: The cart is empty or no longer open
+ */
+router.post('/:id/checkout', authorize('orders:write'), asyncHandler('Failed to check out cart', async (req, res) => {
+  res.status(201).json(await cartService.checkout(Number(req.params.id), audit.contextOf(req)));
+}));
+
+module.exports = router;
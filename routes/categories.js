@@ -0,0 +1,143 @@
+const express = require('express');
+const categoryService = require('../services/categories');
+const audit = require('../services/audit');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { notFound } = require('../errors');
+
+const router = express.Router();
+
+function categoryNotFound(id) {
+  return notFound('Category', `No category found with ID: ${id}`);
+}
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get all categories
+ *     description: The whole category tree as a list, each category after its parent
+ *     tags: [MAIN APIs]
+ *     responses:
+ *       200:
+ *         description: Categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Category' }
+ *   post:
+ *     summary: Create a category
+ *     tags: [MAIN APIs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CategoryCreate' }
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CategoryDetail' }
+ *       400:
+ *         description: Invalid input or unknown parent
+ *       409:
+ *         description: The parent already has a category with this name
+ */
+router.get('/', authorize('catalog:read'), asyncHandler('Failed to fetch categories', async (req, res) => {
+  res.json(await categoryService.listCategories());
+}));
+
+router.post('/', authorize('catalog:write'), asyncHandler('Failed to create category', async (req, res) => {
+  res.status(201).json(await categoryService.createCategory(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   get:
+ *     summary: Get a category
+ *     description: A category with its path and direct subcategories
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The category
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CategoryDetail' }
+ *       404:
+ *         description: Category not found
+ *   put:
+ *     summary: Rename or move a category
+ *     description: Set parent_id to null to move the category to the top of the tree
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CategoryUpdate' }
+ *     responses:
+ *       200:
+ *         description: The updated category
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CategoryDetail' }
+ *       400:
+ *         description: Invalid input, unknown parent, or a move under its own subcategory
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The parent already has a category with this name
+ *   delete:
+ *     summary: Delete a category
+ *     description: Only categories with no subcategories and no products can be deleted
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has subcategories or products
+ */
+router.get('/:id', authorize('catalog:read'), asyncHandler('Failed to fetch category', async (req, res) => {
+  const category = await categoryService.getCategory(Number(req.params.id));
+  if (!category) {
+    throw categoryNotFound(req.params.id);
+  }
+  res.json(category);
+}));
+
+router.put('/:id', authorize('catalog:write'), asyncHandler('Failed to update category', async (req, res) => {
+  const category = await categoryService.updateCategory(Number(req.params.id), req.body, audit.contextOf(req));
+  if (!category) {
+    throw categoryNotFound(req.params.id);
+  }
+  res.json(category);
+}));
+
+router.delete('/:id', authorize('catalog:write'), asyncHandler('Failed to delete category', async (req, res) => {
+  const category = await categoryService.deleteCategory(Number(req.params.id), audit.contextOf(req));
+  if (!category) {
+    throw categoryNotFound(req.params.id);
+  }
+  res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,468 @@
+const express = require('express');
+const customers = require('../repositories/customers');
+const invoices = require('../repositories/invoices');
+const { parseFilterValue, parseLimit } = require('../repositories/pagination');
+const rfm = require('../services/rfm');
+const recommendations = require('../services/recommendations');
+const customerService = require('../services/customers');
+const audit = require('../services/audit');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { badRequest, notFound } = require('../errors');
+
+const router = express.Router();
+
+function customerNotFound(customerId) {
+  return notFound('Customer', `No customer found with ID: ${customerId}`);
+}
+
+async function requireCustomer(customerId) {
+  if (!(await customers.exists(customerId))) {
+    throw customerNotFound(customerId);
+  }
+}
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: Get all customers
+ *     description: Retrieve a page of customers
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema: { type: string }
+ *         description: Filter by country
+ *       - in: query
+ *         name: segment
+ *         schema: { $ref: '#/components/schemas/SegmentName' }
+ *         description: Filter by RFM segment, scored as of the latest invoice
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [customer_id, -customer_id, country, -country]
+ *           default: customer_id
+ *         description: Sort column; prefix with - for descending
+ *     responses:
+ *       200:
+ *         description: A page of customers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Customer' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor
+ */
+router.get('/', authorize('customers:read'), asyncHandler('Failed to fetch customers', async (req, res) => {
+  res.json(await customers.list(req.query));
+}));
+
+/**
+ * @swagger
+ * /api/customers:
+ *   post:
+ *     summary: Create a customer
+ *     tags: [Other APIs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CustomerCreate' }
+ *     responses:
+ *       201:
+ *         description: Customer created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Customer' }
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: A customer with this customer_id already exists
+ */
+router.post('/', authorize('customers:write'), asyncHandler('Failed to create customer', async (req, res) => {
+  res.status(201).json(await customerService.createCustomer(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}:
+ *   get:
+ *     summary: Get customer by ID
+ *     description: Retrieve customer details with their addresses
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *     responses:
+ *       200:
+ *         description: Customer details
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Customer' }
+ *       404:
+ *         description: Customer not found
+ *   put:
+ *     summary: Update a customer
+ *     description: >
+ *       Change the given fields; null clears one. addresses, when given,
+ *       replaces all of the customer's addresses. Customers whose personal
+ *       data has been erased cannot be updated.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CustomerUpdate' }
+ *     responses:
+ *       200:
+ *         description: The updated customer
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Customer' }
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: The customer's personal data has been erased
+ *   delete:
+ *     summary: Delete a customer
+ *     description: >
+ *       Only customers without invoices can be deleted; erase the personal
+ *       data of the others instead. Personal data is also removed from the
+ *       customer's audit entries.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *     responses:
+ *       204:
+ *         description: Customer deleted
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: The customer has invoices or carts
+ */
+router.get('/:customer_id', authorize('customers:read'), asyncHandler('Failed to fetch customer', async (req, res) => {
+  const customer = await customerService.getCustomer(req.params.customer_id);
+  if (!customer) {
+    throw customerNotFound(req.params.customer_id);
+  }
+  res.json(customer);
+}));
+
+router.put('/:customer_id', authorize('customers:write'), asyncHandler('Failed to update customer', async (req, res) => {
+  const customer = await customerService.updateCustomer(req.params.customer_id, req.body, audit.contextOf(req));
+  if (!customer) {
+    throw customerNotFound(req.params.customer_id);
+  }
+  res.json(customer);
+}));
+
+router.delete('/:customer_id', authorize('customers:write'), asyncHandler('Failed to delete customer', async (req, res) => {
+  const customer = await customerService.deleteCustomer(req.params.customer_id, audit.contextOf(req));
+  if (!customer) {
+    throw customerNotFound(req.params.customer_id);
+  }
+  res.status(204).end();
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}/merge:
+ *   post:
+ *     summary: Merge duplicate customers into this one
+ *     description: >
+ *       Move the invoices, carts and addresses of the listed customers to this
+ *       customer and delete them. Profile fields this customer lacks are
+ *       taken from the first listed customer that has them.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [customer_ids]
+ *             properties:
+ *               customer_ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 uniqueItems: true
+ *                 items: { $ref: '#/components/schemas/Customer/properties/customer_id' }
+ *                 description: The duplicates to fold in
+ *     responses:
+ *       200:
+ *         description: The merged customer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer: { $ref: '#/components/schemas/Customer' }
+ *                 merged:
+ *                   type: array
+ *                   items: { type: string }
+ *                   example: ["17850"]
+ *                 invoices_moved: { type: integer, example: 34 }
+ *       400:
+ *         description: Invalid input, or the customer is listed as its own duplicate
+ *       404:
+ *         description: One of the customers was not found
+ *       409:
+ *         description: This customer's personal data has been erased
+ */
+router.post('/:customer_id/merge', authorize('customers:write'), asyncHandler('Failed to merge customers', async (req, res) => {
+  const { customer_id } = req.params;
+  const { customer_ids } = req.body;
+
+  if (customer_ids.includes(customer_id)) {
+    throw badRequest(`Customer ${customer_id} cannot be merged into itself`);
+  }
+  res.json(await customerService.mergeCustomers(customer_id, customer_ids, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}/erase:
+ *   post:
+ *     summary: Erase a customer's personal data
+ *     description: >
+ *       Remove the customer's name, email, phone, VAT number and addresses,
+ *       here and in their audit entries and those of duplicates merged into
+ *       them (a GDPR erasure request). The customer ID and country stay, so
+ *       their invoices still count in sales reports.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *     responses:
+ *       200:
+ *         description: The erased customer
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Customer' }
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:customer_id/erase', authorize('customers:write'), asyncHandler('Failed to erase customer', async (req, res) => {
+  const customer = await customerService.eraseCustomer(req.params.customer_id, audit.contextOf(req));
+  if (!customer) {
+    throw customerNotFound(req.params.customer_id);
+  }
+  res.json(customer);
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}/export:
+ *   get:
+ *     summary: Export a customer's data
+ *     description: >
+ *       Everything held about the customer, for a GDPR access request: their
+ *       profile and addresses and every invoice with its lines.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *     responses:
+ *       200:
+ *         description: The customer's data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exported_at: { type: string, format: date-time }
+ *                 customer: { $ref: '#/components/schemas/Customer' }
+ *                 invoices:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/InvoiceDetail' }
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:customer_id/export', authorize('customers:read'), asyncHandler('Failed to export customer', async (req, res) => {
+  const data = await customerService.exportCustomer(req.params.customer_id);
+  if (!data) {
+    throw customerNotFound(req.params.customer_id);
+  }
+  res.json(data);
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}/invoices:
+ *   get:
+ *     summary: Get a customer's invoices
+ *     description: Retrieve a customer's invoices, newest first, with their totals
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 500, default: 50 }
+ *         description: Maximum number of invoices to return
+ *     responses:
+ *       200:
+ *         description: The customer's invoices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/InvoiceSummary' }
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:customer_id/invoices', authorize('orders:read'), asyncHandler('Failed to fetch customer invoices', async (req, res) => {
+  await requireCustomer(req.params.customer_id);
+  res.json(await invoices.listForCustomer(req.params.customer_id, parseLimit(req.query.limit)));
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}/metrics:
+ *   get:
+ *     summary: Get customer metrics
+ *     description: >
+ *       Recency, frequency and monetary value for a customer, with first and
+ *       last purchase, average basket, return rate, RFM quintile scores and
+ *       segment. Scores are relative to every customer as of reference_date.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *       - $ref: '#/components/parameters/ReferenceDate'
+ *     responses:
+ *       200:
+ *         description: Customer metrics
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CustomerMetrics' }
+ *       400:
+ *         description: Invalid reference_date
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:customer_id/metrics', authorize('analytics:read'), asyncHandler('Failed to compute customer metrics', async (req, res) => {
+  const referenceDate = req.query.reference_date;
+  if (referenceDate !== undefined && parseFilterValue(referenceDate, 'date') === undefined) {
+    throw badRequest('reference_date must be a valid date');
+  }
+
+  await requireCustomer(req.params.customer_id);
+  const metrics = await rfm.getCustomerMetrics(req.params.customer_id, referenceDate);
+
+  // No purchases in the window: report zero activity rather than a 404
+  res.json(metrics || {
+    customer_id: req.params.customer_id,
+    reference_date: referenceDate || null,
+    first_purchase: null,
+    last_purchase: null,
+    recency_days: null,
+    frequency: 0,
+    monetary: null,
+    average_basket: null,
+    return_rate: null,
+    r_score: null,
+    f_score: null,
+    m_score: null,
+    segment: null
+  });
+}));
+
+/**
+ * @swagger
+ * /api/customers/{customer_id}/recommendations:
+ *   get:
+ *     summary: Recommendations for a customer
+ *     description: >
+ *       Products the customer has not bought yet, ranked by the association
+ *       rules that lead to them from products the customer did buy.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: customer_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The customer's unique ID
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 10 }
+ *         description: Number of products to return
+ *     responses:
+ *       200:
+ *         description: Recommended products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Recommendations'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/CustomerRecommendation' }
+ *       400:
+ *         description: Invalid limit
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:customer_id/recommendations', authorize('customers:read'), asyncHandler('Failed to fetch recommendations', async (req, res) => {
+  const limit = req.query.limit !== undefined ? parseFilterValue(req.query.limit, 'integer') : 10;
+  if (limit === undefined || limit < 1 || limit > 100) {
+    throw badRequest('limit must be an integer between 1 and 100');
+  }
+
+  await requireCustomer(req.params.customer_id);
+  const run = await recommendations.getLatestRun();
+  const data = await recommendations.getCustomerRecommendations(req.params.customer_id, { limit });
+  res.json({
+    run_id: run ? run.id : null,
+    generated_at: run ? run.finished_at : null,
+    data
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const pool = require('../db');
+
+// Open endpoints for load balancers and uptime checks; mounted outside /api
+const router = express.Router();
+
+// Test route
+router.get('/ping', (req, res) => {
+  res.send('pong');
+});
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: System health check
+ *     description: Verify API and database connectivity
+ *     tags: [Other APIs]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: System status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status: { type: string }
+ *                 database: { type: string }
+ */
+router.get('/health', async (req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.json({ 
+      status: 'healthy',
+      database: 'connected',
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: 'unhealthy',
+      database: 'disconnected',
+      error: err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const db = require('../db');
+const products = require('../repositories/products');
+const inventory = require('../repositories/inventory');
+const { parseLimit } = require('../repositories/pagination');
+const audit = require('../services/audit');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { HttpError, badRequest, notFound } = require('../errors');
+
+// Stock for individual products lives under /api/products/{stock_code};
+// the reports under /api/inventory
+const router = express.Router();
+
+function productNotFound(stockCode) {
+  return notFound('Product', `No product found with stock_code: ${stockCode}`);
+}
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/stock:
+ *   get:
+ *     summary: Get stock levels
+ *     description: Current on-hand, reserved and available stock for a product
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       200:
+ *         description: Stock levels
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/StockLevels' }
+ *       404:
+ *         description: Product not found or not stock-tracked
+ */
+router.get('/products/:stock_code/stock', authorize('inventory:read'), asyncHandler('Failed to fetch stock levels', async (req, res) => {
+  const { stock_code } = req.params;
+  const stock = await inventory.getStockLevels(db, stock_code);
+  if (!stock) {
+    if (await products.exists(stock_code)) {
+      throw new HttpError(404, 'Stock not tracked', `Product ${stock_code} is not stock-tracked`);
+    }
+    throw productNotFound(stock_code);
+  }
+  res.json(stock);
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/stock:
+ *   put:
+ *     summary: Set the reorder point
+ *     description: Set a product's reorder point, starting stock tracking if needed
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reorder_point]
+ *             properties:
+ *               reorder_point: { type: integer, minimum: 0, example: 24 }
+ *     responses:
+ *       200:
+ *         description: Updated stock levels
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/StockLevels' }
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Product not found
+ */
+router.put('/products/:stock_code/stock', authorize('inventory:write'), asyncHandler('Failed to update stock settings', async (req, res) => {
+  const { stock_code } = req.params;
+
+  const after = await db.withTransaction(async client => {
+    if (!(await products.exists(stock_code, client))) {
+      throw productNotFound(stock_code);
+    }
+
+    await inventory.lockStock(client, [stock_code]);
+    const before = await inventory.getStockLevels(client, stock_code);
+    await inventory.setReorderPoint(client, stock_code, req.body.reorder_point);
+    const levels = await inventory.getStockLevels(client, stock_code);
+
+    await audit.record(client, audit.contextOf(req), {
+      action: before ? 'update' : 'create',
+      entityType: 'inventory',
+      entityId: stock_code,
+      before,
+      after: levels
+    });
+    return levels;
+  });
+
+  res.json(after);
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/stock/movements:
+ *   post:
+ *     summary: Record a stock movement
+ *     description: >
+ *       Record goods received (a positive receipt) or a stock-take correction
+ *       (an adjustment of either sign). Sales and returns are recorded
+ *       automatically from invoices. The first movement starts stock tracking.
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [movement_type, quantity]
+ *             properties:
+ *               movement_type: { type: string, enum: [receipt, adjustment] }
+ *               quantity: { type: integer, example: 48, description: "Signed change to on_hand" }
+ *               note: { type: string, example: "PO 1042" }
+ *     responses:
+ *       201:
+ *         description: Movement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movement: { $ref: '#/components/schemas/StockMovement' }
+ *                 stock: { $ref: '#/components/schemas/StockLevels' }
+ *       400:
+ *         description: Invalid input or the movement would take stock below zero
+ *       404:
+ *         description: Product not found
+ */
+router.post('/products/:stock_code/stock/movements', authorize('inventory:write'), asyncHandler('Failed to record stock movement', async (req, res) => {
+  const { movement_type, quantity, note } = req.body;
+  const { stock_code } = req.params;
+
+  // The schema covers types; the sign rules depend on movement_type
+  if (quantity === 0 || (movement_type === 'receipt' && quantity < 0)) {
+    const message = movement_type === 'receipt' ? 'must be positive for a receipt' : 'must not be zero';
+    throw badRequest('Request validation failed: 1 field error(s)', {
+      fields: [{ in: 'body', field: 'quantity', message }]
+    });
+  }
+
+  const result = await db.withTransaction(async client => {
+    if (!(await products.exists(stock_code, client))) {
+      throw productNotFound(stock_code);
+    }
+
+    const stock = await inventory.lockStock(client, [stock_code]);
+    const onHand = stock.has(stock_code) ? stock.get(stock_code).on_hand : 0;
+    if (onHand + quantity < 0) {
+      throw badRequest(`Movement would take on_hand below zero (currently ${onHand})`);
+    }
+
+    const movement = await inventory.recordMovement(client, {
+      stockCode: stock_code,
+      type: movement_type,
+      quantity,
+      note,
+      track: true
+    });
+    const levels = await inventory.getStockLevels(client, stock_code);
+
+    await audit.record(client, audit.contextOf(req), {
+      action: 'create',
+      entityType: 'stock_movement',
+      entityId: movement.id,
+      after: movement
+    });
+    return { movement, stock: levels };
+  });
+
+  res.status(201).json(result);
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/stock-history:
+ *   get:
+ *     summary: Get stock history
+ *     description: The product's stock movements ledger, oldest first by default
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *       - in: query
+ *         name: movement_type
+ *         schema: { type: string, enum: [receipt, adjustment, sale, return] }
+ *         description: Filter by movement type
+ *       - in: query
+ *         name: date_from
+ *         schema: { type: string, format: date-time }
+ *         description: Earliest movement (inclusive)
+ *       - in: query
+ *         name: date_to
+ *         schema: { type: string, format: date-time }
+ *         description: Latest movement (inclusive)
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [id, -id], default: id }
+ *         description: Use -id for newest first
+ *     responses:
+ *       200:
+ *         description: A page of stock movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/StockMovement' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor
+ *       404:
+ *         description: Product not found
+ */
+router.get('/products/:stock_code/stock-history', authorize('inventory:read'), asyncHandler('Failed to fetch stock history', async (req, res) => {
+  if (!(await products.exists(req.params.stock_code))) {
+    throw productNotFound(req.params.stock_code);
+  }
+  res.json(await inventory.listMovements(req.params.stock_code, req.query));
+}));
+
+/**
+ * @swagger
+ * /api/inventory/low-stock:
+ *   get:
+ *     summary: Low-stock report
+ *     description: Stock-tracked products, not deleted or discontinued, whose available stock is at or below their reorder point, largest shortfall first
+ *     tags: [Inventory]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 500, default: 100 }
+ *         description: Maximum number of products to return
+ *     responses:
+ *       200:
+ *         description: Products to reorder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/LowStockItem' }
+ *       400:
+ *         description: Invalid limit
+ */
+router.get('/inventory/low-stock', authorize('inventory:read'), asyncHandler('Failed to generate low-stock report', async (req, res) => {
+  res.json(await inventory.getLowStock(parseLimit(req.query.limit, 100)));
+}));
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const invoiceItems = require('../repositories/invoiceItems');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { notFound } = require('../errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/invoice-items:
+ *   get:
+ *     summary: Get all invoice items
+ *     description: Retrieve a page of invoice line items
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: query
+ *         name: invoice_id
+ *         schema: { type: string }
+ *         description: Filter by invoice
+ *       - in: query
+ *         name: stock_code
+ *         schema: { type: string }
+ *         description: Filter by product
+ *       - in: query
+ *         name: min_unit_price
+ *         schema: { type: number }
+ *         description: Minimum unit_price (inclusive)
+ *       - in: query
+ *         name: max_unit_price
+ *         schema: { type: number }
+ *         description: Maximum unit_price (inclusive)
+ *       - in: query
+ *         name: min_quantity
+ *         schema: { type: integer }
+ *         description: Minimum quantity (inclusive)
+ *       - in: query
+ *         name: max_quantity
+ *         schema: { type: integer }
+ *         description: Maximum quantity (inclusive)
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, -id, quantity, -quantity, unit_price, -unit_price, stock_code, -stock_code]
+ *           default: id
+ *         description: Sort column; prefix with - for descending
+ *     responses:
+ *       200:
+ *         description: A page of invoice items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/InvoiceItem' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor
+ */
+router.get('/', authorize('orders:read'), asyncHandler('Failed to fetch invoice items', async (req, res) => {
+  res.json(await invoiceItems.list(req.query));
+}));
+
+/**
+ * @swagger
+ * /api/invoice-items/{id}:
+ *   get:
+ *     summary: Get invoice item by ID
+ *     description: Retrieve invoice line item details
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *         description: The invoice item's unique ID
+ *     responses:
+ *       200:
+ *         description: Invoice item details
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/InvoiceItem' }
+ *       404:
+ *         description: Invoice item not found
+ */
+router.get('/:id', authorize('orders:read'), asyncHandler('Failed to fetch invoice item', async (req, res) => {
+  const item = await invoiceItems.find(req.params.id);
+  if (!item) {
+    throw notFound('Invoice item', `No invoice item found with ID: ${req.params.id}`);
+  }
+  res.json(item);
+}));
+
+module.exports = router;
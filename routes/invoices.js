@@ -0,0 +1,288 @@
+const express = require('express');
+const invoices = require('../repositories/invoices');
+const customers = require('../repositories/customers');
+const orders = require('../services/invoices');
+const audit = require('../services/audit');
+const fx = require('../services/fx');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { badRequest, notFound } = require('../errors');
+
+const router = express.Router();
+
+// Parse a comma-separated ?expand= value, throwing a 400 for any name not
+// in `allowed`. Returns the requested names.
+function parseExpand(value, allowed) {
+  const names = (value || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const invalid = names.filter(name => !allowed.includes(name));
+  if (invalid.length > 0) {
+    throw badRequest(`Unknown expand value(s): ${invalid.join(', ')}`);
+  }
+  return new Set(names);
+}
+
+function invoiceNotFound(invoiceId) {
+  return notFound('Invoice', `No invoice found with ID: ${invoiceId}`);
+}
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   post:
+ *     summary: Create an invoice
+ *     description: >
+ *       Record a new order. The invoice and all of its line items are written
+ *       in a single transaction; if any line is invalid nothing is saved and
+ *       the response lists every offending line. Stock-tracked products must
+ *       have enough available stock, which the order then takes out.
+ *       Promotions in effect today are applied to the lines, along with the
+ *       coupon_code if given; tax is charged on the discounted amounts.
+ *     tags: [Other APIs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceCreate'
+ *     responses:
+ *       201:
+ *         description: Invoice created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvoiceDetail'
+ *       400:
+ *         description: Invalid input, unknown customer, invalid line items or a coupon that cannot be used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     lines:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/LineError' }
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authorize('orders:write'), asyncHandler('Failed to create invoice', async (req, res) => {
+  // The body has already been checked against InvoiceCreate
+  res.status(201).json(await orders.createOrder(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Get all invoices
+ *     description: Retrieve a page of invoices
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [invoice_id, -invoice_id, invoice_date, -invoice_date, customer_id, -customer_id, country, -country]
+ *           default: invoice_id
+ *         description: Sort column; prefix with - for descending
+ *       - in: query
+ *         name: customer_id
+ *         schema: { type: string }
+ *         description: Filter by customer
+ *       - in: query
+ *         name: country
+ *         schema: { type: string }
+ *         description: Filter by country
+ *       - in: query
+ *         name: is_cancelled
+ *         schema: { type: boolean }
+ *         description: Only credit notes (true) or only regular invoices (false)
+ *       - in: query
+ *         name: date_from
+ *         schema: { type: string, format: date-time }
+ *         description: Earliest invoice_date (inclusive)
+ *       - in: query
+ *         name: date_to
+ *         schema: { type: string, format: date-time }
+ *         description: Latest invoice_date (inclusive)
+ *     responses:
+ *       200:
+ *         description: A page of invoices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Invoice' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor
+ */
+router.get('/', authorize('orders:read'), asyncHandler('Failed to fetch invoices', async (req, res) => {
+  res.json(await invoices.list(req.query));
+}));
+
+/**
+ * @swagger
+ * /api/invoices/{invoice_id}:
+ *   get:
+ *     summary: Get invoice by ID
+ *     description: >
+ *       Retrieve invoice details. Use expand to include the line items (with
+ *       line totals, grand total and item count), each line's product record
+ *       and the customer in a single response.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: invoice_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The invoice's unique ID
+ *       - in: query
+ *         name: expand
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items: { type: string, enum: [items, customer, products] }
+ *         description: Related data to embed; products implies items
+ *       - in: query
+ *         name: currency
+ *         schema: { $ref: '#/components/schemas/CurrencyCode' }
+ *         description: >
+ *           Show amounts in this currency, converted at the rate on the
+ *           invoice date. Defaults to the invoice's own currency.
+ *     responses:
+ *       200:
+ *         description: Invoice details
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/InvoiceDetail' }
+ *       400:
+ *         description: Unknown expand value or invalid currency
+ *       404:
+ *         description: Invoice not found
+ *       422:
+ *         description: No exchange rate for the invoice date
+ */
+router.get('/:invoice_id', authorize('orders:read'), asyncHandler('Failed to fetch invoice', async (req, res) => {
+  const expand = parseExpand(req.query.expand, ['items', 'customer', 'products']);
+  const currency = req.query.currency === undefined ? undefined : fx.parseCurrency(req.query.currency);
+
+  let invoice = await invoices.find(req.params.invoice_id);
+  if (!invoice) {
+    throw invoiceNotFound(req.params.invoice_id);
+  }
+
+  const rate = currency === undefined ? 1 : await fx.invoiceRate(invoice, currency);
+  if (expand.has('items') || expand.has('products')) {
+    // Invoices are never deleted, so it is still there
+    invoice = await invoices.getWithItems(invoice.invoice_id, { withProducts: expand.has('products'), rate });
+  }
+  if (currency !== undefined) {
+    invoice.display_currency = currency;
+    invoice.exchange_rate = rate;
+  }
+
+  if (expand.has('customer')) {
+    invoice.customer = await customers.find(invoice.customer_id);
+  }
+
+  res.json(invoice);
+}));
+
+/**
+ * @swagger
+ * /api/invoices/{invoice_id}/items:
+ *   get:
+ *     summary: Get the line items of an invoice
+ *     description: Retrieve every line of an invoice with its line total
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: invoice_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The invoice's unique ID
+ *       - in: query
+ *         name: expand
+ *         schema: { type: string, enum: [products] }
+ *         description: Embed each line's product record
+ *     responses:
+ *       200:
+ *         description: The invoice's line items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/InvoiceLine' }
+ *       400:
+ *         description: Unknown expand value
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:invoice_id/items', authorize('orders:read'), asyncHandler('Failed to fetch invoice items', async (req, res) => {
+  const expand = parseExpand(req.query.expand, ['products']);
+
+  if (!(await invoices.exists(req.params.invoice_id))) {
+    throw invoiceNotFound(req.params.invoice_id);
+  }
+  res.json(await invoices.getItems(req.params.invoice_id, { withProducts: expand.has('products') }));
+}));
+
+/**
+ * @swagger
+ * /api/invoices/{invoice_id}/cancel:
+ *   post:
+ *     summary: Cancel an invoice
+ *     description: >
+ *       Cancel an invoice in full or return individual lines. A linked credit
+ *       invoice is created with a "C"-prefixed ID and negative quantities, the
+ *       way the Online Retail dataset records returns, and the original's
+ *       cancellation_status becomes "partial" or "full". A line can never be
+ *       returned beyond its original quantity. Returned units of stock-tracked
+ *       products go back into stock, and the discount they were given is
+ *       taken off the credit.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: invoice_id
+ *         required: true
+ *         schema: { type: string }
+ *         description: The invoice to cancel
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InvoiceCancel'
+ *     responses:
+ *       201:
+ *         description: Credit invoice created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InvoiceDetail'
+ *       400:
+ *         description: Invalid lines, over-return, or the invoice is itself a credit note
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice has already been fully cancelled
+ */
+router.post('/:invoice_id/cancel', authorize('orders:write'), asyncHandler('Failed to cancel invoice', async (req, res) => {
+  const credit = await orders.cancelInvoice(req.params.invoice_id, req.body.lines, audit.contextOf(req));
+  res.status(201).json(credit);
+}));
+
+module.exports = router;
@@ -0,0 +1,579 @@
+const express = require('express');
+const products = require('../repositories/products');
+const productPrices = require('../repositories/productPrices');
+const { parseFilterValue, parseLimit } = require('../repositories/pagination');
+const recommendations = require('../services/recommendations');
+const productService = require('../services/products');
+const categoryService = require('../services/categories');
+const audit = require('../services/audit');
+const transfer = require('../services/productTransfer');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { HttpError, badRequest, notFound } = require('../errors');
+
+const router = express.Router();
+
+const IMPORT_LIMIT = process.env.PRODUCT_IMPORT_MAX_SIZE || '20mb';
+const EXPORT_TYPES = { csv: 'text/csv', json: 'application/json', ndjson: 'application/x-ndjson' };
+// Lowest word similarity a fuzzy search match may have
+const FUZZY_THRESHOLD = Number(process.env.PRODUCT_SEARCH_FUZZY_THRESHOLD || 0.3);
+
+// Write to a streaming response, waiting whenever the client falls behind.
+// Resolves to false once the client has gone away.
+function writeChunk(res, chunk) {
+  if (res.destroyed) {
+    return Promise.resolve(false);
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve(true);
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve(!res.destroyed);
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function productNotFound(stockCode) {
+  return notFound('Product', `No product found with stock_code: ${stockCode}`);
+}
+
+/**
+ * @swagger
+ * /api/products:
+ *   post:
+ *     summary: Create a new product
+ *     description: >
+ *       Add a new product to the inventory. Supplying on_hand or reorder_point
+ *       starts stock tracking for the product; an opening on_hand is recorded
+ *       as a receipt in its stock history. A list_price starts the product's
+ *       price history.
+ *     tags: [MAIN APIs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductCreate'
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Product'
+ *                 - type: object
+ *                   properties:
+ *                     stock:
+ *                       allOf: [{ $ref: '#/components/schemas/StockLevels' }]
+ *                       nullable: true
+ *       400:
+ *         description: Invalid input or unknown category
+ *       409:
+ *         description: A product with this stock_code exists, or was deleted and can be restored
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authorize('catalog:write'), asyncHandler('Failed to create product', async (req, res) => {
+  // The body has already been checked against ProductCreate
+  res.status(201).json(await productService.createProduct(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Get all products
+ *     description: Retrieve a page of products
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [stock_code, -stock_code, description, -description, popularity_score, -popularity_score, list_price, -list_price]
+ *           default: stock_code
+ *         description: Sort column; prefix with - for descending
+ *       - in: query
+ *         name: min_popularity
+ *         schema: { type: integer }
+ *         description: Minimum popularity_score (inclusive)
+ *       - in: query
+ *         name: max_popularity
+ *         schema: { type: integer }
+ *         description: Maximum popularity_score (inclusive)
+ *       - in: query
+ *         name: category_id
+ *         schema: { type: integer }
+ *         description: Only products in this category or any of its subcategories
+ *       - in: query
+ *         name: status
+ *         schema: { $ref: '#/components/schemas/Product/properties/status' }
+ *         description: Only active or only discontinued products
+ *     responses:
+ *       200:
+ *         description: A page of products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Product' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor, or an unknown category
+ */
+router.get('/', authorize('catalog:read'), asyncHandler('Failed to fetch products', async (req, res) => {
+  if (req.query.category_id === undefined) {
+    return res.json(await products.list(req.query));
+  }
+
+  const categoryIds = await categoryService.subtreeIds(Number(req.query.category_id));
+  if (!categoryIds) {
+    throw badRequest(`No category found with ID: ${req.query.category_id}`);
+  }
+  res.json(await products.list(req.query, { categoryIds }));
+}));
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Import products
+ *     description: >
+ *       Upsert products from a CSV file (with a header row) or NDJSON (one
+ *       JSON object per line). Each row needs stock_code and description;
+ *       other columns are ignored, so an export can be imported as is. New
+ *       stock codes are inserted and existing ones get the new description.
+ *       Invalid rows are skipped and reported; all other rows are written in
+ *       a single transaction. With dry_run=true nothing is written and the
+ *       report shows what would happen.
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *         description: Report what the import would do without writing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string }
+ *           example: "stock_code,description\n85123A,WHITE HANGING HEART T-LIGHT HOLDER\n"
+ *         application/x-ndjson:
+ *           schema: { type: string }
+ *           example: "{\"stock_code\":\"85123A\",\"description\":\"WHITE HANGING HEART T-LIGHT HOLDER\"}\n"
+ *     responses:
+ *       200:
+ *         description: What was (or with dry_run would be) done with each row
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ImportReport' }
+ *       400:
+ *         description: Empty upload or a CSV header without stock_code and description
+ *       413:
+ *         description: Upload larger than the import limit
+ *       415:
+ *         description: Upload is not text/csv or application/x-ndjson
+ */
+router.post('/import',
+  authorize('catalog:write'),
+  express.text({ type: Object.keys(transfer.IMPORT_TYPES), limit: IMPORT_LIMIT }),
+  asyncHandler('Failed to import products', async (req, res) => {
+    const format = transfer.IMPORT_TYPES[req.is(Object.keys(transfer.IMPORT_TYPES))];
+    if (!format) {
+      throw new HttpError(415, 'Unsupported Media Type', `Send the upload as ${Object.keys(transfer.IMPORT_TYPES).join(' or ')}`);
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw badRequest('The upload is empty');
+    }
+
+    const rows = transfer.parseImport(req.body, format);
+    res.json(await transfer.importProducts(rows, {
+      dryRun: req.query.dry_run === 'true',
+      context: audit.contextOf(req)
+    }));
+  })
+);
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export products
+ *     description: >
+ *       The whole catalog in stock_code order, streamed as it is read. csv
+ *       has a header row; json is a single array; ndjson is one object per line.
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, json, ndjson], default: csv }
+ *         description: Output format
+ *     responses:
+ *       200:
+ *         description: The catalog
+ *         content:
+ *           text/csv:
+ *             schema: { type: string }
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Product' }
+ *           application/x-ndjson:
+ *             schema: { type: string }
+ *       400:
+ *         description: Unknown format
+ */
+router.get('/export', authorize('catalog:read'), asyncHandler('Failed to export products', async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!transfer.EXPORT_FORMATS.includes(format)) {
+    throw badRequest(`format must be one of: ${transfer.EXPORT_FORMATS.join(', ')}`);
+  }
+
+  res.type(EXPORT_TYPES[format]);
+  res.attachment(`products.${format}`);
+  await transfer.exportProducts(format, chunk => writeChunk(res, chunk));
+  res.end();
+}));
+
+/**
+ * @swagger
+ * /api/products/search:
+ *   get:
+ *     summary: Search products
+ *     description: >
+ *       Full-text search over product descriptions, ranked by relevance with
+ *       matches wrapped in &lt;mark&gt; tags. When no description matches the
+ *       words exactly, a trigram similarity search is used instead so that
+ *       misspellings such as "WHITE HART" or "hart holdr" still find results;
+ *       fuzzy results have no highlight.
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, maxLength: 200 }
+ *         description: Search terms (web-search syntax, e.g. "heart -white")
+ *       - in: query
+ *         name: boost
+ *         schema: { type: number, minimum: 0, maximum: 1, default: 0 }
+ *         description: Weight given to popularity_score when ranking (0 = relevance only)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 500, default: 20 }
+ *         description: Maximum number of results
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query: { type: string, example: "hanging heart" }
+ *                 match_type: { type: string, enum: [fulltext, fuzzy], example: fulltext }
+ *                 data:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ProductSearchResult' }
+ *       400:
+ *         description: Missing or invalid parameters
+ */
+router.get('/search', authorize('catalog:read'), asyncHandler('Failed to search products', async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q || q.length > 200) {
+    throw badRequest('q is required and must be at most 200 characters');
+  }
+
+  const boost = req.query.boost !== undefined ? parseFilterValue(req.query.boost, 'number') : 0;
+  if (boost === undefined || boost < 0 || boost > 1) {
+    throw badRequest('boost must be a number between 0 and 1');
+  }
+
+  const limit = parseLimit(req.query.limit, 20);
+
+  const fulltext = await products.searchFullText(q, { boost, limit });
+  if (fulltext.length > 0) {
+    return res.json({ query: q, match_type: 'fulltext', data: fulltext });
+  }
+
+  // Nothing matched word-for-word; fall back to trigram similarity
+  res.json({ query: q, match_type: 'fuzzy', data: await products.searchFuzzy(q, { boost, limit, threshold: FUZZY_THRESHOLD }) });
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}:
+ *   get:
+ *     summary: Get a specific product by ID
+ *     description: Retrieve detailed information about a product
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       200:
+ *         description: Product details
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Product' }
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:stock_code', authorize('catalog:read'), asyncHandler('Failed to fetch product', async (req, res) => {
+  const product = await products.find(req.params.stock_code);
+  if (!product || product.deleted_at) {
+    throw productNotFound(req.params.stock_code);
+  }
+  res.json(product);
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/recommendations:
+ *   get:
+ *     summary: Frequently bought together
+ *     description: >
+ *       Products most often bought on the same invoice as this one, from the
+ *       association rules mined over regular invoices. Rules are precomputed;
+ *       refresh them with POST /api/admin/recommendations/refresh.
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [lift, confidence, support], default: lift }
+ *         description: Rule measure to rank by
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 10 }
+ *         description: Number of products to return
+ *     responses:
+ *       200:
+ *         description: Recommended products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Recommendations'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/ProductRecommendation' }
+ *       400:
+ *         description: Invalid sort or limit
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:stock_code/recommendations', authorize('catalog:read'), asyncHandler('Failed to fetch recommendations', async (req, res) => {
+  const sort = req.query.sort || 'lift';
+  if (!recommendations.RULE_SORTS.includes(sort)) {
+    throw badRequest(`sort must be one of: ${recommendations.RULE_SORTS.join(', ')}`);
+  }
+
+  const limit = req.query.limit !== undefined ? parseFilterValue(req.query.limit, 'integer') : 10;
+  if (limit === undefined || limit < 1 || limit > 100) {
+    throw badRequest('limit must be an integer between 1 and 100');
+  }
+
+  if (!(await products.exists(req.params.stock_code))) {
+    throw productNotFound(req.params.stock_code);
+  }
+
+  const run = await recommendations.getLatestRun();
+  const data = await recommendations.getProductRecommendations(req.params.stock_code, { limit, sort });
+  res.json({
+    run_id: run ? run.id : null,
+    generated_at: run ? run.finished_at : null,
+    data
+  });
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/history:
+ *   get:
+ *     summary: Get product change history
+ *     description: >
+ *       How the product's description and popularity_score changed, newest
+ *       first, including changes made by popularity recomputes. Entries from
+ *       recomputes (actor system, or the caller of the admin endpoint) carry
+ *       only the score, so their description fields are null.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code (deleted products keep their history)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 500, default: 50 }
+ *         description: Maximum number of changes to return
+ *     responses:
+ *       200:
+ *         description: Product changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ProductChange' }
+ *       400:
+ *         description: Invalid limit
+ */
+router.get('/:stock_code/history', authorize('catalog:read'), asyncHandler('Failed to fetch product history', async (req, res) => {
+  const limit = parseLimit(req.query.limit);
+  res.json(await audit.getProductHistory(req.params.stock_code, limit));
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}:
+ *   put:
+ *     summary: Update an existing product
+ *     description: >
+ *       Modify product details. A new list_price is added to the product's
+ *       price history; attributes, when given, replace all of them.
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductUpdate'
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid input, no fields given, or an unknown category
+ *       404:
+ *         description: Product not found
+ */
+router.put('/:stock_code', authorize('catalog:write'), asyncHandler('Failed to update product', async (req, res) => {
+  const product = await productService.updateProduct(req.params.stock_code, req.body, audit.contextOf(req));
+  if (!product) {
+    throw productNotFound(req.params.stock_code);
+  }
+  res.json(product);
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}:
+ *   delete:
+ *     summary: Delete a product
+ *     description: >
+ *       Take a product out of the catalog. It is kept for the invoices that
+ *       refer to it and can be restored, but can no longer be found, ordered
+ *       or added to carts.
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       204:
+ *         description: Product deleted successfully
+ *       404:
+ *         description: Product not found
+ */
+router.delete('/:stock_code', authorize('catalog:write'), asyncHandler('Failed to delete product', async (req, res) => {
+  const deleted = await productService.deleteProduct(req.params.stock_code, audit.contextOf(req));
+  if (!deleted) {
+    throw productNotFound(req.params.stock_code);
+  }
+  res.status(204).end();
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/restore:
+ *   post:
+ *     summary: Restore a deleted product
+ *     description: Put a deleted product back in the catalog as it was
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       200:
+ *         description: The restored product
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Product' }
+ *       404:
+ *         description: No deleted product has this stock code
+ */
+router.post('/:stock_code/restore', authorize('catalog:write'), asyncHandler('Failed to restore product', async (req, res) => {
+  const product = await productService.restoreProduct(req.params.stock_code, audit.contextOf(req));
+  if (!product) {
+    throw notFound('Product', `No deleted product found with stock_code: ${req.params.stock_code}`);
+  }
+  res.json(product);
+}));
+
+/**
+ * @swagger
+ * /api/products/{stock_code}/prices:
+ *   get:
+ *     summary: Get a product's price history
+ *     description: Every list price the product has had, newest first
+ *     tags: [MAIN APIs]
+ *     parameters:
+ *       - in: path
+ *         name: stock_code
+ *         required: true
+ *         schema: { type: string }
+ *         description: The product's unique stock code
+ *     responses:
+ *       200:
+ *         description: List prices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/ProductPrice' }
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:stock_code/prices', authorize('catalog:read'), asyncHandler('Failed to fetch price history', async (req, res) => {
+  if (!(await products.exists(req.params.stock_code))) {
+    throw productNotFound(req.params.stock_code);
+  }
+  res.json(await productPrices.list(req.params.stock_code));
+}));
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const promotionService = require('../services/promotions');
+const promotions = require('../repositories/promotions');
+const audit = require('../services/audit');
+const { isoDate } = require('../repositories/dates');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+const { notFound } = require('../errors');
+
+const router = express.Router();
+
+function promotionNotFound(id) {
+  return notFound('Promotion', `No promotion found with ID: ${id}`);
+}
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get all promotions
+ *     description: Newest first, with how many invoices each has been used on
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         description: Only the promotions in effect today
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Promotions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Promotion' }
+ *   post:
+ *     summary: Create a promotion
+ *     description: >
+ *       A percentage off the lines, a fixed amount off the order, or free
+ *       units of a product. Promotions without a coupon_code are applied to
+ *       every eligible order placed while they are in effect; the others
+ *       only to orders giving the code.
+ *     tags: [Other APIs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PromotionCreate' }
+ *     responses:
+ *       201:
+ *         description: Promotion created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Promotion' }
+ *       400:
+ *         description: Invalid input, fields that do not fit the discount_type, or an unknown product or customer
+ *       409:
+ *         description: Another promotion already has this coupon_code
+ */
+router.get('/', authorize('catalog:read'), asyncHandler('Failed to fetch promotions', async (req, res) => {
+  res.json(await promotions.list(req.query.active === 'true' ? { activeOn: isoDate(new Date()) } : {}));
+}));
+
+router.post('/', authorize('catalog:write'), asyncHandler('Failed to create promotion', async (req, res) => {
+  res.status(201).json(await promotionService.createPromotion(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get a promotion
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The promotion
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Promotion' }
+ *       404:
+ *         description: Promotion not found
+ *   put:
+ *     summary: Update a promotion
+ *     description: >
+ *       Change any of its fields. Invoices already discounted keep the
+ *       discount they were given; set valid_to to end a promotion early.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PromotionUpdate' }
+ *     responses:
+ *       200:
+ *         description: The updated promotion
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Promotion' }
+ *       400:
+ *         description: Invalid input, fields that do not fit the discount_type, or an unknown product or customer
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: Another promotion already has this coupon_code
+ *   delete:
+ *     summary: Delete a promotion
+ *     description: Only promotions no invoice has been discounted by can be deleted
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Promotion deleted
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: The promotion has been used
+ */
+router.get('/:id', authorize('catalog:read'), asyncHandler('Failed to fetch promotion', async (req, res) => {
+  const promotion = await promotions.find(Number(req.params.id));
+  if (!promotion) {
+    throw promotionNotFound(req.params.id);
+  }
+  res.json(promotion);
+}));
+
+router.put('/:id', authorize('catalog:write'), asyncHandler('Failed to update promotion', async (req, res) => {
+  const promotion = await promotionService.updatePromotion(Number(req.params.id), req.body, audit.contextOf(req));
+  if (!promotion) {
+    throw promotionNotFound(req.params.id);
+  }
+  res.json(promotion);
+}));
+
+router.delete('/:id', authorize('catalog:write'), asyncHandler('Failed to delete promotion', async (req, res) => {
+  const promotion = await promotionService.deletePromotion(Number(req.params.id), audit.contextOf(req));
+  if (!promotion) {
+    throw promotionNotFound(req.params.id);
+  }
+  res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const invoices = require('../repositories/invoices');
+const { merchandiseOnly } = require('../repositories/products');
+const fx = require('../services/fx');
+const { authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/sales/monthly:
+ *   get:
+ *     summary: Get monthly sales report
+ *     description: >
+ *       Retrieve aggregated sales data by calendar month. Credit-note invoices
+ *       carry negative quantities, so returns are netted out of total_sales.
+ *       See /api/analytics/sales for other bucket sizes and filters.
+ *     tags: [Other APIs]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Currency'
+ *     responses:
+ *       200:
+ *         description: Monthly sales data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/MonthlySales' }
+ *       400:
+ *         description: Invalid currency
+ *       422:
+ *         description: No exchange rate for some of the invoices covered
+ */
+router.get('/monthly', authorize('analytics:read'), asyncHandler('Failed to generate sales report', async (req, res) => {
+  const currency = fx.parseCurrency(req.query.currency);
+  await fx.assertConvertible(currency, [merchandiseOnly('ii.stock_code')], []);
+  res.json(await invoices.monthlySales(currency));
+}));
+
+module.exports = router;
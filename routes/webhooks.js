@@ -0,0 +1,343 @@
+const express = require('express');
+const webhookService = require('../services/webhooks');
+const webhooks = require('../repositories/webhooks');
+const audit = require('../services/audit');
+const { asyncHandler } = require('../middleware/errors');
+const { notFound } = require('../errors');
+
+const router = express.Router();
+
+function webhookNotFound(id) {
+  return notFound('Webhook', `No webhook found with ID: ${id}`);
+}
+
+function deliveryNotFound(id, deliveryId) {
+  return notFound('Delivery', `Webhook ${id} has no delivery with ID: ${deliveryId}`);
+}
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhooks
+ *     description: Oldest first. Secrets are never returned after creation or rotation.
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Webhook' }
+ *   post:
+ *     summary: Create a webhook
+ *     description: >
+ *       Subscribe a URL to events. Each event is POSTed as JSON (a
+ *       WebhookEvent) once the change that raised it is committed, with
+ *       headers X-Webhook-Id (the event id), X-Webhook-Event,
+ *       X-Webhook-Delivery and X-Webhook-Signature:
+ *       "t=<unix seconds>,v1=<signature>", where the signature is the hex
+ *       HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook's secret.
+ *       Any 2xx response acknowledges the event. Otherwise it is retried
+ *       after WEBHOOK_RETRY_BASE_SECONDS (60 by default), doubling each time,
+ *       until WEBHOOK_MAX_ATTEMPTS (8) attempts have failed. The response is
+ *       the only time the secret is shown.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WebhookCreate' }
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookCreated' }
+ *       400:
+ *         description: Invalid input
+ */
+router.get('/', asyncHandler('Failed to fetch webhooks', async (req, res) => {
+  res.json(await webhooks.list());
+}));
+
+router.post('/', asyncHandler('Failed to create webhook', async (req, res) => {
+  res.status(201).json(await webhookService.createSubscription(req.body, audit.contextOf(req)));
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The webhook
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Webhook' }
+ *       404:
+ *         description: Webhook not found
+ *   put:
+ *     summary: Update a webhook
+ *     description: >
+ *       Change its URL, events or description, or pause it with active
+ *       false. Deliveries already queued go to the new URL; while a webhook
+ *       is inactive no new events are queued for it and queued ones wait.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WebhookUpdate' }
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Webhook' }
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Its delivery log is deleted with it, and nothing queued is sent
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', asyncHandler('Failed to fetch webhook', async (req, res) => {
+  const webhook = await webhooks.find(Number(req.params.id));
+  if (!webhook) {
+    throw webhookNotFound(req.params.id);
+  }
+  res.json(webhook);
+}));
+
+router.put('/:id', asyncHandler('Failed to update webhook', async (req, res) => {
+  const webhook = await webhookService.updateSubscription(Number(req.params.id), req.body, audit.contextOf(req));
+  if (!webhook) {
+    throw webhookNotFound(req.params.id);
+  }
+  res.json(webhook);
+}));
+
+router.delete('/:id', asyncHandler('Failed to delete webhook', async (req, res) => {
+  const webhook = await webhookService.deleteSubscription(Number(req.params.id), audit.contextOf(req));
+  if (!webhook) {
+    throw webhookNotFound(req.params.id);
+  }
+  res.status(204).end();
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate a webhook's secret
+ *     description: >
+ *       Issue a new signing secret. Everything sent from now on, including
+ *       retries of earlier events, is signed with it.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The webhook with its new secret
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookCreated' }
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', asyncHandler('Failed to rotate webhook secret', async (req, res) => {
+  const webhook = await webhookService.rotateSecret(Number(req.params.id), audit.contextOf(req));
+  if (!webhook) {
+    throw webhookNotFound(req.params.id);
+  }
+  res.json(webhook);
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/ping:
+ *   post:
+ *     summary: Ping a webhook
+ *     description: >
+ *       Send a ping event to the webhook now, to check it is reachable and
+ *       verifies signatures. The delivery is logged and retried like any
+ *       other if it fails.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       201:
+ *         description: The delivery, after the first attempt
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       404:
+ *         description: Webhook not found
+ *       409:
+ *         description: The webhook is inactive
+ */
+router.post('/:id/ping', asyncHandler('Failed to ping webhook', async (req, res) => {
+  const delivery = await webhookService.ping(Number(req.params.id));
+  if (!delivery) {
+    throw webhookNotFound(req.params.id);
+  }
+  res.status(201).json(delivery);
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log
+ *     description: Every event queued for the webhook and how sending it went, newest first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, delivered, failed] }
+ *       - in: query
+ *         name: event_type
+ *         schema: { type: string }
+ *       - in: query
+ *         name: event_id
+ *         schema: { type: string }
+ *         description: Every delivery and replay of one event
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [id, -id], default: -id }
+ *     responses:
+ *       200:
+ *         description: A page of deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Page'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       400:
+ *         description: Invalid limit, sort, filter or cursor
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', asyncHandler('Failed to fetch webhook deliveries', async (req, res) => {
+  const id = Number(req.params.id);
+  if (!(await webhooks.find(id))) {
+    throw webhookNotFound(req.params.id);
+  }
+  res.json(await webhooks.listDeliveries(id, req.query));
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{delivery_id}:
+ *   get:
+ *     summary: Get a webhook delivery
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: delivery_id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: The delivery
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.get('/:id/deliveries/:delivery_id', asyncHandler('Failed to fetch webhook delivery', async (req, res) => {
+  const delivery = await webhooks.findDelivery(Number(req.params.id), Number(req.params.delivery_id));
+  if (!delivery) {
+    throw deliveryNotFound(req.params.id, req.params.delivery_id);
+  }
+  res.json(delivery);
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{delivery_id}/replay:
+ *   post:
+ *     summary: Replay a webhook delivery
+ *     description: >
+ *       Send the delivery's event again now, as a new delivery with the same
+ *       event id and payload, whatever became of the original; for example
+ *       once a receiver that kept failing has been fixed. The new delivery
+ *       is retried like any other if it fails.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: delivery_id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       201:
+ *         description: The new delivery, after the first attempt
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WebhookDelivery' }
+ *       404:
+ *         description: Webhook or delivery not found
+ *       409:
+ *         description: The webhook is inactive
+ */
+router.post('/:id/deliveries/:delivery_id/replay', asyncHandler('Failed to replay webhook delivery', async (req, res) => {
+  const delivery = await webhookService.replay(Number(req.params.id), Number(req.params.delivery_id));
+  if (!delivery) {
+    throw deliveryNotFound(req.params.id, req.params.delivery_id);
+  }
+  res.status(201).json(delivery);
+}));
+
+module.exports = router;
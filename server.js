@@ -0,0 +1,53 @@
+require('dotenv').config();
+const pool = require('./db');
+const { createApp } = require('./app');
+const migrations = require('./migrations');
+const popularity = require('./services/popularity');
+const recommendations = require('./services/recommendations');
+const carts = require('./services/carts');
+const webhooks = require('./services/webhooks');
+
+const app = createApp();
+const PORT = process.env.PORT || 3000;
+
+// Check the database before accepting requests: it must be reachable and
+// have every migration applied, or queries would fail once traffic arrives
+async function start() {
+  try {
+    await pool.query('SELECT NOW()');
+    console.log('✅ Database connected successfully');
+  } catch (err) {
+    console.error('❌ Database connection failed:', err.message);
+    process.exit(1);
+  }
+
+  const schema = await migrations.check();
+  if (schema.pending.length > 0) {
+    console.error(
+      `❌ Database schema is at version ${schema.current} but this build needs ${schema.expected} ` +
+      `(pending: ${schema.pending.join(', ')}). Run \`npm run migrate up\` first.`
+    );
+    process.exit(1);
+  }
+
+  popularity.startSchedule(Number(process.env.POPULARITY_RECOMPUTE_INTERVAL_MINUTES || 1440));
+  recommendations.startSchedule(Number(process.env.RECOMMENDATIONS_REFRESH_INTERVAL_MINUTES || 1440));
+  carts.startSchedule(Number(process.env.CART_EXPIRY_INTERVAL_MINUTES || 15));
+  webhooks.startSchedule(Number(process.env.WEBHOOK_DELIVERY_INTERVAL_MINUTES || 1));
+
+  app.listen(PORT, () => {
+    console.log(`
+  Online Retail API 
+  =================
+  Environment: ${process.env.NODE_ENV || 'development'}
+  API URL: http://localhost:${PORT}
+  Documentation: http://localhost:${PORT}/api-docs
+  Health Check: http://localhost:${PORT}/health
+  `);
+  });
+}
+
+start().catch(err => {
+  console.error('❌ Startup failed:', err.message);
+  process.exit(1);
+});
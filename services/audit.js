@@ -0,0 +1,128 @@
+const pool = require('../db');
+const { listPage } = require('../repositories/pagination');
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+// Context for changes made by background jobs rather than a request
+const SYSTEM = { actor: 'system', actor_name: null, actor_role: null, route: null };
+
+// Who made the request and through which route. API keys are identified by
+// ID since key names need not be unique. A router's root route ('/') is
+// recorded without the trailing slash.
+function contextOf(req) {
+  const { auth } = req;
+  const path = req.route.path === '/' ? '' : req.route.path;
+  return {
+    actor: auth.key_id ? `key:${auth.key_id}` : auth.name,
+    actor_name: auth.name,
+    actor_role: auth.role,
+    route: `${req.method} ${req.baseUrl}${path}`
+  };
+}
+
+// Record one change. Call it with the client of the transaction making the
+// change, so the entry is committed (or rolled back) along with it.
+// `context` comes from contextOf(req), or is SYSTEM.
+async function record(db, context, { action, entityType, entityId, before = null, after = null }) {
+  const { actor, actor_name, actor_role, route } = context;
+  await db.query(
+    `INSERT INTO audit_log (actor, actor_name, actor_role, route, action, entity_type, entity_id, before, after)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      actor,
+      actor_name,
+      actor_role,
+      route,
+      action,
+      entityType,
+      String(entityId),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after)
+    ]
+  );
+}
+
+// Remove `fields` from the before and after snapshots of every entry for
+// an entity, for data that may no longer be kept. With `upTo`, only entries
+// up to that entry ID are changed.
+async function redact(db, entityType, entityId, fields, { upTo = null } = {}) {
+  const without = column => fields.reduce((sql, _, index) => `${sql} - $${index + 4}::TEXT`, column);
+  await db.query(
+    `UPDATE audit_log
+     SET before = ${without('before')}, after = ${without('after')}
+     WHERE entity_type = $1 AND entity_id = $2 AND ($3::BIGINT IS NULL OR id <= $3)`,
+    [entityType, String(entityId), upTo, ...fields]
+  );
+}
+
+// Entities deleted by merging them into `entityId`, directly or into one
+// merged into it in turn, as recorded by a delete entry whose before
+// snapshot has `merged_into`. Returns [{ entity_id, merged_at }] where
+// merged_at is the ID of that delete entry.
+async function findMergedInto(db, entityType, entityId) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE merged AS (
+       SELECT entity_id, id AS merged_at
+       FROM audit_log
+       WHERE entity_type = $1 AND action = 'delete' AND before->>'merged_into' = $2
+       UNION
+       SELECT a.entity_id, a.id
+       FROM audit_log a
+       JOIN merged m ON a.before->>'merged_into' = m.entity_id AND a.id < m.merged_at
+       WHERE a.entity_type = $1 AND a.action = 'delete'
+     )
+     SELECT entity_id, merged_at FROM merged ORDER BY merged_at`,
+    [entityType, String(entityId)]
+  );
+  return rows;
+}
+
+// How a product's description and popularity_score changed, newest first
+async function getProductHistory(stockCode, limit) {
+  const { rows } = await pool.query(
+    `SELECT id, occurred_at, actor, actor_name, route, action,
+            before->>'description' AS description_before,
+            after->>'description' AS description_after,
+            (before->>'popularity_score')::INTEGER AS popularity_score_before,
+            (after->>'popularity_score')::INTEGER AS popularity_score_after
+     FROM audit_log
+     WHERE entity_type = 'product' AND entity_id = $1
+     ORDER BY id DESC
+     LIMIT $2`,
+    [stockCode, limit]
+  );
+  return rows;
+}
+
+const LIST = {
+  table: 'audit_log',
+  key: 'id',
+  defaultSort: '-id',
+  sortable: {
+    id: 'id'
+  },
+  filters: {
+    entity_type: { column: 'entity_type', op: '=', type: 'string' },
+    entity_id: { column: 'entity_id', op: '=', type: 'string' },
+    actor: { column: 'actor', op: '=', type: 'string' },
+    action: { column: 'action', op: '=', type: 'string', values: ACTIONS },
+    date_from: { column: 'occurred_at', op: '>=', type: 'date' },
+    date_to: { column: 'occurred_at', op: '<=', type: 'date' }
+  }
+};
+
+// A page of the audit log, newest first by default
+function list(query) {
+  return listPage(LIST, query);
+}
+
+module.exports = {
+  ACTIONS,
+  SYSTEM,
+  contextOf,
+  record,
+  redact,
+  findMergedInto,
+  getProductHistory,
+  list
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const audit = require('./audit');
+
+// What each role may do. Routes ask for a permission, never for a role.
+const ROLE_PERMISSIONS = {
+  'read-only': ['catalog:read', 'customers:read', 'orders:read', 'inventory:read'],
+  analyst: ['catalog:read', 'customers:read', 'orders:read', 'inventory:read', 'analytics:read'],
+  'catalog-editor': ['catalog:read', 'catalog:write', 'customers:read', 'orders:read', 'inventory:read', 'inventory:write'],
+  admin: [
+    'catalog:read', 'catalog:write', 'customers:read', 'customers:write', 'orders:read', 'orders:write',
+    'inventory:read', 'inventory:write', 'analytics:read', 'admin'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const KEY_PREFIX = 'rk_';
+const DEFAULT_TOKEN_TTL = '1h';
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// A new secret key. Only its hash is stored; the first characters are kept
+// so a key can be recognised in listings.
+function generateKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, prefix: key.slice(0, 11), hash: hashKey(key) };
+}
+
+function jwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+// The key's public fields; the hash never leaves the database layer
+const KEY_COLUMNS = 'id, name, role, key_prefix, created_at, last_used_at, revoked_at, rotated_from';
+
+async function insertKey(db, { name, role, rotatedFrom = null }) {
+  const { key, prefix, hash } = generateKey();
+  const { rows } = await db.query(
+    `INSERT INTO api_keys (name, role, key_prefix, key_hash, rotated_from)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${KEY_COLUMNS}`,
+    [name, role, prefix, hash, rotatedFrom]
+  );
+  return { record: rows[0], key };
+}
+
+async function deactivateKey(db, id) {
+  const { rows } = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Create a key and return its record along with the secret, which is shown
+// to the caller once and cannot be recovered afterwards. `context` is the
+// audit context of the request.
+async function createKey({ name, role }, context) {
+  return pool.withTransaction(async client => {
+    const { record, key } = await insertKey(client, { name, role });
+    await audit.record(client, context, { action: 'create', entityType: 'api_key', entityId: record.id, after: record });
+    return { ...record, key };
+  });
+}
+
+async function listKeys({ includeRevoked = false } = {}) {
+  const { rows } = await pool.query(
+    `SELECT ${KEY_COLUMNS}
+     FROM api_keys
+     ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+     ORDER BY id`
+  );
+  return rows;
+}
+
+// Revoke a key. Returns the revoked key, or null if it does not exist or
+// was already revoked.
+async function revokeKey(id, context) {
+  return pool.withTransaction(async client => {
+    const revoked = await deactivateKey(client, id);
+    if (revoked) {
+      await audit.record(client, context, {
+        action: 'update',
+        entityType: 'api_key',
+        entityId: id,
+        before: { ...revoked, revoked_at: null },
+        after: revoked
+      });
+    }
+    return revoked;
+  });
+}
+
+// Replace a key with a fresh one of the same name and role. The old key
+// stops working immediately. Returns null if the key is not active.
+async function rotateKey(id, context) {
+  return pool.withTransaction(async client => {
+    const old = await deactivateKey(client, id);
+    if (!old) {
+      return null;
+    }
+    const { record, key } = await insertKey(client, { name: old.name, role: old.role, rotatedFrom: old.id });
+
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'api_key',
+      entityId: id,
+      before: { ...old, revoked_at: null },
+      after: old
+    });
+    await audit.record(client, context, { action: 'create', entityType: 'api_key', entityId: record.id, after: record });
+    return { ...record, key };
+  });
+}
+
+// Resolve an API key to its principal, or null if it is unknown or revoked.
+// ADMIN_API_KEY, when set, is accepted as an admin key so the first real
+// keys can be created.
+async function authenticateKey(key) {
+  const bootstrap = process.env.ADMIN_API_KEY;
+  if (bootstrap && key.length === bootstrap.length &&
+      crypto.timingSafeEqual(Buffer.from(key), Buffer.from(bootstrap))) {
+    return { type: 'api-key', key_id: null, name: 'bootstrap', role: 'admin' };
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     RETURNING id, name, role`,
+    [hashKey(key)]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return { type: 'api-key', key_id: rows[0].id, name: rows[0].name, role: rows[0].role };
+}
+
+// Exchange an authenticated API key principal for a signed bearer token
+// carrying the same role
+function issueToken(principal) {
+  const expiresIn = process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_TTL;
+  const token = jwt.sign(
+    { role: principal.role, name: principal.name, key_id: principal.key_id },
+    jwtSecret(),
+    { algorithm: 'HS256', expiresIn, subject: principal.key_id ? `key:${principal.key_id}` : 'bootstrap' }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { access_token: token, token_type: 'Bearer', expires_in: exp - iat };
+}
+
+// Resolve a bearer token to its principal, or null if it is invalid,
+// expired, or was issued for a key that has since been revoked
+async function authenticateToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, jwtSecret(), { algorithms: ['HS256'] });
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) {
+      return null;
+    }
+    throw err;
+  }
+  if (!ROLES.includes(claims.role)) {
+    return null;
+  }
+
+  if (claims.key_id) {
+    const { rows } = await pool.query(
+      'SELECT 1 FROM api_keys WHERE id = $1 AND revoked_at IS NULL',
+      [claims.key_id]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+  }
+  return { type: 'jwt', key_id: claims.key_id || null, name: claims.name, role: claims.role };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  createKey,
+  listKeys,
+  revokeKey,
+  rotateKey,
+  authenticateKey,
+  issueToken,
+  authenticateToken
+};
@@ -0,0 +1,304 @@
+const db = require('../db');
+const carts = require('../repositories/carts');
+const customers = require('../repositories/customers');
+const products = require('../repositories/products');
+const inventory = require('../repositories/inventory');
+const fxRates = require('../repositories/fxRates');
+const promotions = require('../repositories/promotions');
+const orders = require('./invoices');
+const tax = require('./tax');
+const { applyPromotions } = require('./promotions');
+const { scheduleJob, cancelJob } = require('./scheduler');
+const { badRequest, notFound, conflict, unprocessable } = require('../errors');
+
+const DEFAULT_TTL_MINUTES = 1440;
+
+// How long a cart stays open after its last change, as a Postgres interval
+function ttl() {
+  return `${Number(process.env.CART_TTL_MINUTES || DEFAULT_TTL_MINUTES)} minutes`;
+}
+
+function cartNotFound(cartId) {
+  return notFound('Cart', `No cart found with ID: ${cartId}`);
+}
+
+function closed(cart) {
+  switch (cart.status) {
+    case 'checked_out':
+      return conflict(`Cart ${cart.id} has already been checked out as invoice ${cart.invoice_id}`);
+    case 'expired':
+      return conflict(`Cart ${cart.id} expired at ${cart.expires_at.toISOString()}`);
+    default:
+      return conflict(`Cart ${cart.id} has been ${cart.status}`);
+  }
+}
+
+// Give back the stock the cart's lines hold
+async function release(client, cartId) {
+  const held = (await carts.getItems(cartId, client)).filter(item => item.reserved > 0);
+  await inventory.lockStock(client, held.map(item => item.stock_code));
+  for (const item of held) {
+    await inventory.reserve(client, item.stock_code, -item.reserved);
+  }
+  await carts.clearReserved(client, cartId);
+}
+
+async function expire(client, cart) {
+  await release(client, cart.id);
+  return carts.setStatus(client, cart.id, 'expired');
+}
+
+// Run `work(client, cart)` with the cart locked, provided it is still open.
+// A cart that has lapsed since it was last swept is expired first, and that
+// is committed before the 409 so its stock is not left held.
+async function withOpenCart(cartId, work) {
+  const outcome = await db.withTransaction(async client => {
+    const cart = await carts.findForUpdate(client, cartId);
+    if (!cart) {
+      throw cartNotFound(cartId);
+    }
+    if (cart.status === 'expired') {
+      return { lapsed: await expire(client, cart) };
+    }
+    if (cart.status !== 'open') {
+      throw closed(cart);
+    }
+    return { result: await work(client, cart) };
+  });
+  if (outcome.lapsed) {
+    throw closed(outcome.lapsed);
+  }
+  return outcome.result;
+}
+
+// A cart with its lines and what checking it out now would cost: the prices
+// snapshotted when each line was added, less the promotions in effect
+// today, plus tax under today's rules. Tax is null while any line has no
+// rule to be taxed under. Returns null if there is no such cart.
+async function getCart(cartId, client) {
+  const cart = await carts.find(cartId, client);
+  if (!cart) {
+    return null;
+  }
+
+  const items = (await carts.getItems(cartId, client)).map(item => ({ ...item, unit_price: Number(item.unit_price) }));
+  const customer = await customers.find(cart.customer_id, client);
+  const country = cart.country || customer.country;
+  const categories = await products.findMany(client || db, items.map(item => item.stock_code));
+  const assessment = await tax.assess(client || db, {
+    country,
+    vatNumber: customer.vat_number,
+    categories: new Map([...categories.values()].map(product => [product.stock_code, product.tax_category]))
+  });
+  const { discounts, lineDiscounts, couponProblem } = await applyPromotions(client || db, {
+    customerId: cart.customer_id,
+    country,
+    currency: fxRates.BASE_CURRENCY,
+    lines: items,
+    couponCode: cart.coupon_code
+  });
+
+  // Summed in whole cents to avoid float error
+  let net = 0;
+  let taxed = 0;
+  const lines = items.map((item, index) => {
+    const discount = lineDiscounts[index];
+    const lineNet = item.quantity * Math.round(item.unit_price * 100) - Math.round(discount * 100);
+    const rate = assessment.missing.includes(item.stock_code) ? null : assessment.taxFor(item.stock_code).rate;
+    const taxAmount = rate === null ? null : tax.lineTax(item.quantity, item.unit_price, rate, discount);
+    net += lineNet;
+    taxed += Math.round((taxAmount || 0) * 100);
+    return { ...item, discount_amount: discount, line_total: lineNet / 100, tax_rate: rate, tax_amount: taxAmount };
+  });
+  const taxKnown = assessment.missing.length === 0;
+
+  return {
+    ...cart,
+    coupon_problem: couponProblem,
+    currency: fxRates.BASE_CURRENCY,
+    tax_treatment: assessment.treatment,
+    items: lines,
+    item_count: lines.reduce((sum, line) => sum + line.quantity, 0),
+    discounts,
+    discount_amount: discounts.reduce((sum, discount) => sum + Math.round(discount.amount * 100), 0) / 100,
+    total_amount: net / 100,
+    tax_amount: taxKnown ? taxed / 100 : null,
+    gross_amount: taxKnown ? (net + taxed) / 100 : null
+  };
+}
+
+// Open an empty cart. `country`, when given, is where the order ships and
+// is taxed; otherwise the customer's country is used.
+async function createCart({ customer_id, country = null }) {
+  return db.withTransaction(async client => {
+    if (!(await customers.find(customer_id, client))) {
+      throw badRequest(`No customer found with ID: ${customer_id}`);
+    }
+    const cart = await carts.insert(client, { customerId: customer_id, country, ttl: ttl() });
+    return getCart(cart.id, client);
+  });
+}
+
+// Set a line to `quantity`, holding that much of a stock-tracked product.
+// A new line takes the product's list price, or the price it last sold at
+// if it has none, and keeps it.
+async function saveLine(client, cart, stockCode, quantity, line) {
+  let unitPrice = line && line.unit_price;
+  if (!line) {
+    const product = await products.find(stockCode, client);
+    if (!product || product.deleted_at) {
+      throw badRequest(`No product found with stock_code: ${stockCode}`);
+    }
+    if (product.status === 'discontinued') {
+      throw badRequest(`Product ${stockCode} is discontinued`);
+    }
+    unitPrice = product.list_price !== null
+      ? product.list_price
+      : (await products.latestPrices(client, [stockCode], fxRates.BASE_CURRENCY)).get(stockCode);
+    if (unitPrice === undefined) {
+      throw unprocessable(
+        `No price is known for ${stockCode}: it has no list price and has never been sold in ${fxRates.BASE_CURRENCY}`
+      );
+    }
+  }
+
+  let reserved = 0;
+  const levels = (await inventory.lockStock(client, [stockCode])).get(stockCode);
+  if (levels) {
+    const held = line ? line.reserved : 0;
+    if (quantity - held > levels.available) {
+      throw conflict(`Insufficient stock for ${stockCode}: ${levels.available + held} available`);
+    }
+    await inventory.reserve(client, stockCode, quantity - held);
+    reserved = quantity;
+  }
+
+  await carts.saveItem(client, cart.id, { stockCode, quantity, unitPrice, reserved });
+  await carts.touch(client, cart.id, ttl());
+  return getCart(cart.id, client);
+}
+
+// Add `quantity` of a product, on top of any already in the cart
+async function addLine(cartId, { stock_code, quantity }) {
+  return withOpenCart(cartId, async (client, cart) => {
+    const line = await carts.findItem(client, cartId, stock_code);
+    return saveLine(client, cart, stock_code, quantity + (line ? line.quantity : 0), line);
+  });
+}
+
+// Change the quantity of a line already in the cart
+async function updateLine(cartId, stockCode, quantity) {
+  return withOpenCart(cartId, async (client, cart) => {
+    const line = await carts.findItem(client, cartId, stockCode);
+    if (!line) {
+      throw notFound('Cart line', `Cart ${cartId} has no line for stock_code: ${stockCode}`);
+    }
+    return saveLine(client, cart, stockCode, quantity, line);
+  });
+}
+
+async function removeLine(cartId, stockCode) {
+  return withOpenCart(cartId, async (client, cart) => {
+    const line = await carts.removeItem(client, cartId, stockCode);
+    if (!line) {
+      throw notFound('Cart line', `Cart ${cartId} has no line for stock_code: ${stockCode}`);
+    }
+    if (line.reserved > 0) {
+      await inventory.lockStock(client, [stockCode]);
+      await inventory.reserve(client, stockCode, -line.reserved);
+    }
+    await carts.touch(client, cart.id, ttl());
+    return getCart(cart.id, client);
+  });
+}
+
+// Set the coupon checkout will apply; a null `couponCode` takes it off.
+// Whether it can be used depends on what is in the cart when it is checked
+// out, so until then the cart only reports why not (coupon_problem).
+async function setCoupon(cartId, couponCode) {
+  return withOpenCart(cartId, async (client, cart) => {
+    const coupon = couponCode === null ? null : await promotions.findByCoupon(client, couponCode);
+    if (couponCode !== null && !coupon) {
+      throw badRequest(`Unknown coupon code: ${couponCode}`);
+    }
+    await carts.setCoupon(client, cart.id, coupon && coupon.coupon_code);
+    await carts.touch(client, cart.id, ttl());
+    return getCart(cart.id, client);
+  });
+}
+
+// Close the cart without buying, releasing its stock
+async function abandonCart(cartId) {
+  return withOpenCart(cartId, async (client, cart) => {
+    await release(client, cart.id);
+    return carts.setStatus(client, cart.id, 'abandoned');
+  });
+}
+
+// Turn the cart into an invoice for its customer at the snapshotted prices,
+// discounted by today's promotions and the cart's coupon.
+// The stock the cart held is released and taken out again by the order, all
+// in one transaction, so a failed checkout leaves the cart as it was.
+// Returns the invoice.
+async function checkout(cartId, context) {
+  return withOpenCart(cartId, async (client, cart) => {
+    const items = await carts.getItems(cart.id, client);
+    if (items.length === 0) {
+      throw conflict(`Cart ${cartId} is empty`);
+    }
+
+    await release(client, cart.id);
+    const invoice = await orders.placeOrder(client, {
+      customer_id: cart.customer_id,
+      country: cart.country,
+      coupon_code: cart.coupon_code,
+      items: items.map(item => ({
+        stock_code: item.stock_code,
+        quantity: item.quantity,
+        unit_price: Number(item.unit_price)
+      }))
+    }, context);
+    await carts.setStatus(client, cart.id, 'checked_out', invoice.invoice_id);
+    return invoice;
+  });
+}
+
+// Expire every open cart past its expiry, releasing the stock it held.
+// Returns how many were expired.
+async function expireCarts() {
+  return db.withTransaction(async client => {
+    const lapsed = await carts.lockLapsed(client);
+    for (const cart of lapsed) {
+      await expire(client, cart);
+    }
+    return lapsed.length;
+  });
+}
+
+// Sweep expired carts every `intervalMinutes`
+function startSchedule(intervalMinutes) {
+  scheduleJob('cart expiry', intervalMinutes, async () => {
+    const expired = await expireCarts();
+    if (expired > 0) {
+      console.log(`Expired ${expired} cart(s) left open past their expiry`);
+    }
+  });
+}
+
+function stopSchedule() {
+  cancelJob('cart expiry');
+}
+
+module.exports = {
+  getCart,
+  createCart,
+  addLine,
+  updateLine,
+  removeLine,
+  setCoupon,
+  abandonCart,
+  checkout,
+  expireCarts,
+  startSchedule,
+  stopSchedule
+};
@@ -0,0 +1,146 @@
+const db = require('../db');
+const categories = require('../repositories/categories');
+const audit = require('./audit');
+const { badRequest, conflict } = require('../errors');
+
+// Give each category its `path`, the names from the top of the tree down to
+// it, and sort them by it so subcategories follow their parent
+function withPaths(rows) {
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const pathOf = row => {
+    const path = [];
+    for (let at = row; at; at = byId.get(at.parent_id)) {
+      path.unshift(at.name);
+    }
+    return path;
+  };
+
+  const compare = (a, b) => {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = a[i].localeCompare(b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  };
+  return rows.map(row => ({ ...row, path: pathOf(row) })).sort((a, b) => compare(a.path, b.path));
+}
+
+// The category's id and the ids of every category below it
+function subtreeOf(rows, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    ids.push(...rows.filter(row => row.parent_id === ids[i]).map(row => row.id));
+  }
+  return ids;
+}
+
+async function listCategories() {
+  return withPaths(await categories.all());
+}
+
+// A category with its path and direct subcategories, or null
+async function getCategory(id, client) {
+  const all = withPaths(await categories.all(client));
+  const category = all.find(row => row.id === id);
+  return category ? { ...category, children: all.filter(row => row.parent_id === id) } : null;
+}
+
+// Ids of the category and all of its subcategories, or null if there is no
+// such category
+async function subtreeIds(id) {
+  const all = await categories.all();
+  return all.some(row => row.id === id) ? subtreeOf(all, id) : null;
+}
+
+// Names are unique among the children of one parent
+async function checkPlacement(client, { name, parentId }, exceptId = null) {
+  const all = await categories.all(client);
+  if (parentId !== null && !all.some(row => row.id === parentId)) {
+    throw badRequest(`No category found with ID: ${parentId}`);
+  }
+  if (exceptId !== null && subtreeOf(all, exceptId).includes(parentId)) {
+    throw badRequest('A category cannot be moved under itself or one of its subcategories');
+  }
+  const clash = all.find(row => row.parent_id === parentId && row.id !== exceptId &&
+    row.name.toLowerCase() === name.toLowerCase());
+  if (clash) {
+    throw conflict(`Category ${clash.id} is already named "${clash.name}" at that level`);
+  }
+}
+
+async function createCategory({ name, parent_id = null }, context) {
+  return db.withTransaction(async client => {
+    await checkPlacement(client, { name, parentId: parent_id });
+    const created = await categories.insert(client, { name, parentId: parent_id });
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'category',
+      entityId: created.id,
+      after: created
+    });
+    return getCategory(created.id, client);
+  });
+}
+
+// Rename or move a category; a null parent_id moves it to the top. Returns
+// null if there is no such category.
+async function updateCategory(id, input, context) {
+  return db.withTransaction(async client => {
+    const current = await categories.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+
+    const category = {
+      name: input.name !== undefined ? input.name : current.name,
+      parentId: input.parent_id !== undefined ? input.parent_id : current.parent_id
+    };
+    await checkPlacement(client, category, id);
+    const updated = await categories.update(client, id, category);
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'category',
+      entityId: id,
+      before: current,
+      after: updated
+    });
+    return getCategory(id, client);
+  });
+}
+
+// Only empty categories can be deleted. Returns the deleted category, or
+// null if there was none.
+async function deleteCategory(id, context) {
+  return db.withTransaction(async client => {
+    const current = await categories.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+
+    const { children, products } = await categories.usage(client, id);
+    if (children > 0) {
+      throw conflict(`Category ${id} has subcategories; move or delete them first`);
+    }
+    if (products > 0) {
+      throw conflict(`Category ${id} has ${products} product(s); move them to another category first`);
+    }
+
+    const deleted = await categories.remove(client, id);
+    await audit.record(client, context, {
+      action: 'delete',
+      entityType: 'category',
+      entityId: id,
+      before: deleted
+    });
+    return deleted;
+  });
+}
+
+module.exports = {
+  listCategories,
+  getCategory,
+  subtreeIds,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,224 @@
+const db = require('../db');
+const customers = require('../repositories/customers');
+const invoices = require('../repositories/invoices');
+const carts = require('../repositories/carts');
+const promotions = require('../repositories/promotions');
+const audit = require('./audit');
+const { notFound, conflict } = require('../errors');
+
+// What erasure removes, from the customer and from their audit entries
+const PERSONAL_FIELDS = ['name', 'email', 'phone', 'vat_number', 'addresses'];
+
+// Request fields and the repository's names for them
+const PROFILE_FIELDS = {
+  country: 'country',
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  vat_number: 'vatNumber'
+};
+
+function profileOf(customer) {
+  return Object.fromEntries(Object.entries(PROFILE_FIELDS).map(([field, key]) => [key, customer[field] ?? null]));
+}
+
+function withoutPersonalData(customer) {
+  return Object.fromEntries(Object.entries(customer).filter(([field]) => !PERSONAL_FIELDS.includes(field)));
+}
+
+// A customer with their addresses, or null
+async function getCustomer(customerId, client) {
+  const customer = await customers.find(customerId, client);
+  return customer && { ...customer, addresses: await customers.getAddresses(customerId, client) };
+}
+
+async function createCustomer(input, context) {
+  return db.withTransaction(async client => {
+    const customer = await customers.insert(client, { customerId: input.customer_id, ...profileOf(input) });
+    const addresses = await customers.replaceAddresses(client, input.customer_id, input.addresses || []);
+    const created = { ...customer, addresses };
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'customer',
+      entityId: input.customer_id,
+      after: created
+    });
+    return created;
+  }).catch(err => {
+    throw err.code === '23505' ? conflict('Customer with this customer_id already exists') : err;
+  });
+}
+
+// Change the given fields; a null clears one, and `addresses`, when given,
+// replaces them all. Returns null if there is no such customer.
+async function updateCustomer(customerId, input, context) {
+  return db.withTransaction(async client => {
+    const locked = await customers.findForUpdate(client, customerId);
+    if (!locked) {
+      return null;
+    }
+    if (locked.erased_at) {
+      throw conflict(`Customer ${customerId}'s personal data has been erased; record new details under a new customer`);
+    }
+
+    const current = await getCustomer(customerId, client);
+    const profile = profileOf(current);
+    for (const [field, key] of Object.entries(PROFILE_FIELDS)) {
+      if (input[field] !== undefined) {
+        profile[key] = input[field];
+      }
+    }
+    const customer = await customers.update(client, customerId, profile);
+    const addresses = input.addresses
+      ? await customers.replaceAddresses(client, customerId, input.addresses)
+      : current.addresses;
+
+    const updated = { ...customer, addresses };
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'customer',
+      entityId: customerId,
+      before: current,
+      after: updated
+    });
+    return updated;
+  });
+}
+
+// Delete a customer with no invoices or carts, along with the personal data in their
+// audit entries. Customers with invoices can be erased instead. Returns the
+// deleted customer, or null if there was none.
+async function deleteCustomer(customerId, context) {
+  return db.withTransaction(async client => {
+    const current = await getCustomer(customerId, client);
+    if (!current) {
+      return null;
+    }
+    await customers.remove(client, customerId);
+
+    await audit.redact(client, 'customer', customerId, PERSONAL_FIELDS);
+    await audit.record(client, context, {
+      action: 'delete',
+      entityType: 'customer',
+      entityId: customerId,
+      before: withoutPersonalData(current)
+    });
+    return current;
+  }).catch(err => {
+    if (err.code === '23503') {
+      throw conflict(`Customer ${customerId} has invoices or carts; erase their personal data instead`);
+    }
+    throw err;
+  });
+}
+
+// Fold duplicate customers into `targetId`: their invoices, carts,
+// promotions and addresses move to the target, which also takes any
+// profile fields it lacks (from the first source that has them), and the
+// duplicates are deleted. Returns { customer, merged, invoices_moved }.
+async function mergeCustomers(targetId, sourceIds, context) {
+  return db.withTransaction(async client => {
+    const ids = [targetId, ...sourceIds];
+    const locked = new Map((await customers.findManyForUpdate(client, ids)).map(row => [row.customer_id, row]));
+    const missing = ids.filter(id => !locked.has(id));
+    if (missing.length > 0) {
+      throw notFound('Customer', `No customer found with ID: ${missing.join(', ')}`);
+    }
+    if (locked.get(targetId).erased_at) {
+      throw conflict(`Customer ${targetId}'s personal data has been erased; merge into another customer`);
+    }
+
+    const before = await getCustomer(targetId, client);
+    const profile = profileOf(before);
+    for (const source of sourceIds.map(id => locked.get(id))) {
+      for (const [key, value] of Object.entries(profileOf(source))) {
+        if (profile[key] === null) {
+          profile[key] = value;
+        }
+      }
+    }
+
+    const sources = [];
+    for (const sourceId of sourceIds) {
+      sources.push(await getCustomer(sourceId, client));
+    }
+    const moved = await invoices.reassignCustomer(client, sourceIds, targetId);
+    await carts.reassignCustomer(client, sourceIds, targetId);
+    await promotions.reassignCustomer(client, sourceIds, targetId);
+    await customers.moveAddresses(client, sourceIds, targetId);
+    for (const source of sources) {
+      await customers.remove(client, source.customer_id);
+      await audit.record(client, context, {
+        action: 'delete',
+        entityType: 'customer',
+        entityId: source.customer_id,
+        before: { ...withoutPersonalData(source), merged_into: targetId }
+      });
+    }
+
+    await customers.update(client, targetId, profile);
+    const after = await getCustomer(targetId, client);
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'customer',
+      entityId: targetId,
+      before,
+      after: { ...after, merged_from: sourceIds }
+    });
+    return { customer: after, merged: sourceIds, invoices_moved: moved };
+  });
+}
+
+// Erase a customer's personal data (see PERSONAL_FIELDS), including from
+// their audit entries and those of the duplicates merged into them. The
+// customer ID and country stay, so their invoices still count in sales
+// reports. Returns the erased customer, or null if there is no such
+// customer.
+async function eraseCustomer(customerId, context) {
+  return db.withTransaction(async client => {
+    const locked = await customers.findForUpdate(client, customerId);
+    if (!locked) {
+      return null;
+    }
+
+    await customers.replaceAddresses(client, customerId, []);
+    const erased = { ...(await customers.erase(client, customerId)), addresses: [] };
+    await audit.redact(client, 'customer', customerId, PERSONAL_FIELDS);
+    // A duplicate's ID may have been used again since it was merged
+    for (const { entity_id, merged_at } of await audit.findMergedInto(client, 'customer', customerId)) {
+      await audit.redact(client, 'customer', entity_id, PERSONAL_FIELDS, { upTo: merged_at });
+    }
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'customer',
+      entityId: customerId,
+      before: withoutPersonalData(locked),
+      after: erased
+    });
+    return erased;
+  });
+}
+
+// Everything held about a customer: their profile and addresses, and every
+// invoice with its lines. Returns null if there is no such customer.
+async function exportCustomer(customerId) {
+  const customer = await getCustomer(customerId);
+  if (!customer) {
+    return null;
+  }
+  const detailed = [];
+  for (const invoiceId of await invoices.idsForCustomer(customerId)) {
+    detailed.push(await invoices.getWithItems(invoiceId));
+  }
+  return { exported_at: new Date().toISOString(), customer, invoices: detailed };
+}
+
+module.exports = {
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  mergeCustomers,
+  eraseCustomer,
+  exportCustomer
+};
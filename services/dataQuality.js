@@ -0,0 +1,113 @@
+const pool = require('../db');
+const products = require('../repositories/products');
+const webhooks = require('../repositories/webhooks');
+const audit = require('./audit');
+
+const DEFAULT_SAMPLE_SIZE = 5;
+
+// Stock codes in the Online Retail dataset that are charges or adjustments
+// rather than goods. The loader flags them as non-merchandise when it first
+// sees them; the report lists any that are still counted as merchandise.
+const KNOWN_NON_MERCHANDISE = [
+  'POST', 'DOT', 'C2', 'M', 'm', 'D', 'S', 'B', 'CRUK', 'PADS',
+  'BANK CHARGES', 'AMAZONFEE', 'ADJUST', 'ADJUST2', 'TEST001', 'TEST002'
+];
+
+// Each rule's `sql` selects the offending rows; the report counts them
+// (with `count`, COUNT(*) by default) and shows the first few in `orderBy`
+// order. `$1` in `sql` is KNOWN_NON_MERCHANDISE.
+const RULES = [
+  {
+    rule: 'negative_quantity',
+    description: 'Invoice lines with a negative quantity on a regular (not cancelled) invoice',
+    entity: 'invoice_item',
+    sql: `SELECT ii.id, ii.invoice_id, ii.stock_code, ii.quantity, ii.unit_price
+          FROM invoice_items ii
+          JOIN invoices i ON i.invoice_id = ii.invoice_id
+          WHERE ii.quantity < 0 AND NOT i.is_cancelled`,
+    orderBy: 'id'
+  },
+  {
+    rule: 'non_positive_price',
+    description: 'Invoice lines with a zero or negative unit price',
+    entity: 'invoice_item',
+    sql: `SELECT ii.id, ii.invoice_id, ii.stock_code, ii.quantity, ii.unit_price
+          FROM invoice_items ii
+          WHERE ii.unit_price <= 0`,
+    orderBy: 'id'
+  },
+  {
+    rule: 'missing_customer',
+    description: 'Invoices without a customer',
+    entity: 'invoice',
+    sql: `SELECT i.invoice_id, i.invoice_date, i.country, i.is_cancelled
+          FROM invoices i
+          WHERE i.customer_id IS NULL`,
+    orderBy: 'invoice_id'
+  },
+  {
+    rule: 'unflagged_non_merchandise',
+    description: 'Postage, fee and adjustment stock codes still counted as merchandise',
+    entity: 'product',
+    sql: `SELECT p.stock_code, p.description
+          FROM products p
+          WHERE p.is_merchandise AND p.stock_code = ANY($1)`,
+    orderBy: 'stock_code'
+  },
+  {
+    rule: 'duplicate_line',
+    description: 'Invoice lines repeating the stock code, quantity and price of another line on the same invoice',
+    entity: 'invoice_item',
+    sql: `SELECT * FROM (
+            SELECT ii.invoice_id, ii.stock_code, ii.quantity, ii.unit_price, COUNT(*)::INTEGER AS occurrences
+            FROM invoice_items ii
+            GROUP BY ii.invoice_id, ii.stock_code, ii.quantity, ii.unit_price
+          ) lines
+          WHERE occurrences > 1`,
+    orderBy: 'invoice_id, stock_code',
+    // Every copy after the first is a duplicate
+    count: 'SUM(occurrences - 1)'
+  }
+];
+
+// Run every rule. Returns one entry per rule with the number of offending
+// rows and up to `sampleSize` of them.
+async function getReport({ sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+  const rules = [];
+  for (const { rule, description, entity, sql, orderBy, count = 'COUNT(*)' } of RULES) {
+    const params = sql.includes('$1') ? [KNOWN_NON_MERCHANDISE] : [];
+    const counted = await pool.query(
+      `SELECT COALESCE(${count}, 0)::INTEGER AS count FROM (${sql}) offending`,
+      params
+    );
+    const samples = await pool.query(
+      `SELECT * FROM (${sql}) offending ORDER BY ${orderBy} LIMIT $${params.length + 1}`,
+      [...params, sampleSize]
+    );
+    rules.push({ rule, description, entity, count: counted.rows[0].count, samples: samples.rows });
+  }
+  return { generated_at: new Date().toISOString(), rules };
+}
+
+// Flag a product as merchandise or not. Returns the product, or null if
+// there is no such product.
+function setMerchandise(stockCode, isMerchandise, context) {
+  return pool.withTransaction(async client => {
+    const before = await products.findForUpdate(client, stockCode);
+    if (!before || before.is_merchandise === isMerchandise) {
+      return before;
+    }
+
+    const after = await products.setMerchandise(client, stockCode, isMerchandise);
+    await audit.record(client, context, { action: 'update', entityType: 'product', entityId: stockCode, before, after });
+    await webhooks.publish(client, 'product.updated', after);
+    return after;
+  });
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_SIZE,
+  KNOWN_NON_MERCHANDISE,
+  getReport,
+  setMerchandise
+};
@@ -0,0 +1,58 @@
+const fxRates = require('../repositories/fxRates');
+const { badRequest, unprocessable } = require('../errors');
+
+const INVALID_CURRENCY = 'currency must be a three-letter ISO 4217 code, e.g. EUR';
+
+function isCurrencyCode(value) {
+  return typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+}
+
+// Check a ?currency= value, defaulting to the base currency
+function parseCurrency(value) {
+  if (value === undefined) {
+    return fxRates.BASE_CURRENCY;
+  }
+  if (!isCurrencyCode(value)) {
+    throw badRequest(INVALID_CURRENCY);
+  }
+  return value;
+}
+
+function missingRates(currency, details) {
+  return unprocessable(
+    `Cannot convert amounts to ${currency}: ${details}. Load the missing rates with \`retail-etl rates <file>\`.`
+  );
+}
+
+// Throw a 422 unless every invoice line matching `conditions` can be
+// converted into `currency`. Reports must not quietly leave out the lines
+// they cannot convert.
+async function assertConvertible(currency, conditions, params) {
+  const missing = await fxRates.unconvertible(currency, conditions, params);
+  if (missing.length > 0) {
+    const lines = missing.map(({ currency: from, line_count, first_date }) =>
+      `${line_count} ${from} line(s) dated from ${first_date}`);
+    throw missingRates(currency, `no exchange rate for ${lines.join(', ')}`);
+  }
+}
+
+// The factor converting an invoice's amounts into `currency`. Throws a 422
+// when a rate is missing.
+async function invoiceRate(invoice, currency) {
+  if (invoice.currency === currency) {
+    return 1;
+  }
+  const rate = await fxRates.invoiceRate(invoice.invoice_id, currency);
+  if (rate === null) {
+    throw missingRates(currency, `no exchange rate between ${invoice.currency} and ${currency} on the date of invoice ${invoice.invoice_id}`);
+  }
+  return rate;
+}
+
+module.exports = {
+  INVALID_CURRENCY,
+  isCurrencyCode,
+  parseCurrency,
+  assertConvertible,
+  invoiceRate
+};
@@ -0,0 +1,249 @@
+const db = require('../db');
+const customers = require('../repositories/customers');
+const products = require('../repositories/products');
+const invoices = require('../repositories/invoices');
+const invoiceItems = require('../repositories/invoiceItems');
+const inventory = require('../repositories/inventory');
+const fxRates = require('../repositories/fxRates');
+const promotions = require('../repositories/promotions');
+const webhooks = require('../repositories/webhooks');
+const audit = require('./audit');
+const tax = require('./tax');
+const { applyPromotions } = require('./promotions');
+const { badRequest, notFound, conflict } = require('../errors');
+
+function rejectLines(verb, lineErrors) {
+  return badRequest(`${verb} rejected: ${lineErrors.length} invalid line(s)`, { lines: lineErrors });
+}
+
+// Write an order as an invoice inside the caller's transaction. Products
+// must be in the catalog and not discontinued, and stock-tracked ones must
+// have enough available stock, which the order takes out.
+// Invalid lines are reported together as a 400 with a `lines` array. Prices
+// are in `currency`, which must have exchange rates so the order can be
+// reported in other currencies, and are net of tax. The promotions in
+// effect today (and the one with `coupon_code`, which must apply) are taken
+// off the lines, then each line's tax is worked out from the tax rules in
+// effect today; both are stored with the invoice, so later changes leave it
+// as issued. Returns the invoice with items.
+async function placeOrder(client, { customer_id, country, currency = fxRates.BASE_CURRENCY, coupon_code = null, items }, context) {
+  const customer = await customers.find(customer_id, client);
+  if (!customer) {
+    throw badRequest(`No customer found with ID: ${customer_id}`);
+  }
+  if (!(await fxRates.isKnown(currency, client))) {
+    throw badRequest(`No exchange rates are loaded for ${currency}`);
+  }
+
+  const lineErrors = [];
+  const stockCodes = [...new Set(items.map(item => item.stock_code))];
+  const known = await products.findMany(client, stockCodes);
+  const invoiceCountry = country || customer.country;
+  const assessment = await tax.assess(client, {
+    country: invoiceCountry,
+    vatNumber: customer.vat_number,
+    categories: new Map([...known.values()].map(product => [product.stock_code, product.tax_category]))
+  });
+  items.forEach((item, index) => {
+    const product = known.get(item.stock_code);
+    if (!product) {
+      lineErrors.push({ line: index + 1, stock_code: item.stock_code, details: 'Unknown stock_code' });
+    } else if (product.deleted_at) {
+      lineErrors.push({ line: index + 1, stock_code: item.stock_code, details: 'Product has been deleted' });
+    } else if (product.status === 'discontinued') {
+      lineErrors.push({ line: index + 1, stock_code: item.stock_code, details: 'Product is discontinued' });
+    } else if (assessment.missing.includes(item.stock_code)) {
+      const category = known.get(item.stock_code).tax_category;
+      lineErrors.push({
+        line: index + 1,
+        stock_code: item.stock_code,
+        details: `No ${category} tax rule for ${invoiceCountry} is in effect`
+      });
+    }
+  });
+
+  // Held until commit so concurrent orders cannot oversell the same stock
+  const stock = await inventory.lockStock(client, stockCodes);
+  lineErrors.push(...inventory.checkAvailability(stock, items));
+
+  if (lineErrors.length > 0) {
+    lineErrors.sort((a, b) => a.line - b.line);
+    throw rejectLines('Order', lineErrors);
+  }
+
+  const { discounts, lineDiscounts, couponProblem } = await applyPromotions(client, {
+    customerId: customer_id,
+    country: invoiceCountry,
+    currency,
+    lines: items,
+    couponCode: coupon_code
+  });
+  if (couponProblem) {
+    throw badRequest(couponProblem);
+  }
+
+  const invoiceId = await invoices.insert(client, {
+    customerId: customer_id,
+    country: invoiceCountry,
+    currency,
+    taxTreatment: assessment.treatment
+  });
+  const inserted = await invoiceItems.insertMany(client, invoiceId, items.map((item, index) => {
+    const { rule, rate } = assessment.taxFor(item.stock_code);
+    return {
+      ...item,
+      discount_amount: lineDiscounts[index],
+      tax_rule_id: rule && rule.id,
+      tax_rate: rate,
+      tax_amount: tax.lineTax(item.quantity, item.unit_price, rate, lineDiscounts[index])
+    };
+  }));
+  await inventory.recordInvoiceLines(client, invoiceId, inserted);
+  await promotions.recordDiscounts(client, invoiceId, discounts);
+
+  const invoice = await invoices.getWithItems(invoiceId, {}, client);
+  await audit.record(client, context, {
+    action: 'create',
+    entityType: 'invoice',
+    entityId: invoiceId,
+    after: invoice
+  });
+  await webhooks.publish(client, 'invoice.created', invoice);
+  return invoice;
+}
+
+// Record a new order: the invoice and all of its lines are written in one
+// transaction (see placeOrder)
+async function createOrder(order, context) {
+  return db.withTransaction(client => placeOrder(client, order, context)).catch(err => {
+    if (err.code === '23503') {
+      throw badRequest('Invoice references a customer or product that no longer exists');
+    }
+    throw err;
+  });
+}
+
+// Issue a credit note returning some or all of an invoice's lines. With no
+// `requested` lines, everything not yet returned is returned. Returns the
+// credit note.
+async function cancelInvoice(invoiceId, requested, context) {
+  // The shape of each line is checked against InvoiceCancel; only repeats are left
+  const lineErrors = [];
+  const seenItems = new Set();
+  (requested || []).forEach(({ item_id }, index) => {
+    if (seenItems.has(item_id)) {
+      lineErrors.push({ line: index + 1, item_id, details: 'item_id is listed more than once' });
+    }
+    seenItems.add(item_id);
+  });
+  if (lineErrors.length > 0) {
+    throw rejectLines('Cancellation', lineErrors);
+  }
+
+  return db.withTransaction(async client => {
+    // Lock the original so concurrent cancellations see each other's returns
+    const original = await invoices.findForUpdate(client, invoiceId);
+    if (!original) {
+      throw notFound('Invoice', `No invoice found with ID: ${invoiceId}`);
+    }
+    if (original.is_cancelled) {
+      throw badRequest(`Invoice ${invoiceId} is a credit note and cannot be cancelled`);
+    }
+    if (original.cancellation_status === 'full') {
+      throw conflict(`Invoice ${invoiceId} has already been fully cancelled`);
+    }
+
+    const lines = await invoiceItems.remainingLines(client, invoiceId);
+    const linesById = new Map(lines.map(row => [row.id, row]));
+
+    let returns;
+    if (!requested || requested.length === 0) {
+      returns = lines
+        .filter(row => row.remaining > 0)
+        .map(row => ({ item: row, quantity: row.remaining }));
+    } else {
+      returns = [];
+      requested.forEach((entry, index) => {
+        const line = index + 1;
+        const item = linesById.get(entry.item_id);
+
+        if (!item) {
+          lineErrors.push({ line, item_id: entry.item_id, details: `Item does not belong to invoice ${invoiceId}` });
+          return;
+        }
+
+        const quantity = entry.quantity !== undefined ? entry.quantity : item.remaining;
+        if (item.remaining <= 0) {
+          lineErrors.push({ line, item_id: item.id, stock_code: item.stock_code, details: 'Line has already been fully returned' });
+        } else if (quantity > item.remaining) {
+          lineErrors.push({
+            line,
+            item_id: item.id,
+            stock_code: item.stock_code,
+            details: `Cannot return ${quantity}; only ${item.remaining} remaining`
+          });
+        } else {
+          returns.push({ item, quantity });
+        }
+      });
+    }
+
+    if (lineErrors.length > 0) {
+      throw rejectLines('Cancellation', lineErrors);
+    }
+    if (returns.length === 0) {
+      throw conflict(`Invoice ${invoiceId} has nothing left to cancel`);
+    }
+
+    const creditId = await invoices.insertCreditNote(client, original);
+    // Returns are credited at the tax rate originally charged, less their
+    // share of the line's discount; the last units returned take whatever
+    // of it is left, so the credits add up to the discount exactly
+    const creditItems = await invoiceItems.insertMany(client, creditId, returns.map(({ item, quantity }) => {
+      const discountLeft = Math.round(Number(item.discount_remaining) * 100);
+      const discount = (quantity === item.remaining
+        ? discountLeft
+        : Math.round((discountLeft * quantity) / item.remaining)) / 100;
+      return {
+        stock_code: item.stock_code,
+        quantity: -quantity,
+        unit_price: item.unit_price,
+        discount_amount: -discount,
+        original_item_id: item.id,
+        tax_rule_id: item.tax_rule_id,
+        tax_rate: item.tax_rate,
+        tax_amount: item.tax_rate === null
+          ? null
+          : tax.lineTax(-quantity, Number(item.unit_price), Number(item.tax_rate), -discount)
+      };
+    }));
+    await inventory.recordInvoiceLines(client, creditId, creditItems);
+
+    const returnedById = new Map(returns.map(({ item, quantity }) => [item.id, quantity]));
+    const fullyReturned = lines.every(row => row.remaining - (returnedById.get(row.id) || 0) === 0);
+    const updated = await invoices.setCancellationStatus(client, invoiceId, fullyReturned ? 'full' : 'partial');
+
+    const credit = await invoices.getWithItems(creditId, {}, client);
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'invoice',
+      entityId: creditId,
+      after: credit
+    });
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'invoice',
+      entityId: invoiceId,
+      before: original,
+      after: updated
+    });
+    await webhooks.publish(client, 'invoice.cancelled', { invoice: updated, credit_note: credit });
+    return credit;
+  });
+}
+
+module.exports = {
+  placeOrder,
+  createOrder,
+  cancelInvoice
+};
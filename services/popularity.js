@@ -0,0 +1,157 @@
+const pool = require('../db');
+const { scheduleJob, cancelJob } = require('./scheduler');
+const audit = require('./audit');
+const { merchandiseOnly } = require('../repositories/products');
+
+const DEFAULT_WINDOW_DAYS = 90;
+const DEFAULT_HALF_LIFE_DAYS = 30;
+
+// Share of the score from sales volume and from the number of distinct buyers
+const VOLUME_WEIGHT = 0.6;
+const BUYER_WEIGHT = 0.4;
+
+// Any constant works; it only has to be the same for every recompute
+const RECOMPUTE_LOCK_KEY = 80080;
+
+// Recompute popularity_score (0-100) for every product.
+//
+// Only merchandise sold on regular invoices within `windowDays` of the
+// latest sale counts. Each unit sold is weighted by
+// exp(-ln2 * age / halfLifeDays), so a sale loses half its weight every
+// `halfLifeDays`. Decayed volume and distinct buyers are log-scaled against
+// the best product, then blended with VOLUME_WEIGHT and BUYER_WEIGHT.
+// Products without sales in the window (and non-merchandise) score 0.
+//
+// Every score that changes is written to the audit log under `context`
+// (the requesting user's, or audit.SYSTEM for scheduled runs).
+//
+// Returns the finished run, or null if another recompute is in progress.
+async function recomputePopularity({
+  trigger = 'manual',
+  windowDays = DEFAULT_WINDOW_DAYS,
+  halfLifeDays = DEFAULT_HALF_LIFE_DAYS,
+  context = audit.SYSTEM
+} = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [RECOMPUTE_LOCK_KEY]);
+    if (!lock.rows[0].acquired) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const runResult = await client.query(
+      `INSERT INTO popularity_runs (trigger, window_days, half_life_days, volume_weight, buyer_weight)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [trigger, windowDays, halfLifeDays, VOLUME_WEIGHT, BUYER_WEIGHT]
+    );
+    const runId = runResult.rows[0].id;
+
+    await client.query(
+      `CREATE TEMP TABLE popularity_before ON COMMIT DROP AS
+       SELECT stock_code, popularity_score FROM products`
+    );
+
+    const { rowCount } = await client.query(
+      `WITH anchor AS (
+         SELECT MAX(invoice_date) AS as_of FROM invoices WHERE NOT is_cancelled
+       ),
+       sales AS (
+         SELECT ii.stock_code,
+                SUM(ii.quantity * EXP(
+                  -LN(2) * EXTRACT(EPOCH FROM (anchor.as_of - i.invoice_date)) / 86400 / $2::FLOAT8
+                )) AS decayed_units,
+                COUNT(DISTINCT i.customer_id) AS buyers
+         FROM invoice_items ii
+         JOIN invoices i ON i.invoice_id = ii.invoice_id
+         CROSS JOIN anchor
+         WHERE NOT i.is_cancelled
+           AND ii.quantity > 0
+           AND ${merchandiseOnly('ii.stock_code')}
+           AND i.invoice_date > anchor.as_of - make_interval(days => $1::INTEGER)
+         GROUP BY ii.stock_code
+       ),
+       scored AS (
+         SELECT stock_code,
+                ROUND(100 * (
+                  $3::FLOAT8 * COALESCE(LN(1 + decayed_units) / NULLIF(LN(1 + MAX(decayed_units) OVER ()), 0), 0) +
+                  $4::FLOAT8 * COALESCE(LN(1 + buyers) / NULLIF(LN(1 + MAX(buyers) OVER ()), 0), 0)
+                ))::INTEGER AS score
+         FROM sales
+       )
+       UPDATE products p
+       SET popularity_score = COALESCE(scored.score, 0),
+           popularity_computed_at = NOW(),
+           popularity_run_id = $5
+       FROM products target
+       LEFT JOIN scored ON scored.stock_code = target.stock_code
+       WHERE p.stock_code = target.stock_code`,
+      [windowDays, halfLifeDays, VOLUME_WEIGHT, BUYER_WEIGHT, runId]
+    );
+
+    await client.query(
+      `INSERT INTO audit_log (actor, actor_name, actor_role, route, action, entity_type, entity_id, before, after)
+       SELECT $1, $2, $3, $4, 'update', 'product', p.stock_code,
+              jsonb_build_object('popularity_score', b.popularity_score),
+              jsonb_build_object('popularity_score', p.popularity_score, 'popularity_run_id', p.popularity_run_id)
+       FROM products p
+       JOIN popularity_before b ON b.stock_code = p.stock_code
+       WHERE p.popularity_score IS DISTINCT FROM b.popularity_score`,
+      [context.actor, context.actor_name, context.actor_role, context.route]
+    );
+
+    const { rows } = await client.query(
+      `UPDATE popularity_runs
+       SET finished_at = NOW(),
+           products_scored = $1,
+           as_of = (SELECT MAX(invoice_date) FROM invoices WHERE NOT is_cancelled)
+       WHERE id = $2
+       RETURNING *`,
+      [rowCount, runId]
+    );
+
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Most recent runs first
+async function listRuns(limit = 20) {
+  const { rows } = await pool.query(
+    'SELECT * FROM popularity_runs ORDER BY id DESC LIMIT $1',
+    [limit]
+  );
+  return rows;
+}
+
+// Recompute every `intervalMinutes` with the default settings. A value of 0
+// (or less) disables the schedule.
+function startSchedule(intervalMinutes) {
+  scheduleJob('popularity recompute', intervalMinutes, async () => {
+    const run = await recomputePopularity({ trigger: 'scheduled' });
+    if (run) {
+      console.log(`Popularity scores recomputed for ${run.products_scored} products (run ${run.id})`);
+    }
+  });
+}
+
+function stopSchedule() {
+  cancelJob('popularity recompute');
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  DEFAULT_HALF_LIFE_DAYS,
+  recomputePopularity,
+  listRuns,
+  startSchedule,
+  stopSchedule
+};
@@ -0,0 +1,219 @@
+const pool = require('../db');
+const products = require('../repositories/products');
+const webhooks = require('../repositories/webhooks');
+const audit = require('./audit');
+const { badRequest } = require('../errors');
+const { parseCsv, formatRow } = require('../etl/csv');
+
+// Upload types accepted by the import, by Content-Type
+const IMPORT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson'
+};
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+// Columns written by the export. Only stock_code and description are read
+// back on import (scores are computed), so an export can be re-imported.
+const EXPORT_COLUMNS = [
+  'stock_code', 'description', 'category_id', 'list_price', 'status',
+  'popularity_score', 'popularity_computed_at', 'popularity_run_id'
+];
+
+const MAX_STOCK_CODE_LENGTH = 20;
+const IMPORT_BATCH_SIZE = 500;
+
+// Turn an upload into rows of { line, record } or { line, error }. Throws a
+// 400 when the upload as a whole cannot be read.
+function parseImport(text, format) {
+  if (format === 'ndjson') {
+    const rows = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+      if (!raw.trim()) return;
+      const line = index + 1;
+      try {
+        const record = JSON.parse(raw);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          rows.push({ line, error: 'Line is not a JSON object' });
+        } else {
+          rows.push({ line, record });
+        }
+      } catch (err) {
+        rows.push({ line, error: 'Line is not valid JSON' });
+      }
+    });
+    return rows;
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.values.map(name => name.trim().toLowerCase());
+  if (!columns.includes('stock_code') || !columns.includes('description')) {
+    throw badRequest('The CSV header must include stock_code and description columns');
+  }
+  return records.map(({ line, values }) => ({
+    line,
+    record: Object.fromEntries(columns.map((name, index) => [name, values[index]]))
+  }));
+}
+
+// Check one record, returning { stockCode, description } or an error message
+function validateRecord(record) {
+  const stockCode = typeof record.stock_code === 'number' ? String(record.stock_code) : record.stock_code;
+  if (typeof stockCode !== 'string' || !stockCode.trim()) {
+    return { error: 'stock_code is required' };
+  }
+  if (stockCode.trim().length > MAX_STOCK_CODE_LENGTH) {
+    return { error: `stock_code must be at most ${MAX_STOCK_CODE_LENGTH} characters` };
+  }
+  if (typeof record.description !== 'string' || !record.description.trim()) {
+    return { error: 'description is required' };
+  }
+  return { stockCode: stockCode.trim(), description: record.description.trim() };
+}
+
+// Upsert parsed rows by stock_code: new codes are inserted, existing ones
+// get the new description, and deleted ones are reported as errors. Rows
+// that fail validation (or repeat an earlier stock_code) are skipped and
+// reported; the rest are written in a single transaction. With `dryRun`
+// nothing is written and the report says what would happen. The report has
+// one entry in `rows` per uploaded row.
+async function importProducts(rows, { dryRun = false, context }) {
+  const report = [];
+  const valid = [];
+  const seen = new Map();
+
+  for (const row of rows) {
+    const checked = row.error ? { error: row.error } : validateRecord(row.record);
+    const stockCode = checked.stockCode || (row.record && typeof row.record.stock_code === 'string'
+      ? row.record.stock_code
+      : undefined);
+
+    if (checked.error) {
+      report.push({ line: row.line, stock_code: stockCode, action: 'error', details: checked.error });
+    } else if (seen.has(checked.stockCode)) {
+      report.push({
+        line: row.line,
+        stock_code: checked.stockCode,
+        action: 'error',
+        details: `stock_code already appears on line ${seen.get(checked.stockCode)}`
+      });
+    } else {
+      seen.set(checked.stockCode, row.line);
+      const entry = { line: row.line, stock_code: checked.stockCode, action: null };
+      report.push(entry);
+      valid.push({ ...checked, entry });
+    }
+  }
+
+  const apply = async (db, write) => {
+    for (let i = 0; i < valid.length; i += IMPORT_BATCH_SIZE) {
+      const batch = valid.slice(i, i + IMPORT_BATCH_SIZE);
+      const existing = await products.findMany(db, batch.map(row => row.stockCode), { forUpdate: write });
+
+      for (const { stockCode, description, entry } of batch) {
+        const current = existing.get(stockCode);
+        if (current && current.deleted_at) {
+          entry.action = 'error';
+          entry.details = 'Product has been deleted; restore it before importing it';
+        } else if (!current) {
+          entry.action = 'insert';
+          if (write) {
+            const product = await products.insert(db, { stockCode, description });
+            await audit.record(db, context, { action: 'create', entityType: 'product', entityId: stockCode, after: product });
+            await webhooks.publish(db, 'product.created', { ...product, stock: null });
+          }
+        } else if (current.description === description) {
+          entry.action = 'unchanged';
+        } else {
+          entry.action = 'update';
+          if (write) {
+            const product = await products.update(db, stockCode, {
+              description,
+              popularityScore: current.popularity_score,
+              scoreChanged: false,
+              taxCategory: current.tax_category,
+              categoryId: current.category_id,
+              listPrice: current.list_price,
+              attributes: current.attributes,
+              status: current.status
+            });
+            await audit.record(db, context, {
+              action: 'update',
+              entityType: 'product',
+              entityId: stockCode,
+              before: current,
+              after: product
+            });
+            await webhooks.publish(db, 'product.updated', product);
+          }
+        }
+      }
+    }
+    return true;
+  };
+
+  if (dryRun) {
+    await apply(pool, false);
+  } else if (valid.length > 0) {
+    await pool.withTransaction(client => apply(client, true));
+  }
+
+  const count = action => report.filter(entry => entry.action === action).length;
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: report.length,
+      inserted: count('insert'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      failed: count('error')
+    },
+    rows: report
+  };
+}
+
+// Write the whole catalog in `format`, a batch at a time. `write(chunk)`
+// should resolve once the chunk has been accepted, so a slow client slows
+// the export down rather than filling memory, and to false if the output
+// has gone away, which stops the export.
+async function exportProducts(format, write) {
+  let first = true;
+
+  const header = format === 'csv' ? EXPORT_COLUMNS.join(',') + '\r\n' : format === 'json' ? '[' : '';
+  if (header && !(await write(header))) {
+    return;
+  }
+
+  for await (const batch of products.batches()) {
+    const chunk = batch.map(product => {
+      const row = Object.fromEntries(EXPORT_COLUMNS.map(column => [column, product[column]]));
+      if (format === 'csv') {
+        return formatRow(EXPORT_COLUMNS.map(column => row[column]));
+      }
+      if (format === 'ndjson') {
+        return JSON.stringify(row) + '\n';
+      }
+      const separator = first ? '\n' : ',\n';
+      first = false;
+      return separator + JSON.stringify(row);
+    }).join('');
+    if (!(await write(chunk))) {
+      return;
+    }
+  }
+
+  if (format === 'json') {
+    await write(first ? ']' : '\n]');
+  }
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  EXPORT_FORMATS,
+  parseImport,
+  importProducts,
+  exportProducts
+};
@@ -0,0 +1,165 @@
+const db = require('../db');
+const products = require('../repositories/products');
+const productPrices = require('../repositories/productPrices');
+const categories = require('../repositories/categories');
+const inventory = require('../repositories/inventory');
+const webhooks = require('../repositories/webhooks');
+const audit = require('./audit');
+const { badRequest, conflict } = require('../errors');
+
+// Fields an update may change
+const UPDATE_FIELDS = ['description', 'popularity_score', 'tax_category', 'category_id', 'list_price', 'attributes', 'status'];
+
+async function checkCategory(client, categoryId) {
+  if (categoryId != null && !(await categories.find(categoryId, client))) {
+    throw badRequest(`No category found with ID: ${categoryId}`);
+  }
+}
+
+// Create a product from a checked ProductCreate body. Giving on_hand or
+// reorder_point starts stock tracking, with an opening on_hand received
+// into stock. Returns the product with its stock levels (null if untracked).
+async function createProduct(input, context) {
+  const { stock_code, description, tax_category, category_id, list_price, attributes, status, on_hand, reorder_point } = input;
+
+  return db.withTransaction(async client => {
+    const existing = await products.find(stock_code, client);
+    if (existing && existing.deleted_at) {
+      throw conflict(`Product ${stock_code} was deleted; restore it with POST /api/products/${stock_code}/restore`);
+    }
+    await checkCategory(client, category_id);
+
+    const product = await products.insert(client, {
+      stockCode: stock_code,
+      description,
+      taxCategory: tax_category,
+      categoryId: category_id,
+      listPrice: list_price,
+      attributes,
+      status
+    });
+    if (list_price != null) {
+      await productPrices.record(client, stock_code, list_price);
+    }
+
+    let stock = null;
+    if (on_hand !== undefined || reorder_point !== undefined) {
+      await inventory.track(client, stock_code, reorder_point || 0);
+      if (on_hand > 0) {
+        await inventory.recordMovement(client, {
+          stockCode: stock_code,
+          type: 'receipt',
+          quantity: on_hand,
+          note: 'Opening stock'
+        });
+      }
+      stock = await inventory.getStockLevels(client, stock_code);
+    }
+
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'product',
+      entityId: stock_code,
+      after: { ...product, stock }
+    });
+    await webhooks.publish(client, 'product.created', { ...product, stock });
+    return { ...product, stock };
+  }).catch(err => {
+    throw err.code === '23505' ? conflict('Product with this stock_code already exists') : err;
+  });
+}
+
+// Change the given UPDATE_FIELDS; a new list price is added to the price
+// history. Returns null if there is no such product, or it was deleted.
+async function updateProduct(stockCode, input, context) {
+  const given = (field, current) => (input[field] !== undefined ? input[field] : current);
+
+  return db.withTransaction(async client => {
+    // Hold the product until the update commits
+    const current = await products.findForUpdate(client, stockCode);
+    if (!current || current.deleted_at) {
+      return null;
+    }
+
+    if (UPDATE_FIELDS.every(field => input[field] === undefined)) {
+      throw badRequest(`At least one field (${UPDATE_FIELDS.join(', ')}) must be provided for update`);
+    }
+    await checkCategory(client, input.category_id);
+
+    const scoreChanged = input.popularity_score !== undefined;
+    const listPrice = given('list_price', current.list_price);
+    const product = await products.update(client, stockCode, {
+      description: given('description', current.description),
+      popularityScore: given('popularity_score', current.popularity_score),
+      scoreChanged,
+      taxCategory: given('tax_category', current.tax_category),
+      categoryId: given('category_id', current.category_id),
+      listPrice,
+      attributes: given('attributes', current.attributes),
+      status: given('status', current.status)
+    });
+    if ((listPrice === null ? null : Number(listPrice)) !== (current.list_price === null ? null : Number(current.list_price))) {
+      await productPrices.record(client, stockCode, listPrice);
+    }
+
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'product',
+      entityId: stockCode,
+      before: current,
+      after: product
+    });
+    await webhooks.publish(client, 'product.updated', product);
+    return product;
+  });
+}
+
+// Take a product out of the catalog; it is kept for the invoices that refer
+// to it. Returns the deleted product, or null if there was none.
+async function deleteProduct(stockCode, context) {
+  return db.withTransaction(async client => {
+    const deleted = await products.softDelete(client, stockCode);
+    if (!deleted) {
+      return null;
+    }
+
+    await audit.record(client, context, {
+      action: 'delete',
+      entityType: 'product',
+      entityId: stockCode,
+      before: { ...deleted, deleted_at: null }
+    });
+    await webhooks.publish(client, 'product.deleted', deleted);
+    return deleted;
+  });
+}
+
+// Put a deleted product back in the catalog as it was. Returns null if
+// there is no deleted product with this stock code.
+async function restoreProduct(stockCode, context) {
+  return db.withTransaction(async client => {
+    const current = await products.findForUpdate(client, stockCode);
+    if (!current || !current.deleted_at) {
+      return null;
+    }
+
+    const product = await products.restore(client, stockCode);
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'product',
+      entityId: stockCode,
+      before: current,
+      after: product
+    });
+    // Back in the catalog as it was, so an update to whoever removed it
+    await webhooks.publish(client, 'product.updated', product);
+    return product;
+  });
+}
+
+module.exports = {
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  restoreProduct
+};
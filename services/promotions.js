@@ -0,0 +1,304 @@
+const db = require('../db');
+const promotions = require('../repositories/promotions');
+const products = require('../repositories/products');
+const customers = require('../repositories/customers');
+const fxRates = require('../repositories/fxRates');
+const { isoDate } = require('../repositories/dates');
+const audit = require('./audit');
+const { badRequest, conflict } = require('../errors');
+
+// The fields each discount_type uses; the others must be left empty. They
+// are also the order promotions are applied in: free units first, then
+// percentages of what is left, then fixed amounts off the rest.
+const TYPE_FIELDS = {
+  buy_x_get_y: { required: ['buy_quantity', 'get_quantity', 'stock_code'], optional: [] },
+  percentage: { required: ['percent_off'], optional: ['stock_code'] },
+  fixed: { required: ['amount_off'], optional: [] }
+};
+const DISCOUNT_TYPES = Object.keys(TYPE_FIELDS);
+const TYPE_SPECIFIC = ['percent_off', 'amount_off', 'buy_quantity', 'get_quantity', 'stock_code'];
+
+const cents = amount => Math.round(amount * 100);
+
+// Promotions are checked field by field against the Promotion schema; what is
+// left is how the fields fit together and what they refer to
+async function checkPromotion(client, promotion, exceptId = null) {
+  const { required, optional } = TYPE_FIELDS[promotion.discount_type];
+  for (const field of TYPE_SPECIFIC) {
+    if (required.includes(field) && promotion[field] === null) {
+      throw badRequest(`${promotion.discount_type} promotions need ${field}`);
+    }
+    if (!required.includes(field) && !optional.includes(field) && promotion[field] !== null) {
+      throw badRequest(`${field} does not apply to ${promotion.discount_type} promotions`);
+    }
+  }
+  if (promotion.valid_to !== null && promotion.valid_to <= promotion.valid_from) {
+    throw badRequest('valid_to must be after valid_from');
+  }
+
+  if (promotion.stock_code !== null && !(await products.exists(promotion.stock_code, client))) {
+    throw badRequest(`No product found with stock_code: ${promotion.stock_code}`);
+  }
+  if (promotion.customer_id !== null && !(await customers.find(promotion.customer_id, client))) {
+    throw badRequest(`No customer found with ID: ${promotion.customer_id}`);
+  }
+  if (promotion.currency !== fxRates.BASE_CURRENCY && !(await fxRates.isKnown(promotion.currency, client))) {
+    throw badRequest(`No exchange rates are loaded for ${promotion.currency}`);
+  }
+  if (promotion.coupon_code !== null) {
+    const clash = await promotions.findByCoupon(client, promotion.coupon_code);
+    if (clash && clash.id !== exceptId) {
+      throw conflict(`Coupon code ${promotion.coupon_code} is already used by promotion ${clash.id}`);
+    }
+  }
+}
+
+// Every field in promotions.FIELDS, from `input` where given and `current`
+// otherwise. Coupon codes are kept upper-case.
+function merge(input, current) {
+  const promotion = {};
+  for (const field of promotions.FIELDS) {
+    promotion[field] = input[field] !== undefined ? input[field] : current[field];
+  }
+  if (promotion.coupon_code !== null) {
+    promotion.coupon_code = promotion.coupon_code.toUpperCase();
+  }
+  return promotion;
+}
+
+const NEW_PROMOTION = {
+  ...Object.fromEntries(promotions.FIELDS.map(field => [field, null])),
+  currency: fxRates.BASE_CURRENCY
+};
+
+async function createPromotion(input, context) {
+  const promotion = merge(input, { ...NEW_PROMOTION, valid_from: isoDate(new Date()) });
+
+  return db.withTransaction(async client => {
+    await checkPromotion(client, promotion);
+    const created = await promotions.insert(client, promotion);
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'promotion',
+      entityId: created.id,
+      after: created
+    });
+    return created;
+  });
+}
+
+// Change the fields given in `input`, keeping the rest. Invoices already
+// discounted keep the discount they were given. Returns null if there is
+// no such promotion.
+async function updatePromotion(id, input, context) {
+  return db.withTransaction(async client => {
+    const current = await promotions.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+
+    // Fields that belong to the old type are dropped when the type changes
+    const base = input.discount_type !== undefined && input.discount_type !== current.discount_type
+      ? { ...current, ...Object.fromEntries(TYPE_SPECIFIC.map(field => [field, null])) }
+      : current;
+    const promotion = merge(input, base);
+    await checkPromotion(client, promotion, id);
+    const updated = await promotions.update(client, id, promotion);
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'promotion',
+      entityId: id,
+      before: current,
+      after: updated
+    });
+    return updated;
+  });
+}
+
+// Returns the deleted promotion, or null if there was none. Promotions
+// that invoices were discounted by can only be ended, not deleted.
+async function deletePromotion(id, context) {
+  return db.withTransaction(async client => {
+    const current = await promotions.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+    if (current.times_used > 0) {
+      throw conflict(`Promotion ${id} has been used on ${current.times_used} invoice(s); set its valid_to to end it instead`);
+    }
+
+    const deleted = await promotions.remove(client, id);
+    await audit.record(client, context, {
+      action: 'delete',
+      entityType: 'promotion',
+      entityId: id,
+      before: deleted
+    });
+    return deleted;
+  });
+}
+
+// Why `promotion` cannot be used on the order, or null if it can. Usage
+// limits are checked separately, once the promotions are locked.
+function ineligibility(promotion, order, basket) {
+  const label = `Coupon ${promotion.coupon_code}`;
+  if (promotion.customer_id !== null && promotion.customer_id !== order.customerId) {
+    return `${label} is for another customer`;
+  }
+  if (promotion.country !== null && promotion.country !== order.country) {
+    return `${label} only applies to orders to ${promotion.country}`;
+  }
+  if (promotion.currency !== order.currency) {
+    return `${label} only applies to orders in ${promotion.currency}`;
+  }
+  if (promotion.min_basket !== null && basket < cents(promotion.min_basket)) {
+    return `${label} needs at least ${promotion.min_basket.toFixed(2)} ${promotion.currency} of goods`;
+  }
+  return null;
+}
+
+function usageProblem(promotion, usage) {
+  const label = `Coupon ${promotion.coupon_code}`;
+  if (promotion.usage_limit !== null && usage.total >= promotion.usage_limit) {
+    return `${label} has been used up`;
+  }
+  if (promotion.per_customer_limit !== null && usage.customer >= promotion.per_customer_limit) {
+    return `${label} has already been used ${usage.customer} time(s) by this customer`;
+  }
+  return null;
+}
+
+// Split `total` cents over the lines in proportion to `weights`, giving
+// the cents left over by rounding down to the largest remainders
+function allocate(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  if (sum === 0) {
+    return weights.map(() => 0);
+  }
+  const shares = weights.map(weight => Math.floor((total * weight) / sum));
+  let left = total - shares.reduce((acc, share) => acc + share, 0);
+  const order = weights
+    .map((weight, index) => ({ index, remainder: (total * weight) % sum }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of order) {
+    if (left === 0) break;
+    shares[index] += 1;
+    left -= 1;
+  }
+  return shares;
+}
+
+// Cents `promotion` takes off each line, given the cents of each line not
+// yet discounted (`remaining`, zero for lines no promotion applies to)
+function discountLines(promotion, lines, remaining) {
+  const matches = index => promotion.stock_code === null || lines[index].stock_code === promotion.stock_code;
+
+  switch (promotion.discount_type) {
+    case 'buy_x_get_y': {
+      const own = lines.map((line, index) => index).filter(index => matches(index) && remaining[index] > 0);
+      const units = own.reduce((sum, index) => sum + lines[index].quantity, 0);
+      let free = Math.floor(units / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+      const taken = lines.map(() => 0);
+      // The cheapest units go free
+      for (const index of own.sort((a, b) => lines[a].unit_price - lines[b].unit_price)) {
+        const quantity = Math.min(free, lines[index].quantity);
+        taken[index] = Math.min(quantity * cents(lines[index].unit_price), remaining[index]);
+        free -= quantity;
+      }
+      return taken;
+    }
+    case 'percentage': {
+      const basisPoints = Math.round(promotion.percent_off * 100);
+      return remaining.map((left, index) => (matches(index) ? Math.round((left * basisPoints) / 10000) : 0));
+    }
+    default: {
+      const total = Math.min(cents(promotion.amount_off), remaining.reduce((sum, left) => sum + left, 0));
+      return allocate(total, remaining);
+    }
+  }
+}
+
+// Work out the discounts on an order from the promotions in effect today:
+// every one without a coupon that the order is eligible for, plus the one
+// with `couponCode`. `lines` are { stock_code, quantity, unit_price } in
+// `currency`; postage and other non-merchandise lines are never discounted
+// and do not count towards a minimum basket.
+//
+// Returns { discounts, lineDiscounts, couponProblem }: the amount each
+// promotion takes off ({ promotion_id, name, coupon_code, amount }), the
+// total discount on each line, and why the coupon cannot be used (null if
+// it can, or none was given). Promotions with limited uses are locked until
+// the caller's transaction ends, so concurrent orders cannot overuse them.
+async function applyPromotions(client, { customerId, country, currency, lines, couponCode = null }) {
+  const today = isoDate(new Date());
+  const order = { customerId, country, currency };
+  let couponProblem = null;
+
+  const candidates = await promotions.inEffect(client, today, couponCode);
+  if (couponCode !== null && !candidates.some(promotion => promotion.coupon_code !== null)) {
+    const coupon = await promotions.findByCoupon(client, couponCode);
+    if (!coupon) {
+      couponProblem = `Unknown coupon code: ${couponCode}`;
+    } else if (coupon.valid_from > today) {
+      couponProblem = `Coupon ${coupon.coupon_code} is not valid until ${coupon.valid_from}`;
+    } else {
+      couponProblem = `Coupon ${coupon.coupon_code} expired on ${coupon.valid_to}`;
+    }
+  }
+
+  const merchandise = await products.findMany(client, [...new Set(lines.map(line => line.stock_code))]);
+  const remaining = lines.map(line => {
+    const product = merchandise.get(line.stock_code);
+    return product && product.is_merchandise ? line.quantity * cents(line.unit_price) : 0;
+  });
+  const basket = remaining.reduce((sum, left) => sum + left, 0);
+
+  const eligible = [];
+  for (const promotion of candidates) {
+    const problem = ineligibility(promotion, order, basket);
+    if (problem === null) {
+      eligible.push(promotion);
+    } else if (promotion.coupon_code !== null) {
+      couponProblem = problem;
+    }
+  }
+
+  const limited = eligible.filter(promotion => promotion.usage_limit !== null || promotion.per_customer_limit !== null);
+  const usage = await promotions.lockUsage(client, limited.map(promotion => promotion.id), customerId);
+  const usable = eligible.filter(promotion => {
+    const problem = usage.has(promotion.id) ? usageProblem(promotion, usage.get(promotion.id)) : null;
+    if (problem !== null && promotion.coupon_code !== null) {
+      couponProblem = problem;
+    }
+    return problem === null;
+  });
+  usable.sort((a, b) => DISCOUNT_TYPES.indexOf(a.discount_type) - DISCOUNT_TYPES.indexOf(b.discount_type) || a.id - b.id);
+
+  const lineDiscounts = lines.map(() => 0);
+  const discounts = [];
+  for (const promotion of usable) {
+    const taken = discountLines(promotion, lines, remaining);
+    const amount = taken.reduce((sum, share) => sum + share, 0);
+    if (amount === 0) {
+      if (promotion.coupon_code !== null) {
+        couponProblem = `Coupon ${promotion.coupon_code} does not apply to anything in this order`;
+      }
+      continue;
+    }
+    taken.forEach((share, index) => {
+      lineDiscounts[index] += share;
+      remaining[index] -= share;
+    });
+    discounts.push({ promotion_id: promotion.id, name: promotion.name, coupon_code: promotion.coupon_code, amount: amount / 100 });
+  }
+
+  return { discounts, lineDiscounts: lineDiscounts.map(share => share / 100), couponProblem };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  applyPromotions
+};
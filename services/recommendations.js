@@ -0,0 +1,197 @@
+const pool = require('../db');
+const { scheduleJob, cancelJob } = require('./scheduler');
+const { merchandiseOnly } = require('../repositories/products');
+
+const DEFAULT_MIN_SUPPORT = 0.001;
+const DEFAULT_MIN_CONFIDENCE = 0.1;
+
+const RULE_SORTS = ['lift', 'confidence', 'support'];
+
+// Any constant works; it only has to be the same for every refresh
+const REFRESH_LOCK_KEY = 80090;
+
+// Mine pairwise association rules "customers who bought A also bought B"
+// from regular invoices and replace the stored rules with them.
+//
+// For a rule A -> B over N invoices:
+//   support    = invoices containing A and B / N
+//   confidence = invoices containing A and B / invoices containing A
+//   lift       = confidence / (invoices containing B / N)
+// Rules below `minSupport` or `minConfidence` are discarded. Products that
+// appear on fewer invoices than the support threshold are pruned before
+// pairs are counted, since no rule involving them could qualify.
+//
+// Returns the finished run, or null if another refresh is in progress.
+async function mineAssociationRules({
+  trigger = 'manual',
+  minSupport = DEFAULT_MIN_SUPPORT,
+  minConfidence = DEFAULT_MIN_CONFIDENCE
+} = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [REFRESH_LOCK_KEY]);
+    if (!lock.rows[0].acquired) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const runResult = await client.query(
+      `INSERT INTO association_runs (trigger, min_support, min_confidence)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [trigger, minSupport, minConfidence]
+    );
+    const runId = runResult.rows[0].id;
+
+    await client.query(
+      `CREATE TEMP TABLE baskets ON COMMIT DROP AS
+       SELECT DISTINCT ii.invoice_id, ii.stock_code
+       FROM invoice_items ii
+       JOIN invoices i ON i.invoice_id = ii.invoice_id
+       WHERE NOT i.is_cancelled AND ii.quantity > 0 AND ${merchandiseOnly('ii.stock_code')}`
+    );
+
+    const totals = await client.query('SELECT COUNT(DISTINCT invoice_id)::INTEGER AS invoices FROM baskets');
+    const invoices = totals.rows[0].invoices;
+    const minCount = Math.max(1, Math.ceil(minSupport * invoices));
+
+    await client.query('DELETE FROM product_associations');
+
+    const { rowCount } = await client.query(
+      `WITH item_counts AS (
+         SELECT stock_code, COUNT(*) AS invoices
+         FROM baskets
+         GROUP BY stock_code
+         HAVING COUNT(*) >= $2
+       ),
+       frequent AS (
+         SELECT b.invoice_id, b.stock_code
+         FROM baskets b
+         JOIN item_counts USING (stock_code)
+       ),
+       pairs AS (
+         SELECT a.stock_code AS antecedent, b.stock_code AS consequent, COUNT(*) AS together
+         FROM frequent a
+         JOIN frequent b ON b.invoice_id = a.invoice_id AND b.stock_code <> a.stock_code
+         GROUP BY a.stock_code, b.stock_code
+         HAVING COUNT(*) >= $2
+       )
+       INSERT INTO product_associations
+         (run_id, antecedent, consequent, co_occurrences, support, confidence, lift)
+       SELECT $1, p.antecedent, p.consequent, p.together,
+              p.together::FLOAT8 / $3,
+              p.together::FLOAT8 / a.invoices,
+              (p.together::FLOAT8 / a.invoices) / (c.invoices::FLOAT8 / $3)
+       FROM pairs p
+       JOIN item_counts a ON a.stock_code = p.antecedent
+       JOIN item_counts c ON c.stock_code = p.consequent
+       WHERE p.together::FLOAT8 / a.invoices >= $4`,
+      [runId, minCount, invoices, minConfidence]
+    );
+
+    const { rows } = await client.query(
+      `UPDATE association_runs
+       SET finished_at = NOW(), invoices_considered = $1, rules_count = $2
+       WHERE id = $3
+       RETURNING *`,
+      [invoices, rowCount, runId]
+    );
+
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Products most often bought together with `stockCode`, best `sort` first.
+// Deleted and discontinued products are left out, as they cannot be ordered.
+async function getProductRecommendations(stockCode, { limit = 10, sort = 'lift' } = {}) {
+  const { rows } = await pool.query(
+    `SELECT pa.consequent AS stock_code, p.description, p.popularity_score,
+            pa.co_occurrences, pa.support, pa.confidence, pa.lift
+     FROM product_associations pa
+     JOIN products p ON p.stock_code = pa.consequent AND p.deleted_at IS NULL AND p.status <> 'discontinued'
+     WHERE pa.antecedent = $1
+     ORDER BY pa.${sort} DESC, pa.consequent
+     LIMIT $2`,
+    [stockCode, limit]
+  );
+  return rows;
+}
+
+// Products a customer has not bought yet, scored by the summed confidence
+// of every rule leading to them from something the customer did buy.
+// Deleted and discontinued products are left out.
+async function getCustomerRecommendations(customerId, { limit = 10 } = {}) {
+  const { rows } = await pool.query(
+    `WITH purchased AS (
+       SELECT DISTINCT ii.stock_code
+       FROM invoice_items ii
+       JOIN invoices i ON i.invoice_id = ii.invoice_id
+       WHERE i.customer_id = $1 AND NOT i.is_cancelled
+     )
+     SELECT pa.consequent AS stock_code, p.description, p.popularity_score,
+            SUM(pa.confidence)::NUMERIC(10,5) AS score,
+            MAX(pa.lift) AS max_lift,
+            (ARRAY_AGG(pa.antecedent ORDER BY pa.confidence DESC))[1:3] AS because_of
+     FROM product_associations pa
+     JOIN purchased ON purchased.stock_code = pa.antecedent
+     JOIN products p ON p.stock_code = pa.consequent AND p.deleted_at IS NULL AND p.status <> 'discontinued'
+     WHERE pa.consequent NOT IN (SELECT stock_code FROM purchased)
+     GROUP BY pa.consequent, p.description, p.popularity_score
+     ORDER BY score DESC, max_lift DESC, pa.consequent
+     LIMIT $2`,
+    [customerId, limit]
+  );
+  return rows;
+}
+
+// The run that produced the current rules, or null if rules were never mined
+async function getLatestRun() {
+  const { rows } = await pool.query(
+    'SELECT * FROM association_runs WHERE finished_at IS NOT NULL ORDER BY id DESC LIMIT 1'
+  );
+  return rows[0] || null;
+}
+
+// Most recent runs first
+async function listRuns(limit = 20) {
+  const { rows } = await pool.query(
+    'SELECT * FROM association_runs ORDER BY id DESC LIMIT $1',
+    [limit]
+  );
+  return rows;
+}
+
+// Re-mine the rules every `intervalMinutes` with the default thresholds
+function startSchedule(intervalMinutes) {
+  scheduleJob('recommendation refresh', intervalMinutes, async () => {
+    const run = await mineAssociationRules({ trigger: 'scheduled' });
+    if (run) {
+      console.log(`Association rules refreshed: ${run.rules_count} rules (run ${run.id})`);
+    }
+  });
+}
+
+function stopSchedule() {
+  cancelJob('recommendation refresh');
+}
+
+module.exports = {
+  DEFAULT_MIN_SUPPORT,
+  DEFAULT_MIN_CONFIDENCE,
+  RULE_SORTS,
+  mineAssociationRules,
+  getProductRecommendations,
+  getCustomerRecommendations,
+  getLatestRun,
+  listRuns,
+  startSchedule,
+  stopSchedule
+};
@@ -0,0 +1,115 @@
+const pool = require('../db');
+const { merchandiseOnly } = require('../repositories/products');
+
+// Named segments, best first. Assigned from the recency (R), frequency (F)
+// and monetary (M) quintile scores in the order of the CASE below.
+const SEGMENTS = [
+  'Champions',
+  'Loyal Customers',
+  'Potential Loyalists',
+  'New Customers',
+  'Promising',
+  'Need Attention',
+  'Cannot Lose Them',
+  'At Risk',
+  'Hibernating',
+  'Lost'
+];
+
+// SQL scoring every customer with at least one purchase on or before the
+// reference date. `referenceParam` is the placeholder (or NULL) holding the
+// reference date; when NULL the day after the latest invoice is used, which
+// is the usual choice for a historical dataset.
+//
+// Monetary value is net of credit notes and discounts; frequency, first/last purchase and
+// average basket only consider regular invoices. Non-merchandise lines are
+// left out. Quintiles are 1 (worst) to 5 (best), so the most recent buyers
+// get r_score 5.
+function rfmSql(referenceParam) {
+  return `
+    WITH reference AS (
+      SELECT COALESCE(${referenceParam}::TIMESTAMP,
+                      (SELECT MAX(invoice_date) FROM invoices) + INTERVAL '1 day') AS reference_date
+    ),
+    customer_stats AS (
+      SELECT i.customer_id,
+             MIN(i.invoice_date) FILTER (WHERE NOT i.is_cancelled) AS first_purchase,
+             MAX(i.invoice_date) FILTER (WHERE NOT i.is_cancelled) AS last_purchase,
+             COUNT(DISTINCT i.invoice_id) FILTER (WHERE NOT i.is_cancelled)::INTEGER AS frequency,
+             SUM(ii.quantity * ii.unit_price - ii.discount_amount)::NUMERIC(14,2) AS monetary,
+             (SUM(ii.quantity * ii.unit_price - ii.discount_amount) FILTER (WHERE NOT i.is_cancelled)
+               / NULLIF(COUNT(DISTINCT i.invoice_id) FILTER (WHERE NOT i.is_cancelled), 0))::NUMERIC(12,2)
+               AS average_basket,
+             (COALESCE(-SUM(ii.quantity) FILTER (WHERE i.is_cancelled), 0)::NUMERIC
+               / NULLIF(SUM(ii.quantity) FILTER (WHERE NOT i.is_cancelled), 0))::NUMERIC(6,4)
+               AS return_rate
+      FROM invoices i
+      JOIN invoice_items ii ON ii.invoice_id = i.invoice_id
+      CROSS JOIN reference
+      WHERE i.customer_id IS NOT NULL
+        AND i.invoice_date <= reference.reference_date
+        AND ${merchandiseOnly('ii.stock_code')}
+      GROUP BY i.customer_id
+      HAVING COUNT(DISTINCT i.invoice_id) FILTER (WHERE NOT i.is_cancelled) > 0
+    ),
+    scored AS (
+      SELECT cs.*,
+             reference.reference_date,
+             EXTRACT(DAY FROM reference.reference_date - cs.last_purchase)::INTEGER AS recency_days,
+             NTILE(5) OVER (ORDER BY cs.last_purchase) AS r_score,
+             NTILE(5) OVER (ORDER BY cs.frequency) AS f_score,
+             NTILE(5) OVER (ORDER BY cs.monetary) AS m_score
+      FROM customer_stats cs
+      CROSS JOIN reference
+    )
+    SELECT scored.*,
+           CASE
+             WHEN r_score >= 4 AND f_score >= 4 AND m_score >= 4 THEN 'Champions'
+             WHEN r_score >= 3 AND f_score >= 4 THEN 'Loyal Customers'
+             WHEN r_score >= 4 AND f_score >= 2 THEN 'Potential Loyalists'
+             WHEN r_score >= 4 THEN 'New Customers'
+             WHEN r_score = 3 AND f_score <= 2 THEN 'Promising'
+             WHEN r_score = 3 THEN 'Need Attention'
+             WHEN f_score >= 4 AND m_score >= 4 THEN 'Cannot Lose Them'
+             WHEN f_score >= 3 THEN 'At Risk'
+             WHEN r_score = 2 THEN 'Hibernating'
+             ELSE 'Lost'
+           END AS segment
+    FROM scored
+  `;
+}
+
+// RFM metrics, scores and segment for one customer. Returns null when the
+// customer has no purchases on or before the reference date.
+async function getCustomerMetrics(customerId, referenceDate = null) {
+  const { rows } = await pool.query(
+    `SELECT * FROM (${rfmSql('$1')}) rfm WHERE customer_id = $2`,
+    [referenceDate, customerId]
+  );
+  return rows[0] || null;
+}
+
+// Customer counts and average metrics per segment
+async function getSegmentSummary(referenceDate = null) {
+  const { rows } = await pool.query(
+    `SELECT segment,
+            MIN(reference_date) AS reference_date,
+            COUNT(*)::INTEGER AS customer_count,
+            AVG(recency_days)::NUMERIC(10,1) AS avg_recency_days,
+            AVG(frequency)::NUMERIC(10,2) AS avg_frequency,
+            AVG(monetary)::NUMERIC(14,2) AS avg_monetary,
+            SUM(monetary)::NUMERIC(14,2) AS total_monetary
+     FROM (${rfmSql('$1')}) rfm
+     GROUP BY segment`,
+    [referenceDate]
+  );
+
+  return rows.sort((a, b) => SEGMENTS.indexOf(a.segment) - SEGMENTS.indexOf(b.segment));
+}
+
+module.exports = {
+  SEGMENTS,
+  rfmSql,
+  getCustomerMetrics,
+  getSegmentSummary
+};
@@ -0,0 +1,36 @@
+// Minimal in-process scheduler for periodic maintenance jobs
+const timers = new Map();
+
+// Run `job` every `intervalMinutes` under `name`, replacing any job already
+// scheduled with that name. A value of 0 (or less) disables it. Failures are
+// logged and the job keeps its schedule.
+function scheduleJob(name, intervalMinutes, job) {
+  cancelJob(name);
+  if (!(intervalMinutes > 0)) {
+    return;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      await job();
+    } catch (err) {
+      console.error(`❌ Scheduled ${name} failed:`, err.message);
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for a schedule
+  timer.unref();
+  timers.set(name, timer);
+}
+
+function cancelJob(name) {
+  if (timers.has(name)) {
+    clearInterval(timers.get(name));
+    timers.delete(name);
+  }
+}
+
+module.exports = {
+  scheduleJob,
+  cancelJob
+};
@@ -0,0 +1,157 @@
+const db = require('../db');
+const taxRules = require('../repositories/taxRules');
+const { isoDate } = require('../repositories/dates');
+const audit = require('./audit');
+const { badRequest, conflict } = require('../errors');
+
+const DEFAULT_CATEGORY = 'standard';
+
+// Rules are checked field by field against TaxRuleInput; what is left is
+// how they fit with the other rules of the same country and category
+async function checkRule(client, rule, exceptId = null) {
+  if (rule.validTo !== null && rule.validTo <= rule.validFrom) {
+    throw badRequest('valid_to must be after valid_from');
+  }
+  const overlapping = await taxRules.findOverlapping(client, { ...rule, exceptId });
+  if (overlapping) {
+    const until = overlapping.valid_to ? `to ${overlapping.valid_to}` : 'with no end date';
+    throw conflict(
+      `Tax rule ${overlapping.id} already covers ${rule.country} ${rule.taxCategory} from ${overlapping.valid_from} ${until}`
+    );
+  }
+}
+
+function fromInput({ country, tax_category, rate, valid_from, valid_to, reverse_charge }) {
+  return {
+    country,
+    taxCategory: tax_category,
+    rate,
+    validFrom: valid_from,
+    validTo: valid_to,
+    reverseCharge: reverse_charge
+  };
+}
+
+async function createRule(input, context) {
+  const rule = {
+    ...fromInput(input),
+    taxCategory: input.tax_category || DEFAULT_CATEGORY,
+    validTo: input.valid_to || null,
+    reverseCharge: input.reverse_charge || false
+  };
+
+  return db.withTransaction(async client => {
+    await checkRule(client, rule);
+    const created = await taxRules.insert(client, rule);
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'tax_rule',
+      entityId: created.id,
+      after: created
+    });
+    return created;
+  });
+}
+
+// Change the fields given in `input`, keeping the rest. Invoices already
+// issued under the rule keep the rate they were charged. Returns null if
+// there is no such rule.
+async function updateRule(id, input, context) {
+  return db.withTransaction(async client => {
+    const current = await taxRules.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+
+    const given = fromInput(input);
+    const rule = { ...fromInput(current) };
+    for (const [field, value] of Object.entries(given)) {
+      if (value !== undefined) {
+        rule[field] = value;
+      }
+    }
+
+    await checkRule(client, rule, id);
+    const updated = await taxRules.update(client, id, rule);
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'tax_rule',
+      entityId: id,
+      before: current,
+      after: updated
+    });
+    return updated;
+  });
+}
+
+// Returns the deleted rule, or null if there was none. Rules that invoices
+// were taxed under can only be ended, not deleted.
+async function deleteRule(id, context) {
+  return db.withTransaction(async client => {
+    const deleted = await taxRules.remove(client, id);
+    if (deleted) {
+      await audit.record(client, context, {
+        action: 'delete',
+        entityType: 'tax_rule',
+        entityId: id,
+        before: deleted
+      });
+    }
+    return deleted;
+  }).catch(err => {
+    if (err.code === '23503') {
+      throw conflict(`Tax rule ${id} has been applied to invoices; set its valid_to to end it instead`);
+    }
+    throw err;
+  });
+}
+
+// Work out how an order to `country` is taxed today. `categories` maps each
+// stock code on the order to its product's tax_category. Returns
+// { treatment, taxFor(stockCode), missing } where taxFor gives the
+// { rule, rate } for a line and `missing` lists the stock codes with no
+// rule for their category (nor a standard rule to fall back on).
+//
+// A country with no rules at all is outside the scope of the tax rules and
+// taxed at 0. Customers with a VAT number buying under a reverse-charge rule
+// account for the tax themselves, so they are charged none either.
+async function assess(client, { country, vatNumber, categories }) {
+  const { hasRules, rules } = await taxRules.inEffect(client, country, isoDate(new Date()));
+  if (!hasRules) {
+    return { treatment: 'outside_scope', taxFor: () => ({ rule: null, rate: 0 }), missing: [] };
+  }
+
+  const ruleFor = stockCode => rules.get(categories.get(stockCode)) || rules.get(DEFAULT_CATEGORY) || null;
+  const missing = [...categories.keys()].filter(stockCode => !ruleFor(stockCode));
+  const reverseCharge = Boolean(vatNumber) && [...categories.keys()].some(stockCode => {
+    const rule = ruleFor(stockCode);
+    return rule && rule.reverse_charge;
+  });
+
+  return {
+    treatment: reverseCharge ? 'reverse_charge' : 'standard',
+    taxFor: stockCode => {
+      const rule = ruleFor(stockCode);
+      return { rule, rate: reverseCharge && rule.reverse_charge ? 0 : rule.rate };
+    },
+    missing
+  };
+}
+
+// Tax on one line, less its `discount`, in currency units rounded to the
+// cent (half away from zero, so a credit-note line mirrors the line it
+// returns). Prices are stored to the cent and rates to four places, so the
+// sum is done in whole cents and ten-thousandths to avoid float error.
+function lineTax(quantity, unitPrice, rate, discount = 0) {
+  const net = quantity * Math.round(unitPrice * 100) - Math.round(discount * 100);
+  const tax = Math.floor((Math.abs(net) * Math.round(rate * 10000) + 5000) / 10000);
+  return (Math.sign(net) * tax) / 100;
+}
+
+module.exports = {
+  createRule,
+  updateRule,
+  deleteRule,
+  assess,
+  lineTax
+};
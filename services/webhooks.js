@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const db = require('../db');
+const webhooks = require('../repositories/webhooks');
+const audit = require('./audit');
+const { scheduleJob, cancelJob } = require('./scheduler');
+const { badRequest, conflict } = require('../errors');
+
+// What subscriptions can ask for. `ping` is only sent on request, to check
+// an endpoint is reachable.
+const EVENT_TYPES = [
+  'invoice.created',
+  'invoice.cancelled',
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'stock.changed'
+];
+
+const SECRET_PREFIX = 'whsec_';
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+const DEFAULT_TIMEOUT_MS = 10000;
+const BATCH_SIZE = 100;
+// Kept of a failed response's body in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+const maxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+const retryBaseSeconds = () => Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || DEFAULT_RETRY_BASE_SECONDS);
+const timeoutMs = () => Number(process.env.WEBHOOK_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// The signature of a payload sent at `timestamp` (Unix seconds): the hex
+// HMAC-SHA256, keyed with the subscription's secret, of
+// "<timestamp>.<body>". Receivers recompute it to check the payload came
+// from us and was not altered, and can reject old timestamps as replays.
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Subscriptions may only point at http(s) URLs
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw badRequest(`url is not a valid URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw badRequest('url must be an http or https URL');
+  }
+}
+
+// Create a subscription and return it along with its signing secret, which
+// is shown to the caller here and when rotated, but never listed
+async function createSubscription({ url, events, description = null }, context) {
+  checkUrl(url);
+  return db.withTransaction(async client => {
+    const secret = generateSecret();
+    const subscription = await webhooks.insert(client, { url, events, description, secret });
+    await audit.record(client, context, {
+      action: 'create',
+      entityType: 'webhook',
+      entityId: subscription.id,
+      after: subscription
+    });
+    return { ...subscription, secret };
+  });
+}
+
+// Change the fields given in `input`, keeping the rest. Deliveries already
+// queued go to the new URL. Returns null if there is no such subscription.
+async function updateSubscription(id, input, context) {
+  if (input.url !== undefined) {
+    checkUrl(input.url);
+  }
+  return db.withTransaction(async client => {
+    const current = await webhooks.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+
+    const given = field => (input[field] !== undefined ? input[field] : current[field]);
+    const updated = await webhooks.update(client, id, {
+      url: given('url'),
+      events: given('events'),
+      description: given('description'),
+      active: given('active')
+    });
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'webhook',
+      entityId: id,
+      before: current,
+      after: updated
+    });
+    return updated;
+  });
+}
+
+// Returns the deleted subscription, or null if there was none
+async function deleteSubscription(id, context) {
+  return db.withTransaction(async client => {
+    const deleted = await webhooks.remove(client, id);
+    if (deleted) {
+      await audit.record(client, context, {
+        action: 'delete',
+        entityType: 'webhook',
+        entityId: id,
+        before: deleted
+      });
+    }
+    return deleted;
+  });
+}
+
+// Replace the signing secret. Deliveries sent from now on, including
+// retries of earlier events, are signed with the new one. Returns null if
+// there is no such subscription.
+async function rotateSecret(id, context) {
+  return db.withTransaction(async client => {
+    const current = await webhooks.findForUpdate(client, id);
+    if (!current) {
+      return null;
+    }
+    const secret = generateSecret();
+    const updated = await webhooks.setSecret(client, id, secret);
+    await audit.record(client, context, {
+      action: 'update',
+      entityType: 'webhook',
+      entityId: id,
+      before: current,
+      after: updated
+    });
+    return { ...updated, secret };
+  });
+}
+
+// POST the delivery's payload to its URL. Returns { responseStatus, error }:
+// error is null when the endpoint answered 2xx. Redirects are not followed.
+async function send(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'online-retail-api-webhooks',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': `t=${timestamp},v1=${sign(delivery.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs())
+    });
+    const text = await res.text();
+    if (res.status >= 200 && res.status < 300) {
+      return { responseStatus: res.status, error: null };
+    }
+    return { responseStatus: res.status, error: `HTTP ${res.status}${text ? `: ${text.slice(0, MAX_ERROR_LENGTH)}` : ''}` };
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      return { responseStatus: null, error: `No response within ${timeoutMs()} ms` };
+    }
+    return { responseStatus: null, error: err.cause ? err.cause.message : err.message };
+  }
+}
+
+// How long a worker holds deliveries it has claimed: long enough to send
+// `count` of them one at a time
+function lease(count) {
+  return `${Math.ceil((timeoutMs() * count) / 1000)} seconds`;
+}
+
+// Wait before retrying after the `attempts`-th failed attempt: the base
+// delay, doubled after each further failure
+function retryDelay(attempts) {
+  return `${retryBaseSeconds() * 2 ** (attempts - 1)} seconds`;
+}
+
+// Send one delivery and record how it went. A failed attempt is retried
+// with backoff until WEBHOOK_MAX_ATTEMPTS is reached, when the delivery is
+// marked failed. Returns the delivery as recorded, or null if it was
+// deleted along with its subscription meanwhile.
+async function deliver(deliveryId) {
+  const delivery = await webhooks.findForSending(db, deliveryId);
+  if (!delivery) {
+    return null;
+  }
+  const { responseStatus, error } = await send(delivery);
+  const attempts = delivery.attempts + 1;
+
+  if (error === null) {
+    return webhooks.recordAttempt(db, deliveryId, { status: 'delivered', responseStatus });
+  }
+  const exhausted = attempts >= maxAttempts();
+  return webhooks.recordAttempt(db, deliveryId, {
+    status: exhausted ? 'failed' : 'pending',
+    responseStatus,
+    error,
+    retryIn: exhausted ? '0 seconds' : retryDelay(attempts)
+  });
+}
+
+// Send every delivery that is due, in batches, oldest first. Returns how
+// many were sent, retried later and given up on.
+async function deliverDue() {
+  const outcome = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (;;) {
+    const ids = await db.withTransaction(client => webhooks.claimDue(client, BATCH_SIZE, lease(BATCH_SIZE)));
+    for (const id of ids) {
+      const delivery = await deliver(id);
+      if (!delivery) continue;
+      outcome[delivery.status === 'pending' ? 'retrying' : delivery.status] += 1;
+    }
+    if (ids.length < BATCH_SIZE) {
+      return outcome;
+    }
+  }
+}
+
+async function activeSubscription(id) {
+  const subscription = await webhooks.find(id);
+  if (subscription && !subscription.active) {
+    throw conflict(`Webhook ${id} is inactive`);
+  }
+  return subscription;
+}
+
+// Send a ping event to the subscription now. Returns the delivery, or null
+// if there is no such subscription.
+async function ping(id) {
+  if (!(await activeSubscription(id))) {
+    return null;
+  }
+  const delivery = await webhooks.insertDelivery(db, id, webhooks.newEvent('ping', { webhook_id: id }), { lease: lease(1) });
+  return deliver(delivery.id);
+}
+
+// Send a delivery's event again now, as a new delivery with the same
+// event id and payload. If that fails too it is retried like any other.
+// Returns the new delivery, or null if the subscription has no such
+// delivery.
+async function replay(id, deliveryId) {
+  if (!(await activeSubscription(id))) {
+    return null;
+  }
+  const original = await webhooks.findDelivery(id, deliveryId);
+  if (!original) {
+    return null;
+  }
+  const delivery = await webhooks.insertDelivery(db, id, original.payload, { replayOf: original.id, lease: lease(1) });
+  return deliver(delivery.id);
+}
+
+// Send due deliveries every `intervalMinutes`
+function startSchedule(intervalMinutes) {
+  scheduleJob('webhook delivery', intervalMinutes, async () => {
+    const { delivered, retrying, failed } = await deliverDue();
+    if (retrying + failed > 0) {
+      console.log(`Webhooks: ${delivered} delivered, ${retrying} to retry, ${failed} given up`);
+    }
+  });
+}
+
+function stopSchedule() {
+  cancelJob('webhook delivery');
+}
+
+module.exports = {
+  EVENT_TYPES,
+  sign,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  rotateSecret,
+  deliverDue,
+  ping,
+  replay,
+  startSchedule,
+  stopSchedule
+};
@@ -0,0 +1,1346 @@
+const path = require('path');
+const swaggerJsdoc = require('swagger-jsdoc');
+const rfm = require('./services/rfm');
+
+// Enhanced Swagger configuration with updated tags
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Online Retail Management API',
+      version: '1.0.0',
+      description: `Comprehensive API for managing retail products and transactions.
+
+Every /api route needs an API key (X-API-Key header) or a bearer token from
+POST /api/auth/token. What a caller may do depends on the key's role:
+
+| Role | Permissions |
+|------|-------------|
+| read-only | catalog:read, customers:read, orders:read, inventory:read |
+| analyst | read-only plus analytics:read |
+| catalog-editor | read-only plus catalog:write, inventory:write |
+| admin | everything, including customers:write, orders:write and admin |
+
+Request bodies, path and query parameters are validated against the schemas
+below. Invalid requests get a 400 ValidationError listing every field error.`,
+      contact: {
+        name: "API Support",
+        email: "support@retailapi.com",
+        url: "https://retailapi.com/support"
+      },
+      license: {
+        name: "MIT",
+        url: "https://opensource.org/licenses/MIT"
+      }
+    },
+    servers: [
+      { url: "http://localhost:3000", description: "Development" },
+      { url: "https://api.retailapi.com/v1", description: "Production" }
+    ],
+    tags: [
+      {
+        name: 'MAIN APIs',
+        description: 'Core product management endpoints'
+      },
+      {
+        name: 'Other APIs',
+        description: 'Additional supporting endpoints'
+      },
+      {
+        name: 'Analytics',
+        description: 'Sales reporting'
+      },
+      {
+        name: 'Admin',
+        description: 'Maintenance jobs'
+      },
+      {
+        name: 'Inventory',
+        description: 'Stock levels and movements'
+      },
+      {
+        name: 'Auth',
+        description: 'API keys and bearer tokens'
+      },
+      {
+        name: 'Audit',
+        description: 'History of changes'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Events sent to other systems as they happen'
+      }
+    ],
+    security: [
+      { ApiKeyAuth: [] },
+      { BearerAuth: [] }
+    ],
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key"
+        },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT"
+        }
+      },
+      parameters: {
+        Limit: {
+          in: "query",
+          name: "limit",
+          schema: { type: "integer", minimum: 1, maximum: 500, default: 50 },
+          description: "Page size (at most 500)"
+        },
+        Cursor: {
+          in: "query",
+          name: "cursor",
+          schema: { type: "string" },
+          description: "Opaque next_cursor from the previous page; must be used with the same sort"
+        },
+        DateFrom: {
+          in: "query",
+          name: "date_from",
+          schema: { type: "string", format: "date-time" },
+          description: "Earliest invoice_date (inclusive)"
+        },
+        DateTo: {
+          in: "query",
+          name: "date_to",
+          schema: { type: "string", format: "date-time" },
+          description: "Latest invoice_date (inclusive)"
+        },
+        ReportCountry: {
+          in: "query",
+          name: "country",
+          schema: { type: "string" },
+          description: "Only include invoices from this country"
+        },
+        ReportCustomer: {
+          in: "query",
+          name: "customer_id",
+          schema: { type: "string" },
+          description: "Only include this customer's invoices"
+        },
+        ReportStockCode: {
+          in: "query",
+          name: "stock_code",
+          schema: { type: "string" },
+          description: "Only include lines for this product"
+        },
+        ReportOrderBy: {
+          in: "query",
+          name: "order_by",
+          schema: { type: "string", enum: ["revenue", "units", "order_count", "average_order_value"], default: "revenue" },
+          description: "Metric used to rank rows (descending)"
+        },
+        ReferenceDate: {
+          in: "query",
+          name: "reference_date",
+          schema: { type: "string", format: "date-time" },
+          description: "Date RFM is measured from; defaults to the day after the latest invoice"
+        },
+        TopN: {
+          in: "query",
+          name: "limit",
+          schema: { type: "integer", minimum: 1, maximum: 500, default: 10 },
+          description: "Number of rows to return"
+        },
+        Currency: {
+          in: "query",
+          name: "currency",
+          schema: { allOf: [{ $ref: '#/components/schemas/CurrencyCode' }], default: "GBP" },
+          description: "Report amounts in this currency, each invoice converted at the rate on its invoice date"
+        }
+      },
+      schemas: {
+        Product: {
+          type: "object",
+          properties: {
+            stock_code: { 
+              type: "string", 
+              minLength: 1,
+              maxLength: 20,
+              example: "85123A",
+              description: "Unique product identifier"
+            },
+            description: { 
+              type: "string", 
+              minLength: 1,
+              example: "WHITE HANGING HEART T-LIGHT HOLDER",
+              description: "Detailed product description"
+            },
+            popularity_score: { 
+              type: "integer", 
+              minimum: 0,
+              maximum: 100,
+              example: 100,
+              description: "Product popularity rating (0-100)"
+            },
+            popularity_computed_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              readOnly: true,
+              description: "When popularity_score was last set"
+            },
+            popularity_run_id: {
+              type: "integer",
+              nullable: true,
+              readOnly: true,
+              description: "Popularity run that computed the score; null if it was set by hand"
+            },
+            is_merchandise: {
+              type: "boolean",
+              readOnly: true,
+              description: "False for postage, fees and adjustments, which sales analytics leave out"
+            },
+            tax_category: {
+              type: "string",
+              pattern: "^[a-z][a-z0-9_]*$",
+              maxLength: 30,
+              default: "standard",
+              example: "reduced",
+              description: "Chooses the tax rule the product is taxed under; products fall back to the standard rule when their category has none"
+            },
+            category_id: { type: "integer", nullable: true, example: 3, description: "The product's category; null if uncategorised" },
+            list_price: {
+              type: "number",
+              format: "float",
+              minimum: 0,
+              nullable: true,
+              example: 2.95,
+              description: "Current catalog price in GBP, net of tax; null if none has been set"
+            },
+            attributes: {
+              type: "object",
+              maxProperties: 50,
+              additionalProperties: {
+                oneOf: [{ type: "string", maxLength: 200 }, { type: "number" }, { type: "boolean" }]
+              },
+              example: { colour: "white", material: "metal", pack_size: 12 },
+              description: "Free-form product details"
+            },
+            status: {
+              type: "string",
+              enum: ["active", "discontinued"],
+              default: "active",
+              description: "Discontinued products stay in the catalog but can no longer be ordered or added to carts"
+            },
+            deleted_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              readOnly: true,
+              description: "Set on deleted products, which only appear on the invoices that refer to them"
+            }
+          }
+        },
+        ProductUpdate: {
+          type: "object",
+          properties: {
+            description: { $ref: '#/components/schemas/Product/properties/description' },
+            popularity_score: { $ref: '#/components/schemas/Product/properties/popularity_score' },
+            tax_category: { $ref: '#/components/schemas/Product/properties/tax_category' },
+            category_id: { $ref: '#/components/schemas/Product/properties/category_id' },
+            list_price: { $ref: '#/components/schemas/Product/properties/list_price' },
+            attributes: { $ref: '#/components/schemas/Product/properties/attributes' },
+            status: { $ref: '#/components/schemas/Product/properties/status' }
+          }
+        },
+        ProductPrice: {
+          type: "object",
+          properties: {
+            list_price: { type: "number", format: "float", example: 2.95 },
+            valid_from: { type: "string", format: "date-time" },
+            valid_to: { type: "string", format: "date-time", nullable: true, description: "Null for the current price" }
+          }
+        },
+        Category: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 3 },
+            name: { type: "string", example: "Candle holders" },
+            parent_id: { type: "integer", nullable: true, example: 1 },
+            path: {
+              type: "array",
+              items: { type: "string" },
+              example: ["Home", "Candle holders"],
+              description: "Names from the top of the tree down to this category"
+            },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        CategoryDetail: {
+          allOf: [
+            { $ref: '#/components/schemas/Category' },
+            {
+              type: "object",
+              properties: {
+                children: {
+                  type: "array",
+                  items: { $ref: '#/components/schemas/Category' }
+                }
+              }
+            }
+          ]
+        },
+        CategoryCreate: {
+          type: "object",
+          required: ["name"],
+          properties: {
+            name: { type: "string", minLength: 1, maxLength: 100, example: "Candle holders" },
+            parent_id: { type: "integer", nullable: true, example: 1, description: "Omit for a top-level category" }
+          }
+        },
+        CategoryUpdate: {
+          type: "object",
+          properties: {
+            name: { $ref: '#/components/schemas/CategoryCreate/properties/name' },
+            parent_id: { $ref: '#/components/schemas/CategoryCreate/properties/parent_id' }
+          }
+        },
+        ProductCreate: {
+          allOf: [
+            { $ref: '#/components/schemas/Product' },
+            {
+              type: "object",
+              required: ["stock_code", "description"],
+              properties: {
+                on_hand: { type: "integer", minimum: 0, example: 120, description: "Opening stock" },
+                reorder_point: { type: "integer", minimum: 0, example: 24 }
+              }
+            }
+          ]
+        },
+        StockLevels: {
+          type: "object",
+          properties: {
+            stock_code: { type: "string", example: "85123A" },
+            on_hand: { type: "integer", example: 120 },
+            reserved: { type: "integer", example: 6, description: "Held for orders in progress" },
+            available: { type: "integer", example: 114, description: "on_hand minus reserved" },
+            reorder_point: { type: "integer", example: 24 },
+            updated_at: { type: "string", format: "date-time" }
+          }
+        },
+        StockMovement: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 42 },
+            stock_code: { type: "string", example: "85123A" },
+            movement_type: { type: "string", enum: ["receipt", "adjustment", "sale", "return"], example: "sale" },
+            quantity: { type: "integer", example: -6, description: "Signed change to on_hand" },
+            balance_after: { type: "integer", example: 114 },
+            invoice_id: { type: "string", nullable: true, example: "600001" },
+            invoice_item_id: { type: "integer", nullable: true, example: 541910 },
+            note: { type: "string", nullable: true },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        LowStockItem: {
+          type: "object",
+          properties: {
+            stock_code: { type: "string", example: "85123A" },
+            description: { type: "string", example: "WHITE HANGING HEART T-LIGHT HOLDER" },
+            on_hand: { type: "integer", example: 10 },
+            reserved: { type: "integer", example: 0 },
+            available: { type: "integer", example: 10 },
+            reorder_point: { type: "integer", example: 24 },
+            shortfall: { type: "integer", example: 14, description: "reorder_point minus available" }
+          }
+        },
+        PopularityRun: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 12 },
+            trigger: { type: "string", enum: ["manual", "scheduled"], example: "manual" },
+            started_at: { type: "string", format: "date-time" },
+            finished_at: { type: "string", format: "date-time", nullable: true },
+            as_of: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Latest sale considered; recency is measured from here"
+            },
+            window_days: { type: "integer", example: 90 },
+            half_life_days: { type: "number", example: 30 },
+            volume_weight: { type: "number", example: 0.6 },
+            buyer_weight: { type: "number", example: 0.4 },
+            products_scored: { type: "integer", nullable: true, example: 4070 }
+          }
+        },
+        FxRateCoverage: {
+          type: "object",
+          properties: {
+            currency: { $ref: '#/components/schemas/CurrencyCode' },
+            rate_count: { type: "integer", example: 261 },
+            first_date: { type: "string", format: "date", example: "2010-12-01" },
+            last_date: { type: "string", format: "date", example: "2011-12-09" },
+            latest_rate: { type: "number", example: 1.1954, description: "Units of currency per 1 GBP from last_date on" }
+          }
+        },
+        TaxRule: {
+          type: "object",
+          properties: {
+            id: { type: "integer", readOnly: true, example: 1 },
+            country: { $ref: '#/components/schemas/Customer/properties/country' },
+            tax_category: { $ref: '#/components/schemas/Product/properties/tax_category' },
+            rate: { type: "number", minimum: 0, exclusiveMaximum: 1, example: 0.2, description: "Stored to four decimal places" },
+            valid_from: { type: "string", format: "date", example: "2011-01-04" },
+            valid_to: {
+              type: "string",
+              format: "date",
+              nullable: true,
+              example: null,
+              description: "First day the rule no longer applies; null while it is current"
+            },
+            reverse_charge: {
+              type: "boolean",
+              default: false,
+              description: "Customers with a VAT number are charged no tax and account for it themselves (EU B2B sales)"
+            }
+          }
+        },
+        TaxRuleCreate: {
+          allOf: [
+            { $ref: '#/components/schemas/TaxRule' },
+            { type: "object", required: ["country", "rate", "valid_from"] }
+          ]
+        },
+        TaxRuleUpdate: {
+          type: "object",
+          properties: {
+            country: { $ref: '#/components/schemas/TaxRule/properties/country' },
+            tax_category: { $ref: '#/components/schemas/TaxRule/properties/tax_category' },
+            rate: { $ref: '#/components/schemas/TaxRule/properties/rate' },
+            valid_from: { $ref: '#/components/schemas/TaxRule/properties/valid_from' },
+            valid_to: { $ref: '#/components/schemas/TaxRule/properties/valid_to' },
+            reverse_charge: { $ref: '#/components/schemas/TaxRule/properties/reverse_charge' }
+          }
+        },
+        Promotion: {
+          type: "object",
+          properties: {
+            id: { type: "integer", readOnly: true, example: 1 },
+            name: { type: "string", minLength: 1, maxLength: 100, example: "Spring sale" },
+            discount_type: {
+              type: "string",
+              enum: ["percentage", "fixed", "buy_x_get_y"],
+              example: "percentage",
+              description: "percent_off the lines, amount_off the order, or get_quantity free units of stock_code for every buy_quantity bought"
+            },
+            percent_off: { type: "number", nullable: true, exclusiveMinimum: 0, maximum: 100, example: 10, description: "percentage only" },
+            amount_off: { type: "number", nullable: true, exclusiveMinimum: 0, example: null, description: "fixed only; in currency" },
+            buy_quantity: { type: "integer", nullable: true, minimum: 1, example: null, description: "buy_x_get_y only" },
+            get_quantity: { type: "integer", nullable: true, minimum: 1, example: null, description: "buy_x_get_y only" },
+            stock_code: {
+              type: "string",
+              nullable: true,
+              example: null,
+              description: "The product a buy_x_get_y is for; limits a percentage to that product's lines"
+            },
+            currency: {
+              allOf: [{ $ref: '#/components/schemas/CurrencyCode' }],
+              default: "GBP",
+              description: "Currency of amount_off and min_basket; only orders in it are discounted"
+            },
+            min_basket: {
+              type: "number",
+              nullable: true,
+              exclusiveMinimum: 0,
+              example: 50,
+              description: "Goods the order must come to before discounts; postage and fees do not count"
+            },
+            customer_id: { type: "string", nullable: true, example: null, description: "Only this customer's orders" },
+            country: { type: "string", nullable: true, example: null, description: "Only orders to this country" },
+            coupon_code: {
+              type: "string",
+              nullable: true,
+              minLength: 3,
+              maxLength: 30,
+              pattern: "^[A-Za-z0-9_-]+$",
+              example: "SPRING10",
+              description: "Only orders giving this code (in any case) are discounted; without one the promotion applies to every eligible order"
+            },
+            usage_limit: { type: "integer", nullable: true, minimum: 1, example: 100, description: "Invoices it may be used on in all" },
+            per_customer_limit: { type: "integer", nullable: true, minimum: 1, example: 1, description: "Invoices it may be used on per customer" },
+            valid_from: { type: "string", format: "date", example: "2011-03-01", description: "Defaults to today" },
+            valid_to: {
+              type: "string",
+              format: "date",
+              nullable: true,
+              example: null,
+              description: "First day the promotion no longer applies; null while it runs"
+            },
+            times_used: { type: "integer", readOnly: true, example: 12, description: "Invoices it has been used on" },
+            created_at: { type: "string", format: "date-time", readOnly: true }
+          }
+        },
+        PromotionCreate: {
+          allOf: [
+            { $ref: '#/components/schemas/Promotion' },
+            { type: "object", required: ["name", "discount_type"] }
+          ]
+        },
+        PromotionUpdate: {
+          type: "object",
+          description: "Fields of the old discount_type are cleared when it changes",
+          properties: {
+            name: { $ref: '#/components/schemas/Promotion/properties/name' },
+            discount_type: { $ref: '#/components/schemas/Promotion/properties/discount_type' },
+            percent_off: { $ref: '#/components/schemas/Promotion/properties/percent_off' },
+            amount_off: { $ref: '#/components/schemas/Promotion/properties/amount_off' },
+            buy_quantity: { $ref: '#/components/schemas/Promotion/properties/buy_quantity' },
+            get_quantity: { $ref: '#/components/schemas/Promotion/properties/get_quantity' },
+            stock_code: { $ref: '#/components/schemas/Promotion/properties/stock_code' },
+            currency: { $ref: '#/components/schemas/Promotion/properties/currency' },
+            min_basket: { $ref: '#/components/schemas/Promotion/properties/min_basket' },
+            customer_id: { $ref: '#/components/schemas/Promotion/properties/customer_id' },
+            country: { $ref: '#/components/schemas/Promotion/properties/country' },
+            coupon_code: { $ref: '#/components/schemas/Promotion/properties/coupon_code' },
+            usage_limit: { $ref: '#/components/schemas/Promotion/properties/usage_limit' },
+            per_customer_limit: { $ref: '#/components/schemas/Promotion/properties/per_customer_limit' },
+            valid_from: { $ref: '#/components/schemas/Promotion/properties/valid_from' },
+            valid_to: { $ref: '#/components/schemas/Promotion/properties/valid_to' }
+          }
+        },
+        AppliedDiscount: {
+          type: "object",
+          properties: {
+            promotion_id: { type: "integer", example: 1 },
+            name: { type: "string", example: "Spring sale" },
+            coupon_code: { type: "string", nullable: true, example: "SPRING10" },
+            amount: { type: "number", format: "float", example: 1.53, description: "Taken off the order, net of tax" }
+          }
+        },
+        PromotionUsage: {
+          type: "object",
+          properties: {
+            promotion_id: { type: "integer", example: 1 },
+            name: { type: "string", example: "Spring sale" },
+            discount_type: { $ref: '#/components/schemas/Promotion/properties/discount_type' },
+            coupon_code: { type: "string", nullable: true, example: "SPRING10" },
+            currency: { $ref: '#/components/schemas/CurrencyCode' },
+            order_count: { type: "integer", example: 42, description: "Invoices it was used on" },
+            discount_amount: { type: "number", format: "float", example: 310.25 }
+          }
+        },
+        TaxTreatment: {
+          type: "string",
+          enum: ["standard", "reverse_charge", "outside_scope"],
+          nullable: true,
+          description: "How the invoice was taxed: under the country's rules, reverse-charged to a VAT-registered customer, or not at all because the country has no tax rules. Null for invoices recorded before tax was tracked."
+        },
+        TaxSummary: {
+          type: "object",
+          properties: {
+            period: { type: "string", example: "2011-Q1", description: "YYYY-MM, YYYY-Qn or YYYY" },
+            country: { type: "string", example: "France" },
+            currency: { $ref: '#/components/schemas/CurrencyCode' },
+            net_amount: { type: "number", format: "float", example: 1520.40 },
+            tax_amount: { type: "number", format: "float", example: 250.08 },
+            gross_amount: { type: "number", format: "float", example: 1770.48 },
+            reverse_charge_net: {
+              type: "number",
+              format: "float",
+              example: 270.00,
+              description: "Part of net_amount reverse-charged to VAT-registered customers"
+            },
+            outside_scope_net: {
+              type: "number",
+              format: "float",
+              example: 0,
+              description: "Part of net_amount sold where no tax rules applied"
+            },
+            untracked_net: {
+              type: "number",
+              format: "float",
+              example: 0,
+              description: "Part of net_amount on invoices recorded before tax was tracked, which carry no tax"
+            }
+          }
+        },
+        DataQualityReport: {
+          type: "object",
+          properties: {
+            generated_at: { type: "string", format: "date-time" },
+            rules: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  rule: { type: "string", example: "negative_quantity" },
+                  description: { type: "string" },
+                  entity: { type: "string", enum: ["invoice", "invoice_item", "product"] },
+                  count: { type: "integer", example: 1336, description: "Rows breaking the rule" },
+                  samples: {
+                    type: "array",
+                    items: { type: "object", additionalProperties: true },
+                    description: "The first offending rows"
+                  }
+                }
+              }
+            }
+          }
+        },
+        AssociationRun: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 3 },
+            trigger: { type: "string", enum: ["manual", "scheduled"], example: "manual" },
+            started_at: { type: "string", format: "date-time" },
+            finished_at: { type: "string", format: "date-time", nullable: true },
+            min_support: { type: "number", example: 0.001 },
+            min_confidence: { type: "number", example: 0.1 },
+            invoices_considered: { type: "integer", nullable: true, example: 20728 },
+            rules_count: { type: "integer", nullable: true, example: 18342 }
+          }
+        },
+        ProductRecommendation: {
+          type: "object",
+          properties: {
+            stock_code: { type: "string", example: "22699" },
+            description: { type: "string", example: "ROSES REGENCY TEACUP AND SAUCER" },
+            popularity_score: { type: "integer", example: 87 },
+            co_occurrences: { type: "integer", example: 546, description: "Invoices containing both products" },
+            support: { type: "number", example: 0.0263 },
+            confidence: { type: "number", example: 0.6135 },
+            lift: { type: "number", example: 14.73 }
+          }
+        },
+        CustomerRecommendation: {
+          type: "object",
+          properties: {
+            stock_code: { type: "string", example: "22699" },
+            description: { type: "string", example: "ROSES REGENCY TEACUP AND SAUCER" },
+            popularity_score: { type: "integer", example: 87 },
+            score: { type: "number", example: 1.2431, description: "Summed confidence of the rules pointing here" },
+            max_lift: { type: "number", example: 14.73 },
+            because_of: {
+              type: "array",
+              items: { type: "string" },
+              example: ["22697", "22698"],
+              description: "Up to three purchased products behind the recommendation"
+            }
+          }
+        },
+        Recommendations: {
+          type: "object",
+          properties: {
+            run_id: { type: "integer", nullable: true, example: 3, description: "Rule-mining run behind the results" },
+            generated_at: { type: "string", format: "date-time", nullable: true },
+            data: { type: "array", items: {} }
+          }
+        },
+        ImportRow: {
+          type: "object",
+          properties: {
+            line: { type: "integer", example: 2, description: "1-based line in the upload (the CSV header is line 1)" },
+            stock_code: { type: "string", example: "85123A" },
+            action: { type: "string", enum: ["insert", "update", "unchanged", "error"], example: "insert" },
+            details: { type: "string", example: "description is required", description: "Why the row failed" }
+          }
+        },
+        ImportReport: {
+          type: "object",
+          properties: {
+            dry_run: { type: "boolean", example: false },
+            summary: {
+              type: "object",
+              properties: {
+                total: { type: "integer", example: 3 },
+                inserted: { type: "integer", example: 1 },
+                updated: { type: "integer", example: 1 },
+                unchanged: { type: "integer", example: 0 },
+                failed: { type: "integer", example: 1 }
+              }
+            },
+            rows: {
+              type: "array",
+              items: { $ref: '#/components/schemas/ImportRow' }
+            }
+          }
+        },
+        ProductSearchResult: {
+          allOf: [
+            { $ref: '#/components/schemas/Product' },
+            {
+              type: "object",
+              properties: {
+                rank: { type: "number", format: "float", example: 0.0991, description: "Text relevance" },
+                score: { type: "number", format: "float", example: 0.1982, description: "Relevance after popularity boost" },
+                highlight: {
+                  type: "string",
+                  nullable: true,
+                  example: "WHITE <mark>HANGING</mark> <mark>HEART</mark> T-LIGHT HOLDER"
+                }
+              }
+            }
+          ]
+        },
+        Customer: {
+          type: "object",
+          properties: {
+            customer_id: { type: "string", minLength: 1, maxLength: 20, example: "C12345" },
+            country: { type: "string", maxLength: 50, example: "United Kingdom" },
+            vat_number: {
+              type: "string",
+              maxLength: 30,
+              nullable: true,
+              example: "FR40303265045",
+              description: "Set for business customers; sales to them may be reverse-charged"
+            },
+            name: { type: "string", minLength: 1, maxLength: 200, nullable: true, example: "Jane Smith" },
+            email: { type: "string", format: "email", maxLength: 254, nullable: true, example: "jane@example.com" },
+            phone: { type: "string", maxLength: 40, nullable: true, example: "+44 20 7946 0000" },
+            addresses: {
+              type: "array",
+              maxItems: 20,
+              items: { $ref: '#/components/schemas/CustomerAddress' },
+              description: "Not included in customer listings"
+            },
+            erased_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              readOnly: true,
+              description: "When the customer's personal data was erased"
+            }
+          }
+        },
+        CustomerAddress: {
+          type: "object",
+          required: ["line1", "city", "country"],
+          properties: {
+            id: { type: "integer", readOnly: true, example: 1 },
+            label: { type: "string", maxLength: 30, default: "billing", example: "shipping" },
+            line1: { type: "string", minLength: 1, maxLength: 200, example: "12 High Street" },
+            line2: { type: "string", maxLength: 200, nullable: true },
+            city: { type: "string", minLength: 1, maxLength: 100, example: "London" },
+            postal_code: { type: "string", maxLength: 20, nullable: true, example: "SW1A 1AA" },
+            country: { $ref: '#/components/schemas/Customer/properties/country' }
+          }
+        },
+        CustomerCreate: {
+          allOf: [
+            { $ref: '#/components/schemas/Customer' },
+            { type: "object", required: ["customer_id", "country"] }
+          ]
+        },
+        CustomerUpdate: {
+          type: "object",
+          properties: {
+            country: { $ref: '#/components/schemas/Customer/properties/country' },
+            vat_number: { $ref: '#/components/schemas/Customer/properties/vat_number' },
+            name: { $ref: '#/components/schemas/Customer/properties/name' },
+            email: { $ref: '#/components/schemas/Customer/properties/email' },
+            phone: { $ref: '#/components/schemas/Customer/properties/phone' },
+            addresses: { $ref: '#/components/schemas/Customer/properties/addresses' }
+          }
+        },
+        CurrencyCode: {
+          type: "string",
+          pattern: "^[A-Z]{3}$",
+          example: "GBP",
+          description: "ISO 4217 currency code"
+        },
+        Invoice: {
+          type: "object",
+          properties: {
+            invoice_id: { type: "string", minLength: 1, maxLength: 20, example: "INV123" },
+            customer_id: { $ref: '#/components/schemas/Customer/properties/customer_id' },
+            invoice_date: { type: "string", format: "date-time", example: "2023-01-01T12:00:00Z" },
+            country: { $ref: '#/components/schemas/Customer/properties/country' },
+            currency: {
+              allOf: [{ $ref: '#/components/schemas/CurrencyCode' }],
+              description: "Currency of the invoice's prices"
+            },
+            tax_treatment: { $ref: '#/components/schemas/TaxTreatment' },
+            is_cancelled: {
+              type: "boolean",
+              example: false,
+              description: "True for credit-note invoices (InvoiceNo starting with \"C\")"
+            },
+            original_invoice_id: {
+              type: "string",
+              nullable: true,
+              example: null,
+              description: "For credit notes, the invoice being cancelled"
+            },
+            cancellation_status: {
+              type: "string",
+              enum: ["none", "partial", "full"],
+              example: "none",
+              description: "How much of this invoice has been returned through credit notes"
+            }
+          }
+        },
+        InvoiceItem: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            invoice_id: { $ref: '#/components/schemas/Invoice/properties/invoice_id' },
+            stock_code: { $ref: '#/components/schemas/Product/properties/stock_code' },
+            quantity: { type: "integer", example: 5 },
+            unit_price: { type: "number", format: "float", example: 12.50, description: "In the invoice's currency, net of tax" },
+            discount_amount: {
+              type: "number",
+              format: "float",
+              example: 0,
+              description: "The line's share of the invoice's discounts; negative on credit-note lines, which give back the share of the units returned"
+            },
+            original_item_id: {
+              type: "integer",
+              nullable: true,
+              example: null,
+              description: "For credit-note lines, the invoice item being returned"
+            },
+            tax_rule_id: {
+              type: "integer",
+              nullable: true,
+              example: 1,
+              description: "The tax rule the line was taxed under; null where none applied"
+            },
+            tax_rate: { type: "number", nullable: true, example: 0.2, description: "Rate charged when the line was recorded" },
+            tax_amount: { type: "number", format: "float", nullable: true, example: 12.50 }
+          }
+        },
+        InvoiceLineInput: {
+          type: "object",
+          required: ["stock_code", "quantity", "unit_price"],
+          properties: {
+            stock_code: { $ref: '#/components/schemas/Product/properties/stock_code' },
+            quantity: { type: "integer", minimum: 1, example: 6 },
+            unit_price: { type: "number", format: "float", minimum: 0, example: 2.55 }
+          }
+        },
+        InvoiceCreate: {
+          type: "object",
+          required: ["customer_id", "items"],
+          properties: {
+            customer_id: { $ref: '#/components/schemas/Customer/properties/customer_id' },
+            country: {
+              allOf: [{ $ref: '#/components/schemas/Customer/properties/country' }],
+              description: "Defaults to the customer's country when omitted"
+            },
+            currency: {
+              allOf: [{ $ref: '#/components/schemas/CurrencyCode' }],
+              default: "GBP",
+              description: "Currency of the unit prices; other than GBP it needs exchange rates loaded"
+            },
+            coupon_code: {
+              type: "string",
+              example: "SPRING10",
+              description: "A coupon to apply; the order is rejected if it cannot be used"
+            },
+            items: {
+              type: "array",
+              minItems: 1,
+              items: { $ref: '#/components/schemas/InvoiceLineInput' }
+            }
+          }
+        },
+        InvoiceLine: {
+          allOf: [
+            { $ref: '#/components/schemas/InvoiceItem' },
+            {
+              type: "object",
+              properties: {
+                line_total: { type: "number", format: "float", example: 15.30, description: "quantity times unit_price less discount_amount; net of tax" },
+                gross_total: { type: "number", format: "float", nullable: true, example: 18.36, description: "line_total plus tax_amount" },
+                product: {
+                  allOf: [{ $ref: '#/components/schemas/Product' }],
+                  description: "Only present with expand=products"
+                }
+              }
+            }
+          ]
+        },
+        InvoiceSummary: {
+          allOf: [
+            { $ref: '#/components/schemas/Invoice' },
+            {
+              type: "object",
+              properties: {
+                line_count: { type: "integer", example: 1 },
+                item_count: { type: "integer", example: 6 },
+                total_amount: { type: "number", format: "float", example: 15.30, description: "Net of tax and discounts" }
+              }
+            }
+          ]
+        },
+        InvoiceDetail: {
+          allOf: [
+            { $ref: '#/components/schemas/InvoiceSummary' },
+            {
+              type: "object",
+              properties: {
+                items: {
+                  type: "array",
+                  items: { $ref: '#/components/schemas/InvoiceLine' }
+                },
+                discounts: {
+                  type: "array",
+                  description: "The promotions the invoice was discounted by when it was issued",
+                  items: { $ref: '#/components/schemas/AppliedDiscount' }
+                },
+                discount_amount: { type: "number", format: "float", example: 0, description: "Sum of the lines' discount_amount" },
+                tax_amount: {
+                  type: "number",
+                  format: "float",
+                  nullable: true,
+                  example: 3.06,
+                  description: "Sum of the lines' tax; null for invoices recorded before tax was tracked"
+                },
+                gross_amount: { type: "number", format: "float", nullable: true, example: 18.36, description: "total_amount plus tax_amount" },
+                customer: {
+                  allOf: [{ $ref: '#/components/schemas/Customer' }],
+                  nullable: true,
+                  description: "Only present with expand=customer"
+                },
+                display_currency: {
+                  allOf: [{ $ref: '#/components/schemas/CurrencyCode' }],
+                  description: "Only present with ?currency=; the currency the amounts are shown in"
+                },
+                exchange_rate: {
+                  type: "number",
+                  example: 1.1667,
+                  description: "Only present with ?currency=; units of display_currency per unit of currency on the invoice date"
+                }
+              }
+            }
+          ]
+        },
+        InvoiceCancel: {
+          type: "object",
+          description: "Omit lines (or send an empty body) to cancel everything still outstanding",
+          properties: {
+            lines: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["item_id"],
+                properties: {
+                  item_id: { type: "integer", example: 1, description: "id of the invoice item to return" },
+                  quantity: {
+                    type: "integer",
+                    minimum: 1,
+                    example: 2,
+                    description: "Units to return; defaults to everything not yet returned"
+                  }
+                }
+              }
+            }
+          }
+        },
+        LineError: {
+          type: "object",
+          properties: {
+            line: { type: "integer", example: 2, description: "1-based position in the submitted array" },
+            stock_code: { type: "string", example: "XYZ999" },
+            item_id: { type: "integer", example: 7, description: "Set when the line refers to an existing invoice item" },
+            details: { type: "string", example: "Unknown stock_code" }
+          }
+        },
+        CartCreate: {
+          type: "object",
+          required: ["customer_id"],
+          properties: {
+            customer_id: { $ref: '#/components/schemas/Customer/properties/customer_id' },
+            country: {
+              allOf: [{ $ref: '#/components/schemas/Customer/properties/country' }],
+              description: "Where the order ships and is taxed; defaults to the customer's country"
+            }
+          }
+        },
+        CartLineInput: {
+          type: "object",
+          required: ["stock_code", "quantity"],
+          properties: {
+            stock_code: { $ref: '#/components/schemas/Product/properties/stock_code' },
+            quantity: { type: "integer", minimum: 1, example: 6 }
+          }
+        },
+        CartLine: {
+          type: "object",
+          properties: {
+            stock_code: { type: "string", example: "85123A" },
+            description: { type: "string", nullable: true, example: "WHITE HANGING HEART T-LIGHT HOLDER" },
+            quantity: { type: "integer", example: 6 },
+            unit_price: { type: "number", format: "float", example: 2.55, description: "The product's list price (or last selling price) when the line was added, net of tax" },
+            discount_amount: { type: "number", format: "float", example: 0, description: "What the promotions that would apply today take off the line" },
+            line_total: { type: "number", format: "float", example: 15.30, description: "Less discount_amount" },
+            tax_rate: { type: "number", nullable: true, example: 0.2, description: "Rate that would be charged today; null when no rule covers the line" },
+            tax_amount: { type: "number", format: "float", nullable: true, example: 3.06 },
+            reserved: { type: "integer", example: 6, description: "Units held in stock for the cart; 0 for products that are not stock-tracked" },
+            added_at: { type: "string", format: "date-time" }
+          }
+        },
+        Cart: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            customer_id: { type: "string", example: "17850" },
+            country: { type: "string", nullable: true, example: null },
+            status: {
+              type: "string",
+              enum: ["open", "checked_out", "abandoned", "expired"],
+              description: "Open carts expire once expires_at passes"
+            },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+            expires_at: { type: "string", format: "date-time", description: "Pushed back by every change to the cart" },
+            invoice_id: { type: "string", nullable: true, example: null, description: "The invoice the cart was checked out as" },
+            coupon_code: { type: "string", nullable: true, example: null, description: "The coupon checkout will apply" },
+            coupon_problem: {
+              type: "string",
+              nullable: true,
+              example: null,
+              description: "Why the coupon would not be accepted today, e.g. it has expired; checkout fails until it is removed"
+            },
+            currency: { $ref: '#/components/schemas/CurrencyCode' },
+            tax_treatment: { $ref: '#/components/schemas/TaxTreatment' },
+            items: {
+              type: "array",
+              items: { $ref: '#/components/schemas/CartLine' }
+            },
+            item_count: { type: "integer", example: 6, description: "Units across all lines" },
+            discounts: {
+              type: "array",
+              description: "The promotions that would apply if the cart were checked out now",
+              items: { $ref: '#/components/schemas/AppliedDiscount' }
+            },
+            discount_amount: { type: "number", format: "float", example: 0 },
+            total_amount: { type: "number", format: "float", example: 15.30, description: "Net of tax and discounts" },
+            tax_amount: { type: "number", format: "float", nullable: true, example: 3.06, description: "Null while any line has no tax rule to be taxed under" },
+            gross_amount: { type: "number", format: "float", nullable: true, example: 18.36 }
+          }
+        },
+        MonthlySales: {
+          type: "object",
+          properties: {
+            year: { type: "integer", example: 2011 },
+            month: { type: "integer", example: 1 },
+            currency: { $ref: '#/components/schemas/CurrencyCode' },
+            gross_sales: { type: "number", format: "float", example: 13000.00 },
+            credits: {
+              type: "number",
+              format: "float",
+              example: -499.50,
+              description: "Value of credit-note invoices (negative)"
+            },
+            total_sales: {
+              type: "number",
+              format: "float",
+              example: 12500.50,
+              description: "Net sales: gross_sales plus credits"
+            }
+          }
+        },
+        SegmentName: {
+          type: "string",
+          enum: rfm.SEGMENTS,
+          example: "Champions"
+        },
+        CustomerMetrics: {
+          type: "object",
+          properties: {
+            customer_id: { type: "string", example: "12347" },
+            reference_date: { type: "string", format: "date-time", example: "2011-12-10T12:50:00Z" },
+            first_purchase: { type: "string", format: "date-time", nullable: true, example: "2010-12-07T14:57:00Z" },
+            last_purchase: { type: "string", format: "date-time", nullable: true, example: "2011-12-07T15:52:00Z" },
+            recency_days: { type: "integer", nullable: true, example: 2, description: "Days from last purchase to reference_date" },
+            frequency: { type: "integer", example: 7, description: "Regular (non-credit) invoices" },
+            monetary: { type: "number", format: "float", nullable: true, example: 4310.00, description: "Net of credit notes" },
+            average_basket: { type: "number", format: "float", nullable: true, example: 615.71 },
+            return_rate: {
+              type: "number",
+              format: "float",
+              nullable: true,
+              example: 0.0,
+              description: "Returned units divided by purchased units"
+            },
+            r_score: { type: "integer", minimum: 1, maximum: 5, nullable: true, example: 5 },
+            f_score: { type: "integer", minimum: 1, maximum: 5, nullable: true, example: 5 },
+            m_score: { type: "integer", minimum: 1, maximum: 5, nullable: true, example: 5 },
+            segment: {
+              allOf: [{ $ref: '#/components/schemas/SegmentName' }],
+              nullable: true,
+              description: "Null when the customer has no purchases before reference_date"
+            }
+          }
+        },
+        SegmentSummary: {
+          type: "object",
+          properties: {
+            segment: { $ref: '#/components/schemas/SegmentName' },
+            reference_date: { type: "string", format: "date-time", example: "2011-12-10T12:50:00Z" },
+            customer_count: { type: "integer", example: 628 },
+            avg_recency_days: { type: "number", example: 6.4 },
+            avg_frequency: { type: "number", example: 12.38 },
+            avg_monetary: { type: "number", example: 6848.42 },
+            total_monetary: { type: "number", example: 4300807.61 }
+          }
+        },
+        SalesMetrics: {
+          type: "object",
+          properties: {
+            currency: {
+              allOf: [{ $ref: '#/components/schemas/CurrencyCode' }],
+              description: "Currency of revenue, discounts and average_order_value"
+            },
+            revenue: { type: "number", format: "float", example: 560000.26, description: "Net of credit notes and discounts" },
+            discounts: {
+              type: "number",
+              format: "float",
+              example: 1250.00,
+              description: "Taken off by promotions, less what returns gave back"
+            },
+            units: { type: "integer", example: 308966, description: "Net of returned units" },
+            order_count: { type: "integer", example: 1086, description: "Regular (non-credit) invoices" },
+            credit_note_count: { type: "integer", example: 141 },
+            average_order_value: {
+              type: "number",
+              format: "float",
+              example: 537.20,
+              description: "Value of regular invoices divided by order_count"
+            },
+            cancellation_rate: {
+              type: "number",
+              format: "float",
+              example: 0.1298,
+              description: "credit_note_count divided by order_count"
+            }
+          }
+        },
+        SalesBucket: {
+          allOf: [
+            {
+              type: "object",
+              properties: {
+                period: {
+                  type: "string",
+                  format: "date-time",
+                  example: "2011-01-01T00:00:00Z",
+                  description: "Start of the bucket"
+                }
+              }
+            },
+            { $ref: '#/components/schemas/SalesMetrics' }
+          ]
+        },
+        ApiKey: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 3 },
+            name: { type: "string", example: "Warehouse dashboard" },
+            role: { type: "string", enum: ["admin", "catalog-editor", "analyst", "read-only"] },
+            key_prefix: { type: "string", example: "rk_Q2x9vT1a", description: "Start of the key, for recognising it" },
+            created_at: { type: "string", format: "date-time" },
+            last_used_at: { type: "string", format: "date-time", nullable: true },
+            revoked_at: { type: "string", format: "date-time", nullable: true },
+            rotated_from: { type: "integer", nullable: true, description: "Key this one replaced" }
+          }
+        },
+        ApiKeyCreated: {
+          allOf: [
+            { $ref: '#/components/schemas/ApiKey' },
+            {
+              type: "object",
+              properties: {
+                key: { type: "string", description: "The secret key. Shown only once; store it now." }
+              }
+            }
+          ]
+        },
+        Webhook: {
+          type: "object",
+          properties: {
+            id: { type: "integer", readOnly: true, example: 1 },
+            url: {
+              type: "string",
+              maxLength: 2000,
+              pattern: "^https?://",
+              example: "https://warehouse.example.com/hooks/retail",
+              description: "Where events are POSTed"
+            },
+            events: {
+              type: "array",
+              minItems: 1,
+              uniqueItems: true,
+              items: { $ref: '#/components/schemas/WebhookEventType' }
+            },
+            description: { type: "string", nullable: true, maxLength: 200, example: "Warehouse tool" },
+            active: { type: "boolean", default: true, description: "Inactive webhooks are sent nothing; their queued deliveries wait" },
+            created_at: { type: "string", format: "date-time", readOnly: true },
+            updated_at: { type: "string", format: "date-time", readOnly: true }
+          }
+        },
+        WebhookCreate: {
+          allOf: [
+            { $ref: '#/components/schemas/Webhook' },
+            { type: "object", required: ["url", "events"] }
+          ]
+        },
+        WebhookUpdate: {
+          type: "object",
+          minProperties: 1,
+          properties: {
+            url: { $ref: '#/components/schemas/Webhook/properties/url' },
+            events: { $ref: '#/components/schemas/Webhook/properties/events' },
+            description: { $ref: '#/components/schemas/Webhook/properties/description' },
+            active: { type: "boolean" }
+          }
+        },
+        WebhookCreated: {
+          allOf: [
+            { $ref: '#/components/schemas/Webhook' },
+            {
+              type: "object",
+              properties: {
+                secret: {
+                  type: "string",
+                  example: "whsec_3q2+7w...",
+                  description: "Signs every payload sent. Shown only when created or rotated; store it now."
+                }
+              }
+            }
+          ]
+        },
+        WebhookEventType: {
+          type: "string",
+          enum: ["invoice.created", "invoice.cancelled", "product.created", "product.updated", "product.deleted", "stock.changed"],
+          description: "invoice.created: data is the invoice with its items. invoice.cancelled: data is { invoice, credit_note }. product.created, product.updated (including restores) and product.deleted: data is the product. stock.changed, for every receipt, adjustment, sale and return: data is { movement, stock }."
+        },
+        WebhookEvent: {
+          type: "object",
+          description: "The body POSTed to a webhook, signed in the X-Webhook-Signature header. An event may arrive more than once, so receivers should ignore ids they have already handled.",
+          properties: {
+            id: { type: "string", format: "uuid", description: "The same for every delivery and replay of the event" },
+            type: {
+              type: "string",
+              example: "invoice.created",
+              description: "One of WebhookEventType, or ping when a ping is requested"
+            },
+            created_at: { type: "string", format: "date-time" },
+            data: { type: "object" }
+          }
+        },
+        WebhookDelivery: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 18 },
+            subscription_id: { type: "integer", example: 1 },
+            event_id: { type: "string", format: "uuid" },
+            event_type: { type: "string", example: "invoice.created" },
+            payload: { $ref: '#/components/schemas/WebhookEvent' },
+            status: {
+              type: "string",
+              enum: ["pending", "delivered", "failed"],
+              description: "Pending until the endpoint accepts it, or failed once WEBHOOK_MAX_ATTEMPTS attempts have been made"
+            },
+            attempts: { type: "integer", example: 1 },
+            next_attempt_at: { type: "string", format: "date-time", description: "When a pending delivery is next sent" },
+            last_attempt_at: { type: "string", format: "date-time", nullable: true },
+            response_status: { type: "integer", nullable: true, example: 200, description: "HTTP status of the last attempt" },
+            last_error: { type: "string", nullable: true, example: null, description: "Why the last attempt failed" },
+            delivered_at: { type: "string", format: "date-time", nullable: true },
+            replay_of: { type: "integer", nullable: true, example: null, description: "The delivery this one replays" },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        Token: {
+          type: "object",
+          properties: {
+            access_token: { type: "string" },
+            token_type: { type: "string", example: "Bearer" },
+            expires_in: { type: "integer", example: 3600, description: "Lifetime in seconds" }
+          }
+        },
+        AuditEntry: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1042 },
+            occurred_at: { type: "string", format: "date-time" },
+            actor: { type: "string", example: "key:3", description: "key:<id> for API keys, bootstrap, or system for scheduled jobs" },
+            actor_name: { type: "string", nullable: true, example: "Warehouse dashboard" },
+            actor_role: { type: "string", nullable: true, example: "catalog-editor" },
+            route: { type: "string", nullable: true, example: "PUT /api/products/:stock_code" },
+            action: { type: "string", enum: ["create", "update", "delete"] },
+            entity_type: { type: "string", example: "product", description: "product, inventory, stock_movement, invoice or api_key" },
+            entity_id: { type: "string", example: "85123A" },
+            before: { type: "object", nullable: true, description: "The entity before the change; null for creates" },
+            after: { type: "object", nullable: true, description: "The entity after the change; null for deletes" }
+          }
+        },
+        ProductChange: {
+          type: "object",
+          properties: {
+            id: { type: "integer", description: "Audit entry ID" },
+            occurred_at: { type: "string", format: "date-time" },
+            actor: { type: "string", example: "system" },
+            actor_name: { type: "string", nullable: true },
+            route: { type: "string", nullable: true },
+            action: { type: "string", enum: ["create", "update", "delete"] },
+            description_before: { type: "string", nullable: true },
+            description_after: { type: "string", nullable: true },
+            popularity_score_before: { type: "integer", nullable: true },
+            popularity_score_after: { type: "integer", nullable: true }
+          }
+        },
+        Page: {
+          type: "object",
+          description: "Envelope returned by every paginated list endpoint",
+          properties: {
+            data: { type: "array", items: {} },
+            next_cursor: {
+              type: "string",
+              nullable: true,
+              example: "WyJzdG9ja19jb2RlIiwiODUxMjNBIiwiODUxMjNBIl0",
+              description: "Pass as cursor to fetch the next page; null on the last page"
+            },
+            limit: { type: "integer", example: 50 },
+            sort: { type: "string", example: "stock_code" }
+          }
+        },
+        Error: {
+          type: "object",
+          properties: {
+            error: { type: "string", example: "Not Found" },
+            details: { type: "string", example: "Resource not found" }
+          }
+        },
+        ValidationError: {
+          allOf: [
+            { $ref: '#/components/schemas/Error' },
+            {
+              type: "object",
+              properties: {
+                fields: {
+                  type: "array",
+                  description: "One entry per invalid field",
+                  items: {
+                    type: "object",
+                    properties: {
+                      in: { type: "string", enum: ["body", "query", "path"] },
+                      field: { type: "string", nullable: true, example: "items[0].quantity" },
+                      message: { type: "string", example: "must be >= 1" }
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        }
+      }
+    }
+  },
+  apis: [path.join(__dirname, 'routes', '*.js')]
+};
+
+
+module.exports = swaggerJsdoc(swaggerOptions);
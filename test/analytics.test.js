@@ -0,0 +1,116 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct, seedInvoice } = require('./helpers');
+
+let database;
+let api;
+
+// NUMERIC values come back as strings
+const amount = value => value === null ? null : Math.round(Number(value) * 100) / 100;
+const day = value => String(value).slice(0, 10);
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedCustomer('C2', 'France');
+  await seedCustomer('C3');
+  await seedProduct('A1', 'WHITE HANGING HEART');
+  await seedProduct('B1', 'REGENCY CAKESTAND');
+  await seedProduct('D1', 'PARTY BUNTING');
+
+  await seedInvoice('536365', 'C1', '2010-12-01 08:26', [['A1', 6, 2.5], ['B1', 2, 10]]);
+  await seedInvoice('536366', 'C2', '2010-12-06 09:00', [['A1', 4, 2.5], ['B1', 1, 10]], 'France');
+  await seedInvoice('536367', 'C1', '2011-01-10 10:00', [['A1', 2, 2.5], ['D1', 1, 5]]);
+  await seedInvoice('C536368', 'C1', '2011-01-12 10:00', [['A1', -1, 2.5]]);
+  await seedInvoice('536369', 'C3', '2011-01-20 10:00', [['B1', 3, 10]]);
+});
+after(async () => {
+  await database.close();
+});
+
+test('monthly sales keep the same month of different years apart', async () => {
+  const res = await api.get('/api/sales/monthly');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(row => [row.year, row.month, amount(row.gross_sales), amount(row.credits), amount(row.total_sales)]), [
+    [2010, 12, 55, 0, 55],
+    [2011, 1, 40, -2.5, 37.5]
+  ]);
+});
+
+test('summarises sales and buckets them over time', async () => {
+  const summary = await api.get('/api/analytics/summary');
+  assert.equal(summary.status, 200);
+  const metrics = row => [amount(row.revenue), row.units, row.order_count, row.credit_note_count, amount(row.average_order_value)];
+  // Credit notes are netted out of revenue but are not orders
+  assert.deepEqual(metrics(summary.body), [92.5, 18, 4, 1, 23.75]);
+  assert.equal(Number(summary.body.cancellation_rate), 0.25);
+
+  assert.deepEqual(metrics((await api.get('/api/analytics/summary?country=France')).body), [20, 5, 1, 0, 20]);
+  assert.deepEqual(metrics((await api.get('/api/analytics/summary?date_from=2011-01-01&date_to=2011-01-15')).body), [7.5, 2, 1, 1, 10]);
+
+  const buckets = async query => (await api.get(`/api/analytics/sales?${query}`)).body.data.map(row => [day(row.period), amount(row.revenue)]);
+  assert.deepEqual(await buckets('bucket=month'), [['2010-12-01', 55], ['2011-01-01', 37.5]]);
+  assert.deepEqual(await buckets('bucket=quarter'), [['2010-10-01', 55], ['2011-01-01', 37.5]]);
+  // Weeks start on Monday
+  assert.deepEqual(await buckets('bucket=week&date_from=2011-01-01'), [['2011-01-10', 7.5], ['2011-01-17', 30]]);
+  assert.deepEqual(await buckets('bucket=day&stock_code=B1'), [['2010-12-01', 20], ['2010-12-06', 10], ['2011-01-20', 30]]);
+});
+
+test('breaks sales down by country, customer and product', async () => {
+  const byCountry = await api.get('/api/analytics/sales/by-country');
+  assert.equal(byCountry.status, 200);
+  assert.deepEqual(byCountry.body.data.map(row => [row.country, amount(row.revenue), row.order_count, row.credit_note_count]), [
+    ['United Kingdom', 72.5, 3, 1],
+    ['France', 20, 1, 0]
+  ]);
+
+  const topCustomers = await api.get('/api/analytics/sales/by-customer?limit=2');
+  assert.deepEqual([topCustomers.body.order_by, topCustomers.body.limit], ['revenue', 2]);
+  assert.deepEqual(topCustomers.body.data.map(row => [row.customer_id, row.customer_country, amount(row.revenue)]), [
+    ['C1', 'United Kingdom', 42.5],
+    ['C3', 'United Kingdom', 30]
+  ]);
+
+  const byUnits = await api.get('/api/analytics/sales/by-product?order_by=units');
+  assert.deepEqual(byUnits.body.data.map(row => [row.stock_code, row.description, row.units]), [
+    ['A1', 'WHITE HANGING HEART', 11],
+    ['B1', 'REGENCY CAKESTAND', 6],
+    ['D1', 'PARTY BUNTING', 1]
+  ]);
+  const oneCustomer = await api.get('/api/analytics/sales/by-product?customer_id=C1');
+  assert.deepEqual(oneCustomer.body.data.map(row => [row.stock_code, amount(row.revenue)]), [['B1', 20], ['A1', 17.5], ['D1', 5]]);
+});
+
+test('rejects invalid report parameters', async () => {
+  for (const query of [
+    'sales?bucket=year',
+    'sales/by-country?order_by=margin',
+    'sales/by-customer?limit=0',
+    'summary?date_from=yesterday',
+    'summary?currency=pounds',
+    'segments?reference_date=soon'
+  ]) {
+    const res = await api.get(`/api/analytics/${query}`);
+    assert.equal(res.status, 400, query);
+  }
+});
+
+test('scores customers into RFM segments', async () => {
+  const segments = await api.get('/api/analytics/segments');
+  assert.equal(segments.status, 200);
+  // Best segment first; the day after the latest invoice is the default reference date
+  assert.deepEqual(segments.body.data.map(row => [row.segment, row.customer_count, amount(row.avg_recency_days), amount(row.total_monetary)]), [
+    ['Promising', 1, 1, 30],
+    ['At Risk', 1, 11, 42.5],
+    ['Lost', 1, 46, 20]
+  ]);
+
+  // Only what had been bought by the reference date counts
+  const earlier = await api.get('/api/analytics/segments?reference_date=2010-12-31');
+  assert.deepEqual(earlier.body.data.map(row => [row.segment, row.customer_count]), [['Hibernating', 1], ['Lost', 1]]);
+});
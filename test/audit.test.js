@@ -0,0 +1,82 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { startTestDatabase, client } = require('./helpers');
+
+let database;
+let app;
+let api;
+
+before(async () => {
+  database = await startTestDatabase();
+  app = createApp();
+  api = client(app);
+});
+beforeEach(() => database.reset());
+after(() => database.close());
+
+async function createKey(role) {
+  const res = await api.post('/api/admin/api-keys').send({ name: `${role} key`, role });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+const entries = res => res.body.data.map(entry => [entry.action, entry.entity_type, entry.entity_id]);
+
+test('browses the audit log by entity, actor and action', async () => {
+  const editorKey = await createKey('catalog-editor');
+  const editor = client(app, editorKey.key);
+  await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug' });
+  await editor.post('/api/products').send({ stock_code: 'B1', description: 'Bowl' });
+  await editor.put('/api/products/A1').send({ description: 'Tea mug' });
+  await api.delete('/api/products/B1');
+
+  const all = await api.get('/api/audit?entity_type=product');
+  assert.equal(all.status, 200);
+  assert.deepEqual(entries(all), [
+    ['delete', 'product', 'B1'],
+    ['update', 'product', 'A1'],
+    ['create', 'product', 'B1'],
+    ['create', 'product', 'A1']
+  ]);
+  assert.equal(all.body.sort, '-id');
+
+  const byKey = await api.get(`/api/audit?actor=key:${editorKey.id}&sort=id`);
+  assert.deepEqual(entries(byKey), [['create', 'product', 'B1'], ['update', 'product', 'A1']]);
+  assert.deepEqual([byKey.body.data[1].actor_name, byKey.body.data[1].route], ['catalog-editor key', 'PUT /api/products/:stock_code']);
+
+  const b1 = await api.get('/api/audit?entity_type=product&entity_id=B1&action=delete');
+  assert.deepEqual(entries(b1), [['delete', 'product', 'B1']]);
+  assert.equal(b1.body.data[0].before.description, 'Bowl');
+  assert.equal(b1.body.data[0].after, null);
+
+  // The key itself was created by the bootstrap admin
+  const keys = await api.get('/api/audit?entity_type=api_key&actor=bootstrap');
+  assert.deepEqual(entries(keys), [['create', 'api_key', String(editorKey.id)]]);
+  assert.equal(JSON.stringify(keys.body.data[0]).includes(editorKey.key), false);
+
+  assert.equal((await editor.get('/api/audit')).status, 403);
+});
+
+test('pages the audit log and filters it by date', async () => {
+  for (const code of ['A1', 'A2', 'A3']) {
+    await api.post('/api/products').send({ stock_code: code, description: `Product ${code}` });
+  }
+  await db.query("UPDATE audit_log SET occurred_at = '2011-01-10 12:00' WHERE entity_id = 'A1'");
+
+  const first = await api.get('/api/audit?limit=2');
+  assert.deepEqual(first.body.data.map(entry => entry.entity_id), ['A3', 'A2']);
+  assert.ok(first.body.next_cursor);
+  const second = await api.get(`/api/audit?limit=2&cursor=${encodeURIComponent(first.body.next_cursor)}`);
+  assert.deepEqual(second.body.data.map(entry => entry.entity_id), ['A1']);
+  assert.equal(second.body.next_cursor, null);
+
+  const january = await api.get('/api/audit?date_from=2011-01-01T00:00:00Z&date_to=2011-01-31T00:00:00Z');
+  assert.deepEqual(january.body.data.map(entry => entry.entity_id), ['A1']);
+  assert.equal((await api.get('/api/audit?date_from=2011-02-01T00:00:00Z')).body.data.length, 2);
+
+  assert.equal((await api.get('/api/audit?sort=occurred_at')).status, 400);
+  assert.equal((await api.get('/api/audit?action=archive')).status, 400);
+  assert.equal((await api.get('/api/audit?cursor=nonsense')).status, 400);
+});
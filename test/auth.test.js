@@ -0,0 +1,87 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedProduct } = require('./helpers');
+
+let database;
+let app;
+let admin;
+
+before(async () => {
+  database = await startTestDatabase();
+  app = createApp();
+  admin = client(app);
+});
+beforeEach(() => database.reset());
+after(() => database.close());
+
+async function createKey(role) {
+  const res = await admin.post('/api/admin/api-keys').send({ name: `${role} key`, role });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test('health check and ping need no credentials', async () => {
+  const health = await request(app).get('/health');
+  assert.equal(health.status, 200);
+  assert.equal(health.body.status, 'healthy');
+
+  assert.equal((await request(app).get('/ping')).text, 'pong');
+});
+
+test('API routes reject missing and unknown keys', async () => {
+  const missing = await request(app).get('/api/products');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, 'Unauthorized');
+
+  const unknown = await request(app).get('/api/products').set('X-API-Key', 'rk_nope');
+  assert.equal(unknown.status, 401);
+});
+
+test('roles limit what a key may do', async () => {
+  await seedProduct('A1');
+  const { key } = await createKey('read-only');
+  const reader = client(app, key);
+
+  assert.equal((await reader.get('/api/products/A1')).status, 200);
+
+  const write = await reader.put('/api/products/A1').send({ description: 'Changed' });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.details, 'This action requires the catalog:write permission');
+
+  assert.equal((await reader.get('/api/analytics/summary')).status, 403);
+  assert.equal((await reader.get('/api/admin/api-keys')).status, 403);
+});
+
+test('an API key can be exchanged for a bearer token', async () => {
+  const { key } = await createKey('analyst');
+
+  const issued = await client(app, key).post('/api/auth/token');
+  assert.equal(issued.status, 200);
+
+  const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${issued.body.access_token}`);
+  assert.equal(me.status, 200);
+  assert.equal(me.body.role, 'analyst');
+  assert.ok(me.body.permissions.includes('analytics:read'));
+
+  const bad = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-token');
+  assert.equal(bad.status, 401);
+});
+
+test('rotating a key replaces it and revoking one disables it', async () => {
+  const original = await createKey('read-only');
+
+  const rotated = await admin.post(`/api/admin/api-keys/${original.id}/rotate`);
+  assert.equal(rotated.status, 201);
+  assert.equal(rotated.body.rotated_from, original.id);
+  assert.equal((await client(app, original.key).get('/api/auth/me')).status, 401);
+  assert.equal((await client(app, rotated.body.key).get('/api/auth/me')).status, 200);
+
+  const revoked = await admin.delete(`/api/admin/api-keys/${rotated.body.id}`);
+  assert.equal(revoked.status, 200);
+  assert.equal((await client(app, rotated.body.key).get('/api/auth/me')).status, 401);
+
+  const again = await admin.delete(`/api/admin/api-keys/${rotated.body.id}`);
+  assert.equal(again.status, 404);
+});
@@ -0,0 +1,160 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const carts = require('../services/carts');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+async function sold(invoiceId, date, stockCode, unitPrice, { currency = 'GBP', cancelled = false } = {}) {
+  await db.query(
+    "INSERT INTO invoices (invoice_id, customer_id, invoice_date, country, currency, is_cancelled) VALUES ($1, 'C1', $2, 'United Kingdom', $3, $4)",
+    [invoiceId, date, currency, cancelled]
+  );
+  await db.query('INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ($1, $2, 1, $3)', [invoiceId, stockCode, unitPrice]);
+}
+
+async function stock(stockCode) {
+  const { body } = await api.get(`/api/products/${stockCode}/stock`);
+  return [body.on_hand, body.reserved];
+}
+
+async function openCart(lines = []) {
+  const { body: cart } = await api.post('/api/carts').send({ customer_id: 'C1' });
+  for (const line of lines) {
+    assert.equal((await api.post(`/api/carts/${cart.id}/items`).send(line)).status, 200);
+  }
+  return cart.id;
+}
+
+function lapse(cartId) {
+  return db.query("UPDATE carts SET expires_at = LOCALTIMESTAMP - '1 minute'::INTERVAL WHERE id = $1", [cartId]);
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedProduct('A1', 'TRACKED');
+  await seedProduct('B1', 'UNTRACKED');
+  await seedProduct('N1', 'NEVER SOLD');
+
+  await sold('536365', '2010-12-01 08:26', 'A1', 2.55);
+  await sold('536400', '2011-03-01 10:00', 'A1', 2.95);
+  await sold('C536401', '2011-04-01 10:00', 'A1', 1.5, { cancelled: true });
+  await sold('536402', '2011-05-01 10:00', 'A1', 4.1, { currency: 'EUR' });
+  await sold('536403', '2011-05-01 10:00', 'B1', 1.25);
+
+  // A1 is stock-tracked, B1 is not
+  await api.post('/api/products/A1/stock/movements').send({ movement_type: 'receipt', quantity: 10 });
+  await api.post('/api/admin/tax-rules').send({ country: 'United Kingdom', rate: 0.2, valid_from: '2011-01-04' });
+});
+after(async () => {
+  await database.close();
+});
+
+test('prices lines when they are added and holds stock for them', async () => {
+  const created = await api.post('/api/carts').send({ customer_id: 'C1' });
+  assert.equal(created.status, 201);
+  assert.deepEqual([created.body.status, created.body.items, created.body.total_amount], ['open', [], 0]);
+  assert.ok(new Date(created.body.expires_at) > new Date());
+  const cartId = created.body.id;
+
+  await api.post(`/api/carts/${cartId}/items`).send({ stock_code: 'A1', quantity: 4 });
+  const added = await api.post(`/api/carts/${cartId}/items`).send({ stock_code: 'A1', quantity: 2 });
+  assert.equal(added.status, 200);
+  // The latest regular GBP sale sets the price
+  assert.deepEqual(added.body.items.map(item => [item.stock_code, item.quantity, item.unit_price, item.reserved]), [['A1', 6, 2.95, 6]]);
+  assert.deepEqual(await stock('A1'), [10, 6]);
+
+  // Later price changes leave the line as it was added
+  await sold('536500', '2011-06-01 10:00', 'A1', 3.25);
+  const cart = await api.post(`/api/carts/${cartId}/items`).send({ stock_code: 'B1', quantity: 3 });
+  assert.deepEqual(cart.body.items.map(item => [item.stock_code, item.unit_price, item.line_total, item.reserved]), [
+    ['A1', 2.95, 17.7, 6],
+    ['B1', 1.25, 3.75, 0]
+  ]);
+  assert.deepEqual([cart.body.item_count, cart.body.total_amount, cart.body.tax_amount, cart.body.gross_amount], [9, 21.45, 4.29, 25.74]);
+
+  const tooMany = await api.put(`/api/carts/${cartId}/items/A1`).send({ quantity: 11 });
+  assert.equal(tooMany.status, 409);
+  assert.match(tooMany.body.details, /10 available/);
+  assert.equal((await api.put(`/api/carts/${cartId}/items/A1`).send({ quantity: 10 })).status, 200);
+  assert.deepEqual(await stock('A1'), [10, 10]);
+
+  const removed = await api.delete(`/api/carts/${cartId}/items/A1`);
+  assert.deepEqual(removed.body.items.map(item => item.stock_code), ['B1']);
+  assert.deepEqual(await stock('A1'), [10, 0]);
+  assert.equal((await api.delete(`/api/carts/${cartId}/items/A1`)).status, 404);
+
+  assert.equal((await api.post(`/api/carts/${cartId}/items`).send({ stock_code: 'NOPE', quantity: 1 })).status, 400);
+  const unpriced = await api.post(`/api/carts/${cartId}/items`).send({ stock_code: 'N1', quantity: 1 });
+  assert.equal(unpriced.status, 422);
+  assert.equal((await api.post('/api/carts').send({ customer_id: 'NOPE' })).status, 400);
+  assert.equal((await api.get('/api/carts/999')).status, 404);
+});
+
+test('checks a cart out as an invoice at the prices it was added at', async () => {
+  const cartId = await openCart([{ stock_code: 'A1', quantity: 4 }, { stock_code: 'B1', quantity: 2 }]);
+  await sold('536500', '2011-06-01 10:00', 'A1', 3.25);
+
+  const invoice = await api.post(`/api/carts/${cartId}/checkout`);
+  assert.equal(invoice.status, 201);
+  assert.equal(invoice.body.customer_id, 'C1');
+  assert.deepEqual(invoice.body.items.map(item => [item.stock_code, item.quantity, Number(item.unit_price)]), [
+    ['A1', 4, 2.95],
+    ['B1', 2, 1.25]
+  ]);
+  assert.equal(invoice.body.tax_treatment, 'standard');
+  // The hold becomes the sale
+  assert.deepEqual(await stock('A1'), [6, 0]);
+
+  const cart = await api.get(`/api/carts/${cartId}`);
+  assert.deepEqual([cart.body.status, cart.body.invoice_id], ['checked_out', invoice.body.invoice_id]);
+  const again = await api.post(`/api/carts/${cartId}/checkout`);
+  assert.equal(again.status, 409);
+  assert.match(again.body.details, /already been checked out/);
+  assert.equal((await api.post(`/api/carts/${cartId}/items`).send({ stock_code: 'B1', quantity: 1 })).status, 409);
+
+  assert.equal((await api.post(`/api/carts/${await openCart()}/checkout`)).status, 409);
+});
+
+test('leaves the cart open when checkout is rejected', async () => {
+  await db.query("UPDATE customers SET country = 'Germany' WHERE customer_id = 'C1'");
+  await api.post('/api/admin/tax-rules').send({ country: 'Germany', tax_category: 'reduced', rate: 0.07, valid_from: '2007-01-01' });
+  const cartId = await openCart([{ stock_code: 'A1', quantity: 4 }]);
+  assert.equal((await api.get(`/api/carts/${cartId}`)).body.tax_amount, null);
+
+  const rejected = await api.post(`/api/carts/${cartId}/checkout`);
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.body.lines.map(line => line.stock_code), ['A1']);
+  assert.equal((await api.get(`/api/carts/${cartId}`)).body.status, 'open');
+  assert.deepEqual(await stock('A1'), [10, 4]);
+});
+
+test('releases the stock of abandoned and expired carts', async () => {
+  const abandoned = await openCart([{ stock_code: 'A1', quantity: 2 }]);
+  assert.equal((await api.delete(`/api/carts/${abandoned}`)).status, 204);
+  assert.equal((await api.get(`/api/carts/${abandoned}`)).body.status, 'abandoned');
+  assert.deepEqual(await stock('A1'), [10, 0]);
+
+  const touched = await openCart([{ stock_code: 'A1', quantity: 3 }]);
+  await lapse(touched);
+  assert.equal((await api.get(`/api/carts/${touched}`)).body.status, 'expired');
+  const late = await api.post(`/api/carts/${touched}/items`).send({ stock_code: 'A1', quantity: 1 });
+  assert.equal(late.status, 409);
+  assert.match(late.body.details, /expired/);
+  assert.deepEqual(await stock('A1'), [10, 0]);
+
+  const swept = await openCart([{ stock_code: 'A1', quantity: 5 }]);
+  await openCart([{ stock_code: 'A1', quantity: 1 }]);
+  await lapse(swept);
+  assert.equal(await carts.expireCarts(), 1);
+  assert.deepEqual(await stock('A1'), [10, 1]);
+  assert.equal((await api.post(`/api/carts/${swept}/checkout`)).status, 409);
+});
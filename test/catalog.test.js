@@ -0,0 +1,182 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+async function category(name, parentId = null) {
+  const res = await api.post('/api/categories').send({ name, parent_id: parentId });
+  assert.equal(res.status, 201);
+  return res.body.id;
+}
+
+function codes(res) {
+  return res.body.data.map(product => product.stock_code);
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(() => database.reset());
+after(() => database.close());
+
+test('keeps categories in a tree', async () => {
+  const kitchen = await category('Kitchen');
+  const mugs = await category('Mugs', kitchen);
+  await category('Garden');
+
+  const detail = await api.get(`/api/categories/${kitchen}`);
+  assert.deepEqual(detail.body.path, ['Kitchen']);
+  assert.deepEqual(detail.body.children.map(child => child.name), ['Mugs']);
+  const list = await api.get('/api/categories');
+  assert.deepEqual(list.body.map(row => row.path.join(' > ')), ['Garden', 'Kitchen', 'Kitchen > Mugs']);
+
+  assert.equal((await api.post('/api/categories').send({ name: 'mugs', parent_id: kitchen })).status, 409);
+  assert.equal((await api.post('/api/categories').send({ name: 'Cups', parent_id: 999 })).status, 400);
+  const cycle = await api.put(`/api/categories/${kitchen}`).send({ parent_id: mugs });
+  assert.equal(cycle.status, 400);
+  assert.match(cycle.body.details, /under itself/);
+
+  const moved = await api.put(`/api/categories/${mugs}`).send({ parent_id: null, name: 'Drinkware' });
+  assert.equal(moved.status, 200);
+  assert.deepEqual(moved.body.path, ['Drinkware']);
+
+  await api.put(`/api/categories/${mugs}`).send({ parent_id: kitchen });
+  const inUse = await api.delete(`/api/categories/${kitchen}`);
+  assert.equal(inUse.status, 409);
+  assert.match(inUse.body.details, /subcategories/);
+  assert.equal((await api.delete(`/api/categories/${mugs}`)).status, 204);
+  assert.equal((await api.delete(`/api/categories/${kitchen}`)).status, 204);
+  assert.equal((await api.get(`/api/categories/${kitchen}`)).status, 404);
+});
+
+test('filters products by a category and everything below it', async () => {
+  const kitchen = await category('Kitchen');
+  const mugs = await category('Mugs', kitchen);
+  const garden = await category('Garden');
+  await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug', category_id: mugs });
+  await api.post('/api/products').send({ stock_code: 'A2', description: 'Teapot', category_id: kitchen, status: 'discontinued' });
+  await api.post('/api/products').send({ stock_code: 'A3', description: 'Spade', category_id: garden });
+
+  assert.deepEqual(codes(await api.get(`/api/products?category_id=${kitchen}`)), ['A1', 'A2']);
+  assert.deepEqual(codes(await api.get(`/api/products?category_id=${mugs}`)), ['A1']);
+  assert.deepEqual(codes(await api.get(`/api/products?category_id=${kitchen}&status=active`)), ['A1']);
+  assert.equal((await api.get('/api/products?category_id=999')).status, 400);
+  assert.equal((await api.post('/api/products').send({ stock_code: 'A4', description: 'Rake', category_id: 999 })).status, 400);
+
+  const inUse = await api.delete(`/api/categories/${garden}`);
+  assert.equal(inUse.status, 409);
+  assert.match(inUse.body.details, /1 product/);
+});
+
+test('keeps the history of list prices and stores attributes', async () => {
+  const created = await api.post('/api/products').send({
+    stock_code: 'A1',
+    description: 'Mug',
+    list_price: 2.5,
+    attributes: { colour: 'red', capacity_ml: 350, dishwasher_safe: true }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(Number(created.body.list_price), 2.5);
+  assert.deepEqual(created.body.attributes, { colour: 'red', capacity_ml: 350, dishwasher_safe: true });
+
+  await api.put('/api/products/A1').send({ list_price: 2.75 });
+  // An update that leaves the price alone does not add to its history
+  await api.put('/api/products/A1').send({ description: 'Red mug', list_price: 2.75 });
+  const prices = await api.get('/api/products/A1/prices');
+  assert.equal(prices.status, 200);
+  assert.deepEqual(prices.body.map(price => [Number(price.list_price), price.valid_to === null]), [[2.75, true], [2.5, false]]);
+
+  const product = await api.get('/api/products/A1');
+  assert.equal(product.body.description, 'Red mug');
+  assert.equal(Number(product.body.list_price), 2.75);
+  assert.equal((await api.put('/api/products/A1').send({ attributes: { colour: ['red'] } })).status, 400);
+  assert.equal((await api.get('/api/products?sort=-list_price')).status, 200);
+});
+
+test('does not sell discontinued products', async () => {
+  await seedCustomer('C1');
+  await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug', list_price: 3 });
+  await api.post('/api/admin/tax-rules').send({ country: 'United Kingdom', rate: 0.2, valid_from: '2011-01-04' });
+
+  const { body: cart } = await api.post('/api/carts').send({ customer_id: 'C1' });
+  const added = await api.post(`/api/carts/${cart.id}/items`).send({ stock_code: 'A1', quantity: 2 });
+  // The list price comes before the last selling price
+  assert.deepEqual(added.body.items.map(item => [item.stock_code, item.unit_price]), [['A1', 3]]);
+
+  await api.put('/api/products/A1').send({ status: 'discontinued' });
+  const { body: later } = await api.post('/api/carts').send({ customer_id: 'C1' });
+  const refused = await api.post(`/api/carts/${later.id}/items`).send({ stock_code: 'A1', quantity: 1 });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.details, /discontinued/);
+  // A cart that already has it cannot be checked out
+  assert.equal((await api.post(`/api/carts/${cart.id}/checkout`)).status, 400);
+
+  const order = await api.post('/api/invoices').send({ customer_id: 'C1', items: [{ stock_code: 'A1', quantity: 1, unit_price: 3 }] });
+  assert.equal(order.status, 400);
+  assert.deepEqual(order.body.lines.map(line => line.details), ['Product is discontinued']);
+});
+
+test('soft-deletes products, keeps them on invoices and restores them', async () => {
+  await seedCustomer('C1');
+  await seedProduct('A1', 'Mug');
+  await seedProduct('A2', 'Cup');
+  await db.query(
+    "INSERT INTO invoices (invoice_id, customer_id, invoice_date, country) VALUES ('536365', 'C1', '2010-12-01 08:26', 'United Kingdom')"
+  );
+  await db.query("INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ('536365', 'A1', 6, 2.55)");
+
+  assert.equal((await api.delete('/api/products/A1')).status, 204);
+  assert.equal((await api.get('/api/products/A1')).status, 404);
+  assert.deepEqual(codes(await api.get('/api/products')), ['A2']);
+  const invoice = await api.get('/api/invoices/536365?expand=products');
+  assert.deepEqual(invoice.body.items.map(item => [item.stock_code, item.product.description]), [['A1', 'Mug']]);
+
+  const recreated = await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug' });
+  assert.equal(recreated.status, 409);
+  assert.match(recreated.body.details, /restore/);
+  assert.equal((await api.delete('/api/products/A1')).status, 404);
+
+  const restored = await api.post('/api/products/A1/restore');
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.deleted_at, null);
+  assert.deepEqual(codes(await api.get('/api/products')), ['A1', 'A2']);
+  assert.equal((await api.post('/api/products/A1/restore')).status, 404);
+});
+
+test('deleted and discontinued products are no longer recommended or reordered', async () => {
+  await seedCustomer('C1');
+  for (const code of ['A1', 'B1', 'B2', 'B3']) {
+    await seedProduct(code);
+  }
+  await db.query(
+    "INSERT INTO invoices (invoice_id, customer_id, invoice_date, country) VALUES ('536365', 'C1', '2010-12-01 08:26', 'United Kingdom')"
+  );
+  await db.query("INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ('536365', 'A1', 6, 2.55)");
+  await db.query("INSERT INTO association_runs (trigger, finished_at, min_support, min_confidence) VALUES ('manual', NOW(), 0.01, 0.1)");
+  for (const [consequent, lift] of [['B1', 3], ['B2', 2], ['B3', 1]]) {
+    await db.query(
+      "INSERT INTO product_associations (run_id, antecedent, consequent, co_occurrences, support, confidence, lift) VALUES (1, 'A1', $1, 5, 0.01, 0.5, $2)",
+      [consequent, lift]
+    );
+  }
+  await api.put('/api/products/B1/stock').send({ reorder_point: 5 });
+  await api.put('/api/products/B2/stock').send({ reorder_point: 3 });
+
+  const recommended = async () => [
+    codes(await api.get('/api/products/A1/recommendations')),
+    codes(await api.get('/api/customers/C1/recommendations'))
+  ];
+  assert.deepEqual(await recommended(), [['B1', 'B2', 'B3'], ['B1', 'B2', 'B3']]);
+  const lowStock = async () => (await api.get('/api/inventory/low-stock')).body.map(row => row.stock_code);
+  assert.deepEqual(await lowStock(), ['B1', 'B2']);
+
+  assert.equal((await api.delete('/api/products/B1')).status, 204);
+  assert.equal((await api.put('/api/products/B2').send({ status: 'discontinued' })).status, 200);
+  assert.deepEqual(await recommended(), [['B3'], ['B3']]);
+  assert.deepEqual(await lowStock(), []);
+});
@@ -0,0 +1,150 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../db');
+const { createApp } = require('../app');
+const { loadRates } = require('../etl/rates');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+let directory;
+
+// NUMERIC values come back as strings
+const amount = value => Math.round(Number(value) * 100) / 100;
+
+function ratesFile(name, lines) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, ['date,currency,rate', ...lines].join('\n'));
+  return file;
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rates-'));
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedProduct('85123A', 'WHITE HANGING HEART');
+
+  // 15.30 in pounds and 40.00 in euros
+  await db.query(
+    `INSERT INTO invoices (invoice_id, customer_id, invoice_date, country, currency) VALUES
+       ('536365', 'C1', '2010-12-01 08:26', 'United Kingdom', 'GBP'),
+       ('536366', 'C1', '2010-12-06 09:00', 'France', 'EUR')`
+  );
+  await db.query(
+    `INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES
+       ('536365', '85123A', 6, 2.55),
+       ('536366', '85123A', 4, 10)`
+  );
+  await loadRates(ratesFile('rates.csv', [
+    '2010-12-01,EUR,1.2',
+    '2010-12-05,EUR,1.25',
+    '2010-12-01,USD,1.5'
+  ]));
+});
+after(async () => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  await database.close();
+});
+
+test('loads rates from CSV, each valid until the next one', async () => {
+  const coverage = await api.get('/api/admin/fx-rates');
+  assert.equal(coverage.status, 200);
+  assert.deepEqual(coverage.body.map(row => [row.currency, row.rate_count, row.first_date, row.last_date, Number(row.latest_rate)]), [
+    ['EUR', 2, '2010-12-01', '2010-12-05', 1.25],
+    ['USD', 1, '2010-12-01', '2010-12-01', 1.5]
+  ]);
+
+  const counts = await loadRates(ratesFile('more.csv', ['2010-12-03,EUR,1.22', '2010-12-05,EUR,1.25']));
+  assert.deepEqual(counts, { currencies: ['EUR'], added: 1, updated: 0, unchanged: 1 });
+  const { rows } = await db.query("SELECT rate, valid_to FROM fx_rates WHERE currency = 'EUR' ORDER BY rate_date");
+  assert.deepEqual(rows.map(row => [Number(row.rate), row.valid_to && row.valid_to.getDate()]), [[1.2, 3], [1.22, 5], [1.25, null]]);
+
+  await assert.rejects(
+    loadRates(ratesFile('bad.csv', ['2010-12-07,GBP,1', '2010-13-01,EUR,1.2', '2010-12-08,EUR,-1', '2010-12-08,EUR,1.3', '2010-12-08,EUR,1.3'])),
+    err => {
+      assert.match(err.message, /^4 invalid row\(s\), nothing loaded/);
+      assert.match(err.message, /line 2: GBP is the base currency/);
+      assert.match(err.message, /line 6: EUR on 2010-12-08 already appears on line 5/);
+      return true;
+    }
+  );
+  assert.equal((await api.get('/api/admin/fx-rates')).body[0].rate_count, 3);
+});
+
+test('shows an invoice in another currency at the rate on its date', async () => {
+  const euros = await api.get('/api/invoices/536365?expand=items&currency=EUR');
+  assert.equal(euros.status, 200);
+  assert.equal(euros.body.currency, 'GBP');
+  assert.equal(euros.body.display_currency, 'EUR');
+  assert.equal(euros.body.exchange_rate, 1.2);
+  assert.equal(amount(euros.body.items[0].unit_price), 3.06);
+  assert.equal(amount(euros.body.total_amount), 18.36);
+
+  // EUR to USD goes through pounds: 1.5 / 1.25
+  const dollars = await api.get('/api/invoices/536366?expand=items&currency=USD');
+  assert.equal(amount(dollars.body.total_amount), 48);
+
+  const own = await api.get('/api/invoices/536366?expand=items');
+  assert.equal(Number(own.body.total_amount), 40);
+  assert.equal(own.body.display_currency, undefined);
+
+  assert.equal((await api.get('/api/invoices/536366?currency=eur')).status, 400);
+});
+
+test('converts sales reports into the requested currency', async () => {
+  const pounds = await api.get('/api/analytics/summary');
+  assert.equal(pounds.body.currency, 'GBP');
+  assert.equal(amount(pounds.body.revenue), 47.3);
+
+  // The euro invoice is already in euros
+  const euros = await api.get('/api/analytics/summary?currency=EUR');
+  assert.equal(euros.body.currency, 'EUR');
+  assert.equal(amount(euros.body.revenue), 58.36);
+
+  const byCountry = await api.get('/api/analytics/sales/by-country?currency=USD');
+  assert.deepEqual(byCountry.body.data.map(row => [row.country, row.currency, amount(row.revenue)]), [
+    ['France', 'USD', 48],
+    ['United Kingdom', 'USD', 22.95]
+  ]);
+
+  const monthly = await api.get('/api/sales/monthly?currency=USD');
+  assert.deepEqual(monthly.body.map(row => [row.currency, amount(row.total_sales)]), [['USD', 70.95]]);
+});
+
+test('refuses to report amounts it has no rate for', async () => {
+  const unknown = await api.get('/api/analytics/sales?currency=JPY');
+  assert.equal(unknown.status, 422);
+  assert.match(unknown.body.details, /Cannot convert amounts to JPY: no exchange rate for 1 EUR line\(s\) dated from 2010-12-06, 1 GBP line\(s\) dated from 2010-12-01/);
+
+  // No euro rate before 1 December
+  await db.query("UPDATE invoices SET invoice_date = '2010-11-30' WHERE invoice_id = '536365'");
+  assert.equal((await api.get('/api/sales/monthly?currency=EUR')).status, 422);
+  assert.equal((await api.get('/api/invoices/536365?currency=EUR')).status, 422);
+  assert.equal((await api.get('/api/analytics/summary')).status, 200);
+});
+
+test('orders are recorded in a currency with rates', async () => {
+  const order = currency => api.post('/api/invoices').send({
+    customer_id: 'C1',
+    currency,
+    items: [{ stock_code: '85123A', quantity: 1, unit_price: 3 }]
+  });
+
+  const euros = await order('EUR');
+  assert.equal(euros.status, 201);
+  assert.equal(euros.body.currency, 'EUR');
+
+  const credit = await api.post(`/api/invoices/${euros.body.invoice_id}/cancel`).send({});
+  assert.equal(credit.body.currency, 'EUR');
+
+  const yen = await order('JPY');
+  assert.equal(yen.status, 400);
+  assert.match(yen.body.details, /No exchange rates are loaded for JPY/);
+});
@@ -0,0 +1,228 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct, seedInvoice } = require('./helpers');
+
+let database;
+let app;
+let api;
+
+// NUMERIC values come back as strings
+const amount = value => value === null ? null : Math.round(Number(value) * 100) / 100;
+
+const JANE = {
+  customer_id: 'W100',
+  country: 'United Kingdom',
+  name: 'Jane Smith',
+  email: 'jane@example.com',
+  addresses: [{ line1: '12 High Street', city: 'London', postal_code: 'SW1A 1AA', country: 'United Kingdom' }]
+};
+
+async function auditText(customerId) {
+  const { rows } = await db.query(
+    "SELECT before, after FROM audit_log WHERE entity_type = 'customer' AND entity_id = $1",
+    [customerId]
+  );
+  return JSON.stringify(rows);
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  app = createApp();
+  api = client(app);
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('17850');
+  await seedProduct('85123A', 'WHITE HANGING HEART');
+});
+after(async () => {
+  await database.close();
+});
+
+test('creates and updates customers with their addresses', async () => {
+  const created = await api.post('/api/customers').send(JANE);
+  assert.equal(created.status, 201);
+  assert.equal(created.body.email, 'jane@example.com');
+  assert.deepEqual(created.body.addresses.map(address => [address.label, address.city]), [['billing', 'London']]);
+
+  assert.equal((await api.post('/api/customers').send(JANE)).status, 409);
+  assert.equal((await api.post('/api/customers').send({ ...JANE, customer_id: 'W101', email: 'not an email' })).status, 400);
+
+  const updated = await api.put('/api/customers/W100').send({
+    name: null,
+    phone: '+44 20 7946 0000',
+    addresses: [
+      { label: 'shipping', line1: '1 Quay Road', city: 'Bristol', country: 'United Kingdom' },
+      { line1: '12 High Street', city: 'London', country: 'United Kingdom' }
+    ]
+  });
+  assert.equal(updated.status, 200);
+  assert.deepEqual([updated.body.name, updated.body.email, updated.body.phone], [null, 'jane@example.com', '+44 20 7946 0000']);
+
+  const fetched = await api.get('/api/customers/W100');
+  assert.deepEqual(fetched.body.addresses.map(address => [address.label, address.city]), [['shipping', 'Bristol'], ['billing', 'London']]);
+  assert.equal((await api.put('/api/customers/NOPE').send({ name: 'x' })).status, 404);
+
+  const { body: { key } } = await api.post('/api/admin/api-keys').send({ name: 'reader', role: 'read-only' });
+  assert.equal((await client(app, key).put('/api/customers/W100').send({ name: 'x' })).status, 403);
+});
+
+test('deletes customers without invoices and their personal data', async () => {
+  await api.post('/api/customers').send(JANE);
+  await api.put('/api/customers/W100').send({ phone: '0117 496 0000' });
+
+  assert.equal((await api.delete('/api/customers/W100')).status, 204);
+  assert.equal((await api.get('/api/customers/W100')).status, 404);
+  assert.equal((await api.delete('/api/customers/W100')).status, 404);
+  assert.equal((await db.query("SELECT * FROM customer_addresses WHERE customer_id = 'W100'")).rows.length, 0);
+
+  const audit = await auditText('W100');
+  assert.doesNotMatch(audit, /jane@example\.com|Jane Smith|High Street|0117/);
+  assert.match(audit, /United Kingdom/);
+});
+
+test('merges duplicate customers and their invoices', async () => {
+  await api.post('/api/customers').send({ ...JANE, phone: '0117 496 0000' });
+  await db.query("INSERT INTO invoices (invoice_id, customer_id, invoice_date, country) VALUES ('536365', 'W100', '2010-12-01 08:26', 'United Kingdom')");
+  await db.query("INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ('536365', '85123A', 6, 2.55)");
+  await api.put('/api/customers/17850').send({ email: 'sales@example.com' });
+  const { body: cart } = await api.post('/api/carts').send({ customer_id: 'W100' });
+
+  const merged = await api.post('/api/customers/17850/merge').send({ customer_ids: ['W100'] });
+  assert.equal(merged.status, 200);
+  assert.deepEqual(merged.body.merged, ['W100']);
+  assert.equal(merged.body.invoices_moved, 1);
+  // The kept customer's own details win; missing ones come from the duplicate
+  assert.deepEqual([merged.body.customer.name, merged.body.customer.email, merged.body.customer.phone], ['Jane Smith', 'sales@example.com', '0117 496 0000']);
+  assert.equal(merged.body.customer.addresses.length, 1);
+
+  assert.equal((await api.get('/api/customers/W100')).status, 404);
+  assert.equal((await api.get(`/api/carts/${cart.id}`)).body.customer_id, '17850');
+  const exported = await api.get('/api/customers/17850/export');
+  assert.deepEqual(exported.body.invoices.map(invoice => invoice.invoice_id), ['536365']);
+
+  assert.equal((await api.post('/api/customers/17850/merge').send({ customer_ids: ['17850'] })).status, 400);
+  const missing = await api.post('/api/customers/17850/merge').send({ customer_ids: ['W100', 'W200'] });
+  assert.equal(missing.status, 404);
+  assert.match(missing.body.details, /W100, W200/);
+});
+
+test('erases personal data but keeps invoices in sales reports', async () => {
+  await api.post('/api/customers').send({ ...JANE, vat_number: 'GB123456789' });
+  await db.query("INSERT INTO invoices (invoice_id, customer_id, invoice_date, country) VALUES ('536365', 'W100', '2010-12-01 08:26', 'United Kingdom')");
+  await db.query("INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ('536365', '85123A', 6, 2.55)");
+
+  const exported = await api.get('/api/customers/W100/export');
+  assert.equal(exported.status, 200);
+  assert.equal(exported.body.customer.email, 'jane@example.com');
+  assert.deepEqual(exported.body.invoices.map(invoice => [invoice.invoice_id, invoice.items.length]), [['536365', 1]]);
+
+  const erased = await api.post('/api/customers/W100/erase');
+  assert.equal(erased.status, 200);
+  assert.deepEqual(
+    [erased.body.name, erased.body.email, erased.body.vat_number, erased.body.addresses, erased.body.country],
+    [null, null, null, [], 'United Kingdom']
+  );
+  assert.ok(erased.body.erased_at);
+  assert.doesNotMatch(await auditText('W100'), /jane@example\.com|Jane Smith|High Street|GB123456789/);
+
+  const conflict = await api.put('/api/customers/W100').send({ email: 'jane@example.com' });
+  assert.equal(conflict.status, 409);
+
+  const summary = await api.get('/api/analytics/summary?customer_id=W100');
+  assert.deepEqual([summary.body.units, summary.body.order_count], [6, 1]);
+  assert.equal((await api.get('/api/customers/W100/export')).body.customer.email, null);
+});
+
+test('erasing a customer erases the duplicates merged into them from the audit log', async () => {
+  await api.post('/api/customers').send({ ...JANE, vat_number: 'GB123456789' });
+  await api.post('/api/customers').send({ ...JANE, customer_id: 'W200', name: 'J. Smith', phone: '0117 496 0000' });
+  await api.post('/api/customers/W100/merge').send({ customer_ids: ['W200'] });
+  await api.post('/api/customers/17850/merge').send({ customer_ids: ['W100'] });
+  // The record of the merge keeps no personal data of its own
+  const { rows: [merge] } = await db.query("SELECT before FROM audit_log WHERE entity_id = 'W100' AND action = 'delete'");
+  assert.deepEqual([merge.before.merged_into, merge.before.email], ['17850', undefined]);
+
+  // W200 is later used for someone else, whose details are theirs to keep
+  await api.post('/api/customers').send({
+    customer_id: 'W200',
+    country: 'United Kingdom',
+    name: 'Ann Other',
+    addresses: [{ line1: '3 Mill Lane', city: 'Leeds', country: 'United Kingdom' }]
+  });
+
+  assert.equal((await api.post('/api/customers/17850/erase')).status, 200);
+  const erased = /jane@example\.com|Jane Smith|J\. Smith|High Street|GB123456789|0117/;
+  assert.doesNotMatch(await auditText('17850'), erased);
+  assert.doesNotMatch(await auditText('W100'), erased);
+  const reused = await auditText('W200');
+  assert.doesNotMatch(reused, /J\. Smith|0117/);
+  assert.match(reused, /Ann Other.*Mill Lane/);
+});
+
+test('lists customers a page at a time, filtered by country', async () => {
+  await seedCustomer('12583', 'France');
+  await seedCustomer('13047');
+
+  const first = await api.get('/api/customers?country=United%20Kingdom&limit=1');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data.map(customer => customer.customer_id), ['13047']);
+  const second = await api.get(`/api/customers?country=United%20Kingdom&limit=1&cursor=${first.body.next_cursor}`);
+  assert.deepEqual(second.body.data.map(customer => customer.customer_id), ['17850']);
+
+  const byCountry = await api.get('/api/customers?sort=-country');
+  assert.deepEqual(byCountry.body.data.map(customer => customer.country), ['United Kingdom', 'United Kingdom', 'France']);
+  assert.equal((await api.get('/api/customers?sort=name')).status, 400);
+  assert.equal((await api.get('/api/customers?segment=Whales')).status, 400);
+});
+
+test("lists a customer's invoices with their totals, newest first", async () => {
+  await seedProduct('71053', 'WHITE METAL LANTERN');
+  await seedInvoice('536365', '17850', '2010-12-01 08:26', [['85123A', 6, 2.55]]);
+  await seedInvoice('536366', '17850', '2010-12-01 08:28', [['85123A', 2, 2.55], ['71053', 1, 3.39]]);
+  await seedInvoice('C536379', '17850', '2010-12-01 09:41', [['85123A', -1, 2.55]]);
+  await seedInvoice('536380', '17850', '2010-12-01 09:45', []);
+
+  const res = await api.get('/api/customers/17850/invoices');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(invoice => [invoice.invoice_id, invoice.line_count, invoice.item_count, amount(invoice.total_amount)]), [
+    ['536380', 0, 0, 0],
+    ['C536379', 1, -1, -2.55],
+    ['536366', 2, 3, 8.49],
+    ['536365', 1, 6, 15.3]
+  ]);
+  assert.equal((await api.get('/api/customers/17850/invoices?limit=2')).body.length, 2);
+  assert.equal((await api.get('/api/customers/NOPE/invoices')).status, 404);
+});
+
+test('checks the customer and reference date before scoring', async () => {
+  assert.equal((await api.get('/api/customers/NOPE/metrics')).status, 404);
+  assert.equal((await api.get('/api/customers/17850/metrics?reference_date=soon')).status, 400);
+});
+
+test('scores a customer and lists customers by RFM segment', async () => {
+  await seedCustomer('12583', 'France');
+  await seedInvoice('536365', '17850', '2010-12-01 08:26', [['85123A', 6, 2.55]]);
+  await seedInvoice('536370', '12583', '2010-12-01 08:45', [['85123A', 24, 2.55]], 'France');
+  await seedInvoice('536371', '17850', '2010-12-09 10:00', [['85123A', 4, 2.55]]);
+  await seedInvoice('C536372', '17850', '2010-12-10 10:00', [['85123A', -2, 2.55]]);
+
+  const res = await api.get('/api/customers/17850/metrics');
+  assert.equal(res.status, 200);
+  const metrics = res.body;
+  // Monetary value is net of the credit note; the basket and frequency are not
+  assert.deepEqual(
+    [metrics.frequency, amount(metrics.monetary), amount(metrics.average_basket), Number(metrics.return_rate), metrics.recency_days],
+    [2, 20.4, 12.75, 0.2, 2]
+  );
+  assert.deepEqual([metrics.r_score, metrics.f_score, metrics.m_score, metrics.segment], [2, 2, 1, 'Hibernating']);
+
+  // Before any purchase there is nothing to score
+  const early = await api.get('/api/customers/17850/metrics?reference_date=2010-11-30');
+  assert.deepEqual([early.body.frequency, early.body.segment], [0, null]);
+
+  const lost = await api.get('/api/customers?segment=Lost');
+  assert.deepEqual(lost.body.data.map(customer => customer.customer_id), ['12583']);
+});
@@ -0,0 +1,79 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedProduct('85123A', 'WHITE HANGING HEART');
+  await seedProduct('POST', 'POSTAGE');
+
+  // As loaded from the dataset: a regular invoice with a duplicated line, a
+  // stray negative line and postage, and a zero-priced sale with no customer
+  await db.query(
+    `INSERT INTO invoices (invoice_id, customer_id, invoice_date, country) VALUES
+       ('536365', 'C1', '2010-12-01 08:26', 'United Kingdom'),
+       ('536366', NULL, '2010-12-02 09:00', 'France')`
+  );
+  await db.query(
+    `INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES
+       ('536365', '85123A', 6, 2.55),
+       ('536365', '85123A', 6, 2.55),
+       ('536365', '85123A', -2, 2.55),
+       ('536365', 'POST', 1, 18),
+       ('536366', '85123A', 4, 0)`
+  );
+});
+after(() => database.close());
+
+test('reports each rule with counts and samples', async () => {
+  const res = await api.get('/api/admin/data-quality?sample_size=1');
+  assert.equal(res.status, 200);
+
+  const rules = Object.fromEntries(res.body.rules.map(rule => [rule.rule, rule]));
+  assert.equal(rules.negative_quantity.count, 1);
+  assert.equal(rules.negative_quantity.samples[0].quantity, -2);
+  assert.equal(rules.non_positive_price.count, 1);
+  assert.equal(rules.missing_customer.count, 1);
+  assert.equal(rules.missing_customer.samples[0].invoice_id, '536366');
+  assert.equal(rules.unflagged_non_merchandise.count, 1);
+  assert.equal(rules.unflagged_non_merchandise.samples[0].stock_code, 'POST');
+  assert.equal(rules.duplicate_line.count, 1);
+  assert.equal(rules.duplicate_line.samples[0].occurrences, 2);
+
+  const invalid = await api.get('/api/admin/data-quality?sample_size=1000');
+  assert.equal(invalid.status, 400);
+});
+
+test('flagged stock codes are left out of sales analytics', async () => {
+  const totalSales = async () => (await api.get('/api/sales/monthly')).body.map(row => Number(row.total_sales));
+  assert.deepEqual(await totalSales(), [43.5]);
+
+  const flagged = await api.put('/api/admin/data-quality/non-merchandise/POST');
+  assert.equal(flagged.status, 200);
+  assert.equal(flagged.body.is_merchandise, false);
+  assert.deepEqual((await api.get('/api/admin/data-quality/non-merchandise')).body.map(p => p.stock_code), ['POST']);
+  assert.deepEqual(await totalSales(), [25.5]);
+
+  const report = await api.get('/api/admin/data-quality');
+  assert.equal(report.body.rules.find(rule => rule.rule === 'unflagged_non_merchandise').count, 0);
+
+  const unflagged = await api.delete('/api/admin/data-quality/non-merchandise/POST');
+  assert.equal(unflagged.body.is_merchandise, true);
+  assert.deepEqual(await totalSales(), [43.5]);
+
+  const history = await api.get('/api/audit?entity_type=product&entity_id=POST');
+  assert.equal(history.body.data.length, 2);
+
+  const missing = await api.put('/api/admin/data-quality/non-merchandise/NOPE');
+  assert.equal(missing.status, 404);
+});
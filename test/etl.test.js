@@ -0,0 +1,185 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../db');
+const { createCsvParser, parseCsv, formatRow } = require('../etl/csv');
+const { parseInvoiceDate, mapHeader, transformRow } = require('../etl/transform');
+const { load, EtlError } = require('../etl/load');
+const { startTestDatabase } = require('./helpers');
+
+const HEADER = 'InvoiceNo,StockCode,Description,Quantity,InvoiceDate,UnitPrice,CustomerID,Country';
+
+let database;
+let directory;
+
+before(async () => {
+  database = await startTestDatabase();
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'retail-etl-'));
+});
+
+beforeEach(() => database.reset());
+after(async () => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  await database.close();
+});
+
+function writeCsv(name, rows) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, [HEADER, ...rows].join('\n') + '\n');
+  return file;
+}
+
+test('parses quoted fields split across chunks', () => {
+  const text = 'a,b\r\n"x, ""y""","multi\nline"\r\n\r\nlast,row';
+  const whole = parseCsv(text);
+
+  // Feed the same text one character at a time
+  const parser = createCsvParser();
+  const chunked = [...text].flatMap(char => parser.push(char)).concat(parser.end());
+
+  const expected = [
+    { line: 1, values: ['a', 'b'] },
+    { line: 2, values: ['x, "y"', 'multi\nline'] },
+    { line: 5, values: ['last', 'row'] }
+  ];
+  assert.deepEqual(whole, expected);
+  assert.deepEqual(chunked, expected);
+  assert.deepEqual(parseCsv(formatRow(expected[1].values))[0].values, expected[1].values);
+});
+
+test('reads invoice dates in both export formats', () => {
+  assert.equal(parseInvoiceDate('12/1/2010 8:26'), '2010-12-01 08:26:00');
+  assert.equal(parseInvoiceDate('2010-12-01 08:26:00'), '2010-12-01 08:26:00');
+  assert.equal(parseInvoiceDate('2011-02-28 17:05'), '2011-02-28 17:05:00');
+  assert.equal(parseInvoiceDate('2/30/2011 10:00'), null);
+  assert.equal(parseInvoiceDate('yesterday'), null);
+});
+
+test('validates rows against the dataset columns', () => {
+  assert.deepEqual(mapHeader(['InvoiceNo', 'StockCode']).missing.slice(0, 2), ['Description', 'Quantity']);
+  const { index } = mapHeader(HEADER.split(','));
+  const row = overrides => transformRow(
+    Object.values({
+      invoiceId: '536365', stockCode: '85123A', description: 'WHITE HANGING HEART', quantity: '6',
+      invoiceDate: '12/1/2010 8:26', unitPrice: '2.55', customerId: '17850.0', country: 'United Kingdom',
+      ...overrides
+    }),
+    index
+  );
+
+  assert.deepEqual(row({}).line, {
+    invoiceId: '536365',
+    stockCode: '85123A',
+    description: 'WHITE HANGING HEART',
+    quantity: 6,
+    invoiceDate: '2010-12-01 08:26:00',
+    unitPrice: 2.55,
+    customerId: '17850',
+    country: 'United Kingdom'
+  });
+  assert.equal(row({ customerId: '' }).line.customerId, null);
+  assert.equal(row({ stockCode: '' }).reason, 'StockCode is missing');
+  assert.equal(row({ quantity: '1.5' }).reason, 'Quantity is not a whole number');
+  assert.equal(row({ quantity: '0' }).reason, 'Quantity is zero');
+  assert.equal(row({ unitPrice: '-11062.06' }).reason, 'UnitPrice is negative');
+  assert.equal(row({ invoiceDate: '2010-13-01 08:26' }).reason, 'InvoiceDate is not a recognised date');
+});
+
+test('loads a file, quarantining rejected rows', async () => {
+  const file = writeCsv('retail.csv', [
+    '536365,85123A,WHITE HANGING HEART,6,12/1/2010 8:26,2.55,17850.0,United Kingdom',
+    '536365,71053,,6,12/1/2010 8:26,3.39,17850.0,United Kingdom',
+    '536366,71053,WHITE METAL LANTERN,2,2010-12-01 08:28:00,3.39,,United Kingdom',
+    'C536379,D,Discount,-1,12/1/2010 9:41,27.50,14527.0,United Kingdom',
+    '536367,22745,"POPPY\'S PLAYHOUSE, BEDROOM",0,12/1/2010 8:34,2.10,13047.0,United Kingdom',
+    'A563185,B,Adjust bad debt,1,8/12/2011 14:50,-11062.06,,United Kingdom'
+  ]);
+
+  const result = await load(file, { batchSize: 2 });
+
+  assert.equal(result.run.status, 'completed');
+  assert.equal(result.rowsInFile, 6);
+  assert.equal(result.run.rows_loaded, 4);
+  assert.equal(result.run.rows_rejected, 2);
+  assert.deepEqual(result.run.rejections, { 'Quantity is zero': 1, 'UnitPrice is negative': 1 });
+  assert.equal(result.run.products_added, 3);
+  assert.equal(result.run.invoices_added, 3);
+  assert.equal(result.run.customers_added, 2);
+
+  // The later row's description fills in the blank one
+  const lantern = await db.query("SELECT description FROM products WHERE stock_code = '71053'");
+  assert.equal(lantern.rows[0].description, 'WHITE METAL LANTERN');
+  const credit = await db.query("SELECT is_cancelled FROM invoices WHERE invoice_id = 'C536379'");
+  assert.equal(credit.rows[0].is_cancelled, true);
+
+  const quarantined = parseCsv(fs.readFileSync(result.run.quarantine_file, 'utf8'));
+  assert.deepEqual(quarantined.map(row => row.values.slice(0, 3)), [
+    ['line', 'reason', 'InvoiceNo'],
+    ['6', 'Quantity is zero', '536367'],
+    ['7', 'UnitPrice is negative', 'A563185']
+  ]);
+
+  await assert.rejects(load(file), EtlError);
+  // Loading it again adds no lines to the invoices it already loaded
+  const again = await load(file, { force: true });
+  assert.equal(again.run.invoices_added, 0);
+  assert.deepEqual([again.run.rows_loaded, again.run.rows_skipped, again.run.rows_rejected], [0, 4, 2]);
+  assert.equal(again.database.invoice_items, result.database.invoice_items);
+  const items = await db.query('SELECT COUNT(*)::INTEGER AS count FROM invoice_items');
+  assert.equal(items.rows[0].count, 4);
+});
+
+test('resumes an interrupted load after the last committed batch', async () => {
+  const file = writeCsv('interrupted.csv', Array.from({ length: 5 }, (_, i) =>
+    `5400${i},2200${i},ITEM ${i},${i === 1 ? 0 : 1},12/${i + 1}/2010 10:00,1.25,1234${i},France`));
+
+  let batches = 0;
+  await assert.rejects(
+    load(file, {
+      batchSize: 2,
+      onProgress: ({ rowsRead }) => {
+        if (rowsRead > 0 && ++batches === 2) throw new Error('Connection lost');
+      }
+    }),
+    /Connection lost/
+  );
+  const failed = await db.query('SELECT status, rows_read, error FROM etl_runs');
+  assert.deepEqual(failed.rows, [{ status: 'failed', rows_read: 4, error: 'Connection lost' }]);
+
+  const result = await load(file, { batchSize: 2 });
+  assert.equal(result.resumed, true);
+  assert.equal(result.resumedFrom, 4);
+  assert.equal(result.run.rows_loaded, 4);
+  assert.equal(result.run.rows_rejected, 1);
+
+  const items = await db.query('SELECT COUNT(*)::INTEGER AS count FROM invoice_items');
+  assert.equal(items.rows[0].count, 4);
+  // The rejected row from the first attempt is quarantined once
+  const quarantined = parseCsv(fs.readFileSync(result.run.quarantine_file, 'utf8'));
+  assert.equal(quarantined.length, 2);
+});
+
+test('restarts an interrupted load from the top without duplicating lines', async () => {
+  const file = writeCsv('restarted.csv', Array.from({ length: 3 }, (_, i) =>
+    `541000,2300${i},ITEM ${i},1,1/5/2011 10:00,1.25,12345.0,France`));
+
+  await assert.rejects(
+    load(file, {
+      batchSize: 2,
+      onProgress: ({ rowsRead }) => {
+        if (rowsRead > 0) throw new Error('Connection lost');
+      }
+    }),
+    /Connection lost/
+  );
+
+  // The invoice was half loaded; the new run takes it over and loads all its lines
+  const result = await load(file, { batchSize: 2, restart: true });
+  assert.equal(result.resumed, false);
+  assert.deepEqual([result.run.rows_loaded, result.run.rows_skipped], [3, 0]);
+  assert.deepEqual([result.database.invoices, result.database.invoice_items], [1, 3]);
+  const runs = await db.query('SELECT status, error FROM etl_runs ORDER BY id');
+  assert.deepEqual(runs.rows, [{ status: 'failed', error: 'Abandoned by --restart' }, { status: 'completed', error: null }]);
+});
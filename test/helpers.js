@@ -0,0 +1,96 @@
+const { Pool } = require('pg');
+const request = require('supertest');
+const db = require('../db');
+const migrations = require('../migrations');
+
+// The bootstrap admin key; real keys are created through the API
+const ADMIN_KEY = 'test-admin-key';
+process.env.ADMIN_API_KEY = ADMIN_KEY;
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// Tables emptied between tests
+const TABLES = [
+  'etl_runs', 'webhook_deliveries', 'webhook_subscriptions', 'cart_items', 'carts', 'product_prices',
+  'invoice_discounts', 'promotions', 'fx_rates', 'tax_rules', 'customer_addresses', 'audit_log', 'api_keys',
+  'stock_movements', 'inventory', 'product_associations', 'association_runs', 'popularity_runs',
+  'invoice_items', 'invoices', 'products', 'categories', 'customers'
+];
+
+// Each test file gets its own schema so files can run side by side
+async function startPostgres(connectionString) {
+  const schema = `test_${process.pid}`;
+
+  const admin = new Pool({ connectionString, max: 1 });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.query('CREATE EXTENSION IF NOT EXISTS pg_trgm SCHEMA public');
+
+  const pool = new Pool({ connectionString, options: `-c search_path=${schema},public` });
+  db.usePool(pool);
+  await migrations.up();
+
+  return {
+    pool,
+    async reset() {
+      await pool.query(`TRUNCATE ${TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+    },
+    async close() {
+      await pool.end();
+      await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+      await admin.end();
+    }
+  };
+}
+
+// Point the app at a fresh, fully migrated schema in the Postgres database
+// at TEST_DATABASE_URL, e.g.
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/postgres npm test
+// The user needs to be able to create schemas and the pg_trgm extension.
+function startTestDatabase() {
+  if (!process.env.TEST_DATABASE_URL) {
+    throw new Error('Set TEST_DATABASE_URL to a Postgres database to run the tests against');
+  }
+  return startPostgres(process.env.TEST_DATABASE_URL);
+}
+
+// supertest requests authenticated with `key` (the admin key by default)
+function client(app, key = ADMIN_KEY) {
+  const withKey = method => url => request(app)[method](url).set('X-API-Key', key);
+  return {
+    get: withKey('get'),
+    post: withKey('post'),
+    put: withKey('put'),
+    delete: withKey('delete')
+  };
+}
+
+async function seedCustomer(customerId, country = 'United Kingdom') {
+  await db.query('INSERT INTO customers (customer_id, country) VALUES ($1, $2)', [customerId, country]);
+}
+
+async function seedProduct(stockCode, description = `Product ${stockCode}`) {
+  await db.query('INSERT INTO products (stock_code, description) VALUES ($1, $2)', [stockCode, description]);
+}
+
+// An invoice as the dataset has them: `lines` are [stock_code, quantity,
+// unit_price], and an invoice number starting with C is a credit note
+async function seedInvoice(invoiceId, customerId, invoiceDate, lines, country = 'United Kingdom') {
+  await db.query(
+    'INSERT INTO invoices (invoice_id, customer_id, invoice_date, country, is_cancelled) VALUES ($1, $2, $3, $4, $5)',
+    [invoiceId, customerId, invoiceDate, country, invoiceId.startsWith('C')]
+  );
+  for (const [stockCode, quantity, unitPrice] of lines) {
+    await db.query(
+      'INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ($1, $2, $3, $4)',
+      [invoiceId, stockCode, quantity, unitPrice]
+    );
+  }
+}
+
+module.exports = {
+  ADMIN_KEY,
+  startTestDatabase,
+  client,
+  seedCustomer,
+  seedProduct,
+  seedInvoice
+};
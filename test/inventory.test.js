@@ -0,0 +1,89 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+function move(stockCode, movement) {
+  return api.post(`/api/products/${stockCode}/stock/movements`).send(movement);
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedProduct('A1', 'WHITE HANGING HEART');
+  await seedProduct('B1', 'REGENCY CAKESTAND');
+});
+after(async () => {
+  await database.close();
+});
+
+test('tracks stock from its first movement or reorder point', async () => {
+  const untracked = await api.get('/api/products/A1/stock');
+  assert.equal(untracked.status, 404);
+  assert.equal(untracked.body.error, 'Stock not tracked');
+  assert.equal((await api.get('/api/products/NOPE/stock')).status, 404);
+
+  const tracked = await api.put('/api/products/A1/stock').send({ reorder_point: 10 });
+  assert.equal(tracked.status, 200);
+  const levels = stock => [stock.on_hand, stock.reserved, stock.available, stock.reorder_point];
+  assert.deepEqual(levels(tracked.body), [0, 0, 0, 10]);
+  assert.equal((await api.put('/api/products/A1/stock').send({ reorder_point: -1 })).status, 400);
+  assert.equal((await api.put('/api/products/NOPE/stock').send({ reorder_point: 1 })).status, 404);
+
+  const received = await move('B1', { movement_type: 'receipt', quantity: 48, note: 'Delivery' });
+  assert.equal(received.status, 201);
+  assert.deepEqual([received.body.movement.movement_type, received.body.movement.quantity], ['receipt', 48]);
+  assert.deepEqual(levels((await api.get('/api/products/B1/stock')).body), [48, 0, 48, 0]);
+});
+
+test('records movements without letting stock go below zero', async () => {
+  await move('A1', { movement_type: 'receipt', quantity: 48 });
+
+  const tooMany = await move('A1', { movement_type: 'adjustment', quantity: -50 });
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.details, 'Movement would take on_hand below zero (currently 48)');
+  assert.equal((await move('A1', { movement_type: 'receipt', quantity: -1 })).status, 400);
+  assert.equal((await move('A1', { movement_type: 'adjustment', quantity: 0 })).status, 400);
+  assert.equal((await move('A1', { movement_type: 'sale', quantity: -1 })).status, 400);
+  assert.equal((await move('NOPE', { movement_type: 'receipt', quantity: 1 })).status, 404);
+
+  const broken = await move('A1', { movement_type: 'adjustment', quantity: -6, note: 'Breakage' });
+  assert.equal(broken.body.stock.on_hand, 42);
+  await api.post('/api/invoices').send({ customer_id: 'C1', items: [{ stock_code: 'A1', quantity: 2, unit_price: 2.55 }] });
+
+  const history = await api.get('/api/products/A1/stock-history');
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.data.map(movement => [movement.movement_type, movement.quantity]), [
+    ['receipt', 48], ['adjustment', -6], ['sale', -2]
+  ]);
+  const sales = await api.get('/api/products/A1/stock-history?movement_type=sale');
+  assert.deepEqual(sales.body.data.map(movement => movement.quantity), [-2]);
+  const newest = await api.get('/api/products/A1/stock-history?sort=-id&limit=1');
+  assert.equal(newest.body.data[0].note, null);
+  assert.ok(newest.body.next_cursor);
+  assert.equal((await api.get('/api/products/NOPE/stock-history')).status, 404);
+});
+
+test('reports tracked products at or below their reorder point', async () => {
+  await move('A1', { movement_type: 'receipt', quantity: 8 });
+  await move('B1', { movement_type: 'receipt', quantity: 30 });
+  await api.put('/api/products/A1/stock').send({ reorder_point: 10 });
+  await api.put('/api/products/B1/stock').send({ reorder_point: 30 });
+  await seedProduct('D1', 'PARTY BUNTING');
+
+  const report = await api.get('/api/inventory/low-stock');
+  assert.equal(report.status, 200);
+  // Largest shortfall first; untracked products are not reported
+  assert.deepEqual(report.body.map(row => [row.stock_code, row.available, row.reorder_point, row.shortfall]), [
+    ['A1', 8, 10, 2],
+    ['B1', 30, 30, 0]
+  ]);
+  assert.equal((await api.get('/api/inventory/low-stock?limit=1')).body.length, 1);
+});
@@ -0,0 +1,119 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedProduct('A1', 'Mug');
+  await seedProduct('B1', 'Cup');
+  // A1 is stock-tracked, B1 is not
+  const receipt = await api.post('/api/products/A1/stock/movements').send({ movement_type: 'receipt', quantity: 10 });
+  assert.equal(receipt.status, 201);
+});
+after(() => database.close());
+
+function order(items) {
+  return api.post('/api/invoices').send({ customer_id: 'C1', items });
+}
+
+test('an order is saved with its lines and takes stock out', async () => {
+  const res = await order([
+    { stock_code: 'A1', quantity: 4, unit_price: 2.5 },
+    { stock_code: 'B1', quantity: 1, unit_price: 1 }
+  ]);
+  assert.equal(res.status, 201);
+  assert.equal(res.body.country, 'United Kingdom');
+  assert.equal(res.body.line_count, 2);
+  assert.equal(Number(res.body.total_amount), 11);
+
+  const stock = await api.get('/api/products/A1/stock');
+  assert.equal(stock.body.on_hand, 6);
+
+  const fetched = await api.get(`/api/invoices/${res.body.invoice_id}?expand=items,customer`);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.items.length, 2);
+  assert.equal(fetched.body.customer.customer_id, 'C1');
+});
+
+test('an order with bad lines is rejected as a whole', async () => {
+  const res = await order([
+    { stock_code: 'A1', quantity: 11, unit_price: 2.5 },
+    { stock_code: 'NOPE', quantity: 1, unit_price: 1 }
+  ]);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details, 'Order rejected: 2 invalid line(s)');
+  assert.deepEqual(res.body.lines.map(line => [line.line, line.stock_code]), [[1, 'A1'], [2, 'NOPE']]);
+
+  const invoices = await api.get('/api/invoices');
+  assert.deepEqual(invoices.body.data, []);
+  assert.equal((await api.get('/api/products/A1/stock')).body.on_hand, 10);
+});
+
+test('an order for an unknown customer is rejected', async () => {
+  const res = await api.post('/api/invoices').send({
+    customer_id: 'NOPE',
+    items: [{ stock_code: 'A1', quantity: 1, unit_price: 1 }]
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details, 'No customer found with ID: NOPE');
+});
+
+test('cancelling returns lines on a credit note and puts stock back', async () => {
+  const invoice = (await order([
+    { stock_code: 'A1', quantity: 4, unit_price: 2.5 },
+    { stock_code: 'B1', quantity: 2, unit_price: 1 }
+  ])).body;
+  const [mugs, cups] = invoice.items;
+
+  const partial = await api.post(`/api/invoices/${invoice.invoice_id}/cancel`)
+    .send({ lines: [{ item_id: mugs.id, quantity: 3 }] });
+  assert.equal(partial.status, 201);
+  assert.equal(partial.body.is_cancelled, true);
+  assert.equal(partial.body.original_invoice_id, invoice.invoice_id);
+  assert.deepEqual(partial.body.items.map(item => [item.stock_code, item.quantity]), [['A1', -3]]);
+  assert.equal((await api.get('/api/products/A1/stock')).body.on_hand, 9);
+  assert.equal((await api.get(`/api/invoices/${invoice.invoice_id}`)).body.cancellation_status, 'partial');
+
+  const tooMany = await api.post(`/api/invoices/${invoice.invoice_id}/cancel`)
+    .send({ lines: [{ item_id: mugs.id, quantity: 2 }] });
+  assert.equal(tooMany.status, 400);
+  assert.equal(tooMany.body.lines[0].details, 'Cannot return 2; only 1 remaining');
+
+  // The rest of the invoice: one mug and both cups
+  const rest = await api.post(`/api/invoices/${invoice.invoice_id}/cancel`).send({});
+  assert.equal(rest.status, 201);
+  assert.deepEqual(rest.body.items.map(item => [item.original_item_id, item.quantity]), [[mugs.id, -1], [cups.id, -2]]);
+  assert.equal((await api.get(`/api/invoices/${invoice.invoice_id}`)).body.cancellation_status, 'full');
+
+  const again = await api.post(`/api/invoices/${invoice.invoice_id}/cancel`).send({});
+  assert.equal(again.status, 409);
+
+  const credit = await api.post(`/api/invoices/${rest.body.invoice_id}/cancel`).send({});
+  assert.equal(credit.status, 400);
+});
+
+test('cancelling an unknown invoice is a 404', async () => {
+  const res = await api.post('/api/invoices/999999/cancel').send({});
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error, 'Invoice not found');
+});
+
+test('stock cannot go below zero', async () => {
+  const res = await api.post('/api/products/A1/stock/movements').send({ movement_type: 'adjustment', quantity: -11 });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details, 'Movement would take on_hand below zero (currently 10)');
+
+  const lowStock = await api.put('/api/products/A1/stock').send({ reorder_point: 10 });
+  assert.equal(lowStock.status, 200);
+  const report = await api.get('/api/inventory/low-stock');
+  assert.deepEqual(report.body.map(item => item.stock_code), ['A1']);
+});
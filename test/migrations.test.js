@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrations = require('../migrations');
+const { startTestDatabase } = require('./helpers');
+
+let database;
+
+before(async () => {
+  database = await startTestDatabase();
+});
+after(() => database.close());
+
+test('a migrated database is up to date', async () => {
+  const onDisk = migrations.load();
+  const schema = await migrations.check();
+  assert.deepEqual(schema, { current: onDisk[onDisk.length - 1].version, expected: onDisk[onDisk.length - 1].version, pending: [] });
+
+  const rows = await migrations.status();
+  assert.ok(rows.every(row => row.state === 'applied'));
+  assert.deepEqual(await migrations.up(), []);
+});
+
+test('reports pending, modified and unknown migrations', async () => {
+  const [first, ...rest] = migrations.load();
+  const changed = [{ ...first, checksum: 'edited' }, { version: 9999, name: 'later', up: 'SELECT 1', checksum: 'new' }];
+
+  const schema = await migrations.check({ migrations: changed });
+  assert.equal(schema.expected, 9999);
+  assert.deepEqual(schema.pending, [9999]);
+
+  const states = (await migrations.status({ migrations: changed })).map(row => [row.version, row.state]);
+  assert.deepEqual(states, [
+    [first.version, 'modified'],
+    ...rest.map(migration => [migration.version, 'unknown']),
+    [9999, 'pending']
+  ]);
+});
+
+test('reverts the latest migration and applies it again', async () => {
+  const latest = migrations.load().pop();
+
+  const reverted = await migrations.down();
+  assert.deepEqual(reverted.map(migration => migration.version), [latest.version]);
+  assert.deepEqual((await migrations.check()).pending, [latest.version]);
+
+  const applied = await migrations.up();
+  assert.deepEqual(applied.map(migration => migration.version), [latest.version]);
+  assert.deepEqual((await migrations.check()).pending, []);
+});
+
+test('every migration needs an up file and a unique version', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  try {
+    fs.writeFileSync(path.join(directory, '0001_first.up.sql'), 'SELECT 1');
+    fs.writeFileSync(path.join(directory, '0002_second.down.sql'), 'SELECT 1');
+    assert.throws(() => migrations.load(directory), /0002_second has no \.up\.sql file/);
+
+    fs.writeFileSync(path.join(directory, '0002_second.up.sql'), 'SELECT 1');
+    fs.writeFileSync(path.join(directory, '0002_other.up.sql'), 'SELECT 1');
+    assert.throws(() => migrations.load(directory), /Migration 2 is defined more than once/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,69 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct, seedInvoice } = require('./helpers');
+
+let database;
+let api;
+
+function ranking(res) {
+  return res.body.data.map(product => [product.stock_code, product.popularity_score]);
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedCustomer('C2');
+  for (const stockCode of ['A1', 'B1', 'D1', 'E1']) {
+    await seedProduct(stockCode);
+  }
+});
+after(async () => {
+  await database.close();
+});
+
+test('sorts and filters products by a score set by hand', async () => {
+  await api.put('/api/products/B1').send({ popularity_score: 40 });
+  await api.put('/api/products/D1').send({ popularity_score: 90 });
+
+  assert.deepEqual(ranking(await api.get('/api/products?sort=-popularity_score&limit=2')), [['D1', 90], ['B1', 40]]);
+  assert.deepEqual(ranking(await api.get('/api/products?min_popularity=30&max_popularity=50')), [['B1', 40]]);
+
+  const history = await api.get('/api/products/D1/history');
+  assert.deepEqual(history.body.map(change => [change.popularity_score_before, change.popularity_score_after]), [[0, 90]]);
+});
+
+test('checks recompute settings', async () => {
+  assert.equal((await api.post('/api/admin/popularity/recompute').send({ window_days: 0 })).status, 400);
+  assert.equal((await api.post('/api/admin/popularity/recompute').send({ half_life_days: 'month' })).status, 400);
+  assert.deepEqual((await api.get('/api/admin/popularity/runs')).body, []);
+});
+
+test('scores recent sales and buyers, halving the weight of a sale every half-life', async () => {
+  await api.put('/api/products/D1').send({ popularity_score: 50 });
+  await seedInvoice('536365', 'C1', '2011-06-01 10:00', [['A1', 5, 2.55]]);
+  await seedInvoice('536366', 'C2', '2011-06-01 12:00', [['A1', 5, 2.55]]);
+  // A half-life earlier, so its ten units count as five
+  await seedInvoice('536367', 'C1', '2011-05-02 12:00', [['B1', 10, 4.25]]);
+  // Outside the 90-day window
+  await seedInvoice('536368', 'C2', '2011-01-10 09:00', [['D1', 100, 1.25]]);
+  // Credit notes neither count nor move the window
+  await seedInvoice('C536369', 'C1', '2011-06-05 09:00', [['A1', -1, 2.55]]);
+
+  const run = await api.post('/api/admin/popularity/recompute').send({});
+  assert.equal(run.status, 200);
+  assert.deepEqual([run.body.window_days, Number(run.body.half_life_days), run.body.products_scored], [90, 30, 4]);
+  assert.equal(new Date(run.body.as_of).getDate(), 1);
+
+  // 60% volume and 40% buyers, each log-scaled against the best product
+  assert.deepEqual(ranking(await api.get('/api/products?sort=-popularity_score')), [['A1', 100], ['B1', 70], ['E1', 0], ['D1', 0]]);
+
+  const history = await api.get('/api/products/D1/history');
+  assert.deepEqual(history.body.map(change => [change.popularity_score_before, change.popularity_score_after]), [[50, 0], [0, 50]]);
+  const runs = await api.get('/api/admin/popularity/runs');
+  assert.deepEqual(runs.body.map(row => row.id), [run.body.id]);
+});
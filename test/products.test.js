@@ -0,0 +1,214 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(() => database.reset());
+after(() => database.close());
+
+test('creates, reads, updates and deletes a product', async () => {
+  const created = await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.description, 'Mug');
+  assert.equal(created.body.stock, null);
+
+  const duplicate = await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug' });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.details, 'Product with this stock_code already exists');
+
+  const updated = await api.put('/api/products/A1').send({ popularity_score: 40 });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.description, 'Mug');
+  assert.equal(updated.body.popularity_score, 40);
+
+  assert.equal((await api.delete('/api/products/A1')).status, 204);
+
+  const missing = await api.get('/api/products/A1');
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body, {
+    error: 'Product not found',
+    details: 'No product found with stock_code: A1'
+  });
+});
+
+test('an update needs at least one field', async () => {
+  await seedProduct('A1');
+  const res = await api.put('/api/products/A1').send({});
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'Bad Request');
+});
+
+test('rejects bodies that do not match the documented schema', async () => {
+  const res = await api.post('/api/products').send({ stock_code: 'A1', popularity_score: 'high' });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.fields.some(field => field.field === 'description' && field.message === 'is required'));
+
+  const malformed = await api.post('/api/products').set('Content-Type', 'application/json').send('{"stock_code":');
+  assert.equal(malformed.status, 400);
+});
+
+test('pages through products with a cursor', async () => {
+  for (const code of ['A1', 'A2', 'A3']) {
+    await seedProduct(code);
+  }
+
+  const first = await api.get('/api/products?limit=2');
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data.map(p => p.stock_code), ['A1', 'A2']);
+  assert.ok(first.body.next_cursor);
+
+  const second = await api.get(`/api/products?limit=2&cursor=${first.body.next_cursor}`);
+  assert.deepEqual(second.body.data.map(p => p.stock_code), ['A3']);
+  assert.equal(second.body.next_cursor, null);
+
+  const wrongSort = await api.get(`/api/products?limit=2&sort=-stock_code&cursor=${first.body.next_cursor}`);
+  assert.equal(wrongSort.status, 400);
+  assert.equal(wrongSort.body.details, 'cursor was issued for a different sort order');
+});
+
+test('opening stock is recorded as a receipt', async () => {
+  const created = await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug', on_hand: 12, reorder_point: 5 });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.stock.on_hand, 12);
+
+  const history = await api.get('/api/products/A1/stock-history');
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.body.data.map(m => [m.movement_type, m.quantity]), [['receipt', 12]]);
+});
+
+test('changes are recorded in the audit log and product history', async () => {
+  await api.post('/api/products').send({ stock_code: 'A1', description: 'Mug' });
+  await api.put('/api/products/A1').send({ description: 'Tea mug' });
+
+  const history = await api.get('/api/products/A1/history');
+  assert.equal(history.status, 200);
+  assert.equal(history.body.length, 2);
+  assert.equal(history.body[0].description_before, 'Mug');
+  assert.equal(history.body[0].description_after, 'Tea mug');
+
+  const log = await api.get('/api/audit?entity_type=product&entity_id=A1');
+  assert.equal(log.status, 200);
+  assert.deepEqual(log.body.data.map(entry => entry.action), ['update', 'create']);
+  assert.equal(log.body.data[1].route, 'POST /api/products');
+  assert.equal(log.body.data[1].actor, 'bootstrap');
+});
+
+test('unknown API routes get a JSON 404', async () => {
+  const res = await api.get('/api/nowhere');
+  assert.equal(res.status, 404);
+  assert.equal(res.body.details, 'No route for GET /api/nowhere');
+});
+
+test('full-text search ranks matching products', async () => {
+  await seedProduct('A1', 'WHITE HANGING HEART T-LIGHT HOLDER');
+  await seedProduct('A2', 'RED WOOLLY HOTTIE');
+
+  const res = await api.get('/api/products/search?q=heart');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.match_type, 'fulltext');
+  assert.deepEqual(res.body.data.map(p => p.stock_code), ['A1']);
+});
+
+test('fuzzy search finds misspelled products', async () => {
+  await seedProduct('A1', 'WHITE HANGING HEART T-LIGHT HOLDER');
+  await seedProduct('A2', 'RED WOOLLY HOTTIE');
+
+  for (const q of ['hart', 'hart holdr']) {
+    const res = await api.get(`/api/products/search?q=${encodeURIComponent(q)}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.match_type, 'fuzzy');
+    assert.deepEqual(res.body.data.map(p => p.stock_code), ['A1']);
+  }
+});
+
+function readText(res, done) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => {
+    text += chunk;
+  });
+  res.on('end', () => done(null, text));
+}
+
+test('imports a CSV upload, reporting each row', async () => {
+  await seedProduct('A1', 'Mug');
+  await seedProduct('A2', 'Cup');
+  const csv = [
+    'stock_code,description,popularity_score',
+    'A1,"Mug, large",10',
+    'A2,Cup',
+    'A3,"Plate ""round"""',
+    ',No code',
+    'A3,Plate again'
+  ].join('\r\n');
+
+  const dryRun = await api.post('/api/products/import?dry_run=true').set('Content-Type', 'text/csv').send(csv);
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.dry_run, true);
+  assert.deepEqual(dryRun.body.rows.map(row => [row.line, row.action]), [
+    [2, 'update'], [3, 'unchanged'], [4, 'insert'], [5, 'error'], [6, 'error']
+  ]);
+  assert.equal(dryRun.body.rows[4].details, 'stock_code already appears on line 4');
+  assert.equal((await api.get('/api/products/A3')).status, 404);
+
+  const imported = await api.post('/api/products/import').set('Content-Type', 'text/csv').send(csv);
+  assert.equal(imported.status, 200);
+  assert.deepEqual(imported.body.summary, { total: 5, inserted: 1, updated: 1, unchanged: 1, failed: 2 });
+  assert.equal((await api.get('/api/products/A1')).body.description, 'Mug, large');
+  assert.equal((await api.get('/api/products/A3')).body.description, 'Plate "round"');
+
+  const log = await api.get('/api/audit?entity_type=product');
+  assert.deepEqual(log.body.data.map(entry => [entry.action, entry.entity_id]), [['create', 'A3'], ['update', 'A1']]);
+});
+
+test('imports NDJSON and rejects other upload types', async () => {
+  const ndjson = '{"stock_code":"B1","description":"Bowl"}\nnot json\n{"stock_code":"B2"}\n';
+  const res = await api.post('/api/products/import').set('Content-Type', 'application/x-ndjson').send(ndjson);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.rows.map(row => [row.line, row.action, row.details]), [
+    [1, 'insert', undefined],
+    [2, 'error', 'Line is not valid JSON'],
+    [3, 'error', 'description is required']
+  ]);
+
+  const json = await api.post('/api/products/import').send([{ stock_code: 'B3', description: 'Jug' }]);
+  assert.equal(json.status, 415);
+
+  const header = await api.post('/api/products/import').set('Content-Type', 'text/csv').send('code,name\nB4,Jug');
+  assert.equal(header.status, 400);
+});
+
+test('exports the catalog as CSV, JSON or NDJSON', async () => {
+  await seedProduct('A2', 'Cup, "tall"');
+  await seedProduct('A1', 'Mug');
+
+  const csv = await api.get('/api/products/export');
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers['content-type'], /^text\/csv/);
+  assert.match(csv.headers['content-disposition'], /products\.csv/);
+  assert.deepEqual(csv.text.trim().split('\r\n'), [
+    'stock_code,description,category_id,list_price,status,popularity_score,popularity_computed_at,popularity_run_id',
+    'A1,Mug,,,active,0,,',
+    'A2,"Cup, ""tall""",,,active,0,,'
+  ]);
+
+  const json = await api.get('/api/products/export?format=json');
+  assert.deepEqual(JSON.parse(json.text).map(p => p.stock_code), ['A1', 'A2']);
+
+  // supertest only buffers the body of types it knows as text
+  const ndjson = await api.get('/api/products/export?format=ndjson').buffer(true).parse(readText);
+  assert.deepEqual(ndjson.body.trim().split('\n').map(line => JSON.parse(line).description), ['Mug', 'Cup, "tall"']);
+
+  // An export imports back unchanged
+  const reimport = await api.post('/api/products/import').set('Content-Type', 'text/csv').send(csv.text);
+  assert.equal(reimport.body.summary.unchanged, 2);
+
+  assert.equal((await api.get('/api/products/export?format=xml')).status, 400);
+});
@@ -0,0 +1,189 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+// NUMERIC values come back as strings
+const amount = value => value === null ? null : Math.round(Number(value) * 100) / 100;
+
+function addPromotion(promotion) {
+  return api.post('/api/promotions').send(promotion);
+}
+
+function order(customerId, items, couponCode) {
+  return api.post('/api/invoices').send({ customer_id: customerId, items, coupon_code: couponCode });
+}
+
+const mugs = quantity => ({ stock_code: 'A1', quantity, unit_price: 2.5 });
+const cakestands = quantity => ({ stock_code: 'B1', quantity, unit_price: 10 });
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  for (const customerId of ['C1', 'C2', 'C3']) {
+    await seedCustomer(customerId);
+  }
+  await seedProduct('A1', 'WHITE HANGING HEART');
+  await seedProduct('B1', 'REGENCY CAKESTAND');
+  await api.post('/api/admin/tax-rules').send({ country: 'United Kingdom', rate: 0.2, valid_from: '2011-01-04' });
+});
+after(async () => {
+  await database.close();
+});
+
+test('manages promotions, checking their fields fit the discount type', async () => {
+  const missing = await addPromotion({ name: 'Spring sale', discount_type: 'percentage' });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.details, 'percentage promotions need percent_off');
+
+  const mixed = await addPromotion({ name: 'Spring sale', discount_type: 'fixed', amount_off: 5, percent_off: 10 });
+  assert.equal(mixed.status, 400);
+  assert.equal(mixed.body.details, 'percent_off does not apply to fixed promotions');
+
+  const backwards = await addPromotion({ name: 'Old', discount_type: 'fixed', amount_off: 5, valid_from: '2011-03-01', valid_to: '2011-02-01' });
+  assert.equal(backwards.status, 400);
+  assert.equal((await addPromotion({ name: 'Odd', discount_type: 'percentage', percent_off: 150 })).status, 400);
+
+  const created = await addPromotion({ name: 'Spring sale', discount_type: 'percentage', percent_off: 10, coupon_code: 'spring10' });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.coupon_code, 'SPRING10');
+  assert.equal(created.body.times_used, 0);
+
+  const clash = await addPromotion({ name: 'Copy', discount_type: 'fixed', amount_off: 5, coupon_code: 'Spring10' });
+  assert.equal(clash.status, 409);
+  assert.equal(clash.body.details, `Coupon code SPRING10 is already used by promotion ${created.body.id}`);
+
+  // Changing the type drops the old type's fields
+  const retyped = await api.put(`/api/promotions/${created.body.id}`).send({ discount_type: 'fixed', amount_off: 5 });
+  assert.equal(retyped.status, 200);
+  assert.deepEqual([retyped.body.percent_off, retyped.body.amount_off, retyped.body.coupon_code], [null, 5, 'SPRING10']);
+
+  await addPromotion({ name: 'Winter sale', discount_type: 'fixed', amount_off: 5, valid_from: '2010-12-01', valid_to: '2011-01-01' });
+  const active = await api.get('/api/promotions?active=true');
+  assert.deepEqual(active.body.map(promotion => promotion.name), ['Spring sale']);
+  assert.equal((await api.get('/api/promotions')).body.length, 2);
+
+  assert.equal((await api.delete(`/api/promotions/${created.body.id}`)).status, 204);
+  assert.equal((await api.get(`/api/promotions/${created.body.id}`)).status, 404);
+  assert.equal((await api.put('/api/promotions/999').send({ name: 'Nothing' })).status, 404);
+
+  const { rows } = await db.query("SELECT action FROM audit_log WHERE entity_type = 'promotion' AND entity_id = $1 ORDER BY id", [String(created.body.id)]);
+  assert.deepEqual(rows.map(row => row.action), ['create', 'update', 'delete']);
+});
+
+test('discounts orders and taxes what is left', async () => {
+  await addPromotion({ name: 'Hearts 10% off', discount_type: 'percentage', percent_off: 10, stock_code: 'A1' });
+  await addPromotion({ name: 'Five off', discount_type: 'fixed', amount_off: 5, min_basket: 20, coupon_code: 'FIVE' });
+
+  const res = await order('C1', [mugs(4), cakestands(2)], 'five');
+  assert.equal(res.status, 201);
+  const invoice = res.body;
+  // 10% of the hearts, then the £5 split over what is left of each line
+  assert.deepEqual(invoice.items.map(item => [item.stock_code, amount(item.discount_amount), amount(item.tax_amount)]), [
+    ['A1', 2.55, 1.49],
+    ['B1', 3.45, 3.31]
+  ]);
+  assert.deepEqual(invoice.discounts.map(discount => [discount.name, discount.coupon_code, amount(discount.amount)]), [
+    ['Hearts 10% off', null, 1],
+    ['Five off', 'FIVE', 5]
+  ]);
+  assert.deepEqual([invoice.discount_amount, invoice.total_amount, invoice.tax_amount, invoice.gross_amount].map(amount), [6, 24, 4.8, 28.8]);
+
+  // The hearts alone come to less than the coupon's minimum basket
+  const small = await order('C1', [mugs(4)], 'FIVE');
+  assert.equal(small.status, 400);
+  assert.equal(small.body.details, 'Coupon FIVE needs at least 20.00 GBP of goods');
+
+  const unknown = await order('C1', [mugs(4)], 'NOPE');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.details, 'Unknown coupon code: NOPE');
+
+  // Without the coupon only the automatic promotion applies
+  const plain = await order('C2', [mugs(4)]);
+  assert.deepEqual([plain.body.discount_amount, plain.body.total_amount].map(amount), [1, 9]);
+});
+
+test('gives units away free and limits how often a coupon is used', async () => {
+  await addPromotion({ name: 'Three for two', discount_type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1, stock_code: 'A1' });
+  const once = (await addPromotion({
+    name: 'Welcome', discount_type: 'fixed', amount_off: 1, coupon_code: 'WELCOME', usage_limit: 2, per_customer_limit: 1
+  })).body;
+
+  const free = await order('C1', [mugs(7), cakestands(1)], 'WELCOME');
+  assert.equal(free.status, 201);
+  assert.deepEqual(free.body.discounts.map(discount => [discount.name, amount(discount.amount)]), [['Three for two', 5], ['Welcome', 1]]);
+
+  const again = await order('C1', [cakestands(1)], 'WELCOME');
+  assert.equal(again.status, 400);
+  assert.equal(again.body.details, 'Coupon WELCOME has already been used 1 time(s) by this customer');
+  assert.equal((await order('C2', [cakestands(1)], 'WELCOME')).status, 201);
+  const usedUp = await order('C3', [cakestands(1)], 'WELCOME');
+  assert.equal(usedUp.status, 400);
+  assert.equal(usedUp.body.details, 'Coupon WELCOME has been used up');
+
+  const used = await api.delete(`/api/promotions/${once.id}`);
+  assert.equal(used.status, 409);
+  assert.equal((await api.get(`/api/promotions/${once.id}`)).body.times_used, 2);
+
+  await addPromotion({ name: 'Old', discount_type: 'fixed', amount_off: 1, coupon_code: 'OLD', valid_from: '2011-01-01', valid_to: '2011-02-01' });
+  await addPromotion({ name: 'Later', discount_type: 'fixed', amount_off: 1, coupon_code: 'LATER', valid_from: '2099-01-01' });
+  assert.equal((await order('C3', [cakestands(1)], 'OLD')).body.details, 'Coupon OLD expired on 2011-02-01');
+  assert.equal((await order('C3', [cakestands(1)], 'LATER')).body.details, 'Coupon LATER is not valid until 2099-01-01');
+});
+
+test('credit notes give back the discount on the units returned', async () => {
+  await addPromotion({ name: 'Hearts 10% off', discount_type: 'percentage', percent_off: 10, stock_code: 'A1' });
+  const invoice = (await order('C1', [{ stock_code: 'A1', quantity: 3, unit_price: 2.55 }])).body;
+  const [line] = invoice.items;
+  assert.equal(amount(line.discount_amount), 0.77);
+
+  const partial = await api.post(`/api/invoices/${invoice.invoice_id}/cancel`).send({ lines: [{ item_id: line.id, quantity: 1 }] });
+  assert.equal(partial.status, 201);
+  assert.deepEqual([amount(partial.body.items[0].discount_amount), amount(partial.body.items[0].tax_amount)], [-0.26, -0.46]);
+
+  // The last units returned give back whatever discount is left
+  const rest = await api.post(`/api/invoices/${invoice.invoice_id}/cancel`).send({});
+  assert.deepEqual([amount(rest.body.items[0].discount_amount), amount(rest.body.total_amount)], [-0.51, -4.59]);
+});
+
+test('carts preview discounts and check out with their coupon', async () => {
+  await db.query("UPDATE products SET list_price = 2.5 WHERE stock_code = 'A1'");
+  await addPromotion({ name: 'Hearts 10% off', discount_type: 'percentage', percent_off: 10, coupon_code: 'HEARTS', stock_code: 'A1' });
+
+  const { body: cart } = await api.post('/api/carts').send({ customer_id: 'C1' });
+  assert.equal((await api.put(`/api/carts/${cart.id}/coupon`).send({ coupon_code: 'NOPE' })).status, 400);
+
+  // A coupon can be applied before there is anything for it to discount
+  const early = await api.put(`/api/carts/${cart.id}/coupon`).send({ coupon_code: 'hearts' });
+  assert.equal(early.status, 200);
+  assert.equal(early.body.coupon_code, 'HEARTS');
+  assert.equal(early.body.coupon_problem, 'Coupon HEARTS does not apply to anything in this order');
+
+  const priced = await api.post(`/api/carts/${cart.id}/items`).send({ stock_code: 'A1', quantity: 4 });
+  assert.equal(priced.body.coupon_problem, null);
+  assert.deepEqual([priced.body.discount_amount, priced.body.total_amount, priced.body.tax_amount], [1, 9, 1.8]);
+  assert.equal(priced.body.items[0].discount_amount, 1);
+
+  const removed = await api.delete(`/api/carts/${cart.id}/coupon`);
+  assert.deepEqual([removed.body.coupon_code, removed.body.discount_amount], [null, 0]);
+  await api.put(`/api/carts/${cart.id}/coupon`).send({ coupon_code: 'HEARTS' });
+
+  const invoice = await api.post(`/api/carts/${cart.id}/checkout`);
+  assert.equal(invoice.status, 201);
+  assert.deepEqual(invoice.body.discounts.map(discount => [discount.coupon_code, amount(discount.amount)]), [['HEARTS', 1]]);
+
+  const summary = await api.get('/api/analytics/summary');
+  assert.deepEqual([amount(summary.body.revenue), amount(summary.body.discounts)], [9, 1]);
+  const report = await api.get('/api/analytics/promotions');
+  assert.equal(report.status, 200);
+  assert.deepEqual(report.body.data.map(row => [row.name, row.coupon_code, row.order_count, amount(row.discount_amount)]), [
+    ['Hearts 10% off', 'HEARTS', 1, 1]
+  ]);
+});
@@ -0,0 +1,124 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { startTestDatabase, client, seedCustomer, seedProduct, seedInvoice } = require('./helpers');
+
+let database;
+let api;
+
+const round = value => Math.round(Number(value) * 10000) / 10000;
+
+function codes(res) {
+  return res.body.data.map(product => product.stock_code);
+}
+
+async function seedRules(rules) {
+  await db.query(
+    "INSERT INTO association_runs (trigger, finished_at, min_support, min_confidence) VALUES ('manual', NOW(), 0.01, 0.1)"
+  );
+  for (const [antecedent, consequent, coOccurrences, support, confidence, lift] of rules) {
+    await db.query(
+      `INSERT INTO product_associations (run_id, antecedent, consequent, co_occurrences, support, confidence, lift)
+       VALUES (1, $1, $2, $3, $4, $5, $6)`,
+      [antecedent, consequent, coOccurrences, support, confidence, lift]
+    );
+  }
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  for (const customerId of ['C1', 'C2', 'C3']) {
+    await seedCustomer(customerId);
+  }
+  for (const stockCode of ['A1', 'B1', 'D1', 'E1']) {
+    await seedProduct(stockCode);
+  }
+});
+after(async () => {
+  await database.close();
+});
+
+test('recommends products bought together with a product', async () => {
+  const none = await api.get('/api/products/A1/recommendations');
+  assert.equal(none.status, 200);
+  assert.deepEqual(none.body, { run_id: null, generated_at: null, data: [] });
+
+  await seedRules([
+    ['A1', 'B1', 5, 0.05, 0.5, 2],
+    ['A1', 'D1', 3, 0.03, 0.6, 1.5],
+    ['A1', 'E1', 8, 0.08, 0.2, 1.2],
+    ['D1', 'B1', 4, 0.04, 0.4, 3]
+  ]);
+  const byLift = await api.get('/api/products/A1/recommendations');
+  assert.equal(byLift.body.run_id, 1);
+  assert.ok(byLift.body.generated_at);
+  assert.deepEqual(codes(byLift), ['B1', 'D1', 'E1']);
+  assert.deepEqual(codes(await api.get('/api/products/A1/recommendations?sort=confidence')), ['D1', 'B1', 'E1']);
+  assert.deepEqual(codes(await api.get('/api/products/A1/recommendations?sort=support&limit=1')), ['E1']);
+
+  assert.equal((await api.get('/api/products/A1/recommendations?sort=price')).status, 400);
+  assert.equal((await api.get('/api/products/A1/recommendations?limit=0')).status, 400);
+  assert.equal((await api.get('/api/products/NOPE/recommendations')).status, 404);
+});
+
+test("recommends what a customer's purchases lead to, leaving out what they bought", async () => {
+  await seedRules([
+    ['A1', 'B1', 5, 0.05, 0.5, 2],
+    ['A1', 'D1', 3, 0.03, 0.6, 1.5],
+    ['A1', 'E1', 8, 0.08, 0.2, 1.2],
+    ['D1', 'B1', 4, 0.04, 0.4, 3]
+  ]);
+  await seedInvoice('536365', 'C1', '2010-12-01 08:26', [['A1', 6, 2.55]]);
+  await seedInvoice('536366', 'C1', '2010-12-02 09:00', [['D1', 1, 4.95]]);
+  // Returned goods still count as bought
+  await seedInvoice('C536367', 'C1', '2010-12-03 09:00', [['D1', -1, 4.95]]);
+
+  const res = await api.get('/api/customers/C1/recommendations');
+  assert.equal(res.status, 200);
+  // B1 follows from both A1 and D1, so their confidences add up
+  assert.deepEqual(res.body.data.map(row => [row.stock_code, round(row.score), round(row.max_lift)]), [
+    ['B1', 0.9, 3],
+    ['E1', 0.2, 1.2]
+  ]);
+  assert.deepEqual(codes(await api.get('/api/customers/C1/recommendations?limit=1')), ['B1']);
+
+  assert.deepEqual((await api.get('/api/customers/C2/recommendations')).body.data, []);
+  assert.equal((await api.get('/api/customers/NOPE/recommendations')).status, 404);
+  assert.equal((await api.get('/api/customers/C1/recommendations?limit=101')).status, 400);
+});
+
+test('checks mining thresholds', async () => {
+  assert.equal((await api.post('/api/admin/recommendations/refresh').send({ min_support: 0 })).status, 400);
+  assert.equal((await api.post('/api/admin/recommendations/refresh').send({ min_confidence: 2 })).status, 400);
+  assert.deepEqual((await api.get('/api/admin/recommendations/runs')).body, []);
+});
+
+test('mines association rules from regular invoices', async () => {
+  await seedInvoice('536365', 'C1', '2010-12-01 08:26', [['A1', 6, 2.55], ['B1', 2, 4.25]]);
+  await seedInvoice('536366', 'C2', '2010-12-01 09:00', [['A1', 1, 2.55], ['B1', 1, 4.25]]);
+  await seedInvoice('536367', 'C1', '2010-12-02 10:00', [['A1', 2, 2.55], ['D1', 1, 4.95]]);
+  await seedInvoice('536368', 'C3', '2010-12-03 11:00', [['B1', 4, 4.25]]);
+  // Credit notes are not baskets
+  await seedInvoice('C536369', 'C3', '2010-12-04 11:00', [['B1', -1, 4.25], ['E1', -1, 1.25]]);
+
+  const refreshed = await api.post('/api/admin/recommendations/refresh').send({ min_support: 0.25, min_confidence: 0.5 });
+  assert.equal(refreshed.status, 200);
+  assert.deepEqual([refreshed.body.invoices_considered, refreshed.body.rules_count], [4, 3]);
+
+  // A1 and B1 are on two of the four invoices together, and each on three
+  const rules = await api.get('/api/products/A1/recommendations');
+  assert.equal(rules.body.run_id, refreshed.body.id);
+  assert.deepEqual(rules.body.data.map(row => [row.stock_code, row.co_occurrences, round(row.support), round(row.confidence), round(row.lift)]), [
+    ['B1', 2, 0.5, 0.6667, 0.8889]
+  ]);
+  // A1 -> D1 falls below the confidence threshold, D1 -> A1 does not
+  assert.deepEqual(codes(await api.get('/api/products/D1/recommendations')), ['A1']);
+
+  const runs = await api.get('/api/admin/recommendations/runs');
+  assert.deepEqual(runs.body.map(run => [run.id, run.trigger]), [[refreshed.body.id, 'manual']]);
+});
@@ -0,0 +1,183 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createApp } = require('../app');
+const { isoDate } = require('../repositories/dates');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+
+// NUMERIC values come back as strings
+const amount = value => value === null ? null : Math.round(Number(value) * 100) / 100;
+
+const today = isoDate(new Date());
+
+function addRule(rule) {
+  return api.post('/api/admin/tax-rules').send(rule);
+}
+
+function order(customerId, items) {
+  return api.post('/api/invoices').send({ customer_id: customerId, items });
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+});
+beforeEach(async () => {
+  await database.reset();
+  await seedCustomer('C1');
+  await seedCustomer('F1', 'France');
+  await seedCustomer('F2', 'France');
+  await seedCustomer('J1', 'Japan');
+  await db.query("UPDATE customers SET vat_number = 'FR40303265045' WHERE customer_id = 'F1'");
+  await seedProduct('85123A', 'WHITE HANGING HEART');
+  await seedProduct('22423', 'REGENCY CAKESTAND');
+  await db.query("UPDATE products SET tax_category = 'reduced' WHERE stock_code = '22423'");
+
+  for (const rule of [
+    { country: 'United Kingdom', rate: 0.2, valid_from: '2011-01-04' },
+    { country: 'United Kingdom', tax_category: 'reduced', rate: 0.05, valid_from: '2011-01-04' },
+    { country: 'France', rate: 0.196, valid_from: '2000-01-01', reverse_charge: true }
+  ]) {
+    assert.equal((await addRule(rule)).status, 201);
+  }
+});
+after(async () => {
+  await database.close();
+});
+
+test('manages tax rules without overlaps', async () => {
+  const rules = await api.get('/api/admin/tax-rules?country=United%20Kingdom');
+  assert.equal(rules.status, 200);
+  assert.deepEqual(rules.body.map(rule => [rule.tax_category, rule.rate, rule.valid_from, rule.valid_to, rule.reverse_charge]), [
+    ['reduced', 0.05, '2011-01-04', null, false],
+    ['standard', 0.2, '2011-01-04', null, false]
+  ]);
+
+  const overlap = await addRule({ country: 'United Kingdom', rate: 0.175, valid_from: '2008-12-01' });
+  assert.equal(overlap.status, 409);
+  assert.match(overlap.body.details, /already covers United Kingdom standard from 2011-01-04 with no end date/);
+
+  const backwards = await addRule({ country: 'United Kingdom', rate: 0.175, valid_from: '2010-01-01', valid_to: '2009-12-01' });
+  assert.equal(backwards.status, 400);
+  assert.equal((await addRule({ country: 'United Kingdom', rate: 1.5, valid_from: '2010-01-01' })).status, 400);
+
+  const earlier = await addRule({ country: 'United Kingdom', rate: 0.175, valid_from: '2010-01-01', valid_to: '2011-01-04' });
+  assert.equal(earlier.status, 201);
+
+  const stretched = await api.put(`/api/admin/tax-rules/${earlier.body.id}`).send({ valid_to: '2011-02-01' });
+  assert.equal(stretched.status, 409);
+  const moved = await api.put(`/api/admin/tax-rules/${earlier.body.id}`).send({ valid_from: '2009-06-01' });
+  assert.equal(moved.status, 200);
+  assert.deepEqual([moved.body.valid_from, moved.body.valid_to, moved.body.rate], ['2009-06-01', '2011-01-04', 0.175]);
+
+  assert.equal((await api.delete(`/api/admin/tax-rules/${earlier.body.id}`)).status, 204);
+  assert.equal((await api.delete(`/api/admin/tax-rules/${earlier.body.id}`)).status, 404);
+  assert.equal((await api.put('/api/admin/tax-rules/999').send({ rate: 0.1 })).status, 404);
+
+  const { rows } = await db.query("SELECT action FROM audit_log WHERE entity_type = 'tax_rule' AND entity_id = $1 ORDER BY id", [String(earlier.body.id)]);
+  assert.deepEqual(rows.map(row => row.action), ['create', 'update', 'delete']);
+});
+
+test('stores the tax charged on each line when the order is placed', async () => {
+  const placed = await order('C1', [
+    { stock_code: '85123A', quantity: 6, unit_price: 2.55 },
+    { stock_code: '22423', quantity: 3, unit_price: 1.65 }
+  ]);
+  assert.equal(placed.status, 201);
+  assert.equal(placed.body.tax_treatment, 'standard');
+  assert.deepEqual(placed.body.items.map(item => [Number(item.tax_rate), amount(item.tax_amount), amount(item.gross_total)]), [
+    [0.2, 3.06, 18.36],
+    [0.05, 0.25, 5.2]
+  ]);
+  assert.deepEqual([amount(placed.body.total_amount), amount(placed.body.tax_amount), amount(placed.body.gross_amount)], [20.25, 3.31, 23.56]);
+
+  // The standard rate goes up today; the invoice already issued keeps its tax
+  const [standard] = (await api.get('/api/admin/tax-rules?country=United%20Kingdom')).body.filter(rule => rule.tax_category === 'standard');
+  assert.equal((await api.put(`/api/admin/tax-rules/${standard.id}`).send({ valid_to: today })).status, 200);
+  assert.equal((await addRule({ country: 'United Kingdom', rate: 0.25, valid_from: today })).status, 201);
+
+  const later = await order('C1', [{ stock_code: '85123A', quantity: 6, unit_price: 2.55 }]);
+  assert.equal(amount(later.body.tax_amount), 3.83);
+
+  const issued = await api.get(`/api/invoices/${placed.body.invoice_id}?expand=items`);
+  assert.equal(amount(issued.body.tax_amount), 3.31);
+  assert.equal(issued.body.items[0].tax_rule_id, standard.id);
+});
+
+test('keeps rules that invoices were taxed under', async () => {
+  const placed = await order('C1', [{ stock_code: '85123A', quantity: 1, unit_price: 2.55 }]);
+
+  const removal = await api.delete(`/api/admin/tax-rules/${placed.body.items[0].tax_rule_id}`);
+  assert.equal(removal.status, 409);
+  assert.match(removal.body.details, /set its valid_to to end it instead/);
+});
+
+test('reverse-charges business customers and leaves countries without rules untaxed', async () => {
+  const line = [{ stock_code: '85123A', quantity: 10, unit_price: 2.5 }];
+
+  const business = await order('F1', line);
+  assert.equal(business.body.tax_treatment, 'reverse_charge');
+  assert.deepEqual([Number(business.body.items[0].tax_rate), amount(business.body.tax_amount)], [0, 0]);
+
+  const consumer = await order('F2', line);
+  assert.equal(consumer.body.tax_treatment, 'standard');
+  assert.equal(amount(consumer.body.tax_amount), 4.9);
+
+  const abroad = await order('J1', line);
+  assert.equal(abroad.body.tax_treatment, 'outside_scope');
+  assert.equal(abroad.body.items[0].tax_rule_id, null);
+  assert.equal(amount(abroad.body.gross_amount), 25);
+
+  // Germany has a rule for reduced-rate goods only
+  assert.equal((await addRule({ country: 'Germany', tax_category: 'reduced', rate: 0.07, valid_from: '2007-01-01' })).status, 201);
+  const uncovered = await api.post('/api/invoices').send({ customer_id: 'C1', country: 'Germany', items: line });
+  assert.equal(uncovered.status, 400);
+  assert.deepEqual(uncovered.body.lines, [{ line: 1, stock_code: '85123A', details: 'No standard tax rule for Germany is in effect' }]);
+});
+
+test('credits tax at the rate originally charged', async () => {
+  const placed = await order('C1', [{ stock_code: '85123A', quantity: 6, unit_price: 2.55 }]);
+  const [item] = placed.body.items;
+
+  const [standard] = (await api.get('/api/admin/tax-rules?country=United%20Kingdom')).body.filter(rule => rule.tax_category === 'standard');
+  await api.put(`/api/admin/tax-rules/${standard.id}`).send({ rate: 0.25 });
+
+  const credit = await api.post(`/api/invoices/${placed.body.invoice_id}/cancel`).send({ lines: [{ item_id: item.id, quantity: 3 }] });
+  assert.equal(credit.status, 201);
+  assert.equal(credit.body.tax_treatment, 'standard');
+  assert.deepEqual([Number(credit.body.items[0].tax_rate), amount(credit.body.tax_amount), amount(credit.body.gross_amount)], [0.2, -1.53, -9.18]);
+});
+
+test('summarises tax by country and period', async () => {
+  // An invoice from before tax was tracked
+  await db.query("INSERT INTO invoices (invoice_id, customer_id, invoice_date, country) VALUES ('536365', 'C1', '2010-12-01 08:26', 'United Kingdom')");
+  await db.query("INSERT INTO invoice_items (invoice_id, stock_code, quantity, unit_price) VALUES ('536365', '85123A', 6, 2.55)");
+
+  await order('C1', [{ stock_code: '85123A', quantity: 6, unit_price: 2.55 }]);
+  await order('F1', [{ stock_code: '85123A', quantity: 10, unit_price: 2.5 }]);
+  await order('F2', [{ stock_code: '85123A', quantity: 10, unit_price: 2.5 }]);
+
+  const now = new Date();
+  const quarter = `${now.getFullYear()}-Q${Math.floor(now.getMonth() / 3) + 1}`;
+  const report = await api.get('/api/analytics/tax');
+  assert.equal(report.status, 200);
+  assert.equal(report.body.period, 'quarter');
+  assert.deepEqual(
+    report.body.data.map(row => [row.period, row.country, row.currency, ...[
+      row.net_amount, row.tax_amount, row.gross_amount, row.reverse_charge_net, row.outside_scope_net, row.untracked_net
+    ].map(amount)]),
+    [
+      ['2010-Q4', 'United Kingdom', 'GBP', 15.3, 0, 15.3, 0, 0, 15.3],
+      [quarter, 'France', 'GBP', 50, 4.9, 54.9, 25, 0, 0],
+      [quarter, 'United Kingdom', 'GBP', 15.3, 3.06, 18.36, 0, 0, 0]
+    ]
+  );
+
+  const byYear = await api.get('/api/analytics/tax?period=year&country=France');
+  assert.deepEqual(byYear.body.data.map(row => [row.period, amount(row.tax_amount)]), [[String(now.getFullYear()), 4.9]]);
+
+  assert.equal((await api.get('/api/analytics/tax?period=week')).status, 400);
+});
@@ -0,0 +1,205 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const db = require('../db');
+const { createApp } = require('../app');
+const webhooks = require('../services/webhooks');
+const { startTestDatabase, client, seedCustomer, seedProduct } = require('./helpers');
+
+let database;
+let api;
+let receiver;
+let received;
+let replies;
+let whileSending;
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_SECONDS = '60';
+
+// A local endpoint that records what it is sent and answers with the next
+// of `replies` (200 once they run out), after running `whileSending` if set
+function startReceiver() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      received.push({ headers: req.headers, body, event: JSON.parse(body) });
+      if (whileSending) {
+        await whileSending();
+      }
+      const [status, text] = replies.shift() || [200, 'ok'];
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(text);
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const url = () => `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+function subscribe(events, target = url()) {
+  return api.post('/api/webhooks').send({ url: target, events });
+}
+
+function due() {
+  return db.query("UPDATE webhook_deliveries SET next_attempt_at = LOCALTIMESTAMP - '1 second'::INTERVAL WHERE status = 'pending'");
+}
+
+before(async () => {
+  database = await startTestDatabase();
+  api = client(createApp());
+  receiver = await startReceiver();
+});
+beforeEach(async () => {
+  await database.reset();
+  received = [];
+  replies = [];
+  whileSending = null;
+  await seedCustomer('C1');
+  await seedProduct('B1', 'REGENCY CAKESTAND');
+});
+after(async () => {
+  receiver.close();
+  await database.close();
+});
+
+test('manages webhooks and keeps their secret out of listings', async () => {
+  const created = await subscribe(['invoice.created', 'product.updated']);
+  assert.equal(created.status, 201);
+  assert.match(created.body.secret, /^whsec_/);
+  assert.equal(created.body.active, true);
+
+  const [listed] = (await api.get('/api/webhooks')).body;
+  assert.equal(listed.id, created.body.id);
+  assert.equal(listed.secret, undefined);
+
+  assert.equal((await subscribe(['invoice.created'], 'ftp://example.com/hooks')).status, 400);
+  assert.equal((await subscribe(['invoice.paid'])).status, 400);
+  assert.equal((await subscribe([])).status, 400);
+
+  const paused = await api.put(`/api/webhooks/${created.body.id}`).send({ active: false, events: ['product.deleted'] });
+  assert.equal(paused.status, 200);
+  assert.deepEqual([paused.body.active, paused.body.events, paused.body.url], [false, ['product.deleted'], url()]);
+
+  const rotated = await api.post(`/api/webhooks/${created.body.id}/rotate-secret`);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.secret, created.body.secret);
+
+  assert.equal((await api.delete(`/api/webhooks/${created.body.id}`)).status, 204);
+  assert.equal((await api.get(`/api/webhooks/${created.body.id}`)).status, 404);
+  assert.equal((await api.post(`/api/webhooks/${created.body.id}/ping`)).status, 404);
+
+  const { rows } = await db.query("SELECT action, before, after FROM audit_log WHERE entity_type = 'webhook' ORDER BY id");
+  assert.deepEqual(rows.map(row => row.action), ['create', 'update', 'update', 'delete']);
+  assert.ok(rows.every(row => !JSON.stringify(row).includes('whsec_')));
+});
+
+test('sends signed events for the changes subscribed to', async () => {
+  const { body: webhook } = await subscribe(['invoice.created', 'stock.changed', 'product.created']);
+  await subscribe(['invoice.cancelled']);
+
+  await api.post('/api/products').send({ stock_code: 'A1', description: 'WHITE HANGING HEART', on_hand: 10 });
+  const { body: invoice } = await api.post('/api/invoices').send({
+    customer_id: 'C1',
+    items: [{ stock_code: 'A1', quantity: 4, unit_price: 2.55 }, { stock_code: 'B1', quantity: 1, unit_price: 10 }]
+  });
+  // Nothing is sent until the deliveries are due and the dispatcher runs
+  assert.equal(received.length, 0);
+
+  assert.deepEqual(await webhooks.deliverDue(), { delivered: 4, retrying: 0, failed: 0 });
+  // In the order they were raised: opening stock, then the product; the sale, then the invoice
+  assert.deepEqual(received.map(request => request.event.type), ['stock.changed', 'product.created', 'stock.changed', 'invoice.created']);
+
+  const order = received[3];
+  assert.equal(order.event.data.invoice_id, invoice.invoice_id);
+  assert.equal(order.event.data.items.length, 2);
+  assert.equal(order.headers['x-webhook-event'], 'invoice.created');
+  assert.equal(order.headers['x-webhook-id'], order.event.id);
+
+  // The signature covers the timestamp and the exact body
+  const { secret } = (await api.post(`/api/webhooks/${webhook.id}/rotate-secret`)).body;
+  await api.post('/api/products/A1/stock/movements').send({ movement_type: 'adjustment', quantity: -1, note: 'Breakage' });
+  await webhooks.deliverDue();
+  const adjustment = received[4];
+  const [, timestamp, signature] = adjustment.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  assert.equal(signature, webhooks.sign(secret, timestamp, adjustment.body));
+  assert.notEqual(signature, webhooks.sign(secret, timestamp, adjustment.body.replace('Breakage', 'Theft')));
+  assert.deepEqual([adjustment.event.data.movement.quantity, adjustment.event.data.stock.on_hand], [-1, 5]);
+
+  const log = await api.get(`/api/webhooks/${webhook.id}/deliveries?event_type=stock.changed`);
+  assert.equal(log.status, 200);
+  assert.deepEqual(log.body.data.map(delivery => [delivery.status, delivery.attempts, delivery.response_status]), [
+    ['delivered', 1, 200], ['delivered', 1, 200], ['delivered', 1, 200]
+  ]);
+});
+
+test('retries failed deliveries with backoff, then gives up until replayed', async () => {
+  const { body: webhook } = await subscribe(['product.updated']);
+  replies = [[500, 'down'], [503, ''], [500, 'still down']];
+  await api.put('/api/products/B1').send({ description: 'REGENCY CAKESTAND 3 TIER' });
+
+  assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 1, failed: 0 });
+  let [delivery] = (await api.get(`/api/webhooks/${webhook.id}/deliveries`)).body.data;
+  assert.deepEqual([delivery.status, delivery.attempts, delivery.response_status, delivery.last_error], ['pending', 1, 500, 'HTTP 500: down']);
+  const wait = delivery => new Date(delivery.next_attempt_at) - new Date(delivery.last_attempt_at);
+  assert.equal(wait(delivery), 60 * 1000);
+
+  // Not due again yet
+  assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 0, failed: 0 });
+
+  await due();
+  await webhooks.deliverDue();
+  delivery = (await api.get(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}`)).body;
+  assert.deepEqual([delivery.attempts, delivery.last_error, wait(delivery)], [2, 'HTTP 503', 120 * 1000]);
+
+  await due();
+  assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 0, failed: 1 });
+  assert.equal(received.length, 3);
+  assert.ok(received.every(request => request.event.id === received[0].event.id));
+
+  const replayed = await api.post(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}/replay`);
+  assert.equal(replayed.status, 201);
+  assert.deepEqual([replayed.body.status, replayed.body.replay_of, replayed.body.event_id], ['delivered', delivery.id, delivery.event_id]);
+  assert.equal(received[3].body, received[0].body);
+
+  const failed = await api.get(`/api/webhooks/${webhook.id}/deliveries?status=failed`);
+  assert.deepEqual(failed.body.data.map(row => row.id), [delivery.id]);
+  assert.equal((await api.post(`/api/webhooks/${webhook.id}/deliveries/999/replay`)).status, 404);
+});
+
+test('pings on request and sends nothing to inactive webhooks', async () => {
+  const { body: webhook } = await subscribe(['product.deleted']);
+
+  // The dispatcher leaves alone a ping that is being sent
+  let concurrent;
+  whileSending = async () => {
+    whileSending = null;
+    concurrent = await webhooks.deliverDue();
+  };
+  const ping = await api.post(`/api/webhooks/${webhook.id}/ping`);
+  assert.equal(ping.status, 201);
+  assert.deepEqual([ping.body.event_type, ping.body.status], ['ping', 'delivered']);
+  assert.deepEqual(received[0].event.data, { webhook_id: webhook.id });
+  assert.deepEqual(concurrent, { delivered: 0, retrying: 0, failed: 0 });
+  assert.equal(received.length, 1);
+
+  await api.put(`/api/webhooks/${webhook.id}`).send({ active: false });
+  await api.delete('/api/products/B1');
+  assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 0, failed: 0 });
+  assert.equal((await api.post(`/api/webhooks/${webhook.id}/ping`)).status, 409);
+
+  // An endpoint that cannot be reached is retried like one that fails
+  const closed = await startReceiver();
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+  const { body: unreachable } = await subscribe(['product.deleted'], `http://127.0.0.1:${port}/hooks`);
+  await api.post('/api/products/B1/restore');
+  await api.delete('/api/products/B1');
+  assert.deepEqual(await webhooks.deliverDue(), { delivered: 0, retrying: 1, failed: 0 });
+  const [delivery] = (await api.get(`/api/webhooks/${unreachable.id}/deliveries`)).body.data;
+  assert.equal(delivery.response_status, null);
+  assert.match(delivery.last_error, /ECONNREFUSED/);
+});